@@ -2,10 +2,13 @@
  * Smart Digital Canteen System - Admin Module
  * 
  * This file handles admin-specific functionality:
- * - Staff member management
+ * - Staff member management and signup approval
+ * - Roles and permissions
  * - Performance tracking
  * - Shop location management
  * - System statistics
+ * - Backup & restore
+ * - Login lockouts
  */
 
 // ============================================
@@ -21,6 +24,8 @@ function initAdminDashboard() {
     
     // Render dashboard components
     renderAdminStats();
+    renderStorageWarning('storageWarningContainer');
+    renderLowStockAlerts('lowStockContainer', '../staff/menu-manage.html#ingredients');
     renderStaffList('staffListContainer');
     
     // Update user name in navbar
@@ -83,56 +88,63 @@ function getStaffMembers() {
 /**
  * Add new staff member
  * @param {object} staffData - Staff member data
- * @returns {object} Result object
+ * @returns {Promise<object>} Result object
  */
 function addStaffMember(staffData) {
-    const { name, email, password } = staffData;
-    
-    // Validate required fields
-    if (!name || !email || !password) {
-        return { success: false, message: 'All fields are required' };
-    }
+    const denied = checkPermission(PERMISSIONS.STAFF_MANAGE);
+    if (denied) return Promise.resolve(denied);
     
-    // Validate email
-    if (!isValidEmail(email)) {
-        return { success: false, message: 'Please enter a valid email' };
+    const check = validateRecord('staff', { role: USER_ROLES.STAFF, ...staffData });
+    if (!check.success) {
+        return Promise.resolve(check);
     }
     
-    // Check if email exists
-    const users = getFromStorage(STORAGE_KEYS.USERS) || [];
-    if (users.find(u => u.email.toLowerCase() === email.toLowerCase())) {
-        return { success: false, message: 'Email already registered' };
+    const { name, email, password, role } = check.value;
+    const staffRole = getRole(role);
+    if (!staffRole || staffRole.area === USER_ROLES.CUSTOMER) {
+        const message = 'Please choose a staff or admin role';
+        return Promise.resolve({ success: false, message, errors: { role: message } });
     }
     
-    // Create staff member
+    // Create staff member (the password hash is kept in users only)
     const newStaff = {
         id: generateId(),
-        name: name.trim(),
-        email: email.toLowerCase().trim(),
-        password: password,
-        role: USER_ROLES.STAFF,
+        name: name,
+        email: email,
+        role: staffRole.id,
         ordersCompleted: 0,
         rating: 0,
         joinedAt: new Date().toISOString()
     };
     
-    // Add to staff members
-    const staffMembers = getStaffMembers();
-    staffMembers.push(newStaff);
-    saveToStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers);
-    
-    // Add to users
-    users.push({
-        id: newStaff.id,
-        name: newStaff.name,
-        email: newStaff.email,
-        password: newStaff.password,
-        role: USER_ROLES.STAFF,
-        createdAt: newStaff.joinedAt
-    });
-    saveToStorage(STORAGE_KEYS.USERS, users);
-    
-    return { success: true, message: 'Staff member added successfully!', staff: newStaff };
+    return hashPassword(password).then(passwordHash => {
+        // Add to users (checking for an existing email in the same transaction)
+        const result = updateStorage(STORAGE_KEYS.USERS, users => {
+            if (users.find(u => u.email.toLowerCase() === newStaff.email)) {
+                return { result: { success: false, message: 'Email already registered', errors: { email: 'Email already registered' } } };
+            }
+            users.push({
+                id: newStaff.id,
+                name: newStaff.name,
+                email: newStaff.email,
+                password: passwordHash,
+                role: newStaff.role,
+                status: ACCOUNT_STATUS.ACTIVE,
+                createdAt: newStaff.joinedAt
+            });
+            return { data: users, result: { success: true, message: 'Staff member added successfully!', staff: newStaff } };
+        }, []);
+        
+        if (!result.success) return result;
+        
+        // Add to staff members
+        updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => {
+            staffMembers.push(newStaff);
+            return { data: staffMembers };
+        }, []);
+        
+        return result;
+    }).catch(getPasswordErrorResult);
 }
 
 /**
@@ -141,22 +153,209 @@ function addStaffMember(staffData) {
  * @returns {object} Result object
  */
 function removeStaffMember(staffId) {
+    const denied = checkPermission(PERMISSIONS.STAFF_MANAGE);
+    if (denied) return denied;
+    
     // Remove from staff members
-    const staffMembers = getStaffMembers();
-    const filteredStaff = staffMembers.filter(s => s.id !== staffId);
+    const result = updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => {
+        const filteredStaff = staffMembers.filter(s => s.id !== staffId);
+        
+        if (filteredStaff.length === staffMembers.length) {
+            return { result: { success: false, message: 'Staff member not found' } };
+        }
+        
+        return { data: filteredStaff, result: { success: true, message: 'Staff member removed successfully!' } };
+    }, []);
+    
+    if (!result.success) return result;
+    
+    // Also remove from users
+    updateStorage(STORAGE_KEYS.USERS, users => ({
+        data: users.filter(u => u.id !== staffId)
+    }), []);
+    
+    // Log them out on every device
+    revokeUserSessions(staffId);
+    
+    return result;
+}
+
+/**
+ * Get accounts that signed up themselves and wait for approval
+ * @returns {Array} Pending users
+ */
+function getPendingSignups() {
+    return (getFromStorage(STORAGE_KEYS.USERS) || []).filter(u => u.status === ACCOUNT_STATUS.PENDING);
+}
+
+/**
+ * Tell someone what became of their signup (when the mailer is loaded)
+ * @param {object} user - User
+ * @param {boolean} approved - Whether the account was approved
+ */
+function notifySignupDecision(user, approved) {
+    if (typeof sendMail !== 'function') return;
+    
+    sendMail({
+        to: user.email,
+        subject: approved ? 'Your staff account is ready' : 'Your staff registration',
+        text: `Hi ${user.name},\n\n` + (approved
+            ? 'An admin approved your Smart Digital Canteen account. You can login now.'
+            : 'An admin did not approve your Smart Digital Canteen registration. Please talk to the canteen manager if you think this is a mistake.')
+    }).then(result => {
+        if (!result.success) console.warn('Signup notification was not sent:', result.message);
+    });
+}
+
+/**
+ * Approve a pending signup and add it to the staff list
+ * @param {string} userId - User ID
+ * @param {string} roleId - Role to give (defaults to the role signed up for)
+ * @returns {object} Result object
+ */
+function approveStaffSignup(userId, roleId = null) {
+    const denied = checkPermission(PERMISSIONS.STAFF_MANAGE);
+    if (denied) return denied;
+    
+    const result = updateStorage(STORAGE_KEYS.USERS, users => {
+        const user = users.find(u => u.id === userId && u.status === ACCOUNT_STATUS.PENDING);
+        if (!user) return { result: { success: false, message: 'Signup not found' } };
+        
+        const role = getRole(roleId || user.role);
+        if (!role || role.area === USER_ROLES.CUSTOMER) {
+            return { result: { success: false, message: 'Please choose a staff or admin role' } };
+        }
+        
+        user.role = role.id;
+        user.status = ACCOUNT_STATUS.ACTIVE;
+        user.approvedAt = new Date().toISOString();
+        return { data: users, result: { success: true, message: `${user.name} can now login as ${role.name}`, user } };
+    }, []);
+    
+    if (!result.success) return result;
+    
+    const { user } = result;
+    updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => {
+        if (staffMembers.some(s => s.id === user.id)) return {};
+        
+        staffMembers.push({
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            ordersCompleted: 0,
+            rating: 0,
+            joinedAt: user.approvedAt
+        });
+        return { data: staffMembers };
+    }, []);
+    
+    notifySignupDecision(user, true);
+    return result;
+}
+
+/**
+ * Reject a pending signup (the account is deleted)
+ * @param {string} userId - User ID
+ * @returns {object} Result object
+ */
+function rejectStaffSignup(userId) {
+    const denied = checkPermission(PERMISSIONS.STAFF_MANAGE);
+    if (denied) return denied;
+    
+    const result = updateStorage(STORAGE_KEYS.USERS, users => {
+        const user = users.find(u => u.id === userId && u.status === ACCOUNT_STATUS.PENDING);
+        if (!user) return { result: { success: false, message: 'Signup not found' } };
+        
+        return {
+            data: users.filter(u => u.id !== userId),
+            result: { success: true, message: `Signup of ${user.name} rejected`, user }
+        };
+    }, []);
+    
+    if (result.success) notifySignupDecision(result.user, false);
+    return result;
+}
+
+/**
+ * Render the signups waiting for approval
+ * @param {string} containerId - Container element ID
+ */
+function renderPendingSignups(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
     
-    if (filteredStaff.length === staffMembers.length) {
-        return { success: false, message: 'Staff member not found' };
+    const pending = getPendingSignups();
+    if (pending.length === 0) {
+        container.innerHTML = '';
+        return;
     }
     
-    saveToStorage(STORAGE_KEYS.STAFF_MEMBERS, filteredStaff);
+    container.innerHTML = `
+        <div class="card mb-lg" style="border-left: 4px solid var(--warning);">
+            <h3>⏳ Waiting for Approval (${pending.length})</h3>
+            <table class="admin-table mt-md">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Signed Up</th>
+                        <th>Role</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${pending.map(user => `
+                        <tr data-user-id="${user.id}">
+                            <td>${user.name}</td>
+                            <td>${user.email}</td>
+                            <td>${formatDate(user.createdAt)}</td>
+                            <td>
+                                <select class="form-input admin-input signup-role-select" aria-label="Role"></select>
+                            </td>
+                            <td class="table-actions">
+                                <button type="button" class="btn btn-success btn-sm approve-signup-btn">✅ Approve</button>
+                                <button type="button" class="btn btn-danger btn-sm reject-signup-btn">❌ Reject</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
     
-    // Also remove from users
-    const users = getFromStorage(STORAGE_KEYS.USERS) || [];
-    const filteredUsers = users.filter(u => u.id !== staffId);
-    saveToStorage(STORAGE_KEYS.USERS, filteredUsers);
+    container.querySelectorAll('tr[data-user-id]').forEach(row => {
+        const user = pending.find(u => u.id === row.dataset.userId);
+        renderStaffRoleOptions(row.querySelector('.signup-role-select'), user.role);
+    });
+}
+
+/**
+ * Setup approve and reject handlers of the pending signups
+ * @param {string} containerId - Container element ID
+ */
+function setupPendingSignupHandlers(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
     
-    return { success: true, message: 'Staff member removed successfully!' };
+    container.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-user-id]');
+        if (!row) return;
+        
+        let result = null;
+        if (e.target.closest('.approve-signup-btn')) {
+            result = approveStaffSignup(row.dataset.userId, row.querySelector('.signup-role-select').value);
+        } else if (e.target.closest('.reject-signup-btn')) {
+            if (!confirm('Reject this signup? The account will be deleted.')) return;
+            result = rejectStaffSignup(row.dataset.userId);
+        }
+        if (!result) return;
+        
+        showToast(result.message, result.success ? 'success' : 'error');
+        renderPendingSignups(containerId);
+        renderStaffList('staffListContainer');
+        renderAdminStats();
+    });
 }
 
 /**
@@ -170,19 +369,19 @@ function getStaffPerformance(staffId) {
     
     if (!staff) return null;
     
-    // Get orders completed by this staff (in real app, orders would have staffId)
+    // Get orders completed by this staff today
     const orders = getAllOrders();
     const today = new Date().toDateString();
     
-    // For demo, we'll use general stats
     const todayOrders = orders.filter(o => 
         new Date(o.createdAt).toDateString() === today &&
-        o.status === ORDER_STATUS.COMPLETED
+        o.status === ORDER_STATUS.COMPLETED &&
+        o.staffId === staffId
     );
     
     return {
         ...staff,
-        todayOrders: Math.floor(todayOrders.length / (staffMembers.length || 1)),
+        todayOrders: todayOrders.length,
         totalOrders: staff.ordersCompleted || 0
     };
 }
@@ -222,6 +421,12 @@ function renderStaffList(containerId) {
                 <div class="staff-avatar">${initials}</div>
                 <h3 class="staff-name">${staff.name}</h3>
                 <p class="staff-email">${staff.email}</p>
+                <select class="form-input admin-input staff-role-select mt-sm" data-staff-id="${staff.id}" aria-label="Role">
+                    ${getRoles()
+                        .filter(role => role.area !== USER_ROLES.CUSTOMER)
+                        .map(role => `<option value="${role.id}" ${role.id === (staff.role || USER_ROLES.STAFF) ? 'selected' : ''}>${role.name}</option>`)
+                        .join('')}
+                </select>
                 <div class="staff-stats">
                     <div class="staff-stat">
                         <div class="staff-stat-value">${performance?.totalOrders || 0}</div>
@@ -235,9 +440,14 @@ function renderStaffList(containerId) {
                 <p style="color: var(--gray-dark); font-size: 0.75rem; margin-top: 0.5rem;">
                     Joined: ${formatDateShort(staff.joinedAt)}
                 </p>
-                <button class="btn btn-danger btn-sm mt-md remove-staff-btn" data-staff-id="${staff.id}">
-                    🗑️ Remove
-                </button>
+                <div class="flex gap-md mt-md" style="justify-content: center;">
+                    <button class="btn btn-admin-outline btn-sm revoke-sessions-btn" data-staff-id="${staff.id}">
+                        🔒 End Sessions
+                    </button>
+                    <button class="btn btn-danger btn-sm remove-staff-btn" data-staff-id="${staff.id}">
+                        🗑️ Remove
+                    </button>
+                </div>
             </div>
         `;
     });
@@ -250,14 +460,36 @@ function renderStaffList(containerId) {
 }
 
 /**
- * Setup staff remove button handlers
+ * Setup staff role, remove and end-sessions handlers
  * @param {string} containerId - Container element ID
  */
 function setupStaffRemoveHandlers(containerId) {
     const container = document.getElementById(containerId);
-    if (!container) return;
+    // renderStaffList calls this on every render; attach the handlers once
+    if (!container || container.dataset.handlersReady) return;
+    container.dataset.handlersReady = 'true';
+    
+    container.addEventListener('change', (e) => {
+        const roleSelect = e.target.closest('.staff-role-select');
+        if (!roleSelect) return;
+        
+        const result = setStaffRole(roleSelect.dataset.staffId, roleSelect.value);
+        showToast(result.message, result.success ? 'success' : 'error');
+        renderStaffList(containerId);
+    });
     
     container.addEventListener('click', (e) => {
+        const revokeBtn = e.target.closest('.revoke-sessions-btn');
+        if (revokeBtn) {
+            if (confirm('Log this staff member out on every device?')) {
+                const denied = checkPermission(PERMISSIONS.STAFF_MANAGE);
+                (denied ? Promise.resolve(denied) : revokeUserSessions(revokeBtn.dataset.staffId)).then(result => {
+                    showToast(result.message, result.success ? 'success' : 'error');
+                });
+            }
+            return;
+        }
+        
         const removeBtn = e.target.closest('.remove-staff-btn');
         if (removeBtn) {
             const staffId = removeBtn.dataset.staffId;
@@ -285,6 +517,9 @@ function openAddStaffModal() {
     }
 }
 
+// Input names of the add staff form per staff field
+const STAFF_FORM_INPUTS = { name: 'staffName', email: 'staffEmail', password: 'staffPassword', role: 'staffRole' };
+
 /**
  * Setup add staff form
  */
@@ -292,184 +527,907 @@ function setupAddStaffForm() {
     const form = document.getElementById('addStaffForm');
     if (!form) return;
     
+    renderStaffRoleOptions(form.querySelector('[name="staffRole"]'));
+    
     form.addEventListener('submit', (e) => {
         e.preventDefault();
         
         const staffData = {
             name: form.querySelector('[name="staffName"]').value,
             email: form.querySelector('[name="staffEmail"]').value,
-            password: form.querySelector('[name="staffPassword"]').value
+            password: form.querySelector('[name="staffPassword"]').value,
+            role: form.querySelector('[name="staffRole"]').value
         };
         
-        const result = addStaffMember(staffData);
+        const submitBtn = form.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
         
-        if (result.success) {
-            showToast(result.message, 'success');
-            form.reset();
-            renderStaffList('staffListContainer');
-            renderAdminStats();
-            closeModal('addStaffModal');
-        } else {
-            showToast(result.message, 'error');
-        }
+        addStaffMember(staffData).then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            showFieldErrors(form, result.errors, STAFF_FORM_INPUTS);
+            
+            if (result.success) {
+                showToast(result.message, 'success');
+                form.reset();
+                renderStaffList('staffListContainer');
+                renderAdminStats();
+                closeModal('addStaffModal');
+            } else {
+                showToast(result.message, 'error');
+            }
+        });
     });
 }
 
 // ============================================
-// SHOP LOCATION MANAGEMENT
+// ROLES & PERMISSIONS
 // ============================================
 
 /**
- * Get shop location
- * @returns {object|null} Shop location data
+ * Fill a select with the roles staff members can have
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} selected - Selected role ID
  */
-function getShopLocation() {
-    return getFromStorage(STORAGE_KEYS.SHOP_LOCATION);
+function renderStaffRoleOptions(select, selected = USER_ROLES.STAFF) {
+    if (!select) return;
+    
+    select.innerHTML = getRoles()
+        .filter(role => role.area !== USER_ROLES.CUSTOMER)
+        .map(role => `<option value="${role.id}" ${role.id === selected ? 'selected' : ''}>${role.name}</option>`)
+        .join('');
 }
 
 /**
- * Save shop location
- * @param {object} locationData - Location data
+ * Give a staff member another role
+ * Their open sessions end, so the new permissions apply from their next login.
+ * @param {string} userId - User ID
+ * @param {string} roleId - New role ID
  * @returns {object} Result object
  */
-function saveShopLocation(locationData) {
-    const { name, address, lat, lng, phone, openHours } = locationData;
+function setStaffRole(userId, roleId) {
+    const denied = checkPermission(PERMISSIONS.STAFF_MANAGE);
+    if (denied) return denied;
     
-    if (!name || !address) {
-        return { success: false, message: 'Name and address are required' };
+    const role = getRole(roleId);
+    if (!role || role.area === USER_ROLES.CUSTOMER) {
+        return { success: false, message: 'Please choose a staff or admin role' };
     }
     
-    const location = {
-        name: name.trim(),
-        address: address.trim(),
-        lat: parseFloat(lat) || 0,
-        lng: parseFloat(lng) || 0,
-        phone: phone?.trim() || '',
-        openHours: openHours?.trim() || ''
-    };
+    const currentUser = getCurrentUser();
+    if (currentUser && currentUser.id === userId) {
+        return { success: false, message: 'You cannot change your own role' };
+    }
     
-    saveToStorage(STORAGE_KEYS.SHOP_LOCATION, location);
+    const result = updateStorage(STORAGE_KEYS.USERS, users => {
+        const user = users.find(u => u.id === userId);
+        if (!user) return { result: { success: false, message: 'User not found' } };
+        
+        user.role = role.id;
+        return { data: users, result: { success: true, message: `Role changed to ${role.name}` } };
+    }, []);
     
-    return { success: true, message: 'Shop location saved successfully!', location };
+    if (result.success) {
+        updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => {
+            const staff = staffMembers.find(s => s.id === userId);
+            if (!staff) return {};
+            
+            staff.role = role.id;
+            return { data: staffMembers };
+        }, []);
+        revokeUserSessions(userId);
+    }
+    
+    return result;
 }
 
 /**
- * Render shop location form
+ * Create or update a role
+ * @param {object} roleData - { id (to update), name, area, permissions, requireTwoFactor }
+ * @returns {object} Result object
+ */
+function saveRole(roleData) {
+    const denied = checkPermission(PERMISSIONS.ROLES_MANAGE);
+    if (denied) return denied;
+    
+    // Of the admin role only the two-factor requirement can change
+    if (roleData.id === USER_ROLES.ADMIN) {
+        return updateStorage(STORAGE_KEYS.ROLES, roles => {
+            const role = roles.find(r => r.id === USER_ROLES.ADMIN);
+            if (!role) return { result: { success: false, message: 'Role not found' } };
+            
+            role.requireTwoFactor = !!roleData.requireTwoFactor;
+            role.updatedAt = new Date().toISOString();
+            return { data: roles, result: { success: true, message: `Role "${role.name}" saved`, role } };
+        }, DEFAULT_ROLES);
+    }
+    
+    const name = (roleData.name || '').trim();
+    if (!name) {
+        return { success: false, message: 'Role name is required' };
+    }
+    if (!Object.values(USER_ROLES).includes(roleData.area)) {
+        return { success: false, message: 'Please choose where the role logs in' };
+    }
+    const permissions = (roleData.permissions || []).filter(p => Object.values(PERMISSIONS).includes(p));
+    
+    return updateStorage(STORAGE_KEYS.ROLES, roles => {
+        if (roles.some(r => r.id !== roleData.id && r.name.toLowerCase() === name.toLowerCase())) {
+            return { result: { success: false, message: 'A role with this name already exists' } };
+        }
+        
+        let role = roles.find(r => r.id === roleData.id);
+        if (role) {
+            // Built-in roles keep their area so the default pages keep working
+            role.name = name;
+            role.area = role.builtIn ? role.area : roleData.area;
+            role.permissions = permissions;
+            role.requireTwoFactor = role.area !== USER_ROLES.CUSTOMER && !!roleData.requireTwoFactor;
+            role.updatedAt = new Date().toISOString();
+        } else {
+            role = {
+                id: generateId(),
+                name,
+                area: roleData.area,
+                permissions,
+                requireTwoFactor: roleData.area !== USER_ROLES.CUSTOMER && !!roleData.requireTwoFactor,
+                createdAt: new Date().toISOString()
+            };
+            roles.push(role);
+        }
+        
+        return { data: roles, result: { success: true, message: `Role "${name}" saved`, role } };
+    }, DEFAULT_ROLES);
+}
+
+/**
+ * Delete a role nobody has
+ * @param {string} roleId - Role ID
+ * @returns {object} Result object
+ */
+function deleteRole(roleId) {
+    const denied = checkPermission(PERMISSIONS.ROLES_MANAGE);
+    if (denied) return denied;
+    
+    const role = getRole(roleId);
+    if (!role) {
+        return { success: false, message: 'Role not found' };
+    }
+    if (role.builtIn) {
+        return { success: false, message: 'Built-in roles cannot be deleted' };
+    }
+    
+    const users = getFromStorage(STORAGE_KEYS.USERS) || [];
+    const holders = users.filter(u => u.role === roleId).length;
+    if (holders > 0) {
+        return { success: false, message: `${holders} user${holders === 1 ? ' has' : 's have'} this role. Give them another role first.` };
+    }
+    
+    return updateStorage(STORAGE_KEYS.ROLES, roles => ({
+        data: roles.filter(r => r.id !== roleId),
+        result: { success: true, message: `Role "${role.name}" deleted` }
+    }), DEFAULT_ROLES);
+}
+
+/**
+ * Render the role editor
  * @param {string} containerId - Container element ID
  */
-function renderShopLocationForm(containerId) {
+function renderRoleList(containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
-    const location = getShopLocation() || {};
+    const users = getFromStorage(STORAGE_KEYS.USERS) || [];
+    const areaNames = {
+        [USER_ROLES.CUSTOMER]: 'Customer pages',
+        [USER_ROLES.STAFF]: 'Staff pages',
+        [USER_ROLES.ADMIN]: 'Admin pages'
+    };
     
-    container.innerHTML = `
-        <form id="shopLocationForm" class="card">
-            <h3>Shop Location Settings</h3>
-            
-            <div class="form-group">
-                <label class="form-label">Shop Name *</label>
-                <input type="text" name="shopName" class="form-input admin-input" 
-                       value="${location.name || ''}" required>
-            </div>
-            
-            <div class="form-group">
-                <label class="form-label">Address *</label>
-                <textarea name="shopAddress" class="form-textarea" required>${location.address || ''}</textarea>
-            </div>
-            
-            <div class="flex gap-md">
-                <div class="form-group" style="flex: 1;">
-                    <label class="form-label">Latitude</label>
-                    <input type="number" step="any" name="shopLat" class="form-input admin-input" 
-                           value="${location.lat || ''}" placeholder="e.g., 6.7106">
-                </div>
-                <div class="form-group" style="flex: 1;">
-                    <label class="form-label">Longitude</label>
-                    <input type="number" step="any" name="shopLng" class="form-input admin-input" 
-                           value="${location.lng || ''}" placeholder="e.g., 80.7846">
+    const renderRoleForm = (role) => {
+        const isAdmin = role.id === USER_ROLES.ADMIN;
+        const permissions = isAdmin ? Object.values(PERMISSIONS) : role.permissions;
+        
+        return `
+            <form class="card mb-md role-form" data-role-id="${role.id || ''}">
+                <div class="section-header">
+                    <h3>${role.id ? role.name : '➕ New Role'}</h3>
+                    ${role.id ? `<span style="color: var(--gray-dark); font-size: 0.875rem;">
+                        ${users.filter(u => u.role === role.id).length} users
+                    </span>` : ''}
                 </div>
-            </div>
-            
-            <div class="form-group">
-                <label class="form-label">Phone Number</label>
-                <input type="tel" name="shopPhone" class="form-input admin-input" 
-                       value="${location.phone || ''}" placeholder="e.g., +94 45 2280014">
-            </div>
-            
-            <div class="form-group">
-                <label class="form-label">Opening Hours</label>
-                <input type="text" name="shopHours" class="form-input admin-input" 
-                       value="${location.openHours || ''}" placeholder="e.g., 7:00 AM - 8:00 PM">
-            </div>
-            
-            <div class="mt-lg">
-                <button type="submit" class="btn btn-admin-primary">
-                    💾 Save Location
-                </button>
-            </div>
-            
-            ${location.lat && location.lng ? `
-                <div class="mt-lg">
-                    <h4>Preview Location</h4>
-                    <div class="map-container">
-                        <div class="map-placeholder">
-                            <span class="icon">🗺️</span>
-                            <p>${location.name}</p>
-                            <a href="https://www.google.com/maps?q=${location.lat},${location.lng}" 
-                               target="_blank" class="btn btn-admin-outline btn-sm mt-sm">
-                                View on Google Maps
-                            </a>
-                        </div>
+                <div class="flex gap-md mt-md">
+                    <div class="form-group" style="flex: 1;">
+                        <label class="form-label">Name</label>
+                        <input type="text" name="name" class="form-input admin-input" value="${role.name || ''}" required ${isAdmin ? 'disabled' : ''}>
+                    </div>
+                    <div class="form-group" style="flex: 1;">
+                        <label class="form-label">Logs in to</label>
+                        <select name="area" class="form-input admin-input" ${role.builtIn ? 'disabled' : ''}>
+                            ${Object.entries(areaNames).map(([area, label]) => `
+                                <option value="${area}" ${role.area === area ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
                     </div>
                 </div>
-            ` : ''}
-        </form>
-    `;
+                <div class="form-group">
+                    <label class="form-label">Permissions</label>
+                    ${Object.values(PERMISSIONS).map(permission => `
+                        <label style="display: block; font-size: 0.875rem;">
+                            <input type="checkbox" name="permissions" value="${permission}"
+                                ${permissions.includes(permission) ? 'checked' : ''} ${isAdmin ? 'disabled' : ''}>
+                            ${PERMISSION_LABELS[permission]} <code>${permission}</code>
+                        </label>
+                    `).join('')}
+                </div>
+                ${role.area !== USER_ROLES.CUSTOMER ? `
+                    <label class="form-group" style="display: block; font-size: 0.875rem;">
+                        <input type="checkbox" name="requireTwoFactor" ${role.requireTwoFactor ? 'checked' : ''}>
+                        Require two-factor login (authenticator app)
+                    </label>
+                ` : ''}
+                ${isAdmin ? `
+                    <p style="color: var(--gray-dark); font-size: 0.875rem;">The admin role always has every permission.</p>
+                ` : ''}
+                <div class="flex gap-md">
+                    <button type="submit" class="btn btn-admin-primary btn-sm">💾 Save</button>
+                    ${role.id && !role.builtIn ? `
+                        <button type="button" class="btn btn-danger btn-sm delete-role-btn">🗑️ Delete</button>
+                    ` : ''}
+                </div>
+            </form>
+        `;
+    };
     
-    // Setup form handler
-    const form = document.getElementById('shopLocationForm');
-    if (form) {
-        form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            
-            const locationData = {
-                name: form.querySelector('[name="shopName"]').value,
-                address: form.querySelector('[name="shopAddress"]').value,
-                lat: form.querySelector('[name="shopLat"]').value,
-                lng: form.querySelector('[name="shopLng"]').value,
-                phone: form.querySelector('[name="shopPhone"]').value,
-                openHours: form.querySelector('[name="shopHours"]').value
-            };
-            
-            const result = saveShopLocation(locationData);
-            
-            if (result.success) {
-                showToast(result.message, 'success');
-                renderShopLocationForm(containerId);
-            } else {
-                showToast(result.message, 'error');
-            }
-        });
-    }
+    container.innerHTML = getRoles().map(renderRoleForm).join('') +
+        renderRoleForm({ name: '', area: USER_ROLES.STAFF, permissions: [] });
 }
 
-// ============================================
-// REPORTS & ANALYTICS
-// ============================================
-
 /**
- * Get daily report
- * @param {Date} date - Date for report
- * @returns {object} Daily report data
+ * Setup the save and delete handlers of the role editor
+ * @param {string} containerId - Container element ID
  */
-function getDailyReport(date = new Date()) {
-    const orders = getAllOrders();
+function setupRoleHandlers(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.addEventListener('submit', (e) => {
+        const form = e.target.closest('.role-form');
+        if (!form) return;
+        e.preventDefault();
+        
+        const result = saveRole({
+            id: form.dataset.roleId || null,
+            name: form.querySelector('[name="name"]').value,
+            area: form.querySelector('[name="area"]').value,
+            permissions: Array.from(form.querySelectorAll('[name="permissions"]:checked')).map(box => box.value),
+            requireTwoFactor: !!form.querySelector('[name="requireTwoFactor"]:checked')
+        });
+        
+        showToast(result.message, result.success ? 'success' : 'error');
+        if (result.success) renderRoleList(containerId);
+    });
+    
+    container.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.delete-role-btn');
+        if (!deleteBtn) return;
+        
+        const roleId = deleteBtn.closest('.role-form').dataset.roleId;
+        if (confirm('Delete this role?')) {
+            const result = deleteRole(roleId);
+            showToast(result.message, result.success ? 'success' : 'error');
+            if (result.success) renderRoleList(containerId);
+        }
+    });
+}
+
+// ============================================
+// USER DIRECTORY
+// ============================================
+
+// Users shown per page of the directory
+const USER_DIRECTORY_PAGE_SIZE = 20;
+
+/**
+ * Get the account status of a user (accounts without one are active)
+ * @param {object} user - User
+ * @returns {string} One of ACCOUNT_STATUS
+ */
+function getAccountStatus(user) {
+    return user.status || ACCOUNT_STATUS.ACTIVE;
+}
+
+/**
+ * Search, filter and page the user accounts
+ * @param {object} options - { search, role, status, page, pageSize }
+ * @returns {object} { users, total, page, pages } (users without their password or two-factor secret)
+ */
+function getUserDirectory(options = {}) {
+    const { search = '', role = '', status = '', pageSize = USER_DIRECTORY_PAGE_SIZE } = options;
+    const query = search.toLowerCase().trim();
+    
+    const matches = (getFromStorage(STORAGE_KEYS.USERS) || [])
+        .filter(user => !query || user.name.toLowerCase().includes(query) || user.email.toLowerCase().includes(query))
+        .filter(user => !role || user.role === role)
+        .filter(user => !status || getAccountStatus(user) === status)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const page = Math.min(Math.max(1, options.page || 1), pages);
+    
+    return {
+        users: matches
+            .slice((page - 1) * pageSize, page * pageSize)
+            .map(({ password, twoFactor, twoFactorSetup, ...user }) => ({
+                ...user,
+                status: getAccountStatus(user),
+                twoFactorEnabled: !!twoFactor
+            })),
+        total: matches.length,
+        page,
+        pages
+    };
+}
+
+/**
+ * Summarize the orders a user placed, live and archived
+ * @param {string} userId - User ID
+ * @returns {object} { total, completed, cancelled, active, spent, lastOrderAt, recent }
+ */
+function getUserOrderSummary(userId) {
+    const live = (getFromStorage(STORAGE_KEYS.ORDERS) || []).filter(o => o.userId === userId);
+    const liveIds = new Set(live.map(o => o.id));
+    const orders = live
+        .concat(getArchivedOrders().filter(o => o.userId === userId && !liveIds.has(o.id)))
+        .sort((a, b) => (b.createdAt > a.createdAt ? 1 : -1));
+    
+    const finished = [ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED];
+    const completed = orders.filter(o => o.status === ORDER_STATUS.COMPLETED);
+    
+    return {
+        total: orders.length,
+        completed: completed.length,
+        cancelled: orders.filter(o => o.status === ORDER_STATUS.CANCELLED).length,
+        active: orders.filter(o => !finished.includes(o.status)).length,
+        spent: completed.reduce((sum, o) => sum + o.total, 0),
+        lastOrderAt: orders.length > 0 ? orders[0].createdAt : null,
+        recent: orders.slice(0, 5)
+    };
+}
+
+/**
+ * Check that an admin action may touch an account
+ * Admins can't act on themselves, and the last active admin stays an admin.
+ * @param {string} userId - User ID
+ * @param {string} newArea - Area the account ends up in (for role changes)
+ * @returns {object|null} Failed result object, or null when allowed
+ */
+function checkUserActionAllowed(userId, newArea = null) {
+    const denied = checkPermission(PERMISSIONS.USERS_MANAGE);
+    if (denied) return denied;
+    
+    const currentUser = getCurrentUser();
+    if (currentUser && currentUser.id === userId) {
+        return { success: false, message: 'You cannot do this to your own account' };
+    }
+    
+    const users = getFromStorage(STORAGE_KEYS.USERS) || [];
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const isActiveAdmin = u => getRoleArea(u.role) === USER_ROLES.ADMIN && getAccountStatus(u) === ACCOUNT_STATUS.ACTIVE;
+    if (isActiveAdmin(user) && newArea !== USER_ROLES.ADMIN && users.filter(isActiveAdmin).length === 1) {
+        return { success: false, message: 'This is the only active admin account' };
+    }
+    
+    return null;
+}
+
+/**
+ * Give any user another role
+ * Moving into or out of the staff and admin areas updates the staff list,
+ * and the user logs in again to get the new role.
+ * @param {string} userId - User ID
+ * @param {string} roleId - New role ID
+ * @returns {object} Result object
+ */
+function setUserRole(userId, roleId) {
+    const role = getRole(roleId);
+    if (!role) {
+        return { success: false, message: 'Role not found' };
+    }
+    
+    const notAllowed = checkUserActionAllowed(userId, role.area);
+    if (notAllowed) return notAllowed;
+    
+    const result = updateStorage(STORAGE_KEYS.USERS, users => {
+        const user = users.find(u => u.id === userId);
+        if (!user) return { result: { success: false, message: 'User not found' } };
+        if (getAccountStatus(user) === ACCOUNT_STATUS.PENDING) {
+            return { result: { success: false, message: 'Approve or reject this signup on the staff page first' } };
+        }
+        
+        user.role = role.id;
+        return { data: users, result: { success: true, message: `Role changed to ${role.name}`, user } };
+    }, []);
+    
+    if (!result.success) return result;
+    
+    const { user } = result;
+    updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => {
+        const staff = staffMembers.find(s => s.id === userId);
+        
+        if (role.area === USER_ROLES.CUSTOMER) {
+            return staff ? { data: staffMembers.filter(s => s.id !== userId) } : {};
+        }
+        if (staff) {
+            staff.role = role.id;
+        } else {
+            staffMembers.push({
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: role.id,
+                ordersCompleted: 0,
+                rating: 0,
+                joinedAt: new Date().toISOString()
+            });
+        }
+        return { data: staffMembers };
+    }, []);
+    
+    revokeUserSessions(userId);
+    return { success: true, message: result.message };
+}
+
+/**
+ * Suspend an account or lift the suspension
+ * A suspended user is logged out everywhere and can't login.
+ * @param {string} userId - User ID
+ * @param {boolean} suspended - true to suspend, false to unsuspend
+ * @returns {object} Result object
+ */
+function setUserSuspended(userId, suspended) {
+    const notAllowed = suspended ? checkUserActionAllowed(userId) : checkPermission(PERMISSIONS.USERS_MANAGE);
+    if (notAllowed) return notAllowed;
+    
+    const result = updateStorage(STORAGE_KEYS.USERS, users => {
+        const user = users.find(u => u.id === userId);
+        if (!user) return { result: { success: false, message: 'User not found' } };
+        
+        const status = getAccountStatus(user);
+        if (suspended && status !== ACCOUNT_STATUS.ACTIVE) {
+            return { result: { success: false, message: 'Only active accounts can be suspended' } };
+        }
+        if (!suspended && status !== ACCOUNT_STATUS.SUSPENDED) {
+            return { result: { success: false, message: 'This account is not suspended' } };
+        }
+        
+        user.status = suspended ? ACCOUNT_STATUS.SUSPENDED : ACCOUNT_STATUS.ACTIVE;
+        if (suspended) {
+            user.suspendedAt = new Date().toISOString();
+        } else {
+            delete user.suspendedAt;
+        }
+        
+        return {
+            data: users,
+            result: { success: true, message: `${user.name} ${suspended ? 'suspended' : 'can login again'}` }
+        };
+    }, []);
+    
+    if (result.success && suspended) revokeUserSessions(userId);
+    return result;
+}
+
+/**
+ * Make a user choose a new password
+ * A reset code is emailed to them first; once it is sent their sessions
+ * end and login is refused until they reset the password. Without a way
+ * to email the code nothing changes, as they could never login again.
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Result object
+ */
+function forceUserPasswordReset(userId) {
+    const notAllowed = checkUserActionAllowed(userId, USER_ROLES.ADMIN);
+    if (notAllowed) return Promise.resolve(notAllowed);
+    
+    // The local server sends reset codes itself (see requestPasswordReset)
+    if (!usesServerAccounts() && (typeof canDeliverMail !== 'function' || !canDeliverMail())) {
+        return Promise.resolve({
+            success: false,
+            message: 'Password reset by email is not set up, so this user could not choose a new password.'
+        });
+    }
+    
+    const user = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === userId);
+    return requestPasswordReset(user.email).then(sent => {
+        if (!sent.success) {
+            return { success: false, message: `The reset email to ${user.name} failed: ${sent.message}` };
+        }
+        
+        const result = updateStorage(STORAGE_KEYS.USERS, users => {
+            const account = users.find(u => u.id === userId);
+            if (!account) return { result: { success: false, message: 'User not found' } };
+            
+            account.passwordResetRequired = true;
+            return { data: users, result: { success: true } };
+        }, []);
+        if (!result.success) return result;
+        
+        revokeUserSessions(userId);
+        return { success: true, message: `${user.name} must set a new password. A reset code was emailed to them.` };
+    });
+}
+
+/**
+ * Turn off a user's two-factor login (lost phone and recovery codes)
+ * They are logged out everywhere; if their role requires two-factor login
+ * they set it up again at their next login.
+ * @param {string} userId - User ID
+ * @returns {object} Result object
+ */
+function resetUserTwoFactor(userId) {
+    const notAllowed = checkUserActionAllowed(userId, USER_ROLES.ADMIN);
+    if (notAllowed) return notAllowed;
+    
+    const result = updateStorage(STORAGE_KEYS.USERS, users => {
+        const user = users.find(u => u.id === userId);
+        if (!user) return { result: { success: false, message: 'User not found' } };
+        if (!user.twoFactor) return { result: { success: false, message: 'Two-factor login is not on for this user' } };
+        
+        delete user.twoFactor;
+        delete user.twoFactorSetup;
+        return { data: users, result: { success: true, message: `Two-factor login of ${user.name} was reset` } };
+    }, []);
+    
+    if (result.success) revokeUserSessions(userId);
+    return result;
+}
+
+/**
+ * Render the user directory
+ * @param {string} containerId - Container element ID
+ * @param {object} options - Filters and page, see getUserDirectory
+ */
+function renderUserDirectory(containerId, options = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const { users, total, page, pages } = getUserDirectory(options);
+    const roles = getRoles();
+    const statusLabels = {
+        [ACCOUNT_STATUS.ACTIVE]: '<span style="color: var(--success);">Active</span>',
+        [ACCOUNT_STATUS.PENDING]: '<span style="color: var(--warning);">Waiting for approval</span>',
+        [ACCOUNT_STATUS.SUSPENDED]: '<span style="color: var(--danger);">Suspended</span>'
+    };
+    
+    if (users.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🔍</div>
+                <h3 class="empty-state-title">No users found</h3>
+                <p class="empty-state-text">Try another search or filter</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="card">
+            <p style="color: var(--gray-dark); font-size: 0.875rem;">${total} user${total === 1 ? '' : 's'}</p>
+            <table class="admin-table mt-md">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Role</th>
+                        <th>Status</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${users.map(user => `
+                        <tr data-user-id="${user.id}">
+                            <td>
+                                ${user.name}
+                                ${user.twoFactorEnabled ? '<small title="Two-factor login is on">📱</small>' : ''}
+                                ${user.passwordResetRequired ? '<small title="Must set a new password">🔑</small>' : ''}
+                            </td>
+                            <td>${user.email}</td>
+                            <td>
+                                <select class="form-input admin-input user-role-select" aria-label="Role"
+                                    ${user.status === ACCOUNT_STATUS.PENDING ? 'disabled' : ''}>
+                                    ${roles.map(role => `<option value="${role.id}" ${role.id === user.role ? 'selected' : ''}>${role.name}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td>${statusLabels[user.status]}</td>
+                            <td class="table-actions">
+                                <button type="button" class="table-action-btn user-orders-btn">📋 Orders</button>
+                                ${user.status === ACCOUNT_STATUS.SUSPENDED
+                                    ? '<button type="button" class="table-action-btn unsuspend-user-btn">Unsuspend</button>'
+                                    : `<button type="button" class="table-action-btn delete suspend-user-btn" ${user.status === ACCOUNT_STATUS.PENDING ? 'disabled' : ''}>Suspend</button>`}
+                                <button type="button" class="table-action-btn reset-password-btn">Reset Password</button>
+                                ${user.twoFactorEnabled ? '<button type="button" class="table-action-btn reset-two-factor-btn">Reset 2FA</button>' : ''}
+                            </td>
+                        </tr>
+                        <tr class="user-orders-row hidden" data-summary-for="${user.id}">
+                            <td colspan="5"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${pages > 1 ? `
+                <div class="flex gap-md mt-md" style="justify-content: center; align-items: center;">
+                    <button type="button" class="btn btn-admin-outline btn-sm" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''}>← Previous</button>
+                    <span>Page ${page} of ${pages}</span>
+                    <button type="button" class="btn btn-admin-outline btn-sm" data-page="${page + 1}" ${page === pages ? 'disabled' : ''}>Next →</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Render the order summary of a user into a table cell
+ * @param {HTMLElement} cell - Table cell
+ * @param {string} userId - User ID
+ */
+function renderUserOrderSummary(cell, userId) {
+    const summary = getUserOrderSummary(userId);
+    
+    if (summary.total === 0) {
+        cell.innerHTML = '<p style="color: var(--gray-dark);">No orders yet</p>';
+        return;
+    }
+    
+    cell.innerHTML = `
+        <p>
+            <strong>${summary.total}</strong> orders:
+            ${summary.completed} completed, ${summary.cancelled} cancelled, ${summary.active} in progress.
+            Spent <strong>${formatCurrency(summary.spent)}</strong>, last order ${formatDate(summary.lastOrderAt)}.
+        </p>
+        <ul style="margin-top: 0.5rem; padding-left: 1.5rem; color: var(--gray-dark); font-size: 0.875rem;">
+            ${summary.recent.map(order => `
+                <li>#${order.token} · ${formatDate(order.createdAt)} · ${formatCurrency(order.total)} · ${order.status}</li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Setup search, filters, paging and actions of the user directory
+ * @param {string} containerId - Container element ID
+ * @param {string} filterFormId - Form with the search and filter fields
+ */
+function setupUserDirectory(containerId, filterFormId) {
+    const container = document.getElementById(containerId);
+    const filterForm = document.getElementById(filterFormId);
+    if (!container || !filterForm) return;
+    
+    const roleFilter = filterForm.querySelector('[name="role"]');
+    roleFilter.innerHTML = '<option value="">All roles</option>' +
+        getRoles().map(role => `<option value="${role.id}">${role.name}</option>`).join('');
+    
+    const options = { page: 1 };
+    const render = () => renderUserDirectory(containerId, options);
+    const showResult = result => showToast(result.message, result.success ? 'success' : 'error');
+    
+    const applyFilters = () => {
+        options.search = filterForm.querySelector('[name="search"]').value;
+        options.role = roleFilter.value;
+        options.status = filterForm.querySelector('[name="status"]').value;
+        options.page = 1;
+        render();
+    };
+    filterForm.addEventListener('input', applyFilters);
+    filterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyFilters();
+    });
+    
+    container.addEventListener('change', (e) => {
+        const roleSelect = e.target.closest('.user-role-select');
+        if (!roleSelect) return;
+        
+        const result = setUserRole(roleSelect.closest('tr').dataset.userId, roleSelect.value);
+        showResult(result);
+        render();
+    });
+    
+    container.addEventListener('click', (e) => {
+        const pageBtn = e.target.closest('[data-page]');
+        if (pageBtn) {
+            options.page = parseInt(pageBtn.dataset.page, 10);
+            render();
+            return;
+        }
+        
+        const row = e.target.closest('tr[data-user-id]');
+        if (!row) return;
+        const userId = row.dataset.userId;
+        
+        if (e.target.closest('.user-orders-btn')) {
+            const summaryRow = container.querySelector(`[data-summary-for="${userId}"]`);
+            if (summaryRow.classList.contains('hidden')) {
+                renderUserOrderSummary(summaryRow.querySelector('td'), userId);
+            }
+            summaryRow.classList.toggle('hidden');
+        } else if (e.target.closest('.suspend-user-btn')) {
+            if (!confirm('Suspend this account? The user is logged out and cannot login until unsuspended.')) return;
+            showResult(setUserSuspended(userId, true));
+            render();
+        } else if (e.target.closest('.unsuspend-user-btn')) {
+            showResult(setUserSuspended(userId, false));
+            render();
+        } else if (e.target.closest('.reset-two-factor-btn')) {
+            if (!confirm('Turn off two-factor login for this user? Do this only when you are sure who is asking.')) return;
+            showResult(resetUserTwoFactor(userId));
+            render();
+        } else if (e.target.closest('.reset-password-btn')) {
+            if (!confirm('Log this user out and make them choose a new password?')) return;
+            forceUserPasswordReset(userId).then(result => {
+                showResult(result);
+                render();
+            });
+        }
+    });
+    
+    render();
+}
+
+// ============================================
+// SHOP LOCATION MANAGEMENT
+// ============================================
+
+/**
+ * Get shop location
+ * @returns {object|null} Shop location data
+ */
+function getShopLocation() {
+    return getFromStorage(STORAGE_KEYS.SHOP_LOCATION);
+}
+
+/**
+ * Save shop location
+ * @param {object} locationData - Location data
+ * @returns {object} Result object
+ */
+function saveShopLocation(locationData) {
+    const denied = checkPermission(PERMISSIONS.LOCATION_EDIT);
+    if (denied) return denied;
+    
+    const check = validateRecord('location', locationData);
+    if (!check.success) return check;
+    
+    const location = check.value;
+    
+    saveToStorage(STORAGE_KEYS.SHOP_LOCATION, location);
+    
+    return { success: true, message: 'Shop location saved successfully!', location };
+}
+
+/**
+ * Render shop location form
+ * @param {string} containerId - Container element ID
+ */
+function renderShopLocationForm(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const location = getShopLocation() || {};
+    
+    container.innerHTML = `
+        <form id="shopLocationForm" class="card">
+            <h3>Shop Location Settings</h3>
+            
+            <div class="form-group">
+                <label class="form-label">Shop Name *</label>
+                <input type="text" name="shopName" class="form-input admin-input" 
+                       value="${location.name || ''}" required>
+            </div>
+            
+            <div class="form-group">
+                <label class="form-label">Address *</label>
+                <textarea name="shopAddress" class="form-textarea" required>${location.address || ''}</textarea>
+            </div>
+            
+            <div class="flex gap-md">
+                <div class="form-group" style="flex: 1;">
+                    <label class="form-label">Latitude</label>
+                    <input type="number" step="any" name="shopLat" class="form-input admin-input" 
+                           value="${location.lat || ''}" placeholder="e.g., 6.7106">
+                </div>
+                <div class="form-group" style="flex: 1;">
+                    <label class="form-label">Longitude</label>
+                    <input type="number" step="any" name="shopLng" class="form-input admin-input" 
+                           value="${location.lng || ''}" placeholder="e.g., 80.7846">
+                </div>
+            </div>
+            
+            <div class="form-group">
+                <label class="form-label">Phone Number</label>
+                <input type="tel" name="shopPhone" class="form-input admin-input" 
+                       value="${location.phone || ''}" placeholder="e.g., +94 45 2280014">
+            </div>
+            
+            <div class="form-group">
+                <label class="form-label">Opening Hours</label>
+                <input type="text" name="shopHours" class="form-input admin-input" 
+                       value="${location.openHours || ''}" placeholder="e.g., 7:00 AM - 8:00 PM">
+            </div>
+            
+            <div class="mt-lg">
+                <button type="submit" class="btn btn-admin-primary">
+                    💾 Save Location
+                </button>
+            </div>
+            
+            ${location.lat && location.lng ? `
+                <div class="mt-lg">
+                    <h4>Preview Location</h4>
+                    <div class="map-container">
+                        <div class="map-placeholder">
+                            <span class="icon">🗺️</span>
+                            <p>${location.name}</p>
+                            <a href="https://www.google.com/maps?q=${location.lat},${location.lng}" 
+                               target="_blank" class="btn btn-admin-outline btn-sm mt-sm">
+                                View on Google Maps
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            ` : ''}
+        </form>
+    `;
+    
+    // Setup form handler
+    const form = document.getElementById('shopLocationForm');
+    if (form) {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const locationData = {
+                name: form.querySelector('[name="shopName"]').value,
+                address: form.querySelector('[name="shopAddress"]').value,
+                lat: form.querySelector('[name="shopLat"]').value,
+                lng: form.querySelector('[name="shopLng"]').value,
+                phone: form.querySelector('[name="shopPhone"]').value,
+                openHours: form.querySelector('[name="shopHours"]').value
+            };
+            
+            const result = saveShopLocation(locationData);
+            showFieldErrors(form, result.errors, {
+                name: 'shopName', address: 'shopAddress', lat: 'shopLat', lng: 'shopLng', phone: 'shopPhone', openHours: 'shopHours'
+            });
+            
+            if (result.success) {
+                showToast(result.message, 'success');
+                renderShopLocationForm(containerId);
+            } else {
+                showToast(result.message, 'error');
+            }
+        });
+    }
+}
+
+// ============================================
+// REPORTS & ANALYTICS
+// ============================================
+
+/**
+ * Get daily report
+ * @param {Date} date - Date for report
+ * @returns {object} Daily report data
+ */
+function getDailyReport(date = new Date()) {
     const dateStr = date.toDateString();
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
     
-    const dayOrders = orders.filter(o => 
-        new Date(o.createdAt).toDateString() === dateStr
-    );
+    // Includes orders that were moved to the archive (see archive.js)
+    const dayOrders = getOrdersInRange(dayStart, dayEnd);
     
     const completedOrders = dayOrders.filter(o => o.status === ORDER_STATUS.COMPLETED);
     
@@ -506,16 +1464,18 @@ function getDailyReport(date = new Date()) {
 /**
  * Render daily report
  * @param {string} containerId - Container element ID
+ * @param {Date} date - Date for report
  */
-function renderDailyReport(containerId) {
+function renderDailyReport(containerId, date = new Date()) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
-    const report = getDailyReport();
+    const report = getDailyReport(date);
+    const isToday = date.toDateString() === new Date().toDateString();
     
     container.innerHTML = `
         <div class="card">
-            <h3>📊 Daily Report - ${formatDateShort(new Date())}</h3>
+            <h3>📊 Daily Report - ${formatDateShort(date)}</h3>
             
             <div class="dashboard-stats mt-lg">
                 <div class="stat-card admin">
@@ -538,7 +1498,7 @@ function renderDailyReport(containerId) {
             
             ${report.popularItems.length > 0 ? `
                 <div class="mt-lg">
-                    <h4>🔥 Popular Items Today</h4>
+                    <h4>🔥 Popular Items ${isToday ? 'Today' : 'That Day'}</h4>
                     <ul style="margin-top: 0.5rem;">
                         ${report.popularItems.map((item, index) => `
                             <li style="padding: 0.5rem 0; border-bottom: 1px solid #eee;">
@@ -553,6 +1513,779 @@ function renderDailyReport(containerId) {
     `;
 }
 
+// ============================================
+// BACKUP & RESTORE
+// ============================================
+
+const BACKUP_FORMAT = 'canteen-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Collections an import can merge into or replace, keyed by bundle section
+ * Their records are checked with the schema of the same name (js/validation.js).
+ * The session keys (current user, cart) belong to one device and are
+ * never part of a backup.
+ */
+const BACKUP_COLLECTIONS = {
+    users: { key: STORAGE_KEYS.USERS, label: 'Users', schema: 'user', describe: u => `${u.name} (${u.email})` },
+    menuItems: { key: STORAGE_KEYS.MENU_ITEMS, label: 'Menu Items', schema: 'menuItem', describe: i => i.name },
+    combos: { key: STORAGE_KEYS.COMBOS, label: 'Combos', schema: 'combo', describe: c => c.name },
+    ingredients: { key: STORAGE_KEYS.INGREDIENTS, label: 'Ingredients', schema: 'ingredient', describe: i => `${i.name} (${i.unit})` },
+    orders: { key: STORAGE_KEYS.ORDERS, label: 'Orders', schema: 'order', describe: o => `${o.token} - ${o.userName}` },
+    staff: { key: STORAGE_KEYS.STAFF_MEMBERS, label: 'Staff', schema: 'staff', describe: s => `${s.name} (${s.email})` },
+    roles: { key: STORAGE_KEYS.ROLES, label: 'Roles', schema: 'role', describe: r => r.name }
+};
+
+// Import modes per collection
+const BACKUP_MODES = {
+    MERGE: 'merge',
+    REPLACE: 'replace',
+    KEEP: 'keep'
+};
+
+/**
+ * Build a backup bundle of all canteen data
+ * @returns {object} Backup bundle
+ */
+function createBackup() {
+    const data = {};
+    Object.entries(BACKUP_COLLECTIONS).forEach(([section, { key }]) => {
+        data[section] = getFromStorage(key) || [];
+    });
+    data.shopLocation = getFromStorage(STORAGE_KEYS.SHOP_LOCATION);
+    data.categorySchedules = getFromStorage(STORAGE_KEYS.CATEGORY_SCHEDULES) || {};
+    data.tokenCounters = getFromStorage(STORAGE_KEYS.TOKEN_COUNTERS) || {};
+    data.archivedOrders = getArchivedOrders();
+    
+    return {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        schemaVersion: getSchemaVersion().version,
+        exportedAt: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * Download a backup bundle as a JSON file
+ */
+function downloadBackup() {
+    const denied = checkPermission(PERMISSIONS.BACKUP_MANAGE);
+    if (denied) {
+        showToast(denied.message, 'error');
+        return;
+    }
+    
+    const backup = createBackup();
+    const stamp = backup.exportedAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = createElement('a', { href: url, download: `canteen-backup-${stamp}.json` });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    showToast('Backup downloaded', 'success');
+}
+
+/**
+ * Upgrade the records of a backup made under an older schema
+ * Only the bundle changes; the stored schema version and data are left
+ * alone (see migrateRecords).
+ * @param {object} backup - Backup bundle with a known schemaVersion
+ * @returns {object} Backup bundle at CURRENT_SCHEMA_VERSION
+ */
+function upgradeBackup(backup) {
+    if (backup.schemaVersion >= CURRENT_SCHEMA_VERSION) return backup;
+    
+    const data = { ...backup.data };
+    Object.entries(BACKUP_COLLECTIONS).forEach(([section, { key }]) => {
+        if (Array.isArray(data[section])) data[section] = migrateRecords(key, data[section], backup.schemaVersion);
+    });
+    if (Array.isArray(data.archivedOrders)) {
+        data.archivedOrders = migrateRecords(STORAGE_KEYS.ORDERS, data.archivedOrders, backup.schemaVersion);
+    }
+    
+    return { ...backup, schemaVersion: CURRENT_SCHEMA_VERSION, upgradedFrom: backup.schemaVersion, data };
+}
+
+/**
+ * Check the password of a user record from a backup
+ * Stored passwords are hashes (or plaintext from before hashing), so the
+ * rules for typed passwords don't apply. The local server only stores
+ * hashes and never serves them: its backups have none, and it keeps the
+ * passwords of accounts it already has.
+ * @param {object} user - User record
+ * @param {Set} storedIds - IDs of the stored users
+ * @returns {string|null} What is wrong, or null
+ */
+function getBackupPasswordError(user, storedIds) {
+    if (!user.password) {
+        return usesServerAccounts() && storedIds.has(user.id) ? null : 'has no password';
+    }
+    if (typeof user.password !== 'string' || (usesServerAccounts() && !isPasswordHash(user.password))) {
+        return 'has a password that is not hashed';
+    }
+    return null;
+}
+
+/**
+ * Validate a backup bundle before it is imported
+ * A backup made under an older schema is upgraded first (upgradeBackup);
+ * then every record is checked with the shared schemas (js/validation.js),
+ * so an import stores nothing the forms would refuse.
+ * @param {object} backup - Parsed backup bundle
+ * @returns {object} Result object with a list of errors and the upgraded backup
+ */
+function validateBackup(backup) {
+    const errors = [];
+    const invalid = () => ({ success: false, message: `Backup is invalid: ${errors[0]}`, errors });
+    
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        return { success: false, message: 'This file is not a canteen backup', errors: ['Unknown file format'] };
+    }
+    if (!(backup.formatVersion <= BACKUP_FORMAT_VERSION)) {
+        errors.push(`Backup format v${backup.formatVersion} is not supported`);
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        errors.push(`Backup was made by a newer version of the system (schema v${backup.schemaVersion})`);
+    }
+    if (!backup.data || typeof backup.data !== 'object') {
+        errors.push('Backup contains no data');
+    }
+    if (errors.length > 0) return invalid();
+    
+    const upgraded = upgradeBackup(backup);
+    const { data } = upgraded;
+    const storedUserIds = new Set((getFromStorage(STORAGE_KEYS.USERS) || []).map(user => user.id));
+    const name = record => record.name || record.token || record.id;
+    
+    Object.entries(BACKUP_COLLECTIONS).forEach(([section, { label, schema }]) => {
+        const records = data[section];
+        if (records === undefined) return;
+        if (!Array.isArray(records)) {
+            errors.push(`${label} must be a list`);
+            return;
+        }
+        
+        const ids = new Set();
+        const emails = new Set();
+        records.forEach((record, index) => {
+            if (!record || typeof record !== 'object' || !record.id) {
+                errors.push(`${label} #${index + 1} has no id`);
+                return;
+            }
+            if (ids.has(record.id)) errors.push(`${label}: id ${record.id} is used twice`);
+            ids.add(record.id);
+            
+            const check = validateRecord(schema, record, { skip: ['password'] });
+            if (!check.success) errors.push(`${label}: ${name(record)}: ${check.message}`);
+            
+            if (section === 'users' || section === 'staff') {
+                const email = (record.email || '').toLowerCase();
+                if (emails.has(email)) errors.push(`${label}: ${email} is used twice`);
+                emails.add(email);
+            }
+            if (section === 'users') {
+                const passwordError = getBackupPasswordError(record, storedUserIds);
+                if (passwordError) errors.push(`${label}: ${name(record)} ${passwordError}`);
+            }
+            if (section === 'orders' && !Object.values(ORDER_STATUS).includes(record.status)) {
+                errors.push(`${label}: ${name(record)} has an unknown status`);
+            }
+        });
+    });
+    
+    const archived = data.archivedOrders;
+    if (archived !== undefined) {
+        if (!Array.isArray(archived) || archived.some(order => !order || !order.id || !order.createdAt)) {
+            errors.push('Archived orders must be a list of orders with an id and date');
+        } else {
+            archived.forEach(order => {
+                const check = validateRecord('order', order);
+                if (!check.success) errors.push(`Archived Orders: ${name(order)}: ${check.message}`);
+            });
+        }
+    }
+    
+    const location = data.shopLocation;
+    if (location) {
+        const check = validateRecord('location', location);
+        if (!check.success) errors.push(`Shop location: ${check.message}`);
+    }
+    
+    const schedules = data.categorySchedules;
+    if (schedules !== undefined) {
+        if (!schedules || typeof schedules !== 'object' || Array.isArray(schedules)) {
+            errors.push('Category schedules must be an object');
+        } else {
+            Object.entries(schedules).forEach(([category, schedule]) => {
+                const check = validateRecord('schedule', schedule);
+                if (!check.success) errors.push(`Category schedules: ${category}: ${check.message}`);
+            });
+        }
+    }
+    
+    return errors.length > 0
+        ? invalid()
+        : { success: true, message: 'Backup is valid', errors, backup: upgraded };
+}
+
+/**
+ * Parse the text of a backup file
+ * @param {string} text - File contents
+ * @returns {object} Result object with the backup
+ */
+function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        return { success: false, message: 'This file is not valid JSON', errors: [error.message] };
+    }
+    
+    return validateBackup(backup);
+}
+
+/**
+ * Combine stored records with imported ones
+ * Merge keeps stored records and overwrites those with the same id;
+ * replace drops everything that is not in the backup. In merge mode a
+ * user or staff record is skipped when its email belongs to another
+ * stored account.
+ * @param {string} section - Bundle section
+ * @param {Array} current - Stored records
+ * @param {Array} incoming - Records from the backup
+ * @param {string} mode - One of BACKUP_MODES
+ * @returns {object} { data, changes }
+ */
+function mergeBackupCollection(section, current, incoming, mode) {
+    const changes = { added: [], updated: [], removed: [], skipped: [], unchanged: 0 };
+    
+    if (mode === BACKUP_MODES.KEEP || !Array.isArray(incoming)) {
+        changes.unchanged = current.length;
+        return { data: current, changes };
+    }
+    
+    const currentById = new Map(current.map(record => [record.id, record]));
+    const incomingIds = new Set(incoming.map(record => record.id));
+    let data;
+    
+    if (mode === BACKUP_MODES.REPLACE) {
+        data = [];
+        changes.removed = current.filter(record => !incomingIds.has(record.id));
+    } else {
+        data = current.filter(record => !incomingIds.has(record.id));
+        changes.unchanged = data.length;
+    }
+    
+    const checkEmails = section === 'users' || section === 'staff';
+    const takenEmails = new Map(data.map(record => [(record.email || '').toLowerCase(), record.id]));
+    
+    incoming.forEach(record => {
+        const existing = currentById.get(record.id);
+        
+        if (checkEmails) {
+            const email = (record.email || '').toLowerCase();
+            if (takenEmails.has(email) && takenEmails.get(email) !== record.id) {
+                changes.skipped.push({ record, reason: `${email} belongs to another account` });
+                if (existing) {
+                    data.push(existing);
+                    changes.unchanged++;
+                }
+                return;
+            }
+            takenEmails.set(email, record.id);
+        }
+        
+        if (!existing) {
+            changes.added.push(record);
+        } else if (JSON.stringify(existing) !== JSON.stringify(record)) {
+            changes.updated.push(record);
+        } else {
+            changes.unchanged++;
+        }
+        data.push(record);
+    });
+    
+    return { data, changes };
+}
+
+/**
+ * Combine token counters so a restored outlet never hands out a token twice
+ * @param {object} current - Stored counters
+ * @param {object} incoming - Counters from the backup
+ * @returns {object} Combined counters
+ */
+function mergeTokenCounters(current, incoming) {
+    const counters = { ...current };
+    Object.entries(incoming || {}).forEach(([outletId, counter]) => {
+        const stored = counters[outletId];
+        if (!stored || counter.day > stored.day ||
+            (counter.day === stored.day && counter.sequence > stored.sequence)) {
+            counters[outletId] = counter;
+        }
+    });
+    return counters;
+}
+
+/**
+ * Dry run: what an import would change, without writing anything
+ * @param {object} backup - Validated backup bundle
+ * @param {object} modes - Section -> one of BACKUP_MODES
+ * @returns {object} { collections, archivedOrdersAdded, locationChanged, warnings }
+ */
+function previewBackupImport(backup, modes) {
+    const collections = Object.entries(BACKUP_COLLECTIONS).map(([section, { key, label }]) => {
+        const mode = backup.data[section] === undefined ? BACKUP_MODES.KEEP : modes[section];
+        const { changes } = mergeBackupCollection(section, getFromStorage(key) || [], backup.data[section], mode);
+        return { section, label, mode, changes };
+    });
+    
+    const warnings = [];
+    const currentUser = getCurrentUser();
+    const users = collections.find(c => c.section === 'users');
+    if (currentUser && users.changes.removed.some(u => u.id === currentUser.id)) {
+        warnings.push('Your own admin account is not in the backup and will be removed.');
+    }
+    if (backup.upgradedFrom !== undefined) {
+        warnings.push(`The backup uses schema v${backup.upgradedFrom}; its records are upgraded to v${CURRENT_SCHEMA_VERSION} as they are imported.`);
+    }
+    
+    const archivedIds = new Set(getArchivedOrders().map(order => order.id));
+    const location = backup.data.shopLocation;
+    return {
+        collections,
+        archivedOrdersAdded: (backup.data.archivedOrders || []).filter(order => !archivedIds.has(order.id)).length,
+        locationChanged: !!location && JSON.stringify(location) !== JSON.stringify(getShopLocation()),
+        warnings
+    };
+}
+
+/**
+ * Import a backup bundle
+ * The whole backup is upgraded and checked (validateBackup) before the
+ * first collection is written.
+ * @param {object} backup - Parsed backup bundle
+ * @param {object} modes - Section -> one of BACKUP_MODES
+ * @returns {object} Result object
+ */
+function importBackup(backup, modes) {
+    const denied = checkPermission(PERMISSIONS.BACKUP_MANAGE);
+    if (denied) return denied;
+    
+    const validation = validateBackup(backup);
+    if (!validation.success) return validation;
+    
+    const { data: imported } = validation.backup;
+    const totals = { added: 0, updated: 0, removed: 0, skipped: 0 };
+    
+    for (const [section, { key }] of Object.entries(BACKUP_COLLECTIONS)) {
+        const mode = modes[section] || BACKUP_MODES.KEEP;
+        if (mode === BACKUP_MODES.KEEP || imported[section] === undefined) continue;
+        
+        const result = updateStorage(key, current => {
+            const { data, changes } = mergeBackupCollection(section, current, imported[section], mode);
+            return { data, result: { success: true, changes } };
+        }, []);
+        
+        if (!result.success) return result;
+        Object.keys(totals).forEach(total => { totals[total] += result.changes[total].length; });
+    }
+    
+    // The archive is always merged: it only ever holds finished orders
+    if (Array.isArray(imported.archivedOrders)) {
+        const archived = addOrdersToArchive(imported.archivedOrders);
+        if (!archived.success) return archived;
+    }
+    
+    if (imported.shopLocation) {
+        saveToStorage(STORAGE_KEYS.SHOP_LOCATION, imported.shopLocation);
+    }
+    if (imported.categorySchedules) {
+        saveToStorage(STORAGE_KEYS.CATEGORY_SCHEDULES, imported.categorySchedules);
+    }
+    // The local server keeps its own counters and skips the tokens of stored orders
+    if (!usesServerAccounts()) {
+        updateStorage(STORAGE_KEYS.TOKEN_COUNTERS, counters => ({
+            data: mergeTokenCounters(counters, imported.tokenCounters)
+        }), {});
+    }
+    
+    return {
+        success: true,
+        message: `Backup imported: ${totals.added} added, ${totals.updated} updated, ${totals.removed} removed` +
+            (totals.skipped > 0 ? `, ${totals.skipped} skipped` : ''),
+        totals
+    };
+}
+
+/**
+ * Render the import preview
+ * @param {string} containerId - Container element ID
+ * @param {object} preview - Result of previewBackupImport
+ */
+function renderBackupPreview(containerId, preview) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const listNames = (section, records) => records.slice(0, 10)
+        .map(record => BACKUP_COLLECTIONS[section].describe(record))
+        .join(', ') + (records.length > 10 ? ` and ${records.length - 10} more` : '');
+    
+    container.innerHTML = `
+        ${preview.warnings.map(warning => `
+            <div class="alert alert-warning">${warning}</div>
+        `).join('')}
+        
+        <table class="admin-table mt-md">
+            <thead>
+                <tr>
+                    <th>Data</th>
+                    <th>Mode</th>
+                    <th>Added</th>
+                    <th>Updated</th>
+                    <th>Removed</th>
+                    <th>Skipped</th>
+                    <th>Unchanged</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${preview.collections.map(({ label, mode, changes }) => `
+                    <tr>
+                        <td><strong>${label}</strong></td>
+                        <td>${mode}</td>
+                        <td>${changes.added.length}</td>
+                        <td>${changes.updated.length}</td>
+                        <td>${changes.removed.length}</td>
+                        <td>${changes.skipped.length}</td>
+                        <td>${changes.unchanged}</td>
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td><strong>Archived Orders</strong></td>
+                    <td>merge</td>
+                    <td colspan="5">${preview.archivedOrdersAdded} to add</td>
+                </tr>
+                <tr>
+                    <td><strong>Shop Location</strong></td>
+                    <td>replace</td>
+                    <td colspan="5">${preview.locationChanged ? 'Will be replaced' : 'No change'}</td>
+                </tr>
+            </tbody>
+        </table>
+        
+        ${preview.collections.map(({ section, label, changes }) => {
+            const details = [
+                changes.added.length > 0 ? `<p><strong>Added:</strong> ${listNames(section, changes.added)}</p>` : '',
+                changes.updated.length > 0 ? `<p><strong>Updated:</strong> ${listNames(section, changes.updated)}</p>` : '',
+                changes.removed.length > 0 ? `<p><strong>Removed:</strong> ${listNames(section, changes.removed)}</p>` : '',
+                changes.skipped.map(skip => `
+                    <p><strong>Skipped:</strong> ${BACKUP_COLLECTIONS[section].describe(skip.record)} - ${skip.reason}</p>
+                `).join('')
+            ].join('');
+            
+            return details ? `
+                <details class="mt-md">
+                    <summary><strong>${label}</strong></summary>
+                    <div style="padding: 0.5rem 0; font-size: 0.875rem; color: var(--gray-dark);">${details}</div>
+                </details>
+            ` : '';
+        }).join('')}
+    `;
+}
+
+/**
+ * Render storage usage and the order archive
+ * @param {string} containerId - Container element ID
+ */
+function renderStorageStatus(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const usage = getStorageUsage();
+    const warning = getStorageWarning();
+    const archive = getOrderArchive();
+    const months = Object.keys(archive.chunks).sort();
+    const archivedCount = months.reduce((sum, month) => sum + archive.chunks[month].count, 0);
+    const largest = Object.entries(usage.byKey)
+        .filter(([, bytes]) => bytes > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 4);
+    
+    container.innerHTML = `
+        <div class="card">
+            <h3>🗄️ Storage</h3>
+            ${warning ? `<div class="alert alert-${warning.level} mt-md">${warning.message}</div>` : ''}
+            <p class="mt-sm" style="color: var(--gray-dark);">
+                ${(usage.bytes / 1024).toFixed(0)} KB of about ${(usage.limitBytes / 1024 / 1024).toFixed(1)} MB used (${usage.percent}%)
+            </p>
+            <div style="height: 8px; background: #eee; border-radius: 4px; overflow: hidden;">
+                <div style="height: 100%; width: ${Math.min(usage.percent, 100)}%; background: var(--${warning ? warning.level : 'admin-primary'});"></div>
+            </div>
+            <ul style="margin-top: 0.5rem; font-size: 0.875rem; color: var(--gray-dark);">
+                ${largest.map(([key, bytes]) => `<li>${key}: ${(bytes / 1024).toFixed(0)} KB</li>`).join('')}
+            </ul>
+            <p class="mt-md">
+                <strong>Order archive:</strong>
+                ${archivedCount > 0
+                    ? `${archivedCount} orders from ${months[0]} to ${months[months.length - 1]}`
+                    : 'empty'}
+            </p>
+            <p style="font-size: 0.875rem; color: var(--gray-dark);">
+                Completed and cancelled orders older than ${CANTEEN_CONFIG.archive.afterDays} days are archived
+                automatically. Reports and order history still include them.
+            </p>
+            <button type="button" class="btn btn-admin-outline mt-md" id="archiveOrdersBtn">
+                🗃️ Archive Old Orders Now
+            </button>
+        </div>
+    `;
+    
+    document.getElementById('archiveOrdersBtn').addEventListener('click', () => {
+        const result = archiveOldOrders();
+        showToast(result.message, result.success ? 'success' : 'error');
+        renderStorageStatus(containerId);
+    });
+}
+
+/**
+ * Render the storage warning on the admin dashboard
+ * @param {string} containerId - Container element ID
+ */
+function renderStorageWarning(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const warning = getStorageWarning();
+    container.innerHTML = warning ? `
+        <div class="alert alert-${warning.level}">
+            ${warning.message} <a href="backup.html" style="color: inherit; font-weight: 600;">Manage storage</a>
+        </div>
+    ` : '';
+}
+
+/**
+ * Render the backup & restore page
+ * @param {string} containerId - Container element ID
+ */
+function renderBackupPage(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const counts = Object.values(BACKUP_COLLECTIONS)
+        .map(({ key, label }) => `${(getFromStorage(key) || []).length} ${label.toLowerCase()}`)
+        .join(', ');
+    
+    container.innerHTML = `
+        <div class="card">
+            <h3>💾 Export Backup</h3>
+            <p class="mt-sm" style="color: var(--gray-dark);">
+                Download all canteen data (${counts}, archived orders, shop location and token counters)
+                as one JSON file. Keep it somewhere safe: clearing the browser erases the data.
+            </p>
+            <button type="button" class="btn btn-admin-primary mt-md" id="exportBackupBtn">
+                ⬇️ Download Backup
+            </button>
+        </div>
+        
+        <div class="card mt-lg">
+            <h3>📂 Import Backup</h3>
+            <form id="importBackupForm" class="mt-md">
+                <div class="form-group">
+                    <label class="form-label">Backup File *</label>
+                    <input type="file" name="backupFile" accept=".json,application/json" class="form-input admin-input" required>
+                </div>
+                
+                <div class="flex gap-md" style="flex-wrap: wrap;">
+                    ${Object.entries(BACKUP_COLLECTIONS).map(([section, { label }]) => `
+                        <div class="form-group" style="flex: 1; min-width: 150px;">
+                            <label class="form-label">${label}</label>
+                            <select name="${section}" class="form-select">
+                                <option value="${BACKUP_MODES.MERGE}">Merge</option>
+                                <option value="${BACKUP_MODES.REPLACE}">Replace</option>
+                                <option value="${BACKUP_MODES.KEEP}">Keep current</option>
+                            </select>
+                        </div>
+                    `).join('')}
+                </div>
+                
+                <div class="alert alert-info">
+                    <small>Merge adds new records and updates those with the same ID.
+                    Replace removes everything that is not in the backup.</small>
+                </div>
+                
+                <div id="backupPreviewContainer"></div>
+                
+                <div class="flex gap-md mt-lg">
+                    <button type="submit" class="btn btn-admin-outline">🔍 Preview Changes</button>
+                    <button type="button" class="btn btn-admin-primary" id="applyBackupBtn" disabled>
+                        📥 Import
+                    </button>
+                </div>
+            </form>
+        </div>
+    `;
+    
+    document.getElementById('exportBackupBtn').addEventListener('click', downloadBackup);
+    
+    const form = document.getElementById('importBackupForm');
+    const applyBtn = document.getElementById('applyBackupBtn');
+    let backup = null;
+    
+    const getModes = () => Object.keys(BACKUP_COLLECTIONS).reduce((modes, section) => {
+        modes[section] = form.querySelector(`[name="${section}"]`).value;
+        return modes;
+    }, {});
+    
+    // Any change invalidates the preview
+    form.addEventListener('change', () => {
+        applyBtn.disabled = true;
+        document.getElementById('backupPreviewContainer').innerHTML = '';
+    });
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const file = form.querySelector('[name="backupFile"]').files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            const parsed = parseBackup(text);
+            if (!parsed.success) {
+                backup = null;
+                document.getElementById('backupPreviewContainer').innerHTML = `
+                    <div class="alert alert-danger">
+                        ${parsed.errors.slice(0, 10).map(error => `<div>${error}</div>`).join('')}
+                    </div>
+                `;
+                showToast(parsed.message, 'error');
+                return;
+            }
+            
+            backup = parsed.backup;
+            renderBackupPreview('backupPreviewContainer', previewBackupImport(backup, getModes()));
+            applyBtn.disabled = false;
+        });
+    });
+    
+    applyBtn.addEventListener('click', () => {
+        if (!backup) return;
+        if (!confirm('Import this backup? Download a backup of the current data first if you may need it.')) return;
+        
+        const result = importBackup(backup, getModes());
+        if (result.success) {
+            showToast(result.message, 'success');
+            renderBackupPage(containerId);
+        } else {
+            showToast(result.message, 'error');
+        }
+    });
+}
+
+// ============================================
+// LOGIN LOCKOUTS
+// ============================================
+
+/**
+ * Render the accounts and devices with recent failed logins
+ * @param {string} containerId - Container element ID
+ */
+function renderLockoutList(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const lockouts = getLoginLockouts();
+    const thisDevice = getDeviceId();
+    const { maxFailures, deviceMaxFailures, lockMinutes } = CANTEEN_CONFIG.lockout;
+    
+    if (lockouts.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🔓</div>
+                <h3 class="empty-state-title">No failed logins</h3>
+                <p class="empty-state-text">
+                    An account is locked for ${lockMinutes} minutes after ${maxFailures} failed logins,
+                    a device after ${deviceMaxFailures}.
+                </p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="card">
+            <div class="section-header">
+                <h3>🔐 Failed Logins</h3>
+                <button type="button" class="btn btn-admin-outline btn-sm" data-clear-all>Clear All</button>
+            </div>
+            <table class="admin-table mt-md">
+                <thead>
+                    <tr>
+                        <th>Account / Device</th>
+                        <th>Failures</th>
+                        <th>Last Failure</th>
+                        <th>Status</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lockouts.map(entry => `
+                        <tr>
+                            <td>
+                                ${entry.type === 'account' ? `📧 ${entry.key}` : `💻 Device ${entry.key}`}
+                                ${entry.key === thisDevice ? '<em>(this device)</em>' : ''}
+                            </td>
+                            <td>${entry.failures}</td>
+                            <td>${formatDate(entry.lastFailureAt)}</td>
+                            <td>
+                                ${entry.lockedUntil
+                                    ? `<span style="color: var(--danger);">Locked until ${formatTime(entry.lockedUntil)}</span>`
+                                    : 'Throttled'}
+                            </td>
+                            <td class="table-actions">
+                                <button type="button" class="table-action-btn delete" data-type="${entry.type}" data-key="${entry.key}">
+                                    Clear
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Setup the clear buttons of the lockout list
+ * @param {string} containerId - Container element ID
+ */
+function setupLockoutHandlers(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('[data-clear-all]')) {
+            if (!confirm('Clear all failed logins and lockouts?')) return;
+            
+            const result = clearLoginLockout('account');
+            if (result.success) clearLoginLockout('device');
+            showToast(result.message, result.success ? 'success' : 'error');
+            renderLockoutList(containerId);
+            return;
+        }
+        
+        const clearBtn = e.target.closest('[data-key]');
+        if (clearBtn) {
+            const result = clearLoginLockout(clearBtn.dataset.type, clearBtn.dataset.key);
+            showToast(result.message, result.success ? 'success' : 'error');
+            renderLockoutList(containerId);
+        }
+    });
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -0,0 +1,313 @@
+/**
+ * Smart Digital Canteen System - Order Archive & Storage Quota
+ *
+ * This file keeps the live data small enough for browser storage:
+ * - Text compression for the archive
+ * - Order archive (STORAGE_KEYS.ORDER_ARCHIVE), one compressed chunk per month
+ * - Automatic archiving of old completed/cancelled orders
+ * - Storage usage and quota warnings
+ *
+ * Only finished orders older than CANTEEN_CONFIG.archive.afterDays move to
+ * the archive. Reports and order history read both through
+ * getOrdersInRange and getArchivedOrders.
+ */
+
+// ============================================
+// COMPRESSION
+// ============================================
+
+// LZW codes are stored as one character each, shifted past the control
+// characters and kept below the UTF-16 surrogate range so every storage
+// backend (and JSON) keeps them intact.
+const COMPRESSION_CODE_OFFSET = 32;
+const COMPRESSION_MAX_CODE = 0xD7FF - COMPRESSION_CODE_OFFSET;
+
+/**
+ * Compress a string
+ * @param {string} text - Text to compress
+ * @returns {string} Compressed text
+ */
+function compressText(text) {
+    const bytes = new TextEncoder().encode(text);
+    const dictionary = new Map();
+    for (let i = 0; i < 256; i++) {
+        dictionary.set(String.fromCharCode(i), i);
+    }
+
+    const codes = [];
+    let nextCode = 256;
+    let word = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        const char = String.fromCharCode(bytes[i]);
+        const extended = word + char;
+
+        if (dictionary.has(extended)) {
+            word = extended;
+            continue;
+        }
+
+        codes.push(dictionary.get(word));
+        if (nextCode <= COMPRESSION_MAX_CODE) {
+            dictionary.set(extended, nextCode++);
+        }
+        word = char;
+    }
+    if (word) codes.push(dictionary.get(word));
+
+    return codes.map(code => String.fromCharCode(code + COMPRESSION_CODE_OFFSET)).join('');
+}
+
+/**
+ * Decompress a string made by compressText
+ * @param {string} compressed - Compressed text
+ * @returns {string} Original text
+ */
+function decompressText(compressed) {
+    if (!compressed) return '';
+
+    const dictionary = [];
+    for (let i = 0; i < 256; i++) {
+        dictionary.push(String.fromCharCode(i));
+    }
+
+    let word = dictionary[compressed.charCodeAt(0) - COMPRESSION_CODE_OFFSET];
+    const parts = [word];
+
+    for (let i = 1; i < compressed.length; i++) {
+        const code = compressed.charCodeAt(i) - COMPRESSION_CODE_OFFSET;
+        let entry;
+
+        if (code < dictionary.length) {
+            entry = dictionary[code];
+        } else if (code === dictionary.length) {
+            entry = word + word[0];
+        } else {
+            throw new Error('Corrupt compressed data');
+        }
+
+        parts.push(entry);
+        if (dictionary.length <= COMPRESSION_MAX_CODE) {
+            dictionary.push(word + entry[0]);
+        }
+        word = entry;
+    }
+
+    const binary = parts.join('');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+// ============================================
+// ORDER ARCHIVE
+// ============================================
+
+/**
+ * Get the month an order is filed under
+ * @param {object} order - Order
+ * @returns {string} Month key (YYYY-MM)
+ */
+function getArchiveMonth(order) {
+    const date = new Date(order.createdAt);
+    return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Get the archive record
+ * @returns {object} { chunks: { 'YYYY-MM': { count, data } } }
+ */
+function getOrderArchive() {
+    return getFromStorage(STORAGE_KEYS.ORDER_ARCHIVE) || { chunks: {} };
+}
+
+/**
+ * Read the orders of one archive chunk
+ * @param {object} chunk - { count, data }
+ * @returns {Array} Orders
+ */
+function readArchiveChunk(chunk) {
+    try {
+        return JSON.parse(decompressText(chunk.data));
+    } catch (error) {
+        console.error('Error reading archived orders:', error);
+        return [];
+    }
+}
+
+/**
+ * Add orders to the archive (orders already archived are replaced)
+ * Finished orders are no longer tracked, so the tracking key and PIN of
+ * guest orders are left out: the archive is served to every page.
+ * @param {Array} orders - Orders to archive
+ * @returns {object} Result object
+ */
+function addOrdersToArchive(orders) {
+    if (orders.length === 0) {
+        return { success: true, message: 'Nothing to archive', archived: 0 };
+    }
+
+    return updateStorage(STORAGE_KEYS.ORDER_ARCHIVE, archive => {
+        const byMonth = {};
+        orders.forEach(({ tracking, ...order }) => {
+            const month = getArchiveMonth(order);
+            (byMonth[month] = byMonth[month] || []).push(order);
+        });
+
+        Object.entries(byMonth).forEach(([month, monthOrders]) => {
+            const ids = new Set(monthOrders.map(order => order.id));
+            const existing = archive.chunks[month] ? readArchiveChunk(archive.chunks[month]) : [];
+            const merged = existing.filter(order => !ids.has(order.id)).concat(monthOrders);
+
+            archive.chunks[month] = { count: merged.length, data: compressText(JSON.stringify(merged)) };
+        });
+
+        archive.updatedAt = new Date().toISOString();
+        return { data: archive, result: { success: true, message: `${orders.length} orders archived`, archived: orders.length } };
+    }, { chunks: {} });
+}
+
+/**
+ * Get archived orders
+ * @param {Date|string} from - Only months from this date on (optional)
+ * @param {Date|string} to - Only months up to this date (optional)
+ * @returns {Array} Archived orders
+ */
+function getArchivedOrders(from = null, to = null) {
+    const archive = getOrderArchive();
+    const fromMonth = from ? getArchiveMonth({ createdAt: from }) : '';
+    const toMonth = to ? getArchiveMonth({ createdAt: to }) : '9999-12';
+
+    return Object.keys(archive.chunks)
+        .filter(month => month >= fromMonth && month <= toMonth)
+        .sort()
+        .reduce((orders, month) => orders.concat(readArchiveChunk(archive.chunks[month])), []);
+}
+
+/**
+ * Get live and archived orders created in a time range
+ * @param {Date|string} from - Start (inclusive)
+ * @param {Date|string} to - End (exclusive)
+ * @returns {Array} Orders
+ */
+function getOrdersInRange(from, to) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    const inRange = order => {
+        const created = new Date(order.createdAt).getTime();
+        return created >= start && created < end;
+    };
+
+    const live = (getFromStorage(STORAGE_KEYS.ORDERS) || []).filter(inRange);
+    const liveIds = new Set(live.map(order => order.id));
+    const archived = getArchivedOrders(from, to).filter(order => inRange(order) && !liveIds.has(order.id));
+
+    return live.concat(archived);
+}
+
+/**
+ * Move finished orders older than the configured age into the archive
+ * @param {number} afterDays - Minimum age in days
+ * @returns {object} Result object
+ */
+function archiveOldOrders(afterDays = CANTEEN_CONFIG.archive.afterDays) {
+    const cutoff = Date.now() - afterDays * 24 * 60 * 60 * 1000;
+    const finished = [ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED];
+    const isOld = order => finished.includes(order.status) &&
+        new Date(order.completedAt || order.updatedAt || order.createdAt).getTime() < cutoff;
+
+    const candidates = (getFromStorage(STORAGE_KEYS.ORDERS) || []).filter(isOld);
+    if (candidates.length === 0) {
+        return { success: true, message: 'Nothing to archive', archived: 0 };
+    }
+
+    const result = addOrdersToArchive(candidates);
+    if (!result.success) return result;
+
+    // Only drop orders the archive really holds (a full storage may have refused the write)
+    const archivedIds = new Set(getArchivedOrders(
+        candidates.reduce((min, o) => (o.createdAt < min ? o.createdAt : min), candidates[0].createdAt)
+    ).map(order => order.id));
+
+    return updateStorage(STORAGE_KEYS.ORDERS, orders => {
+        const remaining = orders.filter(order => !(archivedIds.has(order.id) && isOld(order)));
+        const archived = orders.length - remaining.length;
+
+        if (archived === 0) {
+            return { result: { success: false, message: 'Orders could not be archived', archived: 0 } };
+        }
+        return { data: remaining, result: { success: true, message: `${archived} old orders archived`, archived } };
+    }, []);
+}
+
+// ============================================
+// STORAGE QUOTA
+// ============================================
+
+/**
+ * Measure how much storage the canteen data uses
+ * Browsers store strings as UTF-16, two bytes per character.
+ * @returns {object} { bytes, byKey, limitBytes, percent }
+ */
+function getStorageUsage() {
+    const byKey = {};
+    let bytes = 0;
+
+    Object.values(STORAGE_KEYS).forEach(key => {
+        const raw = readStorageValue(key);
+        byKey[key] = raw ? (key.length + raw.length) * 2 : 0;
+        bytes += byKey[key];
+    });
+
+    const limitBytes = CANTEEN_CONFIG.quota.limitBytes;
+    return { bytes, byKey, limitBytes, percent: Math.round(bytes / limitBytes * 100) };
+}
+
+/**
+ * Check whether admins should be warned about storage
+ * @returns {object|null} { level, message } or null when usage is fine
+ */
+function getStorageWarning() {
+    const usage = getStorageUsage();
+
+    if (usage.percent >= 95) {
+        return { level: 'danger', message: `Storage is ${usage.percent}% full. New orders may fail to save: archive old orders or export a backup and clean up now.` };
+    }
+    if (usage.percent >= CANTEEN_CONFIG.quota.warnAtPercent) {
+        return { level: 'warning', message: `Storage is ${usage.percent}% full. Consider archiving old orders.` };
+    }
+    return null;
+}
+
+/**
+ * Called by the storage layer when a write fails because storage is full
+ * Archives what it can and retries once; tells the user if that fails.
+ * @param {string} key - Storage key that could not be written
+ * @param {Function} retry - Repeats the failed write, returns a Promise
+ * @returns {Promise} Resolves once the retry stored the value, rejects otherwise
+ */
+function handleStorageQuotaExceeded(key, retry) {
+    const report = () => {
+        showToast('Storage is full, your last change was not saved. Please tell an admin.', 'error', 6000);
+        return Promise.reject(new Error(`Storage is full, ${key} was not saved`));
+    };
+
+    // Archiving writes the archive itself; don't loop on it
+    if (key === STORAGE_KEYS.ORDER_ARCHIVE) {
+        return report();
+    }
+
+    const result = archiveOldOrders();
+    if (!result.success || result.archived === 0) {
+        return report();
+    }
+
+    return retry().catch(report);
+}
+
+// Export for the local server (server/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { compressText, decompressText };
+}
@@ -2,75 +2,329 @@
  * Smart Digital Canteen System - Authentication Module
  * 
  * This file handles all authentication-related functionality:
+ * - Password hashing
  * - User registration
  * - User login
- * - Role-based authentication
- * - Session management
+ * - Login throttling and lockout after failed attempts
+ * - Password reset with emailed one-time codes
+ * - Email verification
+ * - Profile changes and account deletion
+ * - Roles and permissions
+ * - Session management (expiry, idle timeout, revocation)
  * - Logout functionality
+ *
+ * With the 'http' storage adapter the local server keeps password hashes,
+ * codes and two-factor secrets to itself (server/secrets.js); logins,
+ * passwords and codes are then checked there (server/auth.js) and the
+ * session carries the token the server gave it.
  */
 
 // ============================================
-// AUTH FUNCTIONS
+// PASSWORD HASHING
 // ============================================
 
+// Stored format: pbkdf2-sha256$<iterations>$<salt>$<hash> (base64 salt and hash)
+const PASSWORD_HASH_PREFIX = 'pbkdf2-sha256';
+const PASSWORD_HASH_ITERATIONS = 600000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BYTES = 32;
+
 /**
- * Register a new user
- * @param {object} userData - User registration data
- * @returns {object} Result object with success status and message
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
  */
-function registerUser(userData) {
-    const { name, email, password, role = USER_ROLES.CUSTOMER } = userData;
-    
-    // Validate required fields
-    if (!name || !email || !password) {
-        return { success: false, message: 'All fields are required' };
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive a PBKDF2-SHA256 hash
+ * Web Crypto only exists on secure pages (https or localhost). Devices
+ * that open the local server over plain http on the LAN ask the server
+ * to derive the hash instead (POST /api/password-hash, see server/api.js).
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Uint8Array>} Hash bytes
+ */
+function derivePasswordHash(password, salt, iterations) {
+    if (window.crypto && window.crypto.subtle) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+            .then(key => crypto.subtle.deriveBits(
+                { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+                key,
+                PASSWORD_HASH_BYTES * 8
+            ))
+            .then(bits => new Uint8Array(bits));
     }
     
-    // Validate email format
-    if (!isValidEmail(email)) {
-        return { success: false, message: 'Please enter a valid email address' };
+    return fetch(`${CANTEEN_CONFIG.storage.apiBaseUrl.replace(/\/$/, '')}/password-hash`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password, salt: bytesToBase64(salt), iterations })
+    })
+        .then(response => {
+            if (!response.ok) throw new Error(`Password hashing failed with status ${response.status}`);
+            return response.json();
+        })
+        .then(body => base64ToBytes(body.hash));
+}
+
+/**
+ * Hash a password with a new random salt
+ * @param {string} password - Plaintext password
+ * @param {number} iterations - PBKDF2 iterations (fewer only for random codes)
+ * @returns {Promise<string>} Stored password hash
+ */
+function hashPassword(password, iterations = PASSWORD_HASH_ITERATIONS) {
+    const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    return derivePasswordHash(password, salt, iterations).then(hash => [
+        PASSWORD_HASH_PREFIX,
+        iterations,
+        bytesToBase64(salt),
+        bytesToBase64(hash)
+    ].join('$'));
+}
+
+/**
+ * Check whether a stored password is a hash (older accounts stored plaintext)
+ * @param {string} stored - Stored password
+ * @returns {boolean}
+ */
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${PASSWORD_HASH_PREFIX}$`);
+}
+
+/**
+ * Check a password against the stored one
+ * @param {string} password - Password entered by the user
+ * @param {string} stored - Stored password hash (or legacy plaintext)
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, stored) {
+    if (!isPasswordHash(stored)) {
+        return Promise.resolve(typeof stored === 'string' && stored === password);
     }
     
-    // Validate password length
-    if (password.length < 6) {
-        return { success: false, message: 'Password must be at least 6 characters' };
-    }
+    const [, iterations, salt, expected] = stored.split('$');
+    return derivePasswordHash(password, base64ToBytes(salt), parseInt(iterations)).then(hash => {
+        // Compare every byte so the time taken does not reveal how much matched
+        const expectedBytes = base64ToBytes(expected);
+        let difference = hash.length ^ expectedBytes.length;
+        for (let i = 0; i < hash.length; i++) {
+            difference |= hash[i] ^ (expectedBytes[i] || 0);
+        }
+        return difference === 0;
+    });
+}
+
+/**
+ * Check whether a stored password should be hashed again
+ * (plaintext, or hashed with fewer iterations than today)
+ * @param {string} stored - Stored password
+ * @returns {boolean}
+ */
+function passwordNeedsRehash(stored) {
+    return !isPasswordHash(stored) || parseInt(stored.split('$')[1]) < PASSWORD_HASH_ITERATIONS;
+}
+
+/**
+ * Result returned when a password could not be hashed or checked
+ * @param {Error} error - Error from hashing
+ * @returns {object} Result object
+ */
+function getPasswordErrorResult(error) {
+    console.error('Error hashing password:', error);
+    return { success: false, message: 'Could not check the password. Please try again.' };
+}
+
+/**
+ * Replace a user's stored password with a fresh hash
+ * Left alone if the password changed in the meantime.
+ * @param {string} userId - User ID
+ * @param {string} previous - Stored password the hash replaces
+ * @param {string} password - Plaintext password
+ * @returns {Promise<object>} Result object
+ */
+function upgradePasswordHash(userId, previous, password) {
+    return hashPassword(password).then(passwordHash => updateStorage(STORAGE_KEYS.USERS, users => {
+        const user = users.find(u => u.id === userId);
+        if (!user || user.password !== previous) {
+            return { result: { success: false, message: 'Password changed in the meantime' } };
+        }
+        user.password = passwordHash;
+        return { data: users, result: { success: true, message: 'Password upgraded' } };
+    }, []));
+}
+
+// ============================================
+// SERVER ACCOUNTS
+// ============================================
+
+/**
+ * Check whether accounts are checked by the local server ('http' adapter)
+ * @returns {boolean}
+ */
+function usesServerAccounts() {
+    return CANTEEN_CONFIG.storage.adapter === 'http';
+}
+
+/**
+ * Get the token the local server gave the current session
+ * Sent with every request to the server (see createHttpAdapter in storage.js).
+ * @returns {string|null}
+ */
+function getSessionToken() {
+    const session = getFromStorage(STORAGE_KEYS.CURRENT_USER);
+    return (session && session.token) || null;
+}
+
+/**
+ * Send a request to the local server as the current session
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below apiBaseUrl, e.g. 'sessions'
+ * @param {object} body - Request body (optional)
+ * @returns {Promise<object>} Result object the server answered with
+ */
+function callServerApi(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = getSessionToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
     
-    // Get existing users
-    const users = getFromStorage(STORAGE_KEYS.USERS) || [];
+    return fetch(`${CANTEEN_CONFIG.storage.apiBaseUrl.replace(/\/$/, '')}/${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    })
+        .then(response => (response.status === 204 ? { success: true } : response.json()))
+        .catch(error => {
+            console.error(`Error calling ${method} ${path}:`, error);
+            return { success: false, message: 'Could not reach the canteen server. Please try again.' };
+        });
+}
+
+/**
+ * Keep the session the local server started for a login
+ * @param {object} result - Login result ({ token, user })
+ * @returns {object} Session
+ */
+function startServerSession(result) {
+    const sessionUser = { ...result.user, token: result.token };
+    saveToStorage(STORAGE_KEYS.CURRENT_USER, sessionUser);
+    return sessionUser;
+}
+
+/**
+ * Turn the server's answer to a login step into the result loginUser gives
+ * @param {object} result - Result from POST /api/sessions
+ * @returns {object} Result object
+ */
+function finishServerLogin(result) {
+    if (result.twoFactorRequired) {
+        twoFactorChallenge = {
+            challenge: result.challenge,
+            expiresAt: Date.now() + CANTEEN_CONFIG.twoFactor.challengeMinutes * 60000
+        };
+        return { success: false, twoFactorRequired: true, message: result.message };
+    }
+    if (!result.success) return result;
     
-    // Check if email already exists
-    if (users.find(u => u.email.toLowerCase() === email.toLowerCase())) {
-        return { success: false, message: 'Email already registered' };
+    const sessionUser = startServerSession(result);
+    if (sessionUser.twoFactorSetupRequired) {
+        return {
+            success: true,
+            twoFactorSetupRequired: true,
+            message: 'Login successful! Your role needs two-factor login, please set it up now.',
+            user: sessionUser
+        };
+    }
+    return { success: true, message: result.message, user: sessionUser };
+}
+
+/**
+ * Check whether this page may archive old orders
+ * The local server only takes such writes from an admin.
+ * @returns {boolean}
+ */
+function canMaintainSharedData() {
+    return !usesServerAccounts() || hasRole(USER_ROLES.ADMIN);
+}
+
+// ============================================
+// AUTH FUNCTIONS
+// ============================================
+
+/**
+ * Register a new user
+ * @param {object} userData - User registration data
+ * @returns {Promise<object>} Result object with success status and message
+ */
+function registerUser(userData) {
+    const check = validateRecord('user', userData);
+    if (!check.success) {
+        return Promise.resolve(check);
     }
     
-    // Create new user
-    const newUser = {
-        id: generateId(),
-        name: name.trim(),
-        email: email.toLowerCase().trim(),
-        password: password, // In production, this should be hashed
-        role: role,
-        createdAt: new Date().toISOString()
-    };
+    const { name, email, password } = check.value;
+    const role = check.value.role || USER_ROLES.CUSTOMER;
+    if (!isAllowedEmailDomain(email)) {
+        return Promise.resolve({ success: false, message: getEmailDomainMessage(), errors: { email: getEmailDomainMessage() } });
+    }
     
-    // Add user to storage
-    users.push(newUser);
-    saveToStorage(STORAGE_KEYS.USERS, users);
-    
-    // If staff, also add to staff members list
-    if (role === USER_ROLES.STAFF) {
-        const staffMembers = getFromStorage(STORAGE_KEYS.STAFF_MEMBERS) || [];
-        staffMembers.push({
-            ...newUser,
-            ordersCompleted: 0,
-            rating: 0,
-            joinedAt: newUser.createdAt
-        });
-        saveToStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers);
+    // The server hashes the password and sends the verification code itself
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'users', { name, email, password, role });
     }
     
-    return { success: true, message: 'Registration successful!', user: newUser };
+    // Anyone can sign up as a customer; other accounts wait for an admin
+    const needsApproval = getRoleArea(role) !== USER_ROLES.CUSTOMER;
+    
+    return hashPassword(password).then(passwordHash => {
+        // Create new user
+        const newUser = {
+            id: generateId(),
+            name: name,
+            email: email,
+            password: passwordHash,
+            role: role,
+            status: needsApproval ? ACCOUNT_STATUS.PENDING : ACCOUNT_STATUS.ACTIVE,
+            emailVerified: !requiresEmailVerification(),
+            createdAt: new Date().toISOString()
+        };
+        
+        // Add user to storage (checking for an existing email in the same transaction)
+        const result = updateStorage(STORAGE_KEYS.USERS, users => {
+            if (users.find(u => u.email.toLowerCase() === newUser.email)) {
+                return { result: { success: false, message: 'Email already registered', errors: { email: 'Email already registered' } } };
+            }
+            users.push(newUser);
+            
+            const message = needsApproval
+                ? 'Registration received! An admin has to approve your account before you can login.'
+                : 'Registration successful!';
+            return { data: users, result: { success: true, message, user: newUser, pending: needsApproval } };
+        }, []);
+        
+        // Staff records are created when an admin approves the account (approveStaffSignup)
+        if (!result.success || newUser.emailVerified) return result;
+        
+        return sendVerificationCode(newUser).then(sent => ({
+            ...result,
+            message: sent.success
+                ? `${result.message} We sent a code to ${newUser.email} to confirm your email.`
+                : `${result.message} The verification email could not be sent; you can ask for a new code on your profile page.`
+        }));
+    }).catch(getPasswordErrorResult);
 }
 
 /**
@@ -78,12 +332,23 @@ function registerUser(userData) {
  * @param {string} email - User email
  * @param {string} password - User password
  * @param {string} expectedRole - Expected role for the login page
- * @returns {object} Result object with success status and user data
+ * @returns {Promise<object>} Result object with success status and user data
  */
 function loginUser(email, password, expectedRole = null) {
     // Validate inputs
     if (!email || !password) {
-        return { success: false, message: 'Email and password are required' };
+        return Promise.resolve({ success: false, message: 'Email and password are required' });
+    }
+    
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'sessions', { email, password, area: expectedRole, deviceId: getDeviceId() })
+            .then(finishServerLogin);
+    }
+    
+    // Locked accounts and devices are refused before the password is looked at
+    const throttle = getLoginThrottle(email);
+    if (throttle.lockedUntil) {
+        return Promise.resolve(getLockoutResult(throttle.lockedUntil));
     }
     
     // Get users
@@ -94,54 +359,141 @@ function loginUser(email, password, expectedRole = null) {
         u.email.toLowerCase() === email.toLowerCase().trim()
     );
     
-    // Check if user exists
-    if (!user) {
-        return { success: false, message: 'Invalid email or password' };
-    }
+    // Unknown emails go through the same delay and count as failures too
+    const delay = new Promise(resolve => setTimeout(resolve, throttle.delayMs));
     
     // Check password
-    if (user.password !== password) {
-        return { success: false, message: 'Invalid email or password' };
-    }
-    
-    // Check role if expected role is specified
-    if (expectedRole && user.role !== expectedRole) {
-        return { 
-            success: false, 
-            message: `This login is for ${expectedRole}s only. Please use the correct login page.` 
-        };
-    }
-    
-    // Create session (store current user)
+    return delay.then(() => (user ? verifyPassword(password, user.password) : false)).then(valid => {
+        if (!valid) {
+            return recordLoginFailure(email);
+        }
+        
+        // With two-factor login the failures count on until the code is right too
+        if (!user.twoFactor) clearLoginFailures(email);
+        
+        // Check the role belongs to this login page's area
+        if (expectedRole && getRoleArea(user.role) !== expectedRole) {
+            return { 
+                success: false, 
+                message: `This login is for ${expectedRole}s only. Please use the correct login page.` 
+            };
+        }
+        
+        // Signed up, but not approved yet
+        if (user.status === ACCOUNT_STATUS.PENDING) {
+            return {
+                success: false,
+                pending: true,
+                message: 'Your account is waiting for admin approval. You can login once it has been approved.'
+            };
+        }
+        
+        if (user.status === ACCOUNT_STATUS.SUSPENDED) {
+            return {
+                success: false,
+                suspended: true,
+                message: 'Your account has been suspended. Please contact the canteen.'
+            };
+        }
+        
+        // An admin asked for a new password (see forceUserPasswordReset)
+        if (user.passwordResetRequired) {
+            return {
+                success: false,
+                resetRequired: true,
+                message: 'You need to set a new password. Use "Forgot password?" to get a reset code.'
+            };
+        }
+        
+        // Accounts from before hashing still hold plaintext: hash it now that we know it
+        const upgraded = passwordNeedsRehash(user.password)
+            ? upgradePasswordHash(user.id, user.password, password).catch(error => {
+                console.error('Error upgrading password hash:', error);
+            })
+            : Promise.resolve();
+        
+        return upgraded.then(() => {
+            // Second step: the code from the authenticator app (see completeTwoFactorLogin)
+            if (user.twoFactor) {
+                twoFactorChallenge = {
+                    userId: user.id,
+                    email: user.email,
+                    expiresAt: Date.now() + CANTEEN_CONFIG.twoFactor.challengeMinutes * 60000
+                };
+                return {
+                    success: false,
+                    twoFactorRequired: true,
+                    message: 'Enter the code from your authenticator app'
+                };
+            }
+            
+            const sessionUser = startSession(user);
+            if (sessionUser.twoFactorSetupRequired) {
+                return {
+                    success: true,
+                    twoFactorSetupRequired: true,
+                    message: 'Login successful! Your role needs two-factor login, please set it up now.',
+                    user: sessionUser
+                };
+            }
+            return { success: true, message: 'Login successful!', user: sessionUser };
+        });
+    }).catch(getPasswordErrorResult);
+}
+
+/**
+ * Create the session of a user whose login succeeded
+ * Users whose role needs two-factor login but who haven't set it up may
+ * only open the security page (see protectPage).
+ * @param {object} user - Stored user
+ * @returns {object} Session
+ */
+function startSession(user) {
+    const now = new Date().toISOString();
     const sessionUser = {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
-        loginAt: new Date().toISOString()
+        loginAt: now,
+        lastActiveAt: now
     };
+    if (isTwoFactorRequired(user) && !user.twoFactor) {
+        sessionUser.twoFactorSetupRequired = true;
+    }
     
     saveToStorage(STORAGE_KEYS.CURRENT_USER, sessionUser);
-    
-    return { success: true, message: 'Login successful!', user: sessionUser };
+    return sessionUser;
 }
 
 /**
  * Logout current user
  */
 function logoutUser() {
+    // The server forgets the token too
+    const ended = getSessionToken() ? callServerApi('DELETE', 'sessions') : Promise.resolve();
+    
     removeFromStorage(STORAGE_KEYS.CURRENT_USER);
     // Clear cart on logout
     removeFromStorage(STORAGE_KEYS.CART);
-    navigateTo('../index.html');
+    ended.then(() => navigateTo('../index.html'));
 }
 
 /**
  * Get current logged-in user
+ * A session that has expired, gone idle or been revoked is ended here.
  * @returns {object|null} Current user or null
  */
 function getCurrentUser() {
-    return getFromStorage(STORAGE_KEYS.CURRENT_USER);
+    const session = getFromStorage(STORAGE_KEYS.CURRENT_USER);
+    if (!session) return null;
+    
+    const reason = getSessionEndReason(session);
+    if (reason) {
+        endSession(reason);
+        return null;
+    }
+    return session;
 }
 
 /**
@@ -163,21 +515,37 @@ function hasRole(role) {
 }
 
 /**
- * Protect page - redirect if not authenticated or wrong role
- * @param {string} requiredRole - Required role for access
+ * Protect page - redirect if not authenticated or not allowed
+ * Dashboards pass their area (one of USER_ROLES) and let in every role of
+ * that area; other pages pass the permission they need (see PERMISSIONS).
+ * @param {string} requirement - Required permission or area
+ * @param {boolean} allowTwoFactorSetup - Page may be used before two-factor login is set up
  */
-function protectPage(requiredRole) {
+function protectPage(requirement, allowTwoFactorSetup = false) {
     const user = getCurrentUser();
+    pageRequiresLogin = true;
     
     if (!user) {
-        showToast('Please login to continue', 'warning');
+        showToast(SESSION_END_MESSAGES[sessionEndReason] || 'Please login to continue', 'warning');
         setTimeout(() => {
             navigateTo('../index.html');
         }, 1000);
         return false;
     }
     
-    if (requiredRole && user.role !== requiredRole) {
+    if (user.twoFactorSetupRequired && !allowTwoFactorSetup) {
+        showToast('Please set up two-factor login first', 'warning');
+        setTimeout(() => {
+            navigateTo('security.html');
+        }, 1000);
+        return false;
+    }
+    
+    const isArea = Object.values(USER_ROLES).includes(requirement);
+    const allowed = !requirement ||
+        (isArea ? getRoleArea(user.role) === requirement : hasPermission(requirement, user));
+    
+    if (!allowed) {
         showToast('Access denied. You do not have permission.', 'error');
         setTimeout(() => {
             redirectToDashboard(user.role);
@@ -189,11 +557,11 @@ function protectPage(requiredRole) {
 }
 
 /**
- * Redirect user to appropriate dashboard based on role
+ * Redirect user to the dashboard of their role's area
  * @param {string} role - User role
  */
 function redirectToDashboard(role) {
-    switch (role) {
+    switch (getRoleArea(role)) {
         case USER_ROLES.CUSTOMER:
             navigateTo('../customer/landing.html');
             break;
@@ -209,104 +577,1701 @@ function redirectToDashboard(role) {
 }
 
 // ============================================
-// LOGIN FORM HANDLER
+// PERMISSIONS
 // ============================================
 
 /**
- * Setup login form handler
- * @param {string} formId - Form element ID
- * @param {string} role - Expected user role
+ * Get all roles
+ * @returns {Array} Roles
  */
-function setupLoginForm(formId, role) {
-    const form = document.getElementById(formId);
-    if (!form) return;
+function getRoles() {
+    return getFromStorage(STORAGE_KEYS.ROLES) || DEFAULT_ROLES;
+}
+
+/**
+ * Get a role by ID
+ * The admin role always has every permission, so admins can't lock
+ * themselves out of the role editor.
+ * @param {string} roleId - Role ID
+ * @returns {object|null} Role
+ */
+function getRole(roleId) {
+    const role = getRoles().find(r => r.id === roleId) ||
+        DEFAULT_ROLES.find(r => r.builtIn && r.id === roleId);
+    if (!role) return null;
     
-    form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        
-        const email = form.querySelector('[name="email"]').value;
-        const password = form.querySelector('[name="password"]').value;
-        
-        const result = loginUser(email, password, role);
-        
-        if (result.success) {
-            showToast(result.message, 'success');
-            setTimeout(() => {
-                redirectToDashboard(role);
-            }, 1000);
-        } else {
-            showToast(result.message, 'error');
-        }
+    return role.id === USER_ROLES.ADMIN ? { ...role, permissions: Object.values(PERMISSIONS) } : role;
+}
+
+/**
+ * Get the area (login page and dashboard) of a role
+ * @param {string} roleId - Role ID
+ * @returns {string|null} One of USER_ROLES
+ */
+function getRoleArea(roleId) {
+    const role = getRole(roleId);
+    return role ? role.area : null;
+}
+
+/**
+ * Check whether a user may do something
+ * @param {string} permission - One of PERMISSIONS
+ * @param {object} user - User to check (defaults to the current user)
+ * @returns {boolean}
+ */
+function hasPermission(permission, user = getCurrentUser()) {
+    // Nothing is allowed until a required two-factor setup is done
+    if (user && user.twoFactorSetupRequired) return false;
+    
+    const role = user && getRole(user.role);
+    return !!role && role.permissions.includes(permission);
+}
+
+/**
+ * Guard for functions that change data
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {object|null} Result object when the current user lacks the permission, null otherwise
+ */
+function checkPermission(permission) {
+    if (hasPermission(permission)) return null;
+    return { success: false, denied: true, message: 'You do not have permission to do this' };
+}
+
+/**
+ * Hide elements marked with data-permission="..." the current user may not use
+ */
+function applyPermissionVisibility() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('hidden', !hasPermission(element.dataset.permission));
     });
 }
 
+// ============================================
+// LOGIN THROTTLING
+// ============================================
+
 /**
- * Setup registration form handler
- * @param {string} formId - Form element ID
- * @param {string} role - User role for registration
+ * Get the ID of this browser, created on first use
+ * The key is not shared by the 'http' adapter, so it stays on the device.
+ * @returns {string} Device ID
  */
-function setupRegisterForm(formId, role) {
-    const form = document.getElementById(formId);
-    if (!form) return;
+function getDeviceId() {
+    let deviceId = getFromStorage(STORAGE_KEYS.DEVICE_ID);
+    if (!deviceId) {
+        deviceId = generateId();
+        saveToStorage(STORAGE_KEYS.DEVICE_ID, deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Get the failed-login record, or null once it no longer counts
+ * Failures are forgotten windowMinutes after the last one; a lock ends at lockedUntil.
+ * @param {object} record - { failures, lastFailureAt, lockedUntil }
+ * @param {number} now - Current time in milliseconds
+ * @returns {object|null} Record or null
+ */
+function getActiveLoginRecord(record, now = Date.now()) {
+    if (!record) return null;
     
-    form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        
-        const name = form.querySelector('[name="name"]').value;
-        const email = form.querySelector('[name="email"]').value;
-        const password = form.querySelector('[name="password"]').value;
-        const confirmPassword = form.querySelector('[name="confirmPassword"]')?.value;
-        
-        // Check password confirmation
-        if (confirmPassword && password !== confirmPassword) {
-            showToast('Passwords do not match', 'error');
-            return;
+    if (record.lockedUntil) {
+        return new Date(record.lockedUntil).getTime() > now ? record : null;
+    }
+    const windowMs = CANTEEN_CONFIG.lockout.windowMinutes * 60000;
+    return new Date(record.lastFailureAt).getTime() + windowMs > now ? record : null;
+}
+
+/**
+ * Check whether logins for an email from this device are throttled
+ * @param {string} email - Email being logged in with
+ * @returns {object} { lockedUntil (ISO string or null), delayMs }
+ */
+function getLoginThrottle(email) {
+    const attempts = getFromStorage(STORAGE_KEYS.LOGIN_ATTEMPTS) || { accounts: {}, devices: {} };
+    const account = getActiveLoginRecord(attempts.accounts[email.toLowerCase().trim()]);
+    const device = getActiveLoginRecord(attempts.devices[getDeviceId()]);
+    
+    const lockedUntil = [account, device]
+        .map(record => record && record.lockedUntil)
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+    
+    // Each failure doubles the wait before the next password is checked
+    const failures = Math.max(account ? account.failures : 0, device ? device.failures : 0);
+    const { baseDelayMs, maxDelayMs } = CANTEEN_CONFIG.lockout;
+    const delayMs = failures > 0 ? Math.min(baseDelayMs * Math.pow(2, failures - 1), maxDelayMs) : 0;
+    
+    return { lockedUntil, delayMs };
+}
+
+/**
+ * Result for a login refused because of a lock
+ * @param {string} lockedUntil - ISO time the lock ends
+ * @returns {object} Result object
+ */
+function getLockoutResult(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+    return {
+        success: false,
+        locked: true,
+        message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    };
+}
+
+/**
+ * Count a failed login against the email and this device
+ * Unknown emails are counted too, so a lock says nothing about who is registered.
+ * @param {string} email - Email that was tried
+ * @returns {object} Result object for the login form
+ */
+function recordLoginFailure(email) {
+    const now = Date.now();
+    const { maxFailures, deviceMaxFailures, lockMinutes } = CANTEEN_CONFIG.lockout;
+    const lockedUntil = new Date(now + lockMinutes * 60000).toISOString();
+    
+    const count = (records, key, limit) => {
+        const record = getActiveLoginRecord(records[key], now) || { failures: 0 };
+        record.failures++;
+        record.lastFailureAt = new Date(now).toISOString();
+        if (record.failures >= limit && !record.lockedUntil) {
+            record.lockedUntil = lockedUntil;
         }
+        records[key] = record;
+        return record;
+    };
+    
+    return updateStorage(STORAGE_KEYS.LOGIN_ATTEMPTS, attempts => {
+        // Drop records that no longer count so the list stays small
+        ['accounts', 'devices'].forEach(type => {
+            Object.keys(attempts[type]).forEach(key => {
+                if (!getActiveLoginRecord(attempts[type][key], now)) delete attempts[type][key];
+            });
+        });
         
-        const result = registerUser({ name, email, password, role });
+        const account = count(attempts.accounts, email.toLowerCase().trim(), maxFailures);
+        const device = count(attempts.devices, getDeviceId(), deviceMaxFailures);
+        const locked = account.lockedUntil || device.lockedUntil;
         
-        if (result.success) {
-            showToast(result.message, 'success');
-            setTimeout(() => {
-                // Redirect to login page
-                switch (role) {
-                    case USER_ROLES.CUSTOMER:
-                        navigateTo('login.html');
-                        break;
-                    case USER_ROLES.STAFF:
-                        navigateTo('login.html');
-                        break;
-                    default:
-                        navigateTo('../index.html');
-                }
-            }, 1500);
-        } else {
-            showToast(result.message, 'error');
-        }
-    });
+        return {
+            data: attempts,
+            result: locked ? getLockoutResult(locked) : { success: false, message: 'Invalid email or password' }
+        };
+    }, { accounts: {}, devices: {} });
 }
 
 /**
- * Setup logout button handler
+ * Forget the failed logins of an account after its owner proved who they are
+ * @param {string} email - Account email
  */
-function setupLogoutButton() {
-    const logoutBtns = document.querySelectorAll('.logout-btn, [data-action="logout"]');
+function clearLoginFailures(email) {
+    const key = email.toLowerCase().trim();
+    const attempts = getFromStorage(STORAGE_KEYS.LOGIN_ATTEMPTS);
+    if (!attempts || !attempts.accounts[key]) return;
     
-    logoutBtns.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            if (confirm('Are you sure you want to logout?')) {
-                logoutUser();
+    updateStorage(STORAGE_KEYS.LOGIN_ATTEMPTS, current => {
+        delete current.accounts[key];
+        return { data: current };
+    }, { accounts: {}, devices: {} });
+}
+
+/**
+ * Get the accounts and devices with failed logins that still count
+ * @returns {Array} [{ type: 'account'|'device', key, failures, lastFailureAt, lockedUntil }]
+ */
+function getLoginLockouts() {
+    const attempts = getFromStorage(STORAGE_KEYS.LOGIN_ATTEMPTS) || { accounts: {}, devices: {} };
+    const list = [];
+    
+    [['accounts', 'account'], ['devices', 'device']].forEach(([collection, type]) => {
+        Object.entries(attempts[collection]).forEach(([key, record]) => {
+            if (getActiveLoginRecord(record)) {
+                list.push({ type, key, ...record });
             }
         });
     });
+    
+    return list.sort((a, b) => (b.lastFailureAt > a.lastFailureAt ? 1 : -1));
 }
 
-// ============================================
-// INITIALIZATION
-// ============================================
-
-// Auto-setup logout buttons when DOM is ready
+/**
+ * Clear the failed logins (and any lock) of an account or device
+ * @param {string} type - 'account' or 'device'
+ * @param {string} key - Email or device ID; all of them when omitted
+ * @returns {object} Result object
+ */
+function clearLoginLockout(type, key = null) {
+    const denied = checkPermission(PERMISSIONS.LOCKOUTS_MANAGE);
+    if (denied) return denied;
+    
+    const collection = type === 'device' ? 'devices' : 'accounts';
+    
+    return updateStorage(STORAGE_KEYS.LOGIN_ATTEMPTS, attempts => {
+        if (key) {
+            delete attempts[collection][key];
+        } else {
+            attempts[collection] = {};
+        }
+        return { data: attempts, result: { success: true, message: 'Lockout cleared' } };
+    }, { accounts: {}, devices: {} });
+}
+
+// ============================================
+// PASSWORD RESET
+// ============================================
+
+/**
+ * Check a password against the registration rules
+ * @param {string} password - New password
+ * @returns {object} Result object
+ */
+function validatePassword(password) {
+    return validateRecord('user', { password: password || '' }, { partial: true });
+}
+
+/**
+ * Generate a random six-digit code (password reset, email verification)
+ * @returns {string}
+ */
+function generateOneTimeCode() {
+    return (crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).toString().padStart(6, '0');
+}
+
+/**
+ * Email a one-time reset code to the owner of an account
+ * The answer is the same whether or not the account exists, so the form
+ * can't be used to find out who is registered.
+ * @param {string} email - Account email
+ * @param {string} role - Only accounts with this role (the login page's role)
+ * @returns {Promise<object>} Result object
+ */
+function requestPasswordReset(email, role = null) {
+    const sentResult = { success: true, message: 'If an account exists for this email, a reset code is on its way.' };
+    
+    if (!isValidEmail(email)) {
+        return Promise.resolve({ success: false, message: 'Please enter a valid email address' });
+    }
+    
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'password-reset', { email, area: role });
+    }
+    
+    // A code kept in this browser would let whoever asked for it reset any account
+    if (typeof canDeliverMail !== 'function' || !canDeliverMail()) {
+        return Promise.resolve({
+            success: false,
+            message: 'Password reset by email is not set up. Please ask an admin to reset your password.'
+        });
+    }
+    
+    const normalized = email.toLowerCase().trim();
+    const user = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.email.toLowerCase() === normalized);
+    if (!user || (role && getRoleArea(user.role) !== role)) {
+        return Promise.resolve(sentResult);
+    }
+    
+    const code = generateOneTimeCode();
+    const minutes = CANTEEN_CONFIG.passwordReset.codeMinutes;
+    
+    // Only a hash of the code is stored; a new request replaces the previous code
+    return hashPassword(code).then(codeHash => {
+        const saved = updateStorage(STORAGE_KEYS.PASSWORD_RESETS, resets => {
+            resets[user.id] = {
+                codeHash,
+                expiresAt: new Date(Date.now() + minutes * 60000).toISOString(),
+                attempts: 0
+            };
+            return { data: resets, result: { success: true } };
+        }, {});
+        if (!saved.success) return saved;
+        
+        return sendMail({
+            to: user.email,
+            subject: 'Your password reset code',
+            text: `Hi ${user.name},\n\n` +
+                `Your Smart Digital Canteen password reset code is ${code}.\n` +
+                `It expires in ${minutes} minutes and can be used once.\n\n` +
+                'If you did not ask to reset your password, you can ignore this email.'
+        }).then(sent => (sent.success ? sentResult : sent));
+    }).catch(getPasswordErrorResult);
+}
+
+/**
+ * Set a new password with a reset code
+ * @param {string} email - Account email
+ * @param {string} code - Code from the email
+ * @param {string} newPassword - New password
+ * @returns {Promise<object>} Result object
+ */
+function resetPassword(email, code, newPassword) {
+    const invalidResult = { success: false, message: 'Invalid or expired code' };
+    
+    if (!email || !code) {
+        return Promise.resolve({ success: false, message: 'Email and code are required' });
+    }
+    
+    const passwordCheck = validatePassword(newPassword);
+    if (!passwordCheck.success) return Promise.resolve(passwordCheck);
+    
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'password-reset/confirm', { email, code, password: newPassword });
+    }
+    
+    const normalized = email.toLowerCase().trim();
+    const user = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.email.toLowerCase() === normalized);
+    const reset = user && (getFromStorage(STORAGE_KEYS.PASSWORD_RESETS) || {})[user.id];
+    
+    if (!reset) return Promise.resolve(invalidResult);
+    
+    if (Date.now() > new Date(reset.expiresAt).getTime()) {
+        updateStorage(STORAGE_KEYS.PASSWORD_RESETS, resets => {
+            delete resets[user.id];
+            return { data: resets };
+        }, {});
+        return Promise.resolve(invalidResult);
+    }
+    
+    return verifyPassword(code.trim(), reset.codeHash).then(valid => {
+        if (!valid) {
+            // Too many wrong guesses use the code up
+            updateStorage(STORAGE_KEYS.PASSWORD_RESETS, resets => {
+                const current = resets[user.id];
+                if (!current || current.codeHash !== reset.codeHash) return {};
+                current.attempts++;
+                if (current.attempts >= CANTEEN_CONFIG.passwordReset.maxAttempts) {
+                    delete resets[user.id];
+                }
+                return { data: resets };
+            }, {});
+            return invalidResult;
+        }
+        
+        // Take the code out first so it works only once
+        const claimed = updateStorage(STORAGE_KEYS.PASSWORD_RESETS, resets => {
+            const current = resets[user.id];
+            if (!current || current.codeHash !== reset.codeHash) {
+                return { result: invalidResult };
+            }
+            delete resets[user.id];
+            return { data: resets, result: { success: true } };
+        }, {});
+        if (!claimed.success) return claimed;
+        
+        return hashPassword(newPassword).then(passwordHash => {
+            const result = updateStorage(STORAGE_KEYS.USERS, users => {
+                const account = users.find(u => u.id === user.id);
+                if (!account) return { result: invalidResult };
+                
+                account.password = passwordHash;
+                delete account.passwordResetRequired;
+                return { data: users, result: { success: true, message: 'Your password has been reset. Please login.' } };
+            }, []);
+            
+            // Whoever knew the old password is logged out everywhere
+            if (result.success) {
+                revokeUserSessions(user.id);
+                clearLoginFailures(user.email);
+            }
+            return result;
+        });
+    }).catch(getPasswordErrorResult);
+}
+
+// ============================================
+// EMAIL VERIFICATION
+// ============================================
+
+/**
+ * Check whether new and changed email addresses have to be confirmed
+ * Only when the code can reach the address: the server always sends it,
+ * but the local outbox would keep it where no page shows it (js/mailer.js).
+ * Pages that never send mail ask too, so this goes by the configuration.
+ * @returns {boolean}
+ */
+function requiresEmailVerification() {
+    if (!CANTEEN_CONFIG.registration.verifyEmail) return false;
+    return usesServerAccounts() || CANTEEN_CONFIG.mail.transport !== 'outbox';
+}
+
+/**
+ * Check whether a user has confirmed their email address
+ * Accounts from before verification (no emailVerified field), and all
+ * accounts while verification is off, count as verified.
+ * @param {object} user - User or session
+ * @returns {boolean}
+ */
+function isEmailVerified(user) {
+    if (!user) return false;
+    const account = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === user.id);
+    return !!account && (account.emailVerified !== false || !requiresEmailVerification());
+}
+
+/**
+ * Email a verification code to an account
+ * A new code replaces the previous one.
+ * @param {object} user - Account ({ id, name, email })
+ * @returns {Promise<object>} Result object
+ */
+function sendVerificationCode(user) {
+    // The server only sends codes to the session's own account
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'email-verification');
+    }
+    
+    const code = generateOneTimeCode();
+    const minutes = CANTEEN_CONFIG.registration.codeMinutes;
+    
+    return hashPassword(code).then(codeHash => {
+        const saved = updateStorage(STORAGE_KEYS.EMAIL_VERIFICATIONS, verifications => {
+            verifications[user.id] = {
+                codeHash,
+                email: user.email,
+                expiresAt: new Date(Date.now() + minutes * 60000).toISOString(),
+                attempts: 0
+            };
+            return { data: verifications, result: { success: true } };
+        }, {});
+        if (!saved.success) return saved;
+        
+        return sendMail({
+            to: user.email,
+            subject: 'Confirm your email address',
+            text: `Hi ${user.name},\n\n` +
+                `Your Smart Digital Canteen verification code is ${code}.\n` +
+                `Enter it on your profile page within ${minutes} minutes to start ordering.`
+        }).then(sent => (sent.success
+            ? { success: true, message: `We sent a verification code to ${user.email}` }
+            : sent));
+    }).catch(getPasswordErrorResult);
+}
+
+/**
+ * Send a new verification code to the current user
+ * @returns {Promise<object>} Result object
+ */
+function requestEmailVerification() {
+    const session = getCurrentUser();
+    if (!session) {
+        return Promise.resolve({ success: false, message: 'Please login to continue' });
+    }
+    if (isEmailVerified(session)) {
+        return Promise.resolve({ success: false, message: 'Your email is already verified' });
+    }
+    return sendVerificationCode(session);
+}
+
+/**
+ * Confirm the current user's email with the code that was sent to it
+ * @param {string} code - Code from the email
+ * @returns {Promise<object>} Result object
+ */
+function verifyEmail(code) {
+    const invalidResult = { success: false, message: 'Invalid or expired code' };
+    const session = getCurrentUser();
+    if (!session) {
+        return Promise.resolve({ success: false, message: 'Please login to continue' });
+    }
+    
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'email-verification/confirm', { code });
+    }
+    
+    const verification = (getFromStorage(STORAGE_KEYS.EMAIL_VERIFICATIONS) || {})[session.id];
+    
+    // A code only confirms the address it was sent to
+    if (!verification || !code || verification.email !== session.email ||
+        Date.now() > new Date(verification.expiresAt).getTime()) {
+        return Promise.resolve(invalidResult);
+    }
+    
+    return verifyPassword(code.trim(), verification.codeHash).then(valid => {
+        if (!valid) {
+            updateStorage(STORAGE_KEYS.EMAIL_VERIFICATIONS, verifications => {
+                const current = verifications[session.id];
+                if (!current || current.codeHash !== verification.codeHash) return {};
+                current.attempts++;
+                if (current.attempts >= CANTEEN_CONFIG.registration.maxAttempts) {
+                    delete verifications[session.id];
+                }
+                return { data: verifications };
+            }, {});
+            return invalidResult;
+        }
+        
+        updateStorage(STORAGE_KEYS.EMAIL_VERIFICATIONS, verifications => {
+            delete verifications[session.id];
+            return { data: verifications };
+        }, {});
+        
+        return updateStorage(STORAGE_KEYS.USERS, users => {
+            const account = users.find(u => u.id === session.id && u.email === verification.email);
+            if (!account) return { result: invalidResult };
+            
+            account.emailVerified = true;
+            account.emailVerifiedAt = new Date().toISOString();
+            return { data: users, result: { success: true, message: 'Thank you, your email is verified' } };
+        }, []);
+    }).catch(getPasswordErrorResult);
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+// Recovery codes are long and random, so a few PBKDF2 rounds are enough
+const RECOVERY_CODE_HASH_ITERATIONS = 1000;
+
+// Login waiting for its second step: { userId, email, expiresAt },
+// or { challenge, expiresAt } when the server checks the code
+let twoFactorChallenge = null;
+
+/**
+ * Check whether a user's role makes two-factor login mandatory
+ * @param {object} user - User or session
+ * @returns {boolean}
+ */
+function isTwoFactorRequired(user) {
+    const role = user && getRole(user.role);
+    return !!role && role.area !== USER_ROLES.CUSTOMER && !!role.requireTwoFactor;
+}
+
+/**
+ * Check whether a user has set up two-factor login
+ * @param {object} user - User or session
+ * @returns {boolean}
+ */
+function isTwoFactorEnabled(user) {
+    const account = user && (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === user.id);
+    return !!(account && account.twoFactor);
+}
+
+/**
+ * Turn a recovery code into the form it is hashed in
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+    return (code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Promise<object>} { codes (to show once), hashes (to store) }
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: CANTEEN_CONFIG.twoFactor.recoveryCodes }, () => {
+        const code = generateTotpSecret().slice(0, 10);
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    
+    return Promise.all(codes.map(code => hashPassword(normalizeRecoveryCode(code), RECOVERY_CODE_HASH_ITERATIONS)))
+        .then(hashes => ({ codes, hashes }));
+}
+
+/**
+ * Start setting up two-factor login for the current user
+ * The secret stays in this device's session until a code from the app
+ * confirms it; a new secret replaces one that was not confirmed yet.
+ * @returns {object} Result object with { secret, uri } for the authenticator app
+ */
+function beginTwoFactorSetup() {
+    const session = getCurrentUser();
+    if (!session) {
+        return { success: false, message: 'Please login to continue' };
+    }
+    if (getRoleArea(session.role) === USER_ROLES.CUSTOMER) {
+        return { success: false, message: 'Two-factor login is for staff and admin accounts' };
+    }
+    
+    const account = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === session.id);
+    if (!account) return { success: false, message: 'Account not found' };
+    if (account.twoFactor) return { success: false, message: 'Two-factor login is already on' };
+    
+    const secret = generateTotpSecret();
+    saveToStorage(STORAGE_KEYS.CURRENT_USER, { ...session, twoFactorSetup: { secret, startedAt: new Date().toISOString() } });
+    return {
+        success: true,
+        secret,
+        uri: getTotpUri(secret, session.email, CANTEEN_CONFIG.twoFactor.issuer)
+    };
+}
+
+/**
+ * Finish the setup with a code from the authenticator app
+ * @param {string} code - Code shown by the app
+ * @returns {Promise<object>} Result object with the recovery codes (shown once)
+ */
+function confirmTwoFactorSetup(code) {
+    const session = getCurrentUser();
+    if (!session) {
+        return Promise.resolve({ success: false, message: 'Please login to continue' });
+    }
+    
+    const setup = session.twoFactorSetup;
+    if (!setup) {
+        return Promise.resolve({ success: false, message: 'Please start the setup again' });
+    }
+    
+    const step = verifyTotpCode(setup.secret, code, CANTEEN_CONFIG.twoFactor.driftSteps);
+    if (step === null) {
+        return Promise.resolve({ success: false, message: 'That code is not right. Check the time on your phone and try again.' });
+    }
+    
+    return generateRecoveryCodes().then(({ codes, hashes }) => {
+        const result = updateStorage(STORAGE_KEYS.USERS, users => {
+            const current = users.find(u => u.id === session.id);
+            if (!current) return { result: { success: false, message: 'Account not found' } };
+            if (current.twoFactor) return { result: { success: false, message: 'Two-factor login is already on' } };
+            
+            current.twoFactor = {
+                secret: setup.secret,
+                enabledAt: new Date().toISOString(),
+                lastUsedStep: step,
+                recoveryCodes: hashes
+            };
+            return { data: users, result: { success: true, message: 'Two-factor login is on', recoveryCodes: codes } };
+        }, []);
+        
+        // A login that had to set this up may now use the rest of the site
+        if (result.success) {
+            const { twoFactorSetupRequired, twoFactorSetup, ...rest } = getFromStorage(STORAGE_KEYS.CURRENT_USER) || session;
+            saveToStorage(STORAGE_KEYS.CURRENT_USER, rest);
+        }
+        return result;
+    }).catch(getPasswordErrorResult);
+}
+
+/**
+ * Turn two-factor login off for the current user
+ * @param {string} password - Current password
+ * @returns {Promise<object>} Result object
+ */
+function disableTwoFactor(password) {
+    const session = getCurrentUser();
+    if (isTwoFactorRequired(session)) {
+        return Promise.resolve({ success: false, message: 'Two-factor login is required for your role' });
+    }
+    
+    return confirmCurrentPassword(password).then(check => {
+        if (!check.success) return check;
+        
+        return updateStorage(STORAGE_KEYS.USERS, users => {
+            const account = users.find(u => u.id === session.id);
+            if (!account || !account.twoFactor) return { result: { success: false, message: 'Two-factor login is not on' } };
+            
+            delete account.twoFactor;
+            return { data: users, result: { success: true, message: 'Two-factor login is off' } };
+        }, []);
+    });
+}
+
+/**
+ * Replace the current user's recovery codes
+ * @param {string} password - Current password
+ * @returns {Promise<object>} Result object with the new codes
+ */
+function regenerateRecoveryCodes(password) {
+    return confirmCurrentPassword(password).then(check => {
+        if (!check.success) return check;
+        if (!check.account.twoFactor) {
+            return { success: false, message: 'Two-factor login is not on' };
+        }
+        
+        return generateRecoveryCodes().then(({ codes, hashes }) => updateStorage(STORAGE_KEYS.USERS, users => {
+            const account = users.find(u => u.id === check.account.id);
+            if (!account || !account.twoFactor) return { result: { success: false, message: 'Two-factor login is not on' } };
+            
+            account.twoFactor.recoveryCodes = hashes;
+            return { data: users, result: { success: true, message: 'New recovery codes made. The old ones no longer work.', recoveryCodes: codes } };
+        }, []));
+    }).catch(getPasswordErrorResult);
+}
+
+/**
+ * Check a second-step code: an authenticator code, or a recovery code
+ * (which is used up). An authenticator code works once.
+ * @param {string} userId - User ID
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<object>} { valid, recoveryCodesLeft }
+ */
+function verifySecondFactor(userId, code) {
+    const account = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === userId);
+    if (!account || !account.twoFactor) return Promise.resolve({ valid: false });
+    
+    const { secret, lastUsedStep, recoveryCodes } = account.twoFactor;
+    const step = verifyTotpCode(secret, code, CANTEEN_CONFIG.twoFactor.driftSteps, lastUsedStep);
+    
+    if (step !== null) {
+        const saved = updateStorage(STORAGE_KEYS.USERS, users => {
+            const current = users.find(u => u.id === userId);
+            if (!current || !current.twoFactor || current.twoFactor.lastUsedStep >= step) {
+                return { result: { success: false } };
+            }
+            current.twoFactor.lastUsedStep = step;
+            return { data: users, result: { success: true } };
+        }, []);
+        return Promise.resolve({ valid: saved.success, recoveryCodesLeft: recoveryCodes.length });
+    }
+    
+    // Recovery codes look nothing like the six digits of the app
+    const recoveryCode = normalizeRecoveryCode(code);
+    if (recoveryCode.length !== 10) return Promise.resolve({ valid: false });
+    
+    return Promise.all(recoveryCodes.map(hash => verifyPassword(recoveryCode, hash))).then(matches => {
+        const used = recoveryCodes[matches.indexOf(true)];
+        if (!used) return { valid: false };
+        
+        const saved = updateStorage(STORAGE_KEYS.USERS, users => {
+            const current = users.find(u => u.id === userId);
+            if (!current || !current.twoFactor || !current.twoFactor.recoveryCodes.includes(used)) {
+                return { result: { success: false } };
+            }
+            current.twoFactor.recoveryCodes = current.twoFactor.recoveryCodes.filter(hash => hash !== used);
+            return { data: users, result: { success: true, left: current.twoFactor.recoveryCodes.length } };
+        }, []);
+        return { valid: saved.success, recoveryCodeUsed: true, recoveryCodesLeft: saved.left };
+    });
+}
+
+/**
+ * Finish a login that needs a second step (see loginUser)
+ * Wrong codes count as failed logins, so they lead to a lockout too.
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Promise<object>} Result object
+ */
+function completeTwoFactorLogin(code) {
+    const challenge = twoFactorChallenge;
+    if (!challenge || Date.now() > challenge.expiresAt) {
+        twoFactorChallenge = null;
+        return Promise.resolve({ success: false, expired: true, message: 'Please login again' });
+    }
+    
+    if (challenge.challenge) {
+        return callServerApi('POST', 'sessions', { challenge: challenge.challenge, code, deviceId: getDeviceId() }).then(result => {
+            if (result.success || result.locked || result.expired) twoFactorChallenge = null;
+            return finishServerLogin(result);
+        });
+    }
+    
+    const throttle = getLoginThrottle(challenge.email);
+    if (throttle.lockedUntil) {
+        twoFactorChallenge = null;
+        return Promise.resolve(getLockoutResult(throttle.lockedUntil));
+    }
+    
+    const delay = new Promise(resolve => setTimeout(resolve, throttle.delayMs));
+    
+    return delay.then(() => verifySecondFactor(challenge.userId, code)).then(check => {
+        if (!check.valid) {
+            const failure = recordLoginFailure(challenge.email);
+            if (failure.locked) {
+                twoFactorChallenge = null;
+                return failure;
+            }
+            return { success: false, message: 'Invalid code' };
+        }
+        
+        twoFactorChallenge = null;
+        clearLoginFailures(challenge.email);
+        
+        const user = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === challenge.userId);
+        if (!user) return { success: false, message: 'Please login again' };
+        
+        const sessionUser = startSession(user);
+        const message = check.recoveryCodeUsed
+            ? `Login successful! You have ${check.recoveryCodesLeft} recovery codes left.`
+            : 'Login successful!';
+        return { success: true, message, user: sessionUser };
+    }).catch(getPasswordErrorResult);
+}
+
+// ============================================
+// PROFILE
+// ============================================
+
+/**
+ * Check the current user's password before a change to their account
+ * @param {string} password - Password typed by the user
+ * @returns {Promise<object>} Result object with the stored account
+ */
+function confirmCurrentPassword(password) {
+    const session = getCurrentUser();
+    if (!session) {
+        return Promise.resolve({ success: false, message: 'Please login to continue' });
+    }
+    
+    const account = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === session.id);
+    if (!account) {
+        return Promise.resolve({ success: false, message: 'Account not found' });
+    }
+    if (!password) {
+        return Promise.resolve({ success: false, message: 'Please enter your current password' });
+    }
+    
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'sessions/password-check', { password })
+            .then(result => (result.success ? { success: true, account } : result));
+    }
+    
+    return verifyPassword(password, account.password).then(valid => (valid
+        ? { success: true, account }
+        : { success: false, message: 'Current password is incorrect' }));
+}
+
+/**
+ * Change the current user's name and email
+ * Changing the email needs the current password.
+ * @param {object} profileData - { name, email, currentPassword }
+ * @returns {Promise<object>} Result object
+ */
+function updateProfile(profileData) {
+    const session = getCurrentUser();
+    if (!session) {
+        return Promise.resolve({ success: false, message: 'Please login to continue' });
+    }
+    
+    const check = validateRecord('user', { name: profileData.name || '', email: profileData.email || '' }, { partial: true });
+    if (!check.success) {
+        return Promise.resolve(check);
+    }
+    
+    const { name, email } = check.value;
+    const emailChanged = email !== session.email.toLowerCase();
+    if (emailChanged && !isAllowedEmailDomain(email)) {
+        return Promise.resolve({ success: false, message: getEmailDomainMessage(), errors: { email: getEmailDomainMessage() } });
+    }
+    const confirmed = emailChanged
+        ? confirmCurrentPassword(profileData.currentPassword)
+        : Promise.resolve({ success: true });
+    
+    return confirmed.then(check => {
+        if (!check.success) return check;
+        
+        const result = updateStorage(STORAGE_KEYS.USERS, users => {
+            if (emailChanged && users.some(u => u.id !== session.id && u.email.toLowerCase() === email)) {
+                return { result: { success: false, message: 'Email already registered', errors: { email: 'Email already registered' } } };
+            }
+            
+            const account = users.find(u => u.id === session.id);
+            if (!account) return { result: { success: false, message: 'Account not found' } };
+            
+            account.name = name;
+            account.email = email;
+            account.updatedAt = new Date().toISOString();
+            
+            // A new address has to be confirmed again
+            if (emailChanged && requiresEmailVerification()) {
+                account.emailVerified = false;
+            }
+            return { data: users, result: { success: true, message: 'Profile updated', account } };
+        }, []);
+        
+        if (!result.success) return result;
+        
+        // Staff accounts keep a copy of name and email in the staff list
+        updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => {
+            const staff = staffMembers.find(s => s.id === session.id);
+            if (!staff) return {};
+            
+            staff.name = name;
+            staff.email = email;
+            return { data: staffMembers };
+        }, []);
+        
+        saveToStorage(STORAGE_KEYS.CURRENT_USER, { ...session, name, email });
+        
+        const { account, ...updated } = result;
+        if (account.emailVerified !== false) return updated;
+        return sendVerificationCode(account).then(sent => ({
+            ...updated,
+            message: sent.success ? `Profile updated. ${sent.message} to confirm it.` : updated.message
+        }));
+    }).catch(getPasswordErrorResult);
+}
+
+/**
+ * Change the current user's password
+ * Other devices are logged out; this one stays logged in.
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<object>} Result object
+ */
+function changePassword(currentPassword, newPassword) {
+    const passwordCheck = validatePassword(newPassword);
+    if (!passwordCheck.success) return Promise.resolve(passwordCheck);
+    
+    // The local server checks and hashes the password, and restarts this session
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'password-change', { password: currentPassword, newPassword }).then(result => {
+            if (result.success) {
+                const session = getFromStorage(STORAGE_KEYS.CURRENT_USER);
+                saveToStorage(STORAGE_KEYS.CURRENT_USER, { ...session, loginAt: result.loginAt, lastActiveAt: result.loginAt });
+            }
+            return result;
+        });
+    }
+    
+    return confirmCurrentPassword(currentPassword).then(check => {
+        if (!check.success) return check;
+        
+        return hashPassword(newPassword).then(passwordHash => {
+            const result = updateStorage(STORAGE_KEYS.USERS, users => {
+                const account = users.find(u => u.id === check.account.id);
+                if (!account || account.password !== check.account.password) {
+                    return { result: { success: false, message: 'Password changed in the meantime' } };
+                }
+                
+                account.password = passwordHash;
+                return { data: users, result: { success: true, message: 'Password changed' } };
+            }, []);
+            
+            if (result.success) {
+                revokeUserSessions(check.account.id);
+                
+                // This session starts again just after the revocation
+                const revokedAt = (getFromStorage(STORAGE_KEYS.SESSION_REVOCATIONS) || {})[check.account.id];
+                const session = getFromStorage(STORAGE_KEYS.CURRENT_USER);
+                const restartedAt = new Date(new Date(revokedAt).getTime() + 1).toISOString();
+                saveToStorage(STORAGE_KEYS.CURRENT_USER, { ...session, loginAt: restartedAt, lastActiveAt: restartedAt });
+            }
+            return result;
+        });
+    }).catch(getPasswordErrorResult);
+}
+
+/**
+ * Delete the current user's account
+ * Past orders stay for the reports but no longer name the customer.
+ * @param {string} password - Current password
+ * @returns {Promise<object>} Result object
+ */
+function deleteAccount(password) {
+    if (usesServerAccounts()) {
+        return callServerApi('DELETE', 'account', { password }).then(result => {
+            if (result.success) {
+                removeFromStorage(STORAGE_KEYS.CURRENT_USER);
+                removeFromStorage(STORAGE_KEYS.CART);
+            }
+            return result;
+        });
+    }
+    
+    return confirmCurrentPassword(password).then(check => {
+        if (!check.success) return check;
+        
+        const { account } = check;
+        const users = getFromStorage(STORAGE_KEYS.USERS) || [];
+        if (getRoleArea(account.role) === USER_ROLES.ADMIN &&
+            !users.some(u => u.id !== account.id && getRoleArea(u.role) === USER_ROLES.ADMIN)) {
+            return { success: false, message: 'You are the only admin. Add another admin before deleting your account.' };
+        }
+        
+        const anonymize = order => ({
+            ...order,
+            userId: null,
+            userName: 'Deleted customer',
+            userEmail: null,
+            anonymizedAt: new Date().toISOString()
+        });
+        
+        // Orders first: if this fails the account is left as it was
+        const orders = updateStorage(STORAGE_KEYS.ORDERS, allOrders => ({
+            data: allOrders.map(order => (order.userId === account.id ? anonymize(order) : order)),
+            result: { success: true }
+        }), []);
+        if (!orders.success) return orders;
+        
+        const archived = getArchivedOrders().filter(order => order.userId === account.id);
+        if (archived.length > 0) {
+            const result = addOrdersToArchive(archived.map(anonymize));
+            if (!result.success) return result;
+        }
+        
+        const result = updateStorage(STORAGE_KEYS.USERS, allUsers => ({
+            data: allUsers.filter(u => u.id !== account.id),
+            result: { success: true, message: 'Your account has been deleted' }
+        }), []);
+        if (!result.success) return result;
+        
+        updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => ({
+            data: staffMembers.filter(s => s.id !== account.id)
+        }), []);
+        [STORAGE_KEYS.PASSWORD_RESETS, STORAGE_KEYS.EMAIL_VERIFICATIONS].forEach(key => {
+            updateStorage(key, codes => {
+                if (!codes[account.id]) return {};
+                delete codes[account.id];
+                return { data: codes };
+            }, {});
+        });
+        
+        revokeUserSessions(account.id);
+        removeFromStorage(STORAGE_KEYS.CURRENT_USER);
+        removeFromStorage(STORAGE_KEYS.CART);
+        
+        return result;
+    }).catch(getPasswordErrorResult);
+}
+
+// ============================================
+// SESSION MANAGEMENT
+// ============================================
+
+// Messages for the reasons a session can end
+const SESSION_END_MESSAGES = {
+    expired: 'Your session has expired. Please login again.',
+    idle: 'You were logged out after a period of inactivity.',
+    revoked: 'Your session was ended by an administrator. Please login again.',
+    rejected: 'The canteen server no longer knows your session. Please login again.'
+};
+
+// Activity is written to the session at most this often
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+// Why the session ended while this page was open, and whether the page needs a login
+let sessionEndReason = null;
+let pageRequiresLogin = false;
+
+/**
+ * Get the session lifetimes for a role (configured per area)
+ * @param {string} role - User role
+ * @returns {object} { absoluteMinutes, idleMinutes }
+ */
+function getSessionPolicy(role) {
+    return CANTEEN_CONFIG.sessions[getRoleArea(role)] || CANTEEN_CONFIG.sessions[USER_ROLES.CUSTOMER];
+}
+
+/**
+ * Check whether a session is still valid
+ * @param {object} session - Stored session
+ * @returns {string|null} Reason it ended ('expired', 'idle', 'revoked') or null
+ */
+function getSessionEndReason(session) {
+    const policy = getSessionPolicy(session.role);
+    const now = Date.now();
+    const loginAt = new Date(session.loginAt).getTime();
+    const lastActiveAt = new Date(session.lastActiveAt || session.loginAt).getTime();
+    
+    if (!loginAt || (policy.absoluteMinutes && now - loginAt > policy.absoluteMinutes * 60000)) {
+        return 'expired';
+    }
+    if (policy.idleMinutes && now - lastActiveAt > policy.idleMinutes * 60000) {
+        return 'idle';
+    }
+    
+    const revokedAt = (getFromStorage(STORAGE_KEYS.SESSION_REVOCATIONS) || {})[session.id];
+    if (revokedAt && new Date(revokedAt).getTime() >= loginAt) {
+        return 'revoked';
+    }
+    
+    return null;
+}
+
+/**
+ * End the session on this device
+ * @param {string} reason - Why it ended
+ */
+function endSession(reason) {
+    sessionEndReason = reason;
+    removeFromStorage(STORAGE_KEYS.CURRENT_USER);
+    removeFromStorage(STORAGE_KEYS.CART);
+}
+
+/**
+ * Record user activity so the idle timeout starts again
+ */
+function touchSession() {
+    const session = getFromStorage(STORAGE_KEYS.CURRENT_USER);
+    if (!session) return;
+    
+    const lastActiveAt = new Date(session.lastActiveAt || session.loginAt).getTime();
+    if (Date.now() - lastActiveAt < SESSION_TOUCH_INTERVAL) return;
+    
+    // Don't bring an expired session back to life
+    if (getSessionEndReason(session)) return;
+    
+    saveToStorage(STORAGE_KEYS.CURRENT_USER, { ...session, lastActiveAt: new Date().toISOString() });
+}
+
+/**
+ * End all sessions of a user, on every device
+ * Sessions started before this moment are refused by getCurrentUser.
+ * With the 'http' adapter only the local server records revocations.
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Result object
+ */
+function revokeUserSessions(userId) {
+    if (usesServerAccounts()) {
+        return callServerApi('POST', 'sessions/revocations', { userId });
+    }
+    
+    return Promise.resolve(updateStorage(STORAGE_KEYS.SESSION_REVOCATIONS, revocations => {
+        revocations[userId] = new Date().toISOString();
+        return { data: revocations, result: { success: true, message: 'All sessions of this user were ended' } };
+    }, {}));
+}
+
+/**
+ * Log the user out of an open page once their session ends
+ */
+function checkSessionStillValid() {
+    if (getCurrentUser() || !sessionEndReason) return;
+    
+    showToast(SESSION_END_MESSAGES[sessionEndReason], 'warning', 5000);
+    sessionEndReason = null;
+    
+    if (pageRequiresLogin) {
+        setTimeout(() => {
+            navigateTo('../index.html');
+        }, 1500);
+    } else {
+        updateUserNav();
+    }
+}
+
+/**
+ * Watch activity and session lifetime while a page is open
+ * (e.g. a kitchen tablet left on the dashboard)
+ */
+function startSessionWatch() {
+    ['click', 'keydown', 'touchstart', 'scroll'].forEach(eventType => {
+        document.addEventListener(eventType, touchSession, { passive: true });
+    });
+    
+    setInterval(checkSessionStillValid, 30 * 1000);
+    onStorageChange(STORAGE_KEYS.SESSION_REVOCATIONS, checkSessionStillValid);
+}
+
+// ============================================
+// LOGIN FORM HANDLER
+// ============================================
+
+/**
+ * Setup login form handler
+ * Pages of roles that can use two-factor login also have a #twoFactorForm
+ * (code) for the second step; links with [data-action="back-to-login"] return.
+ * @param {string} formId - Form element ID
+ * @param {string} role - Expected user role
+ */
+function setupLoginForm(formId, role) {
+    const form = document.getElementById(formId);
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    const forgotLink = document.getElementById('forgotPasswordLink');
+    if (!form) return;
+    
+    const loggedIn = (result) => {
+        showToast(result.message, 'success');
+        setTimeout(() => {
+            if (result.twoFactorSetupRequired) {
+                navigateTo('security.html');
+            } else {
+                redirectToDashboard(role);
+            }
+        }, 1000);
+    };
+    
+    const showSecondStep = (visible) => {
+        form.classList.toggle('hidden', visible);
+        twoFactorForm.classList.toggle('hidden', !visible);
+        if (forgotLink) forgotLink.classList.toggle('hidden', visible);
+        if (visible) twoFactorForm.querySelector('[name="code"]').focus();
+    };
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const email = form.querySelector('[name="email"]').value;
+        const password = form.querySelector('[name="password"]').value;
+        const submitBtn = form.querySelector('[type="submit"]');
+        
+        // Checking the password hash takes a moment
+        if (submitBtn) submitBtn.disabled = true;
+        
+        loginUser(email, password, role).then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            
+            if (result.twoFactorRequired && twoFactorForm) {
+                form.querySelector('[name="password"]').value = '';
+                showToast(result.message, 'info');
+                showSecondStep(true);
+            } else if (result.success) {
+                loggedIn(result);
+            } else {
+                showToast(result.message, 'error');
+            }
+        });
+    });
+    
+    if (!twoFactorForm) return;
+    
+    twoFactorForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const submitBtn = twoFactorForm.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        completeTwoFactorLogin(twoFactorForm.querySelector('[name="code"]').value).then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            twoFactorForm.reset();
+            
+            if (result.success) {
+                loggedIn(result);
+                return;
+            }
+            showToast(result.message, 'error');
+            if (result.expired || result.locked) showSecondStep(false);
+        });
+    });
+    
+    twoFactorForm.querySelectorAll('[data-action="back-to-login"]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            showSecondStep(false);
+        });
+    });
+}
+
+/**
+ * Setup registration form handler
+ * @param {string} formId - Form element ID
+ * @param {string} role - User role for registration
+ */
+function setupRegisterForm(formId, role) {
+    const form = document.getElementById(formId);
+    if (!form) return;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const name = form.querySelector('[name="name"]').value;
+        const email = form.querySelector('[name="email"]').value;
+        const password = form.querySelector('[name="password"]').value;
+        const confirmPassword = form.querySelector('[name="confirmPassword"]')?.value;
+        
+        // Check password confirmation
+        if (confirmPassword && password !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+        
+        const submitBtn = form.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        registerUser({ name, email, password, role }).then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            showFieldErrors(form, result.errors);
+            
+            if (result.success) {
+                showToast(result.message, 'success', result.pending ? 5000 : 3000);
+                setTimeout(() => {
+                    // Redirect to login page
+                    switch (role) {
+                        case USER_ROLES.CUSTOMER:
+                            navigateTo('login.html');
+                            break;
+                        case USER_ROLES.STAFF:
+                            navigateTo('login.html');
+                            break;
+                        default:
+                            navigateTo('../index.html');
+                    }
+                }, 1500);
+            } else {
+                showToast(result.message, 'error');
+            }
+        });
+    });
+}
+
+/**
+ * Setup the forgot-password forms of a login page
+ * Expects #forgotPasswordLink, #resetRequestForm and #resetPasswordForm
+ * next to the login form; links with [data-action="back-to-login"] return.
+ * @param {string} loginFormId - Login form element ID
+ * @param {string} role - User role of the login page
+ */
+function setupPasswordResetForms(loginFormId, role) {
+    const loginForm = document.getElementById(loginFormId);
+    const forgotLink = document.getElementById('forgotPasswordLink');
+    const requestForm = document.getElementById('resetRequestForm');
+    const resetForm = document.getElementById('resetPasswordForm');
+    if (!loginForm || !forgotLink || !requestForm || !resetForm) return;
+    
+    const show = (visibleForm) => {
+        [loginForm, requestForm, resetForm].forEach(form => {
+            form.classList.toggle('hidden', form !== visibleForm);
+        });
+        forgotLink.classList.toggle('hidden', visibleForm !== loginForm);
+    };
+    
+    forgotLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        requestForm.querySelector('[name="email"]').value = loginForm.querySelector('[name="email"]').value;
+        show(requestForm);
+    });
+    
+    document.querySelectorAll('[data-action="back-to-login"]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            show(loginForm);
+        });
+    });
+    
+    requestForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const email = requestForm.querySelector('[name="email"]').value;
+        const submitBtn = requestForm.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        requestPasswordReset(email, role).then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            
+            if (result.success) {
+                showToast(result.message, 'success', 5000);
+                resetForm.querySelector('[name="email"]').value = email;
+                show(resetForm);
+            } else {
+                showToast(result.message, 'error');
+            }
+        });
+    });
+    
+    resetForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const email = resetForm.querySelector('[name="email"]').value;
+        const code = resetForm.querySelector('[name="code"]').value;
+        const password = resetForm.querySelector('[name="password"]').value;
+        const confirmPassword = resetForm.querySelector('[name="confirmPassword"]').value;
+        
+        if (password !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+        
+        const submitBtn = resetForm.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        resetPassword(email, code, password).then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            showFieldErrors(resetForm, result.errors);
+            
+            if (result.success) {
+                showToast(result.message, 'success');
+                resetForm.reset();
+                loginForm.querySelector('[name="email"]').value = email;
+                show(loginForm);
+            } else {
+                showToast(result.message, 'error');
+            }
+        });
+    });
+}
+
+/**
+ * Setup the forms of the profile page
+ * Expects #profileForm (name, email, currentPassword), #passwordForm
+ * (currentPassword, password, confirmPassword) and #deleteAccountForm
+ * (currentPassword, confirmDelete).
+ */
+function setupProfileForms() {
+    const session = getCurrentUser();
+    const profileForm = document.getElementById('profileForm');
+    const passwordForm = document.getElementById('passwordForm');
+    const deleteForm = document.getElementById('deleteAccountForm');
+    const verifyForm = document.getElementById('verifyEmailForm');
+    if (!session) return;
+    
+    // Run an account change with the submit button disabled
+    const submitWith = (form, action) => {
+        const submitBtn = form.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        return action().then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            showFieldErrors(form, result.errors);
+            showToast(result.message, result.success ? 'success' : 'error');
+            return result;
+        });
+    };
+    
+    const showVerifyForm = () => {
+        if (verifyForm) verifyForm.classList.toggle('hidden', isEmailVerified(getCurrentUser()));
+    };
+    
+    if (verifyForm) {
+        showVerifyForm();
+        
+        verifyForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            submitWith(verifyForm, () => verifyEmail(
+                verifyForm.querySelector('[name="code"]').value
+            )).then(result => {
+                if (!result.success) return;
+                verifyForm.reset();
+                showVerifyForm();
+            });
+        });
+        
+        verifyForm.querySelector('.resend-code-btn').addEventListener('click', () => {
+            requestEmailVerification().then(result => {
+                showToast(result.message, result.success ? 'success' : 'error');
+            });
+        });
+    }
+    
+    if (profileForm) {
+        const emailInput = profileForm.querySelector('[name="email"]');
+        const passwordGroup = profileForm.querySelector('[name="currentPassword"]').closest('.form-group');
+        
+        profileForm.querySelector('[name="name"]').value = session.name;
+        emailInput.value = session.email;
+        
+        // The password is only asked for when the email changes
+        emailInput.addEventListener('input', () => {
+            passwordGroup.classList.toggle('hidden', emailInput.value.toLowerCase().trim() === getCurrentUser().email);
+        });
+        
+        profileForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            submitWith(profileForm, () => updateProfile({
+                name: profileForm.querySelector('[name="name"]').value,
+                email: emailInput.value,
+                currentPassword: profileForm.querySelector('[name="currentPassword"]').value
+            })).then(result => {
+                if (!result.success) return;
+                profileForm.querySelector('[name="currentPassword"]').value = '';
+                passwordGroup.classList.add('hidden');
+                document.querySelectorAll('.user-name').forEach(el => { el.textContent = getCurrentUser().name; });
+                showVerifyForm();
+            });
+        });
+    }
+    
+    if (passwordForm) {
+        passwordForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const password = passwordForm.querySelector('[name="password"]').value;
+            if (password !== passwordForm.querySelector('[name="confirmPassword"]').value) {
+                showToast('Passwords do not match', 'error');
+                return;
+            }
+            
+            submitWith(passwordForm, () => changePassword(
+                passwordForm.querySelector('[name="currentPassword"]').value,
+                password
+            )).then(result => {
+                if (result.success) passwordForm.reset();
+            });
+        });
+    }
+    
+    if (deleteForm) {
+        deleteForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            if (!deleteForm.querySelector('[name="confirmDelete"]').checked) {
+                showToast('Please tick the box to confirm', 'warning');
+                return;
+            }
+            if (!confirm('Delete your account? This cannot be undone.')) return;
+            
+            submitWith(deleteForm, () => deleteAccount(
+                deleteForm.querySelector('[name="currentPassword"]').value
+            )).then(result => {
+                if (result.success) {
+                    setTimeout(() => navigateTo('../index.html'), 1500);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Render and handle the two-factor settings of the security page
+ * Needs js/totp.js, and js/qrcode.js for the QR code.
+ * @param {string} containerId - Container element ID
+ */
+function setupTwoFactorSettings(containerId) {
+    const container = document.getElementById(containerId);
+    const session = getCurrentUser();
+    if (!container || !session) return;
+    
+    const buttonClass = `btn btn-${getRoleArea(session.role)}-primary`;
+    
+    const renderRecoveryCodes = (codes) => `
+        <div class="alert alert-warning mt-md">
+            Save these recovery codes somewhere safe. Each one lets you login once
+            without your phone, and they are only shown now.
+        </div>
+        <ul class="mt-md" style="columns: 2; font-family: monospace; font-size: 1.1rem; list-style: none; padding: 0;">
+            ${codes.map(code => `<li>${code}</li>`).join('')}
+        </ul>
+        <button type="button" class="${buttonClass} mt-md" data-action="codes-saved">I have saved them</button>
+    `;
+    
+    const render = () => {
+        const account = (getFromStorage(STORAGE_KEYS.USERS) || []).find(u => u.id === session.id);
+        if (!account) return;
+        
+        if (account.twoFactor) {
+            container.innerHTML = `
+                <div class="card">
+                    <h3>✅ Two-factor login is on</h3>
+                    <p class="mt-sm" style="color: var(--gray-dark);">
+                        Since ${formatDate(account.twoFactor.enabledAt)}.
+                        ${account.twoFactor.recoveryCodes.length} recovery codes left.
+                    </p>
+                </div>
+                
+                <form class="card mt-lg" data-form="recovery-codes">
+                    <h3>🔑 New Recovery Codes</h3>
+                    <p class="mt-sm" style="color: var(--gray-dark); font-size: 0.875rem;">Your old recovery codes stop working.</p>
+                    <div class="form-group mt-md">
+                        <label class="form-label">Current Password</label>
+                        <input type="password" name="password" class="form-input" required>
+                    </div>
+                    <button type="submit" class="${buttonClass}">Make New Codes</button>
+                    <div data-codes></div>
+                </form>
+                
+                ${isTwoFactorRequired(account) ? `
+                    <p class="mt-lg" style="color: var(--gray-dark); font-size: 0.875rem;">
+                        Your role requires two-factor login, so it can't be turned off.
+                    </p>
+                ` : `
+                    <form class="card mt-lg" data-form="disable" style="border-left: 4px solid var(--danger);">
+                        <h3>Turn Off Two-Factor Login</h3>
+                        <div class="form-group mt-md">
+                            <label class="form-label">Current Password</label>
+                            <input type="password" name="password" class="form-input" required>
+                        </div>
+                        <button type="submit" class="btn btn-danger">Turn Off</button>
+                    </form>
+                `}
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="card">
+                <h3>📱 Two-Factor Login</h3>
+                <p class="mt-sm" style="color: var(--gray-dark);">
+                    After your password, login also asks for a code from an authenticator
+                    app on your phone (Google Authenticator, Microsoft Authenticator, ...).
+                </p>
+                ${isTwoFactorRequired(account) ? `
+                    <div class="alert alert-warning mt-md">Your role requires two-factor login. Set it up to continue.</div>
+                ` : ''}
+                <button type="button" class="${buttonClass} mt-md" data-action="begin-setup">Set Up Two-Factor Login</button>
+            </div>
+        `;
+    };
+    
+    const renderSetup = (setup) => {
+        const secretGroups = setup.secret.match(/.{1,4}/g).join(' ');
+        
+        container.innerHTML = `
+            <form class="card" data-form="confirm-setup">
+                <h3>📱 Scan with Your Authenticator App</h3>
+                <div class="text-center mt-md">
+                    ${typeof renderQrCodeSvg === 'function' ? renderQrCodeSvg(setup.uri, 200) : ''}
+                </div>
+                <p class="mt-md" style="color: var(--gray-dark); font-size: 0.875rem;">
+                    Can't scan it? Add an account by hand with this key (time based):
+                </p>
+                <p style="font-family: monospace; font-size: 1.1rem; word-break: break-all;">${secretGroups}</p>
+                <div class="form-group mt-md">
+                    <label class="form-label">Code from the App</label>
+                    <input type="text" name="code" class="form-input" inputmode="numeric" autocomplete="one-time-code"
+                        placeholder="6-digit code" required>
+                </div>
+                <button type="submit" class="${buttonClass}">Turn On</button>
+                <div data-codes></div>
+            </form>
+        `;
+    };
+    
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="begin-setup"]')) {
+            const result = beginTwoFactorSetup();
+            if (result.success) {
+                renderSetup(result);
+            } else {
+                showToast(result.message, 'error');
+            }
+        } else if (e.target.closest('[data-action="codes-saved"]')) {
+            // A login that had to set this up goes on to the dashboard
+            if (session.twoFactorSetupRequired) {
+                redirectToDashboard(session.role);
+                return;
+            }
+            render();
+        }
+    });
+    
+    container.addEventListener('submit', (e) => {
+        const form = e.target.closest('[data-form]');
+        if (!form) return;
+        e.preventDefault();
+        
+        const submitBtn = form.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        const actions = {
+            'confirm-setup': () => confirmTwoFactorSetup(form.querySelector('[name="code"]').value),
+            'recovery-codes': () => regenerateRecoveryCodes(form.querySelector('[name="password"]').value),
+            'disable': () => disableTwoFactor(form.querySelector('[name="password"]').value)
+        };
+        
+        actions[form.dataset.form]().then(result => {
+            if (submitBtn) submitBtn.disabled = false;
+            showToast(result.message, result.success ? 'success' : 'error');
+            if (!result.success) return;
+            
+            if (result.recoveryCodes) {
+                // Show the codes in place of the form fields
+                form.querySelectorAll('.form-group, [type="submit"]').forEach(el => el.classList.add('hidden'));
+                form.querySelector('[data-codes]').innerHTML = renderRecoveryCodes(result.recoveryCodes);
+            } else {
+                render();
+            }
+        });
+    });
+    
+    render();
+}
+
+/**
+ * Setup logout button handler
+ */
+function setupLogoutButton() {
+    const logoutBtns = document.querySelectorAll('.logout-btn, [data-action="logout"]');
+    
+    logoutBtns.forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (confirm('Are you sure you want to logout?')) {
+                logoutUser();
+            }
+        });
+    });
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+// Auto-setup logout buttons when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     setupLogoutButton();
 });
+
+// Expire sessions while the page stays open
+onAppReady(startSessionWatch);
+
+// Hide links and buttons the user's role may not use
+onAppReady(applyPermissionVisibility);
@@ -3,10 +3,11 @@
  * 
  * This file handles shopping cart functionality:
  * - Adding items to cart
+ * - Adding combos with the items picked for their slots
  * - Removing items from cart
  * - Updating quantities
  * - Cart total calculation
- * - Cart persistence in localStorage
+ * - Cart persistence in storage
  */
 
 // ============================================
@@ -30,38 +31,76 @@ function saveCart(cart) {
     updateCartBadge();
 }
 
+/**
+ * Get the key of a cart line
+ * The same item with different options, or the same combo with different
+ * choices, makes separate lines.
+ * @param {object} line - Cart line
+ * @returns {string} Line key (the item ID for lines without options)
+ */
+function getCartLineKey(line) {
+    return line.key || line.id;
+}
+
+/**
+ * Build the key of the cart line for an item with options
+ * @param {string} itemId - Menu item ID
+ * @param {Array} optionIds - Chosen option IDs
+ * @returns {string} Line key
+ */
+function buildCartLineKey(itemId, optionIds = []) {
+    return optionIds.length ? [itemId, ...[...optionIds].sort()].join('|') : itemId;
+}
+
 /**
  * Add item to cart
  * @param {string} itemId - Menu item ID
  * @param {number} quantity - Quantity to add (default: 1)
+ * @param {Array} optionIds - IDs of the chosen options (see resolveItemOptions)
  * @returns {object} Result object
  */
-function addToCart(itemId, quantity = 1) {
+function addToCart(itemId, quantity = 1, optionIds = []) {
     const menuItem = getMenuItem(itemId);
     
     if (!menuItem) {
         return { success: false, message: 'Item not found' };
     }
     
-    if (!menuItem.available) {
-        return { success: false, message: 'Item is not available' };
+    if (!isItemAvailable(menuItem)) {
+        const availableFrom = getItemAvailableFrom(menuItem);
+        return {
+            success: false,
+            message: isItemSoldOut(menuItem) ? `${menuItem.name} is sold out`
+                : availableFrom ? `${menuItem.name} is available ${formatAvailableFrom(availableFrom)}` : 'Item is not available'
+        };
     }
     
+    const choice = resolveItemOptions(menuItem, optionIds);
+    if (!choice.success) return choice;
+    
+    const { options, price } = choice.value;
+    const key = buildCartLineKey(itemId, options.map(option => option.id));
     const cart = getCart();
-    const existingItem = cart.find(item => item.id === itemId);
+    const existingItem = cart.find(item => getCartLineKey(item) === key);
     
     if (existingItem) {
         existingItem.quantity += quantity;
     } else {
         cart.push({
+            key: key,
             id: menuItem.id,
             name: menuItem.name,
-            price: menuItem.price,
+            price: price,
             image: menuItem.image,
-            quantity: quantity
+            quantity: quantity,
+            options: options
         });
     }
     
+    // Portions already in the cart count too, combos included
+    const stock = checkStock(countStockNeeded(cart), getMenuItems());
+    if (!stock.success) return stock;
+    
     saveCart(cart);
     
     return { 
@@ -71,14 +110,64 @@ function addToCart(itemId, quantity = 1) {
     };
 }
 
+/**
+ * Add combo to cart
+ * The combo is one line; its components say what was picked for each slot.
+ * @param {string} comboId - Combo ID
+ * @param {number} quantity - Quantity to add (default: 1)
+ * @param {Array} itemIds - Menu item picked for each slot (see resolveComboChoices)
+ * @returns {object} Result object
+ */
+function addComboToCart(comboId, quantity = 1, itemIds = []) {
+    const combo = getCombo(comboId);
+    
+    if (!combo) {
+        return { success: false, message: 'Combo not found' };
+    }
+    
+    const choice = resolveComboChoices(combo, itemIds, getMenuItems(true));
+    if (!choice.success) return choice;
+    
+    const { components, price } = choice.value;
+    const key = ['combo', combo.id, ...components.map(component => component.id)].join('|');
+    const cart = getCart();
+    const existingItem = cart.find(item => getCartLineKey(item) === key);
+    
+    if (existingItem) {
+        existingItem.quantity += quantity;
+    } else {
+        cart.push({
+            key: key,
+            id: combo.id,
+            combo: true,
+            name: combo.name,
+            price: price,
+            image: combo.image,
+            quantity: quantity,
+            components: components
+        });
+    }
+    
+    const stock = checkStock(countStockNeeded(cart), getMenuItems());
+    if (!stock.success) return stock;
+    
+    saveCart(cart);
+    
+    return { 
+        success: true, 
+        message: `${combo.name} added to cart!`,
+        cartCount: getCartItemCount()
+    };
+}
+
 /**
  * Remove item from cart
- * @param {string} itemId - Item ID to remove
+ * @param {string} lineKey - Cart line key (see getCartLineKey)
  * @returns {object} Result object
  */
-function removeFromCart(itemId) {
+function removeFromCart(lineKey) {
     const cart = getCart();
-    const filteredCart = cart.filter(item => item.id !== itemId);
+    const filteredCart = cart.filter(item => getCartLineKey(item) !== lineKey);
     
     if (filteredCart.length === cart.length) {
         return { success: false, message: 'Item not in cart' };
@@ -91,23 +180,27 @@ function removeFromCart(itemId) {
 
 /**
  * Update item quantity in cart
- * @param {string} itemId - Item ID
+ * @param {string} lineKey - Cart line key (see getCartLineKey)
  * @param {number} quantity - New quantity
  * @returns {object} Result object
  */
-function updateCartQuantity(itemId, quantity) {
+function updateCartQuantity(lineKey, quantity) {
     if (quantity < 1) {
-        return removeFromCart(itemId);
+        return removeFromCart(lineKey);
     }
     
     const cart = getCart();
-    const item = cart.find(i => i.id === itemId);
+    const item = cart.find(i => getCartLineKey(i) === lineKey);
     
     if (!item) {
         return { success: false, message: 'Item not in cart' };
     }
     
     item.quantity = quantity;
+    
+    const stock = checkStock(countStockNeeded(cart), getMenuItems());
+    if (!stock.success) return stock;
+    
     saveCart(cart);
     
     return { success: true, message: 'Cart updated' };
@@ -115,32 +208,31 @@ function updateCartQuantity(itemId, quantity) {
 
 /**
  * Increase item quantity by 1
- * @param {string} itemId - Item ID
+ * @param {string} lineKey - Cart line key (see getCartLineKey)
+ * @returns {object|undefined} Result object when the line exists
  */
-function increaseQuantity(itemId) {
-    const cart = getCart();
-    const item = cart.find(i => i.id === itemId);
+function increaseQuantity(lineKey) {
+    const item = getCart().find(i => getCartLineKey(i) === lineKey);
     
     if (item) {
-        item.quantity++;
-        saveCart(cart);
+        return updateCartQuantity(lineKey, item.quantity + 1);
     }
 }
 
 /**
  * Decrease item quantity by 1
- * @param {string} itemId - Item ID
+ * @param {string} lineKey - Cart line key (see getCartLineKey)
  */
-function decreaseQuantity(itemId) {
+function decreaseQuantity(lineKey) {
     const cart = getCart();
-    const item = cart.find(i => i.id === itemId);
+    const item = cart.find(i => getCartLineKey(i) === lineKey);
     
     if (item) {
         if (item.quantity > 1) {
             item.quantity--;
             saveCart(cart);
         } else {
-            removeFromCart(itemId);
+            removeFromCart(lineKey);
         }
     }
 }
@@ -217,23 +309,26 @@ function renderCartItems(containerId) {
     let html = '';
     
     cart.forEach(item => {
+        const lineKey = getCartLineKey(item);
+        const details = formatLineOptions(item);
         html += `
-            <div class="cart-item" data-item-id="${item.id}">
+            <div class="cart-item" data-item-id="${item.id}" data-line-key="${lineKey}">
                 <img src="${item.image}" alt="${item.name}" class="cart-item-image"
                      onerror="this.src='https://via.placeholder.com/80x80?text=No+Image'">
                 <div class="cart-item-info">
                     <h4 class="cart-item-name">${item.name}</h4>
+                    ${details ? `<p class="cart-item-options">${details}</p>` : ''}
                     <p class="cart-item-price">${formatCurrency(item.price)} each</p>
                 </div>
                 <div class="cart-quantity">
-                    <button class="quantity-btn decrease-qty" data-item-id="${item.id}">−</button>
+                    <button class="quantity-btn decrease-qty" data-line-key="${lineKey}">−</button>
                     <span class="quantity-value">${item.quantity}</span>
-                    <button class="quantity-btn increase-qty" data-item-id="${item.id}">+</button>
+                    <button class="quantity-btn increase-qty" data-line-key="${lineKey}">+</button>
                 </div>
                 <div class="cart-item-total">
                     <strong>${formatCurrency(item.price * item.quantity)}</strong>
                 </div>
-                <button class="cart-item-remove" data-item-id="${item.id}" title="Remove item">
+                <button class="cart-item-remove" data-line-key="${lineKey}" title="Remove item">
                     🗑️
                 </button>
             </div>
@@ -259,6 +354,8 @@ function renderCartSummary(containerId) {
         return;
     }
     
+    const guestCheckout = !getCurrentUser() && CANTEEN_CONFIG.guestCheckout.enabled;
+    
     container.innerHTML = `
         <div class="cart-summary">
             <h3>Order Summary</h3>
@@ -282,8 +379,23 @@ function renderCartSummary(containerId) {
                 <span>Total</span>
                 <span>${formatCurrency(totals.total)}</span>
             </div>
+            ${guestCheckout ? `
+                <form id="guestCheckoutForm" class="mt-md" novalidate>
+                    <p style="color: var(--gray-dark); font-size: 0.875rem;">
+                        Order as a guest, or <a href="login.html">login</a> to keep your order history.
+                    </p>
+                    <div class="form-group mt-sm">
+                        <label class="form-label">Your Name</label>
+                        <input type="text" name="name" class="form-input" autocomplete="name" required>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Phone Number</label>
+                        <input type="tel" name="phone" class="form-input" autocomplete="tel" required>
+                    </div>
+                </form>
+            ` : ''}
             <button class="btn btn-customer-primary btn-block btn-lg mt-md" id="placeOrderBtn">
-                🍽️ Place Order
+                🍽️ ${guestCheckout ? 'Place Order as Guest' : 'Place Order'}
             </button>
             <a href="menu.html" class="btn btn-customer-outline btn-block mt-sm">
                 Continue Shopping
@@ -310,8 +422,8 @@ function setupCartHandlers(containerId) {
         // Increase quantity
         const increaseBtn = e.target.closest('.increase-qty');
         if (increaseBtn) {
-            const itemId = increaseBtn.dataset.itemId;
-            increaseQuantity(itemId);
+            const result = increaseQuantity(increaseBtn.dataset.lineKey);
+            if (result && !result.success) showToast(result.message, 'error');
             renderCartItems(containerId);
             renderCartSummary('cartSummary');
             return;
@@ -320,8 +432,7 @@ function setupCartHandlers(containerId) {
         // Decrease quantity
         const decreaseBtn = e.target.closest('.decrease-qty');
         if (decreaseBtn) {
-            const itemId = decreaseBtn.dataset.itemId;
-            decreaseQuantity(itemId);
+            decreaseQuantity(decreaseBtn.dataset.lineKey);
             renderCartItems(containerId);
             renderCartSummary('cartSummary');
             return;
@@ -330,8 +441,7 @@ function setupCartHandlers(containerId) {
         // Remove item
         const removeBtn = e.target.closest('.cart-item-remove');
         if (removeBtn) {
-            const itemId = removeBtn.dataset.itemId;
-            removeFromCart(itemId);
+            removeFromCart(removeBtn.dataset.lineKey);
             renderCartItems(containerId);
             renderCartSummary('cartSummary');
             showToast('Item removed from cart', 'info');
@@ -357,7 +467,7 @@ function setupAddToCartButtons() {
             e.preventDefault();
             const itemId = btn.dataset.itemId;
             const quantity = window.quantitySelections?.[itemId] || 1;
-            const result = addToCart(itemId, quantity);
+            const result = addToCart(itemId, quantity, getSelectedOptionIds(btn.closest('.food-card')));
             
             if (result.success) {
                 showToast(result.message, 'success');
@@ -378,6 +488,33 @@ function setupAddToCartButtons() {
         });
     });
     
+    // Combo cards (the quantity selector is keyed by the combo ID)
+    document.querySelectorAll('.add-combo-btn').forEach(btn => {
+        btn.replaceWith(btn.cloneNode(true));
+    });
+    
+    document.querySelectorAll('.add-combo-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const comboId = btn.dataset.comboId;
+            const quantity = window.quantitySelections?.[comboId] || 1;
+            const result = addComboToCart(comboId, quantity, getSelectedComboChoices(btn.closest('.combo-card')));
+            
+            if (result.success) {
+                showToast(result.message, 'success');
+                btn.textContent = '✓ Added!';
+                btn.disabled = true;
+                setTimeout(() => {
+                    btn.textContent = '🛒 Add to Cart';
+                    btn.disabled = false;
+                }, 1500);
+                window.resetQuantitySelector?.(comboId);
+            } else {
+                showToast(result.message, 'error');
+            }
+        });
+    });
+    
     // Setup quantity buttons
     setupQuantitySelectors();
 }
@@ -480,8 +617,9 @@ function handlePlaceOrder() {
     }
     
     const currentUser = getCurrentUser();
+    const guestForm = document.getElementById('guestCheckoutForm');
     
-    if (!currentUser || currentUser.role !== USER_ROLES.CUSTOMER) {
+    if (currentUser ? !hasPermission(PERMISSIONS.ORDER_PLACE, currentUser) : !guestForm) {
         showToast('Please login as a customer to place an order', 'warning');
         setTimeout(() => {
             navigateTo('login.html');
@@ -489,17 +627,29 @@ function handlePlaceOrder() {
         return;
     }
     
-    // Create order
-    const result = createOrder();
+    // Create order (as a guest when nobody is logged in)
+    const placed = currentUser ? createOrder() : createOrder({
+        name: guestForm.querySelector('[name="name"]').value,
+        phone: guestForm.querySelector('[name="phone"]').value
+    });
     
-    if (result.success) {
-        showToast('Order placed successfully!', 'success');
-        setTimeout(() => {
-            navigateTo(`order-status.html?token=${result.order.token}`);
-        }, 1000);
-    } else {
-        showToast(result.message, 'error');
-    }
+    placed.then(result => {
+        if (guestForm) showFieldErrors(guestForm, result.errors);
+        
+        if (result.success) {
+            showToast('Order placed successfully!', 'success');
+            setTimeout(() => {
+                navigateTo(result.trackingUrl || `order-status.html?token=${result.order.token}`);
+            }, 1000);
+        } else if (result.needsVerification) {
+            showToast(result.message, 'warning');
+            setTimeout(() => {
+                navigateTo('profile.html');
+            }, 1500);
+        } else {
+            showToast(result.message, 'error');
+        }
+    });
 }
 
 // ============================================
@@ -0,0 +1,128 @@
+/**
+ * Smart Digital Canteen System - Configuration
+ *
+ * This file holds the deployment settings of the canteen.
+ * Change the values here (or override them per browser through the
+ * `canteen_config` localStorage key) instead of editing the modules.
+ */
+
+// ============================================
+// DEFAULT SETTINGS
+// ============================================
+
+const CANTEEN_CONFIG = {
+    storage: {
+        // Storage adapter: 'local', 'indexeddb' or 'http'
+        adapter: 'local',
+        // Base URL of the REST backend (used by the 'http' adapter)
+        apiBaseUrl: '/api',
+        // Database name (used by the 'indexeddb' adapter)
+        databaseName: 'canteen'
+    },
+    tokens: {
+        prefix: 'TKN',
+        // Placeholders: {prefix}, {date} (YYYYMMDD), {outlet}, {seq}
+        format: '{prefix}-{date}-{seq}',
+        sequenceDigits: 4,
+        // Local time (HH:MM) at which the daily sequence starts again
+        resetTime: '00:00',
+        // Outlet this installation takes orders for; each outlet has its own counter
+        outletId: 'main'
+    },
+    archive: {
+        // Completed and cancelled orders older than this move to the order archive
+        afterDays: 30
+    },
+    quota: {
+        // Space the canteen data may use, in bytes (browsers give localStorage about 5 MB)
+        limitBytes: 5 * 1024 * 1024,
+        // Admins are warned once usage passes this percentage
+        warnAtPercent: 80
+    },
+    sessions: {
+        // Per role: absolute lifetime after login and idle timeout, in minutes (0 = no limit)
+        customer: { absoluteMinutes: 7 * 24 * 60, idleMinutes: 24 * 60 },
+        staff: { absoluteMinutes: 12 * 60, idleMinutes: 60 },
+        admin: { absoluteMinutes: 8 * 60, idleMinutes: 15 }
+    },
+    registration: {
+        // Email domains people may sign up with, subdomains included (empty: any domain)
+        allowedDomains: ['sab.ac.lk'],
+        // New accounts confirm their email with a code before they can order; stays off
+        // while mail only goes to the 'outbox' transport, which delivers nothing
+        verifyEmail: true,
+        codeMinutes: 30,
+        maxAttempts: 5
+    },
+    guestCheckout: {
+        // Order with a name and phone number instead of an account; the order
+        // is then tracked with a secret link or PIN
+        enabled: true
+    },
+    lockout: {
+        // Failed logins within windowMinutes before an account, or a device, is locked for lockMinutes
+        maxFailures: 5,
+        deviceMaxFailures: 20,
+        windowMinutes: 15,
+        lockMinutes: 15,
+        // Wait before checking a password after a failure; doubles with each failure
+        baseDelayMs: 500,
+        maxDelayMs: 8000
+    },
+    twoFactor: {
+        // Name authenticator apps show next to the account
+        issuer: 'SUSL Canteen',
+        // Codes one 30-second step early or late are accepted (phone clocks drift)
+        driftSteps: 1,
+        recoveryCodes: 10,
+        // Time to enter the code after the password
+        challengeMinutes: 5
+    },
+    passwordReset: {
+        // How long an emailed reset code stays valid, and how many wrong tries it survives
+        codeMinutes: 15,
+        maxAttempts: 5
+    },
+    mail: {
+        // Mail transport: 'outbox' (kept in this browser, for development; no password
+        // reset codes) or 'http' (the local server's outbox folder)
+        transport: 'outbox',
+        from: 'no-reply@canteen.local',
+        // Messages kept by the 'outbox' transport
+        outboxSize: 50
+    }
+};
+
+// ============================================
+// PER-BROWSER OVERRIDES
+// ============================================
+
+/**
+ * Merge overrides saved under the `canteen_config` localStorage key.
+ * Lets a single device (e.g. the kitchen tablet) point at a shared
+ * backend without changing the deployed files.
+ * Example: localStorage.setItem('canteen_config', '{"storage":{"adapter":"http"}}')
+ */
+function applyConfigOverrides() {
+    if (typeof localStorage === 'undefined') return;
+    
+    try {
+        const overrides = JSON.parse(localStorage.getItem('canteen_config') || '{}');
+        Object.entries(overrides).forEach(([section, values]) => {
+            if (values && typeof values === 'object' && !Array.isArray(values)) {
+                CANTEEN_CONFIG[section] = { ...(CANTEEN_CONFIG[section] || {}), ...values };
+            } else {
+                CANTEEN_CONFIG[section] = values;
+            }
+        });
+    } catch (error) {
+        console.error('Error reading configuration overrides:', error);
+    }
+}
+
+applyConfigOverrides();
+
+// Export for the local server (server/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CANTEEN_CONFIG };
+}
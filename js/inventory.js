@@ -0,0 +1,369 @@
+/**
+ * Smart Digital Canteen System - Ingredient Inventory
+ *
+ * This file handles the kitchen's ingredients:
+ * - Ingredient inventory (STORAGE_KEYS.INGREDIENTS) with units and low stock levels
+ * - Recipes: the ingredients one portion of a menu item uses
+ * - Using up ingredients when orders are completed
+ * - Low stock alerts for the staff and admin dashboards
+ *
+ * Recipes are stored on the menu items (recipe: [{ ingredientId, amount }]),
+ * amounts in the ingredient's unit. An item whose ingredients have run out
+ * can't be ordered (see isItemAvailable in js/menu.js).
+ */
+
+// ============================================
+// INGREDIENTS
+// ============================================
+
+/**
+ * Get the ingredient inventory
+ * @returns {Array} Ingredients
+ */
+function getIngredients() {
+    return getFromStorage(STORAGE_KEYS.INGREDIENTS) || [];
+}
+
+/**
+ * Get ingredient by ID
+ * @param {string} ingredientId - Ingredient ID
+ * @returns {object|null} Ingredient or null
+ */
+function getIngredient(ingredientId) {
+    return getIngredients().find(ingredient => ingredient.id === ingredientId) || null;
+}
+
+/**
+ * Describe an amount of an ingredient
+ * @param {number} amount - Amount
+ * @param {string} unit - Unit
+ * @returns {string} e.g. "0.25 kg"
+ */
+function formatAmount(amount, unit) {
+    return `${roundAmount(amount)} ${unit}`;
+}
+
+/**
+ * Add an ingredient
+ * @param {object} ingredientData - { name, unit, quantity, lowStockAt }
+ * @returns {object} Result object
+ */
+function addIngredient(ingredientData) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
+
+    const check = validateRecord('ingredient', ingredientData);
+    if (!check.success) return check;
+
+    const newIngredient = {
+        id: generateId(),
+        ...check.value,
+        createdAt: new Date().toISOString()
+    };
+
+    return updateStorage(STORAGE_KEYS.INGREDIENTS, ingredients => {
+        if (ingredients.some(ingredient => ingredient.name.toLowerCase() === newIngredient.name.toLowerCase())) {
+            const message = `There is already an ingredient called ${newIngredient.name}`;
+            return { result: { success: false, message, errors: { name: message } } };
+        }
+
+        ingredients.push(newIngredient);
+        return { data: ingredients, result: { success: true, message: 'Ingredient added successfully!', ingredient: newIngredient } };
+    }, []);
+}
+
+/**
+ * Update an ingredient, e.g. to restock it
+ * @param {string} ingredientId - Ingredient ID
+ * @param {object} updateData - Fields to change
+ * @returns {object} Result object
+ */
+function updateIngredient(ingredientId, updateData) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
+
+    const check = validateRecord('ingredient', updateData, { partial: true });
+    if (!check.success) return check;
+
+    return updateStorage(STORAGE_KEYS.INGREDIENTS, ingredients => {
+        const index = ingredients.findIndex(ingredient => ingredient.id === ingredientId);
+
+        if (index === -1) {
+            return { result: { success: false, message: 'Ingredient not found' } };
+        }
+
+        const name = (check.value.name || ingredients[index].name).toLowerCase();
+        if (ingredients.some(ingredient => ingredient.id !== ingredientId && ingredient.name.toLowerCase() === name)) {
+            const message = `There is already an ingredient called ${check.value.name}`;
+            return { result: { success: false, message, errors: { name: message } } };
+        }
+
+        ingredients[index] = {
+            ...ingredients[index],
+            ...check.value,
+            updatedAt: new Date().toISOString()
+        };
+
+        return { data: ingredients, result: { success: true, message: 'Ingredient updated successfully!', ingredient: ingredients[index] } };
+    }, []);
+}
+
+/**
+ * Delete an ingredient
+ * Ingredients still in a recipe can't be deleted.
+ * @param {string} ingredientId - Ingredient ID
+ * @returns {object} Result object
+ */
+function deleteIngredient(ingredientId) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
+
+    const usedBy = (getFromStorage(STORAGE_KEYS.MENU_ITEMS) || [])
+        .filter(item => (item.recipe || []).some(line => line.ingredientId === ingredientId))
+        .map(item => item.name);
+    if (usedBy.length > 0) {
+        return { success: false, message: `Remove it from the recipe of ${usedBy.join(', ')} first` };
+    }
+
+    return updateStorage(STORAGE_KEYS.INGREDIENTS, ingredients => {
+        const filteredIngredients = ingredients.filter(ingredient => ingredient.id !== ingredientId);
+
+        if (filteredIngredients.length === ingredients.length) {
+            return { result: { success: false, message: 'Ingredient not found' } };
+        }
+
+        return { data: filteredIngredients, result: { success: true, message: 'Ingredient deleted successfully!' } };
+    }, []);
+}
+
+// ============================================
+// RECIPES
+// ============================================
+
+/**
+ * Parse the recipe staff type into a menu item form
+ * One ingredient per line, with the amount one portion uses, e.g.
+ *   Basmati rice: 0.2 kg
+ *   Chicken: 150 g
+ * The unit may be left out; when given it must be the ingredient's.
+ * @param {string} text - Form text
+ * @returns {object} Result object; value is the recipe ([] for empty text)
+ */
+function parseRecipe(text) {
+    const recipe = [];
+    const ingredients = getIngredients();
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const fail = message => ({ success: false, message, errors: { recipe: message } });
+
+    for (const [index, line] of lines.entries()) {
+        const match = line.match(/^([^:]+?)\s*:\s*([\d.]+)\s*(\S*)$/);
+        if (!match) return fail(`Recipe line ${index + 1} should look like "Ingredient: amount unit"`);
+
+        const [, name, amountText, unit] = match;
+        const ingredient = ingredients.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+        if (!ingredient) return fail(`Recipe line ${index + 1}: there is no ingredient called "${name}"`);
+        if (recipe.some(entry => entry.ingredientId === ingredient.id)) {
+            return fail(`Recipe line ${index + 1}: ${ingredient.name} is listed twice`);
+        }
+        if (unit && unit.toLowerCase() !== ingredient.unit.toLowerCase()) {
+            return fail(`Recipe line ${index + 1}: ${ingredient.name} is counted in ${ingredient.unit}`);
+        }
+
+        const amount = Number(amountText);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return fail(`Recipe line ${index + 1}: the amount of ${ingredient.name} must be more than 0`);
+        }
+        recipe.push({ ingredientId: ingredient.id, amount });
+    }
+
+    return { success: true, value: recipe };
+}
+
+/**
+ * Turn a recipe back into the text parseRecipe reads
+ * @param {Array} recipe - Recipe lines
+ * @returns {string}
+ */
+function formatRecipe(recipe = []) {
+    const ingredients = getIngredients();
+    return recipe
+        .map(line => {
+            const ingredient = ingredients.find(entry => entry.id === line.ingredientId);
+            return ingredient ? `${ingredient.name}: ${formatAmount(line.amount, ingredient.unit)}` : null;
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+// ============================================
+// CONSUMPTION
+// ============================================
+
+/**
+ * Work out the ingredients an order uses
+ * Combo lines use the recipes of their components.
+ * @param {object} order - Order
+ * @returns {object} Amounts by ingredient ID
+ */
+function getOrderIngredients(order) {
+    return countIngredientsNeeded(countStockNeeded(order.items), getFromStorage(STORAGE_KEYS.MENU_ITEMS) || []);
+}
+
+/**
+ * Take amounts from the ingredient inventory
+ * @param {object} amounts - Amounts by ingredient ID
+ * @returns {Promise<object>} Result object; used holds the amounts taken
+ */
+function useIngredients(amounts) {
+    return commitStorageUpdate(STORAGE_KEYS.INGREDIENTS, ingredients => {
+        const { ingredients: updated, used } = consumeIngredients(ingredients, amounts);
+        return { data: updated, result: { success: true, used } };
+    }, []);
+}
+
+// ============================================
+// LOW STOCK ALERTS
+// ============================================
+
+/**
+ * Get the ingredients at or below their low stock level
+ * @returns {Array} Ingredients, emptiest first
+ */
+function getLowStockIngredients() {
+    const level = ingredient => ingredient.quantity / (ingredient.lowStockAt || 1);
+    return getIngredients()
+        .filter(ingredient => ingredient.quantity <= ingredient.lowStockAt)
+        .sort((a, b) => level(a) - level(b));
+}
+
+/**
+ * Render the low stock alert of a dashboard
+ * Lists the ingredients that are low and the menu items that can't be made
+ * until they are restocked. The container stays empty when nothing is low.
+ * @param {string} containerId - Container element ID
+ * @param {string|null} manageUrl - Link to the inventory, if the page has one
+ */
+function renderLowStockAlerts(containerId, manageUrl = null) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const low = getLowStockIngredients();
+    if (low.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const ingredients = getIngredients();
+    const blocked = (getFromStorage(STORAGE_KEYS.MENU_ITEMS) || [])
+        .filter(item => !isRecipeInStock(item, ingredients))
+        .map(item => item.name);
+    const describe = ingredient => ingredient.quantity <= 0
+        ? `<strong>${ingredient.name}</strong> is out`
+        : `<strong>${ingredient.name}</strong> ${formatAmount(ingredient.quantity, ingredient.unit)} left`;
+
+    container.innerHTML = `
+        <div class="alert alert-${blocked.length > 0 || low[0].quantity <= 0 ? 'danger' : 'warning'}">
+            ⚠️ Low on ingredients: ${low.map(describe).join(', ')}.
+            ${blocked.length > 0 ? `Not available until restocked: ${blocked.join(', ')}.` : ''}
+            ${manageUrl ? `<a href="${manageUrl}" style="color: inherit; font-weight: 600;">Manage ingredients</a>` : ''}
+        </div>
+    `;
+}
+
+// ============================================
+// INGREDIENT MANAGEMENT (STAFF/ADMIN)
+// ============================================
+
+/**
+ * Render the ingredient inventory table
+ * @param {string} containerId - Container element ID
+ */
+function renderIngredientTable(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const ingredients = getIngredients();
+
+    if (ingredients.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🧂</div>
+                <h3 class="empty-state-title">No ingredients</h3>
+                <p class="empty-state-text">Add ingredients to give menu items a recipe</p>
+            </div>
+        `;
+        return;
+    }
+
+    const menuItems = getFromStorage(STORAGE_KEYS.MENU_ITEMS) || [];
+    const usedBy = ingredient => menuItems
+        .filter(item => (item.recipe || []).some(line => line.ingredientId === ingredient.id))
+        .map(item => item.name);
+
+    container.innerHTML = `
+        <table class="menu-table">
+            <thead>
+                <tr>
+                    <th>Ingredient</th>
+                    <th>In Stock</th>
+                    <th>Warn At</th>
+                    <th>Used In</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${ingredients.map(ingredient => `
+                    <tr data-ingredient-id="${ingredient.id}">
+                        <td><strong>${ingredient.name}</strong></td>
+                        <td>
+                            ${formatAmount(ingredient.quantity, ingredient.unit)}
+                            ${ingredient.quantity <= ingredient.lowStockAt ? '<br><small style="color: var(--danger); font-weight: 600;">Low</small>' : ''}
+                        </td>
+                        <td>${formatAmount(ingredient.lowStockAt, ingredient.unit)}</td>
+                        <td><small>${usedBy(ingredient).join(', ') || '—'}</small></td>
+                        <td>
+                            <button class="btn btn-sm btn-warning edit-ingredient-btn" data-ingredient-id="${ingredient.id}">
+                                ✏️ Edit
+                            </button>
+                            <button class="btn btn-sm btn-danger delete-ingredient-btn" data-ingredient-id="${ingredient.id}">
+                                🗑️ Delete
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Setup ingredient table event handlers
+ * @param {string} containerId - Table container ID
+ */
+function setupIngredientHandlers(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        // Delete ingredient
+        const deleteBtn = e.target.closest('.delete-ingredient-btn');
+        if (deleteBtn && confirm('Are you sure you want to delete this ingredient?')) {
+            const result = deleteIngredient(deleteBtn.dataset.ingredientId);
+            if (result.success) {
+                showToast(result.message, 'success');
+                renderIngredientTable(containerId);
+            } else {
+                showToast(result.message, 'error');
+            }
+        }
+
+        // Edit ingredient - trigger modal
+        const editBtn = e.target.closest('.edit-ingredient-btn');
+        if (editBtn) {
+            const ingredient = getIngredient(editBtn.dataset.ingredientId);
+            if (ingredient && typeof openIngredientModal === 'function') {
+                openIngredientModal(ingredient);
+            }
+        }
+    });
+}
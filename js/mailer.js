@@ -0,0 +1,145 @@
+/**
+ * Smart Digital Canteen System - Mailer
+ *
+ * Everything that emails a user goes through sendMail. The transport is
+ * selected by CANTEEN_CONFIG.mail.transport (config.js):
+ * - outbox: keeps the messages in this browser (STORAGE_KEYS.MAIL_OUTBOX),
+ *   a stand-in for development and tests (default); nothing is delivered,
+ *   so it can't carry codes that prove who someone is (canDeliverMail)
+ * - http: hands the messages to the local server (POST {apiBaseUrl}/mail),
+ *   which files them in its outbox folder; only logged-in users may send
+ * Real transports (an SMTP relay, a mail API) plug in with registerMailer.
+ *
+ * A mailer is a plain object with:
+ * - name {string}
+ * - delivers {boolean} - messages leave this browser (default true)
+ * - send(message) {Promise} - message = { to, from, subject, text, sentAt }
+ */
+
+// ============================================
+// MAILERS
+// ============================================
+
+/**
+ * Create the local outbox mailer
+ * @returns {object} Mailer
+ */
+function createOutboxMailer() {
+    return {
+        name: 'outbox',
+        delivers: false,
+        send(message) {
+            const result = updateStorage(STORAGE_KEYS.MAIL_OUTBOX, outbox => {
+                outbox.push({ id: generateId(), ...message });
+                // Only the latest messages are kept
+                return { data: outbox.slice(-CANTEEN_CONFIG.mail.outboxSize), result: { success: true } };
+            }, []);
+            return result.success ? Promise.resolve() : Promise.reject(new Error(result.message));
+        }
+    };
+}
+
+/**
+ * Create the mailer that delivers through the local server (server/)
+ * @param {object} options - { apiBaseUrl }
+ * @returns {object} Mailer
+ */
+function createHttpMailer(options = {}) {
+    const baseUrl = (options.apiBaseUrl || '/api').replace(/\/$/, '');
+
+    return {
+        name: 'http',
+        delivers: true,
+        send(message) {
+            const token = getSessionToken();
+            return fetch(`${baseUrl}/mail`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                body: JSON.stringify(message)
+            }).then(response => {
+                if (!response.ok) throw new Error(`Mail delivery failed with status ${response.status}`);
+            });
+        }
+    };
+}
+
+/**
+ * Mailer factories by configuration name
+ */
+const MAILERS = {
+    outbox: () => createOutboxMailer(),
+    http: () => createHttpMailer({ apiBaseUrl: CANTEEN_CONFIG.storage.apiBaseUrl })
+};
+
+let activeMailer = null;
+
+/**
+ * Register a mail transport
+ * @param {string} name - Name used in CANTEEN_CONFIG.mail.transport
+ * @param {Function} factory - Returns a mailer
+ */
+function registerMailer(name, factory) {
+    MAILERS[name] = factory;
+    activeMailer = null;
+}
+
+/**
+ * Get the configured mailer
+ * @returns {object} Mailer
+ */
+function getMailer() {
+    if (!activeMailer) {
+        const factory = MAILERS[CANTEEN_CONFIG.mail.transport];
+        if (!factory) {
+            console.warn(`Unknown mail transport "${CANTEEN_CONFIG.mail.transport}", using the local outbox`);
+        }
+        activeMailer = (factory || MAILERS.outbox)();
+    }
+    return activeMailer;
+}
+
+/**
+ * Check whether the configured mailer delivers to the recipient
+ * The local outbox keeps messages in the browser that sent them, where
+ * anyone using it can read them.
+ * @returns {boolean}
+ */
+function canDeliverMail() {
+    return getMailer().delivers !== false;
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * Send an email
+ * @param {object} mail - { to, subject, text }
+ * @returns {Promise<object>} Result object
+ */
+function sendMail({ to, subject, text }) {
+    const message = {
+        to: to.toLowerCase().trim(),
+        from: CANTEEN_CONFIG.mail.from,
+        subject,
+        text,
+        sentAt: new Date().toISOString()
+    };
+
+    return getMailer().send(message)
+        .then(() => ({ success: true, message: 'Email sent' }))
+        .catch(error => {
+            console.error('Error sending email:', error);
+            return { success: false, message: 'Could not send the email. Please try again later.' };
+        });
+}
+
+/**
+ * Get the messages in the local outbox
+ * @param {string} to - Only messages to this address (optional)
+ * @returns {Array} Messages, oldest first
+ */
+function getOutboxMessages(to = null) {
+    const outbox = getFromStorage(STORAGE_KEYS.MAIL_OUTBOX) || [];
+    return to ? outbox.filter(message => message.to === to.toLowerCase().trim()) : outbox;
+}
@@ -5,7 +5,13 @@
  * - Loading and displaying menu items
  * - Category filtering
  * - Search functionality
- * - Menu item management (for staff)
+ * - Option groups (spice level, add-ons) with price changes
+ * - Combos: menu items sold together at a bundle price
+ * - Schedules: times, weekdays and dates items and categories are served
+ * - Stock: portions left, sold out at zero
+ * - Menu item and combo management (for staff)
+ *
+ * Recipes and the ingredient inventory live in js/inventory.js.
  */
 
 // ============================================
@@ -14,13 +20,14 @@
 
 /**
  * Get all menu items
- * @param {boolean} onlyAvailable - If true, return only available items
+ * @param {boolean} onlyAvailable - If true, return only items that can be ordered now (see isItemAvailable)
  * @returns {Array} Array of menu items
  */
 function getMenuItems(onlyAvailable = false) {
     const items = getFromStorage(STORAGE_KEYS.MENU_ITEMS) || [];
     if (onlyAvailable) {
-        return items.filter(item => item.available);
+        const now = new Date();
+        return items.filter(item => isItemAvailable(item, now));
     }
     return items;
 }
@@ -76,10 +83,17 @@ function searchMenuItems(query) {
 
 /**
  * Render menu item card HTML
+ * Items off their schedule say when they can be ordered; counted items say
+ * how many portions are left.
  * @param {object} item - Menu item object
  * @returns {string} HTML string
  */
 function renderMenuItemCard(item) {
+    const availableNow = isItemAvailable(item);
+    const availableFrom = availableNow ? null : getItemAvailableFrom(item);
+    const unavailableLabel = isItemSoldOut(item) ? '🚫 Sold Out'
+        : availableFrom ? `🕐 Available ${formatAvailableFrom(availableFrom)}` : 'Not Available';
+    
     return `
         <div class="food-card" data-item-id="${item.id}">
             <img src="${item.image}" alt="${item.name}" class="food-image" 
@@ -90,7 +104,9 @@ function renderMenuItemCard(item) {
                 <p class="food-description">${item.description}</p>
                 <div class="food-footer">
                     <span class="food-price">${formatCurrency(item.price)}</span>
+                    ${typeof item.stock === 'number' && item.stock > 0 ? `<span class="food-stock">${item.stock} left</span>` : ''}
                 </div>
+                ${renderItemOptions(item)}
                 <div class="quantity-selector">
                     <button class="qty-btn qty-minus" data-item-id="${item.id}" title="Decrease quantity">−</button>
                     <span class="qty-display" data-item-id="${item.id}">1</span>
@@ -98,14 +114,66 @@ function renderMenuItemCard(item) {
                 </div>
                 <button class="btn btn-customer-primary btn-sm add-to-cart-btn" 
                         data-item-id="${item.id}"
-                        ${!item.available ? 'disabled' : ''}>
-                    ${item.available ? '🛒 Add to Cart' : 'Not Available'}
+                        ${!availableNow ? 'disabled' : ''}>
+                    ${availableNow ? '🛒 Add to Cart' : unavailableLabel}
                 </button>
             </div>
         </div>
     `;
 }
 
+/**
+ * Render the option groups of a menu item card
+ * Single-choice groups are radio buttons: required ones start on their first
+ * choice, optional ones on "None". Multiple-choice groups are checkboxes.
+ * @param {object} item - Menu item object
+ * @returns {string} HTML string
+ */
+function renderItemOptions(item) {
+    const groups = item.optionGroups || [];
+    if (groups.length === 0) return '';
+    
+    const priceLabel = price => (price ? ` (${price > 0 ? '+' : '−'}${formatCurrency(Math.abs(price))})` : '');
+    
+    return `
+        <div class="food-options">
+            ${groups.map(group => {
+                const inputName = `option-${item.id}-${group.id}`;
+                const type = group.multiple ? 'checkbox' : 'radio';
+                return `
+                    <fieldset class="food-option-group">
+                        <legend>${group.name}${group.required ? ' *' : ''}</legend>
+                        ${!group.multiple && !group.required ? `
+                            <label class="food-option">
+                                <input type="radio" name="${inputName}" value="" checked> None
+                            </label>
+                        ` : ''}
+                        ${group.options.map((option, index) => `
+                            <label class="food-option">
+                                <input type="${type}" name="${inputName}" value="${option.id}"
+                                       ${!group.multiple && group.required && index === 0 ? 'checked' : ''}>
+                                ${option.name}${priceLabel(option.price)}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Get the options ticked on a menu item card
+ * @param {HTMLElement} card - .food-card element
+ * @returns {Array} Option IDs
+ */
+function getSelectedOptionIds(card) {
+    if (!card) return [];
+    return Array.from(card.querySelectorAll('.food-options input:checked'))
+        .map(input => input.value)
+        .filter(Boolean);
+}
+
 /**
  * Render menu grid
  * @param {string} containerId - Container element ID
@@ -215,41 +283,458 @@ function setupMenuSearch(searchInputId, menuContainerId) {
     });
 }
 
+// ============================================
+// COMBOS
+// ============================================
+
+/**
+ * Get all combos
+ * @param {boolean} onlyAvailable - If true, return only combos every slot of which can be filled
+ * @returns {Array} Array of combos
+ */
+function getCombos(onlyAvailable = false) {
+    const combos = getFromStorage(STORAGE_KEYS.COMBOS) || [];
+    if (onlyAvailable) {
+        return combos.filter(combo => combo.available &&
+            combo.slots.every(slot => getComboSlotItems(slot).length > 0));
+    }
+    return combos;
+}
+
+/**
+ * Get combo by ID
+ * @param {string} comboId - Combo ID
+ * @returns {object|null} Combo or null
+ */
+function getCombo(comboId) {
+    return getCombos().find(combo => combo.id === comboId) || null;
+}
+
+/**
+ * Get the menu items a customer can pick for a combo slot
+ * @param {object} slot - Combo slot
+ * @returns {Array} Available menu items, in the slot's order
+ */
+function getComboSlotItems(slot) {
+    const items = getMenuItems(true);
+    return slot.itemIds.map(itemId => items.find(item => item.id === itemId)).filter(Boolean);
+}
+
+/**
+ * Render combo card HTML
+ * Each slot is a set of radio buttons starting on its first available item.
+ * @param {object} combo - Combo object
+ * @returns {string} HTML string
+ */
+function renderComboCard(combo) {
+    return `
+        <div class="food-card combo-card" data-combo-id="${combo.id}">
+            <img src="${combo.image}" alt="${combo.name}" class="food-image" 
+                 onerror="this.src='https://via.placeholder.com/400x200?text=No+Image'">
+            <div class="food-content">
+                <span class="food-category">Combo</span>
+                <h3 class="food-name">${combo.name}</h3>
+                <p class="food-description">${combo.description}</p>
+                <div class="food-footer">
+                    <span class="food-price">${formatCurrency(combo.price)}</span>
+                </div>
+                <div class="food-options">
+                    ${combo.slots.map(slot => `
+                        <fieldset class="food-option-group combo-slot" data-slot-id="${slot.id}">
+                            <legend>${slot.name}</legend>
+                            ${getComboSlotItems(slot).map((item, index) => `
+                                <label class="food-option">
+                                    <input type="radio" name="combo-${combo.id}-${slot.id}" value="${item.id}"
+                                           ${index === 0 ? 'checked' : ''}>
+                                    ${item.name}
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                    `).join('')}
+                </div>
+                <div class="quantity-selector">
+                    <button class="qty-btn qty-minus" data-item-id="${combo.id}" title="Decrease quantity">−</button>
+                    <span class="qty-display" data-item-id="${combo.id}">1</span>
+                    <button class="qty-btn qty-plus" data-item-id="${combo.id}" title="Increase quantity">+</button>
+                </div>
+                <button class="btn btn-customer-primary btn-sm add-combo-btn" data-combo-id="${combo.id}">
+                    🛒 Add to Cart
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Get the menu items picked on a combo card
+ * @param {HTMLElement} card - .combo-card element
+ * @returns {Array} Menu item ID per slot, in slot order
+ */
+function getSelectedComboChoices(card) {
+    if (!card) return [];
+    return Array.from(card.querySelectorAll('.combo-slot'))
+        .map(slot => slot.querySelector('input:checked')?.value || '');
+}
+
+/**
+ * Render the combos that can be ordered, with a heading
+ * The container stays empty when there are none.
+ * @param {string} containerId - Container element ID
+ */
+function renderComboGrid(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const combos = getCombos(true);
+    
+    if (combos.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <h2 class="section-title">🍱 Combo Deals</h2>
+        <div class="menu-grid">
+            ${combos.map(combo => renderComboCard(combo)).join('')}
+        </div>
+    `;
+}
+
+// ============================================
+// MENU SCHEDULES
+// ============================================
+
+// Day names by Date.getDay() index, as staff type them in schedules
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the schedules staff set for whole categories
+ * @returns {object} Schedules by category name
+ */
+function getCategorySchedules() {
+    return getFromStorage(STORAGE_KEYS.CATEGORY_SCHEDULES) || {};
+}
+
+/**
+ * Check whether a menu item can be ordered now
+ * Staff must have marked it available, it must not be sold out (see
+ * isItemSoldOut), and its own schedule and its category's must be open.
+ * @param {object} item - Menu item
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {boolean}
+ */
+function isItemAvailable(item, date = new Date()) {
+    return !!item.available && !isItemSoldOut(item) && isItemScheduled(item, getCategorySchedules(), date);
+}
+
+/**
+ * Check whether a menu item has run out of portions or of an ingredient
+ * @param {object} item - Menu item
+ * @returns {boolean}
+ */
+function isItemSoldOut(item) {
+    return !isItemInStock(item) || !isRecipeInStock(item, getIngredients());
+}
+
+/**
+ * Find when a menu item that is off its schedule can be ordered again
+ * @param {object} item - Menu item
+ * @param {Date} date - Moment to search from (default: now)
+ * @returns {Date|null} Null when staff marked it unavailable, it is sold out or it never opens again
+ */
+function getItemAvailableFrom(item, date = new Date()) {
+    if (!item.available || isItemSoldOut(item)) return null;
+    return getItemOpening(item, getCategorySchedules(), date);
+}
+
+/**
+ * Describe when something becomes available, relative to now
+ * @param {Date} moment - Opening
+ * @param {Date} now - Current time
+ * @returns {string} e.g. "from 11:00 AM", "tomorrow at 07:00 AM", "on Friday at 12:00 PM"
+ */
+function formatAvailableFrom(moment, now = new Date()) {
+    const time = formatTime(moment);
+    const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const days = Math.round((startOfDay(moment) - startOfDay(now)) / (24 * 60 * 60 * 1000));
+    
+    if (days === 0) return `from ${time}`;
+    if (days === 1) return `tomorrow at ${time}`;
+    if (days < 7) return `on ${moment.toLocaleDateString('en-US', { weekday: 'long' })} at ${time}`;
+    return `on ${formatDateShort(moment)} at ${time}`;
+}
+
+/**
+ * Get the items that are off their schedule now but will open again
+ * @returns {Array} Menu items, soonest first
+ */
+function getUpcomingMenuItems() {
+    const now = new Date();
+    return getMenuItems()
+        .filter(item => item.available && !isItemAvailable(item, now))
+        .map(item => ({ item, from: getItemAvailableFrom(item, now) }))
+        .filter(entry => entry.from)
+        .sort((a, b) => a.from - b.from)
+        .map(entry => entry.item);
+}
+
+/**
+ * Render the items that will be served later, with a heading
+ * Their cards say when they can be ordered. The container stays empty when
+ * there are none.
+ * @param {string} containerId - Container element ID
+ */
+function renderUpcomingItems(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const items = getUpcomingMenuItems();
+    
+    if (items.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <h2 class="section-title">🕐 Served Later</h2>
+        <div class="menu-grid">
+            ${items.map(item => renderMenuItemCard(item)).join('')}
+        </div>
+    `;
+}
+
+// ============================================
+// MENU STOCK
+// ============================================
+
+/**
+ * Take the portions an order needs from the menu
+ * Checked again against the stored menu so two devices can't sell the
+ * last portion twice.
+ * @param {object} counts - Portions by menu item ID (see countStockNeeded)
+ * @returns {Promise<object>} Result object; taken holds the portions taken from counted items
+ */
+function takeStock(counts) {
+    return commitStorageUpdate(STORAGE_KEYS.MENU_ITEMS, items => {
+        const check = checkStock(counts, items);
+        if (!check.success) return { result: check };
+        
+        const { items: updated, changed } = adjustStock(items, counts, -1);
+        return { data: updated, result: { success: true, taken: changed } };
+    }, []);
+}
+
+/**
+ * Give portions back to the menu, e.g. when an order is cancelled
+ * @param {object} counts - Portions by menu item ID
+ * @returns {Promise<object>} Result object
+ */
+function returnStock(counts) {
+    return commitStorageUpdate(STORAGE_KEYS.MENU_ITEMS, items => {
+        return { data: adjustStock(items, counts, 1).items, result: { success: true } };
+    }, []);
+}
+
 // ============================================
 // MENU MANAGEMENT (STAFF/ADMIN)
 // ============================================
 
+/**
+ * Parse the option groups typed into the menu item form
+ * One group per line, "Name (flags): choice, choice +20, choice -10", where
+ * flags are "required" and/or "multiple" and a choice may end with the amount
+ * it adds to the price. Groups and choices keep the IDs they had in
+ * `existing` when their names are unchanged, so carts stay valid.
+ * Example:
+ *   Spice level (required): Mild, Medium, Hot
+ *   Add-ons (multiple): Egg +40, Extra cheese +50
+ * @param {string} text - Text from the form
+ * @param {Array} existing - Current option groups of the item
+ * @returns {object} Result object with value (option groups)
+ */
+function parseOptionGroups(text, existing = []) {
+    const groups = [];
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const fail = message => ({ success: false, message, errors: { optionGroups: message } });
+    const sameName = name => entry => entry.name.toLowerCase() === name.toLowerCase();
+    
+    for (const [index, line] of lines.entries()) {
+        const match = line.match(/^([^:(]+?)\s*(?:\(([^)]*)\))?\s*:\s*(.+)$/);
+        if (!match) return fail(`Options line ${index + 1} should look like "Name: choice, choice +20"`);
+        
+        const [, name, flagText = '', choiceText] = match;
+        const flags = flagText.split(',').map(flag => flag.trim().toLowerCase()).filter(Boolean);
+        const unknownFlag = flags.find(flag => flag !== 'required' && flag !== 'multiple');
+        if (unknownFlag) return fail(`Options line ${index + 1}: unknown flag "${unknownFlag}"`);
+        
+        if (groups.some(sameName(name))) return fail(`Options line ${index + 1}: "${name}" is listed twice`);
+        
+        const previous = existing.find(sameName(name)) || { options: [] };
+        const options = [];
+        for (const choice of choiceText.split(',').map(part => part.trim()).filter(Boolean)) {
+            const [, optionName, sign, amount] = choice.match(/^(.+?)(?:\s*([+-])\s*(\d+(?:\.\d+)?))?$/);
+            if (options.some(sameName(optionName))) return fail(`Options line ${index + 1}: "${optionName}" is listed twice`);
+            
+            const known = previous.options.find(sameName(optionName));
+            options.push({
+                id: known ? known.id : generateId(),
+                name: optionName,
+                price: amount ? parseFloat(amount) * (sign === '-' ? -1 : 1) : 0
+            });
+        }
+        
+        groups.push({
+            id: previous.id || generateId(),
+            name,
+            required: flags.includes('required'),
+            multiple: flags.includes('multiple'),
+            options
+        });
+    }
+    
+    return { success: true, value: groups };
+}
+
+/**
+ * Write option groups in the form's text format (see parseOptionGroups)
+ * @param {Array} groups - Option groups
+ * @returns {string}
+ */
+function formatOptionGroups(groups = []) {
+    return groups.map(group => {
+        const flags = [group.required && 'required', group.multiple && 'multiple'].filter(Boolean);
+        const choices = group.options.map(option => {
+            if (!option.price) return option.name;
+            return `${option.name} ${option.price > 0 ? '+' : '-'}${Math.abs(option.price)}`;
+        });
+        return `${group.name}${flags.length ? ` (${flags.join(', ')})` : ''}: ${choices.join(', ')}`;
+    }).join('\n');
+}
+
+/**
+ * Parse the schedule typed into the menu item or category form
+ * At most one line of each kind; leave a kind out to put no limit on it:
+ *   days: Mon-Fri, Sun
+ *   hours: 07:00-11:00, 14:00-16:00
+ *   dates: 2026-12-01 to 2026-12-31   (or "from 2026-12-01", "until 2026-12-31")
+ * Hours that end before they start run past midnight.
+ * @param {string} text - Text from the form
+ * @returns {object} Result object with value (schedule, or null for empty text)
+ */
+function parseSchedule(text) {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return { success: true, value: null };
+    
+    const fail = message => ({ success: false, message, errors: { schedule: message } });
+    const dayIndex = name => SCHEDULE_DAYS.findIndex(day => day.toLowerCase() === name.trim().slice(0, 3).toLowerCase());
+    const schedule = { days: [], windows: [], startDate: null, endDate: null };
+    const seen = new Set();
+    
+    for (const line of lines) {
+        const match = line.match(/^(days|hours|dates)\s*:\s*(.+)$/i);
+        if (!match) return fail(`Schedule lines start with "days:", "hours:" or "dates:" ("${line}")`);
+        
+        const kind = match[1].toLowerCase();
+        if (seen.has(kind)) return fail(`The schedule has more than one "${kind}:" line`);
+        seen.add(kind);
+        const parts = match[2].split(',').map(part => part.trim()).filter(Boolean);
+        
+        if (kind === 'days') {
+            for (const part of parts) {
+                const [first, last = first] = part.split('-').map(dayIndex);
+                if (first === -1 || last === -1) return fail(`Unknown day in "${part}"; use Mon, Tue, ... Sun`);
+                
+                // Ranges may wrap around the week, e.g. Fri-Mon
+                for (let day = first; ; day = (day + 1) % 7) {
+                    if (!schedule.days.includes(day)) schedule.days.push(day);
+                    if (day === last) break;
+                }
+            }
+            schedule.days.sort((a, b) => a - b);
+        } else if (kind === 'hours') {
+            for (const part of parts) {
+                const hours = part.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+                if (!hours) return fail(`Hours should look like "07:00-11:00" ("${part}")`);
+                
+                const [from, to] = [hours[1], hours[2]].map(time => time.padStart(5, '0'));
+                if (from === to) return fail(`Hours ${part} open and close at the same time`);
+                schedule.windows.push({ from, to });
+            }
+        } else {
+            const dates = match[2].trim().match(/^(?:from\s+)?(\d{4}-\d{2}-\d{2})?\s*(?:(?:to|until)\s+(\d{4}-\d{2}-\d{2}))?$/i);
+            if (!dates || (!dates[1] && !dates[2])) {
+                return fail('Dates should look like "2026-12-01 to 2026-12-31", "from 2026-12-01" or "until 2026-12-31"');
+            }
+            schedule.startDate = dates[1] || null;
+            schedule.endDate = dates[2] || null;
+            if (schedule.startDate && schedule.endDate && schedule.startDate > schedule.endDate) {
+                return fail('The schedule ends before it starts');
+            }
+        }
+    }
+    
+    return { success: true, value: schedule };
+}
+
+/**
+ * Write a schedule in the form's text format (see parseSchedule)
+ * Runs of three or more days are written as ranges, e.g. "Mon-Fri".
+ * @param {object|null} schedule - Schedule
+ * @returns {string}
+ */
+function formatSchedule(schedule) {
+    if (!schedule) return '';
+    
+    const lines = [];
+    const days = schedule.days || [];
+    if (days.length > 0) {
+        const runs = [];
+        days.forEach(day => {
+            const run = runs[runs.length - 1];
+            if (run && run[run.length - 1] === day - 1) run.push(day);
+            else runs.push([day]);
+        });
+        const names = runs.flatMap(run => (run.length >= 3
+            ? [`${SCHEDULE_DAYS[run[0]]}-${SCHEDULE_DAYS[run[run.length - 1]]}`]
+            : run.map(day => SCHEDULE_DAYS[day])));
+        lines.push(`days: ${names.join(', ')}`);
+    }
+    if ((schedule.windows || []).length > 0) {
+        lines.push(`hours: ${schedule.windows.map(window => `${window.from}-${window.to}`).join(', ')}`);
+    }
+    if (schedule.startDate || schedule.endDate) {
+        const range = schedule.startDate && schedule.endDate
+            ? `${schedule.startDate} to ${schedule.endDate}`
+            : schedule.startDate ? `from ${schedule.startDate}` : `until ${schedule.endDate}`;
+        lines.push(`dates: ${range}`);
+    }
+    return lines.join('\n');
+}
+
 /**
  * Add new menu item
  * @param {object} itemData - Menu item data
  * @returns {object} Result object
  */
 function addMenuItem(itemData) {
-    const { name, description, price, category, image, preparationTime } = itemData;
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
     
-    // Validate required fields
-    if (!name || !price || !category) {
-        return { success: false, message: 'Name, price, and category are required' };
-    }
-    
-    const items = getMenuItems();
+    const check = validateRecord('menuItem', itemData);
+    if (!check.success) return check;
     
     const newItem = {
         id: generateId(),
-        name: name.trim(),
-        description: description?.trim() || '',
-        price: parseFloat(price),
-        category: category.trim(),
-        image: image || 'https://via.placeholder.com/400x200?text=No+Image',
+        ...check.value,
+        image: check.value.image || 'https://via.placeholder.com/400x200?text=No+Image',
         available: true,
-        preparationTime: parseInt(preparationTime) || 15,
         createdAt: new Date().toISOString()
     };
     
-    items.push(newItem);
-    saveToStorage(STORAGE_KEYS.MENU_ITEMS, items);
-    
-    return { success: true, message: 'Menu item added successfully!', item: newItem };
+    return updateStorage(STORAGE_KEYS.MENU_ITEMS, items => {
+        items.push(newItem);
+        return { data: items, result: { success: true, message: 'Menu item added successfully!', item: newItem } };
+    }, []);
 }
 
 /**
@@ -259,23 +744,29 @@ function addMenuItem(itemData) {
  * @returns {object} Result object
  */
 function updateMenuItem(itemId, updateData) {
-    const items = getMenuItems();
-    const index = items.findIndex(item => item.id === itemId);
-    
-    if (index === -1) {
-        return { success: false, message: 'Item not found' };
-    }
-    
-    // Update item properties
-    items[index] = {
-        ...items[index],
-        ...updateData,
-        updatedAt: new Date().toISOString()
-    };
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
     
-    saveToStorage(STORAGE_KEYS.MENU_ITEMS, items);
+    // Only the fields of the menu item schema are changed
+    const check = validateRecord('menuItem', updateData, { partial: true });
+    if (!check.success) return check;
     
-    return { success: true, message: 'Menu item updated successfully!', item: items[index] };
+    return updateStorage(STORAGE_KEYS.MENU_ITEMS, items => {
+        const index = items.findIndex(item => item.id === itemId);
+        
+        if (index === -1) {
+            return { result: { success: false, message: 'Item not found' } };
+        }
+        
+        // Update item properties
+        items[index] = {
+            ...items[index],
+            ...check.value,
+            updatedAt: new Date().toISOString()
+        };
+        
+        return { data: items, result: { success: true, message: 'Menu item updated successfully!', item: items[index] } };
+    }, []);
 }
 
 /**
@@ -284,16 +775,18 @@ function updateMenuItem(itemId, updateData) {
  * @returns {object} Result object
  */
 function deleteMenuItem(itemId) {
-    const items = getMenuItems();
-    const filteredItems = items.filter(item => item.id !== itemId);
-    
-    if (filteredItems.length === items.length) {
-        return { success: false, message: 'Item not found' };
-    }
-    
-    saveToStorage(STORAGE_KEYS.MENU_ITEMS, filteredItems);
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
     
-    return { success: true, message: 'Menu item deleted successfully!' };
+    return updateStorage(STORAGE_KEYS.MENU_ITEMS, items => {
+        const filteredItems = items.filter(item => item.id !== itemId);
+        
+        if (filteredItems.length === items.length) {
+            return { result: { success: false, message: 'Item not found' } };
+        }
+        
+        return { data: filteredItems, result: { success: true, message: 'Menu item deleted successfully!' } };
+    }, []);
 }
 
 /**
@@ -302,21 +795,61 @@ function deleteMenuItem(itemId) {
  * @returns {object} Result object
  */
 function toggleItemAvailability(itemId) {
-    const items = getMenuItems();
-    const item = items.find(i => i.id === itemId);
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
     
-    if (!item) {
-        return { success: false, message: 'Item not found' };
-    }
+    return updateStorage(STORAGE_KEYS.MENU_ITEMS, items => {
+        const item = items.find(i => i.id === itemId);
+        
+        if (!item) {
+            return { result: { success: false, message: 'Item not found' } };
+        }
+        
+        item.available = !item.available;
+        
+        return {
+            data: items,
+            result: {
+                success: true, 
+                message: `Item is now ${item.available ? 'available' : 'unavailable'}`,
+                available: item.available
+            }
+        };
+    }, []);
+}
+
+/**
+ * Set the portions left of a menu item (restock)
+ * @param {string} itemId - Item ID
+ * @param {number|string|null} stock - Portions left; empty or null stops counting
+ * @returns {object} Result object
+ */
+function setItemStock(itemId, stock) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
     
-    item.available = !item.available;
-    saveToStorage(STORAGE_KEYS.MENU_ITEMS, items);
+    const check = validateRecord('menuItem', { stock: stock === undefined ? null : stock }, { partial: true });
+    if (!check.success) return check;
     
-    return { 
-        success: true, 
-        message: `Item is now ${item.available ? 'available' : 'unavailable'}`,
-        available: item.available
-    };
+    return updateStorage(STORAGE_KEYS.MENU_ITEMS, items => {
+        const item = items.find(i => i.id === itemId);
+        
+        if (!item) {
+            return { result: { success: false, message: 'Item not found' } };
+        }
+        
+        item.stock = check.value.stock;
+        item.updatedAt = new Date().toISOString();
+        
+        return {
+            data: items,
+            result: {
+                success: true,
+                message: item.stock === null ? `${item.name} portions are no longer counted` : `${item.name} now has ${item.stock} left`,
+                item
+            }
+        };
+    }, []);
 }
 
 /**
@@ -348,6 +881,7 @@ function renderMenuManagementTable(containerId) {
                     <th>Name</th>
                     <th>Category</th>
                     <th>Price</th>
+                    <th>Stock</th>
                     <th>Available</th>
                     <th>Actions</th>
                 </tr>
@@ -356,6 +890,9 @@ function renderMenuManagementTable(containerId) {
     `;
     
     items.forEach(item => {
+        const stock = typeof item.stock !== 'number' ? '<span style="color: var(--gray-dark);">Not counted</span>'
+            : item.stock === 0 ? '<span style="color: var(--danger); font-weight: 600;">Sold out</span>' : item.stock;
+        const recipeShort = !isRecipeInStock(item, getIngredients());
         html += `
             <tr data-item-id="${item.id}">
                 <td>
@@ -366,9 +903,15 @@ function renderMenuManagementTable(containerId) {
                     <strong>${item.name}</strong>
                     <br>
                     <small style="color: var(--gray-dark);">${item.description.substring(0, 50)}...</small>
+                    ${item.schedule ? `<br><small>🕐 ${formatSchedule(item.schedule).split('\n').join(' · ')}</small>` : ''}
+                    ${item.recipe && item.recipe.length > 0 ? `<br><small>🧂 ${formatRecipe(item.recipe).split('\n').join(' · ')}</small>` : ''}
                 </td>
                 <td>${item.category}</td>
                 <td>${formatCurrency(item.price)}</td>
+                <td>
+                    ${stock}
+                    ${recipeShort ? '<br><small style="color: var(--danger); font-weight: 600;">Out of ingredients</small>' : ''}
+                </td>
                 <td>
                     <div class="availability-toggle ${item.available ? 'active' : ''}" 
                          data-item-id="${item.id}"
@@ -379,6 +922,9 @@ function renderMenuManagementTable(containerId) {
                     <button class="btn btn-sm btn-warning edit-item-btn" data-item-id="${item.id}">
                         ✏️ Edit
                     </button>
+                    <button class="btn btn-sm btn-staff-outline restock-item-btn" data-item-id="${item.id}">
+                        📦 Restock
+                    </button>
                     <button class="btn btn-sm btn-danger delete-item-btn" data-item-id="${item.id}">
                         🗑️ Delete
                     </button>
@@ -440,5 +986,405 @@ function setupMenuManagementHandlers(containerId) {
                 openEditItemModal(item);
             }
         }
+        
+        // Restock item - trigger modal
+        const restockBtn = e.target.closest('.restock-item-btn');
+        if (restockBtn) {
+            const item = getMenuItem(restockBtn.dataset.itemId);
+            if (item && typeof openRestockModal === 'function') {
+                openRestockModal(item);
+            }
+        }
+    });
+}
+
+// ============================================
+// COMBO MANAGEMENT (STAFF/ADMIN)
+// ============================================
+
+/**
+ * Parse the slots typed into the combo form
+ * One slot per line, "Name: menu item, menu item", with the menu items named
+ * as they are on the menu. Slots keep the IDs they had in `existing` when
+ * their names are unchanged.
+ * Example:
+ *   Main: Chicken Rice, Vegetable Fried Rice
+ *   Drink: Fresh Orange Juice, Mango Smoothie
+ * @param {string} text - Text from the form
+ * @param {Array} existing - Current slots of the combo
+ * @returns {object} Result object with value (slots)
+ */
+function parseComboSlots(text, existing = []) {
+    const slots = [];
+    const items = getMenuItems();
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const fail = message => ({ success: false, message, errors: { slots: message } });
+    const sameName = name => entry => entry.name.toLowerCase() === name.toLowerCase();
+    
+    for (const [index, line] of lines.entries()) {
+        const match = line.match(/^([^:]+?)\s*:\s*(.+)$/);
+        if (!match) return fail(`Slot line ${index + 1} should look like "Name: item, item"`);
+        
+        const [, name, itemText] = match;
+        if (slots.some(sameName(name))) return fail(`Slot line ${index + 1}: "${name}" is listed twice`);
+        
+        const itemIds = [];
+        for (const itemName of itemText.split(',').map(part => part.trim()).filter(Boolean)) {
+            const item = items.find(sameName(itemName));
+            if (!item) return fail(`Slot line ${index + 1}: there is no menu item called "${itemName}"`);
+            if (!itemIds.includes(item.id)) itemIds.push(item.id);
+        }
+        
+        const previous = existing.find(sameName(name));
+        slots.push({ id: previous ? previous.id : generateId(), name, itemIds });
+    }
+    
+    return { success: true, value: slots };
+}
+
+/**
+ * Write combo slots in the form's text format (see parseComboSlots)
+ * Menu items that have been deleted are left out.
+ * @param {Array} slots - Combo slots
+ * @returns {string}
+ */
+function formatComboSlots(slots = []) {
+    return slots.map(slot => {
+        const names = slot.itemIds.map(getMenuItem).filter(Boolean).map(item => item.name);
+        return `${slot.name}: ${names.join(', ')}`;
+    }).join('\n');
+}
+
+/**
+ * Check that the menu items of combo slots can be put in a combo
+ * Items with required options can't: the combo has no way to ask for them.
+ * @param {Array} slots - Combo slots
+ * @returns {object} Result object
+ */
+function checkComboItems(slots) {
+    for (const slot of slots) {
+        for (const itemId of slot.itemIds) {
+            const item = getMenuItem(itemId);
+            const message = !item
+                ? `${slot.name}: menu item not found`
+                : (item.optionGroups || []).some(group => group.required)
+                    ? `${item.name} has required options and can't be part of a combo`
+                    : null;
+            if (message) return { success: false, message, errors: { slots: message } };
+        }
+    }
+    return { success: true };
+}
+
+/**
+ * Add new combo
+ * @param {object} comboData - Combo data ({ name, description, price, image, slots })
+ * @returns {object} Result object
+ */
+function addCombo(comboData) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
+    
+    const check = validateRecord('combo', comboData);
+    if (!check.success) return check;
+    
+    const itemCheck = checkComboItems(check.value.slots);
+    if (!itemCheck.success) return itemCheck;
+    
+    const newCombo = {
+        id: generateId(),
+        ...check.value,
+        image: check.value.image || 'https://via.placeholder.com/400x200?text=No+Image',
+        available: true,
+        createdAt: new Date().toISOString()
+    };
+    
+    return updateStorage(STORAGE_KEYS.COMBOS, combos => {
+        combos.push(newCombo);
+        return { data: combos, result: { success: true, message: 'Combo added successfully!', combo: newCombo } };
+    }, []);
+}
+
+/**
+ * Update combo
+ * @param {string} comboId - Combo ID to update
+ * @param {object} updateData - Data to update
+ * @returns {object} Result object
+ */
+function updateCombo(comboId, updateData) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
+    
+    const check = validateRecord('combo', updateData, { partial: true });
+    if (!check.success) return check;
+    
+    if (check.value.slots) {
+        const itemCheck = checkComboItems(check.value.slots);
+        if (!itemCheck.success) return itemCheck;
+    }
+    
+    return updateStorage(STORAGE_KEYS.COMBOS, combos => {
+        const index = combos.findIndex(combo => combo.id === comboId);
+        
+        if (index === -1) {
+            return { result: { success: false, message: 'Combo not found' } };
+        }
+        
+        combos[index] = {
+            ...combos[index],
+            ...check.value,
+            updatedAt: new Date().toISOString()
+        };
+        
+        return { data: combos, result: { success: true, message: 'Combo updated successfully!', combo: combos[index] } };
+    }, []);
+}
+
+/**
+ * Delete combo
+ * @param {string} comboId - Combo ID to delete
+ * @returns {object} Result object
+ */
+function deleteCombo(comboId) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
+    
+    return updateStorage(STORAGE_KEYS.COMBOS, combos => {
+        const filteredCombos = combos.filter(combo => combo.id !== comboId);
+        
+        if (filteredCombos.length === combos.length) {
+            return { result: { success: false, message: 'Combo not found' } };
+        }
+        
+        return { data: filteredCombos, result: { success: true, message: 'Combo deleted successfully!' } };
+    }, []);
+}
+
+/**
+ * Toggle combo availability
+ * @param {string} comboId - Combo ID
+ * @returns {object} Result object
+ */
+function toggleComboAvailability(comboId) {
+    const combo = getCombo(comboId);
+    if (!combo) return { success: false, message: 'Combo not found' };
+    
+    const result = updateCombo(comboId, { available: !combo.available });
+    if (!result.success) return result;
+    
+    return {
+        success: true,
+        message: `Combo is now ${result.combo.available ? 'available' : 'unavailable'}`,
+        available: result.combo.available
+    };
+}
+
+/**
+ * Render combo management table (for staff)
+ * @param {string} containerId - Container element ID
+ */
+function renderComboManagementTable(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const combos = getCombos();
+    
+    if (combos.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🍱</div>
+                <h3 class="empty-state-title">No combos</h3>
+                <p class="empty-state-text">Sell menu items together at a bundle price</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="menu-table">
+            <thead>
+                <tr>
+                    <th>Image</th>
+                    <th>Name</th>
+                    <th>Slots</th>
+                    <th>Price</th>
+                    <th>Available</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${combos.map(combo => `
+                    <tr data-combo-id="${combo.id}">
+                        <td>
+                            <img src="${combo.image}" alt="${combo.name}" class="menu-item-image"
+                                 onerror="this.src='https://via.placeholder.com/60x60?text=No+Image'">
+                        </td>
+                        <td><strong>${combo.name}</strong></td>
+                        <td><small>${formatComboSlots(combo.slots).split('\n').join('<br>')}</small></td>
+                        <td>${formatCurrency(combo.price)}</td>
+                        <td>
+                            <div class="availability-toggle ${combo.available ? 'active' : ''}" 
+                                 data-combo-id="${combo.id}"
+                                 title="Click to toggle availability">
+                            </div>
+                        </td>
+                        <td>
+                            <button class="btn btn-sm btn-warning edit-combo-btn" data-combo-id="${combo.id}">
+                                ✏️ Edit
+                            </button>
+                            <button class="btn btn-sm btn-danger delete-combo-btn" data-combo-id="${combo.id}">
+                                🗑️ Delete
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Setup combo management event handlers
+ * @param {string} containerId - Table container ID
+ */
+function setupComboManagementHandlers(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.addEventListener('click', (e) => {
+        // Toggle availability
+        const toggle = e.target.closest('.availability-toggle');
+        if (toggle) {
+            const result = toggleComboAvailability(toggle.dataset.comboId);
+            
+            if (result.success) {
+                toggle.classList.toggle('active', result.available);
+                showToast(result.message, 'success');
+            } else {
+                showToast(result.message, 'error');
+            }
+        }
+        
+        // Delete combo
+        const deleteBtn = e.target.closest('.delete-combo-btn');
+        if (deleteBtn && confirm('Are you sure you want to delete this combo?')) {
+            const result = deleteCombo(deleteBtn.dataset.comboId);
+            if (result.success) {
+                showToast(result.message, 'success');
+                renderComboManagementTable(containerId);
+            } else {
+                showToast(result.message, 'error');
+            }
+        }
+        
+        // Edit combo - trigger modal
+        const editBtn = e.target.closest('.edit-combo-btn');
+        if (editBtn) {
+            const combo = getCombo(editBtn.dataset.comboId);
+            if (combo && typeof openComboModal === 'function') {
+                openComboModal(combo);
+            }
+        }
+    });
+}
+
+// ============================================
+// CATEGORY SCHEDULES (STAFF/ADMIN)
+// ============================================
+
+/**
+ * Set or clear the schedule of a whole category
+ * It applies on top of the schedules of the category's items.
+ * @param {string} category - Category name
+ * @param {object|null} schedule - Schedule (see parseSchedule), null to remove it
+ * @returns {object} Result object
+ */
+function setCategorySchedule(category, schedule) {
+    const denied = checkPermission(PERMISSIONS.MENU_EDIT);
+    if (denied) return denied;
+    
+    if (!getCategories().includes(category)) {
+        return { success: false, message: 'Category not found' };
+    }
+    
+    let value = null;
+    if (schedule) {
+        const check = validateRecord('schedule', schedule);
+        if (!check.success) return { success: false, message: check.message, errors: { schedule: check.message } };
+        value = check.value;
+    }
+    
+    return updateStorage(STORAGE_KEYS.CATEGORY_SCHEDULES, schedules => {
+        if (value) {
+            schedules[category] = value;
+        } else {
+            delete schedules[category];
+        }
+        return {
+            data: schedules,
+            result: { success: true, message: value ? `${category} schedule saved` : `${category} schedule removed` }
+        };
+    }, {});
+}
+
+/**
+ * Render the category schedule table (for staff)
+ * @param {string} containerId - Container element ID
+ */
+function renderCategoryScheduleTable(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const categories = getCategories();
+    const schedules = getCategorySchedules();
+    
+    if (categories.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="menu-table">
+            <thead>
+                <tr>
+                    <th>Category</th>
+                    <th>Served</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${categories.map(category => `
+                    <tr>
+                        <td><strong>${category}</strong></td>
+                        <td>
+                            ${schedules[category]
+                                ? formatSchedule(schedules[category]).split('\n').join('<br>')
+                                : '<span style="color: var(--gray-dark);">Whenever its items are available</span>'}
+                        </td>
+                        <td>
+                            <button class="btn btn-sm btn-warning edit-schedule-btn" data-category="${category}">
+                                🕐 Schedule
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Setup category schedule table event handlers
+ * @param {string} containerId - Table container ID
+ */
+function setupCategoryScheduleHandlers(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.addEventListener('click', (e) => {
+        const editBtn = e.target.closest('.edit-schedule-btn');
+        if (editBtn && typeof openCategoryScheduleModal === 'function') {
+            openCategoryScheduleModal(editBtn.dataset.category);
+        }
     });
 }
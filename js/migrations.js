@@ -0,0 +1,199 @@
+/**
+ * Smart Digital Canteen System - Schema Migrations
+ *
+ * This file keeps the stored data in step with the code:
+ * - Schema version record (STORAGE_KEYS.SCHEMA_VERSION)
+ * - Ordered list of migrations
+ * - Migration runner (called on every page load, see utils.js; the local
+ *   server upgrades its own data with the same migrations, see server/migrations.js)
+ * - Upgrading records from an older schema without storing them (backups)
+ *
+ * To change the shape of stored data, append a migration with the next
+ * version number. Never edit a migration that has already been released.
+ */
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+/**
+ * Ordered list of schema migrations
+ * Each migration: { version, description, records } where records maps the
+ * name of a storage key (see STORAGE_KEYS, defined after this file loads)
+ * to a function(record, context) returning the upgraded record; context is
+ * { now, outletId }. Migrations only change records one by one, so the same
+ * functions upgrade stored data (runMigrations), the records of an older
+ * backup (migrateRecords) and the local server's data. They run outside the
+ * browser too, so they use nothing but the record and the context.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize users, staff, menu items and orders',
+        records: {
+            // Seeded staff were copied into users with staff-only fields
+            USERS(user, { now }) {
+                const { ordersCompleted, rating, joinedAt, ...rest } = user;
+                return {
+                    ...rest,
+                    email: (user.email || '').toLowerCase().trim(),
+                    role: user.role || 'customer',
+                    createdAt: user.createdAt || joinedAt || now
+                };
+            },
+
+            STAFF_MEMBERS: (staff, { now }) => ({
+                ...staff,
+                email: (staff.email || '').toLowerCase().trim(),
+                role: 'staff',
+                ordersCompleted: staff.ordersCompleted || 0,
+                rating: staff.rating || 0,
+                joinedAt: staff.joinedAt || staff.createdAt || now
+            }),
+
+            // Seeded items never got createdAt
+            MENU_ITEMS: (item, { now }) => ({
+                ...item,
+                description: item.description || '',
+                price: parseFloat(item.price) || 0,
+                available: item.available !== false,
+                preparationTime: parseInt(item.preparationTime) || 15,
+                createdAt: item.createdAt || now
+            }),
+
+            ORDERS: order => ({
+                ...order,
+                staffId: order.staffId || null,
+                statusHistory: order.statusHistory || [],
+                updatedAt: order.updatedAt || order.createdAt
+            })
+        }
+    },
+    {
+        version: 2,
+        description: 'Assign existing orders to the configured outlet',
+        records: {
+            ORDERS: (order, { outletId }) => ({
+                ...order,
+                outletId: order.outletId || outletId
+            })
+        }
+    },
+    {
+        version: 3,
+        description: 'Keep passwords in users only',
+        records: {
+            // Staff records carried a plaintext copy of the password; users keep
+            // theirs until the next login hashes it (see loginUser in auth.js)
+            STAFF_MEMBERS(staff) {
+                const { password, ...rest } = staff;
+                return rest;
+            }
+        }
+    }
+];
+
+/**
+ * Latest schema version known to this code
+ */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS.reduce((max, m) => Math.max(max, m.version), 0);
+
+// ============================================
+// MIGRATION RUNNER
+// ============================================
+
+/**
+ * Get what migrations are given besides the record
+ * @returns {object} { now, outletId }
+ */
+function getMigrationContext() {
+    return { now: new Date().toISOString(), outletId: CANTEEN_CONFIG.tokens.outletId };
+}
+
+/**
+ * Get the stored schema version record
+ * @returns {object} { version, updatedAt, history }
+ */
+function getSchemaVersion() {
+    return getFromStorage(STORAGE_KEYS.SCHEMA_VERSION) || { version: 0, history: [] };
+}
+
+/**
+ * Get the migrations newer than a schema version, oldest first
+ * @param {number} version - Schema version
+ * @returns {Array} Migrations
+ */
+function getPendingMigrations(version) {
+    return MIGRATIONS
+        .filter(m => m.version > version)
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply a migration to the records stored under each key it changes
+ * @param {object} migration - Migration
+ */
+function applyMigration(migration) {
+    const context = getMigrationContext();
+    Object.entries(migration.records).forEach(([keyName, migrateRecord]) => {
+        updateStorage(STORAGE_KEYS[keyName], records => (
+            Array.isArray(records) ? { data: records.map(record => migrateRecord(record, context)) } : {}
+        ));
+    });
+}
+
+/**
+ * Upgrade records written under an older schema, without storing them
+ * (e.g. the records of a backup, before they are imported)
+ * @param {string} key - Storage key the records belong under
+ * @param {Array} records - Records
+ * @param {number} fromVersion - Schema version they were written under
+ * @returns {Array} Records at CURRENT_SCHEMA_VERSION
+ */
+function migrateRecords(key, records, fromVersion) {
+    const keyName = Object.keys(STORAGE_KEYS).find(name => STORAGE_KEYS[name] === key);
+    const context = getMigrationContext();
+    return getPendingMigrations(fromVersion)
+        .filter(migration => migration.records[keyName])
+        .reduce((upgraded, migration) => upgraded.map(record => (
+            record && typeof record === 'object' ? migration.records[keyName](record, context) : record
+        )), records);
+}
+
+/**
+ * Run all migrations newer than the stored schema version
+ * Stops at the first failing migration so it is retried on the next load.
+ * @returns {object} Result object with the resulting version
+ */
+function runMigrations() {
+    const record = getSchemaVersion();
+
+    if (record.version > CURRENT_SCHEMA_VERSION) {
+        console.warn(`Stored data uses schema v${record.version}, this code only knows v${CURRENT_SCHEMA_VERSION}`);
+        return { success: false, message: 'Stored data is newer than the application', version: record.version };
+    }
+
+    for (const migration of getPendingMigrations(record.version)) {
+        try {
+            applyMigration(migration);
+        } catch (error) {
+            console.error(`Migration to schema v${migration.version} failed:`, error);
+            return { success: false, message: `Migration to v${migration.version} failed`, version: record.version };
+        }
+
+        record.version = migration.version;
+        record.updatedAt = new Date().toISOString();
+        record.history = [
+            ...(record.history || []),
+            { version: migration.version, description: migration.description, appliedAt: record.updatedAt }
+        ];
+        saveToStorage(STORAGE_KEYS.SCHEMA_VERSION, record);
+    }
+
+    return { success: true, message: `Schema is at v${record.version}`, version: record.version };
+}
+
+// Export for the local server (server/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MIGRATIONS, CURRENT_SCHEMA_VERSION, getPendingMigrations };
+}
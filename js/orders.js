@@ -14,60 +14,163 @@
 
 /**
  * Create a new order from cart
- * @returns {object} Result object with order details
+ * Without a login the order can be placed as a guest; it then carries a
+ * secret tracking key and PIN instead of a user ID.
+ * The promise settles once the order has been stored, so the token it
+ * reports is the one the order was saved with.
+ * @param {object} guest - { name, phone } for guest checkout (ignored when logged in)
+ * @returns {Promise<object>} Result object with order details (and trackingUrl for guests)
  */
-function createOrder() {
+function createOrder(guest = null) {
     const cart = getCart();
     const currentUser = getCurrentUser();
     
     if (cart.length === 0) {
-        return { success: false, message: 'Cart is empty' };
+        return Promise.resolve({ success: false, message: 'Cart is empty' });
     }
     
-    if (!currentUser) {
-        return { success: false, message: 'Please login to place order' };
+    if (!currentUser && !(guest && CANTEEN_CONFIG.guestCheckout.enabled)) {
+        return Promise.resolve({ success: false, message: 'Please login to place order' });
     }
     
-    const totals = getCartTotals();
-    const token = generateToken();
-    
-    const order = {
-        id: generateId(),
-        token: token,
-        userId: currentUser.id,
-        userName: currentUser.name,
-        userEmail: currentUser.email,
-        items: cart.map(item => ({
-            id: item.id,
-            name: item.name,
-            price: item.price,
-            quantity: item.quantity,
-            subtotal: item.price * item.quantity
-        })),
-        subtotal: totals.subtotal,
-        tax: totals.tax,
-        total: totals.total,
-        status: ORDER_STATUS.PENDING,
-        statusHistory: [
-            {
-                status: ORDER_STATUS.PENDING,
-                timestamp: new Date().toISOString(),
-                note: 'Order placed'
+    if (currentUser) {
+        const denied = checkPermission(PERMISSIONS.ORDER_PLACE);
+        if (denied) return Promise.resolve(denied);
+        
+        if (!isEmailVerified(currentUser)) {
+            return Promise.resolve({
+                success: false,
+                needsVerification: true,
+                message: 'Please verify your email address before ordering. We sent a code to your inbox.'
+            });
+        }
+    } else {
+        const guestCheck = validateRecord('guest', guest);
+        if (!guestCheck.success) return Promise.resolve(guestCheck);
+        guest = guestCheck.value;
+    }
+    
+    const optionIds = item => (item.options || []).map(option => option.id);
+    const choiceIds = item => (item.components || []).map(component => component.id);
+    const lines = cart.map(item => ({
+        id: item.id,
+        quantity: item.quantity,
+        options: optionIds(item),
+        combo: Boolean(item.combo),
+        choices: choiceIds(item)
+    }));
+    const lineCheck = validateRecord('order', { items: lines });
+    if (!lineCheck.success) return Promise.resolve(lineCheck);
+    
+    // The item's options, or the combo's slots, may have changed since it was put in the cart,
+    // and the item may have gone off its schedule
+    for (const item of cart) {
+        let choice = null;
+        if (item.combo) {
+            const combo = getCombo(item.id);
+            choice = combo ? resolveComboChoices(combo, choiceIds(item), getMenuItems(true)) : null;
+        } else {
+            const menuItem = getMenuItem(item.id);
+            if (menuItem && !isItemAvailable(menuItem)) {
+                return Promise.resolve({ success: false, message: `${menuItem.name} is ${isItemSoldOut(menuItem) ? 'sold out' : 'not available right now'}` });
             }
-        ],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
+            choice = menuItem ? resolveItemOptions(menuItem, optionIds(item)) : null;
+        }
+        if (choice && !choice.success) return Promise.resolve(choice);
+    }
     
-    // Save order
-    const orders = getFromStorage(STORAGE_KEYS.ORDERS) || [];
-    orders.push(order);
-    saveToStorage(STORAGE_KEYS.ORDERS, orders);
+    // The local server places the order itself, for the session's account or the guest
+    if (usesServerAccounts()) {
+        const body = currentUser ? { items: lines } : { guest, items: lines };
+        return callServerApi('POST', 'orders', body).then(result => {
+            if (!result.success) return result;
+            clearCart();
+            return result.order.tracking ? { ...result, trackingUrl: getTrackingUrl(result.order) } : result;
+        });
+    }
     
-    // Clear cart after successful order
-    clearCart();
+    const totals = getCartTotals();
+    const outletId = CANTEEN_CONFIG.tokens.outletId;
     
-    return { success: true, message: 'Order placed successfully!', order };
+    // Take the portions first; they go back if the order can't be saved
+    return takeStock(countStockNeeded(cart)).then(stock => {
+        if (!stock.success) return stock;
+        
+        return generateToken(outletId).then(token => {
+            if (!token) {
+                returnStock(stock.taken);
+                return getConflictResult();
+            }
+            
+            const customer = currentUser ? {
+                userId: currentUser.id,
+                userName: currentUser.name,
+                userEmail: currentUser.email
+            } : {
+                userId: null,
+                userName: guest.name,
+                userEmail: '',
+                guest: { phone: guest.phone },
+                tracking: { key: generateTrackingKey(), pin: generateOneTimeCode() }
+            };
+            
+            const order = {
+                id: generateId(),
+                token: token,
+                outletId: outletId,
+                ...customer,
+                staffId: null,
+                items: cart.map(item => ({
+                    id: item.id,
+                    name: item.name,
+                    price: item.price,
+                    quantity: item.quantity,
+                    options: item.options || [],
+                    ...(item.combo ? { combo: true, components: item.components } : {}),
+                    subtotal: item.price * item.quantity
+                })),
+                subtotal: totals.subtotal,
+                tax: totals.tax,
+                total: totals.total,
+                status: ORDER_STATUS.PENDING,
+                // Portions taken from counted menu items, returned on cancellation
+                stockTaken: stock.taken,
+                statusHistory: [
+                    {
+                        status: ORDER_STATUS.PENDING,
+                        timestamp: new Date().toISOString(),
+                        note: 'Order placed'
+                    }
+                ],
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            
+            // Save order
+            return commitStorageUpdate(STORAGE_KEYS.ORDERS, orders => {
+                // The stored counter never hands a token out twice; only orders from before it can clash
+                if (orders.some(o => o.token === order.token)) {
+                    return { result: getConflictResult() };
+                }
+                orders.push(order);
+                return { data: orders, result: { success: true, message: 'Order placed successfully!', order } };
+            }, []).then(result => {
+                if (!result.success) {
+                    returnStock(stock.taken);
+                    return result;
+                }
+                
+                // Clear cart after successful order
+                clearCart();
+                
+                if (order.tracking) {
+                    result.trackingUrl = getTrackingUrl(order);
+                }
+                
+                return result;
+            });
+        });
+    });
 }
 
 /**
@@ -84,19 +187,22 @@ function getAllOrders() {
  * @returns {Array} User's orders
  */
 function getUserOrders(userId) {
-    const orders = getAllOrders();
-    return orders.filter(order => order.userId === userId)
+    // Older orders live in the archive (see archive.js); the live copy wins
+    const byId = new Map([...getArchivedOrders(), ...getAllOrders()].map(order => [order.id, order]));
+    return [...byId.values()].filter(order => order.userId === userId)
                  .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 }
 
 /**
  * Get order by token
+ * Tokens are unique; orders created before the token counter existed may
+ * share one, in which case the most recent order wins.
  * @param {string} token - Order token
  * @returns {object|null} Order or null
  */
 function getOrderByToken(token) {
-    const orders = getAllOrders();
-    return orders.find(order => order.token === token) || null;
+    const orders = getAllOrders().filter(order => order.token === token);
+    return orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
 }
 
 /**
@@ -131,41 +237,98 @@ function getActiveOrders() {
                  .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 }
 
+/**
+ * Get the permission needed to move an order to a status
+ * @param {string} status - New status
+ * @returns {string} One of PERMISSIONS
+ */
+function getStatusPermission(status) {
+    switch (status) {
+        case ORDER_STATUS.COMPLETED:
+            return PERMISSIONS.ORDER_COMPLETE;
+        case ORDER_STATUS.CANCELLED:
+            return PERMISSIONS.ORDER_CANCEL;
+        default:
+            return PERMISSIONS.ORDER_PREPARE;
+    }
+}
+
 /**
  * Update order status
  * @param {string} orderId - Order ID
  * @param {string} newStatus - New status
  * @param {string} note - Optional note
- * @returns {object} Result object
+ * @returns {Promise<object>} Result object, once the change has been stored
  */
 function updateOrderStatus(orderId, newStatus, note = '') {
-    const orders = getAllOrders();
-    const orderIndex = orders.findIndex(o => o.id === orderId);
-    
-    if (orderIndex === -1) {
-        return { success: false, message: 'Order not found' };
-    }
-    
-    const order = orders[orderIndex];
-    
-    // Add to status history
-    order.statusHistory.push({
-        status: newStatus,
-        timestamp: new Date().toISOString(),
-        note: note || `Status changed to ${newStatus}`
-    });
+    const currentUser = getCurrentUser();
     
-    order.status = newStatus;
-    order.updatedAt = new Date().toISOString();
+    const denied = checkPermission(getStatusPermission(newStatus));
+    if (denied) return Promise.resolve(denied);
     
-    // If completed, add completion time
-    if (newStatus === ORDER_STATUS.COMPLETED) {
-        order.completedAt = new Date().toISOString();
+    // The local server settles stock and ingredients itself
+    if (usesServerAccounts()) {
+        return callServerApi('POST', `orders/${encodeURIComponent(orderId)}/status`, { status: newStatus, note });
     }
     
-    saveToStorage(STORAGE_KEYS.ORDERS, orders);
-    
-    return { success: true, message: `Order status updated to ${newStatus}`, order };
+    let restock = null;
+    let ingredientsUsed = null;
+    return commitStorageUpdate(STORAGE_KEYS.ORDERS, orders => {
+        const order = orders.find(o => o.id === orderId);
+        
+        if (!order) {
+            return { result: { success: false, message: 'Order not found' } };
+        }
+        
+        // Finished orders stay finished: their stock and ingredients are settled
+        if ([ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED].includes(order.status)) {
+            return { result: { success: false, message: `This order is already ${order.status}` } };
+        }
+        
+        // A cancelled order gives its portions back, once
+        restock = null;
+        if (newStatus === ORDER_STATUS.CANCELLED && order.stockTaken) {
+            restock = order.stockTaken;
+            order.stockTaken = null;
+        }
+        
+        // Add to status history
+        order.statusHistory.push({
+            status: newStatus,
+            timestamp: new Date().toISOString(),
+            note: note || `Status changed to ${newStatus}`
+        });
+        
+        order.status = newStatus;
+        order.updatedAt = new Date().toISOString();
+        
+        // Remember which staff member handled the order
+        if (!order.staffId && currentUser && getRoleArea(currentUser.role) === USER_ROLES.STAFF) {
+            order.staffId = currentUser.id;
+        }
+        
+        // If completed, add completion time and use up the ingredients of its recipes, once
+        ingredientsUsed = null;
+        if (newStatus === ORDER_STATUS.COMPLETED) {
+            order.completedAt = new Date().toISOString();
+            if (!order.ingredientsUsed) {
+                ingredientsUsed = getOrderIngredients(order);
+                order.ingredientsUsed = ingredientsUsed;
+            }
+        }
+        
+        return { data: orders, result: { success: true, message: `Order status updated to ${newStatus}`, order } };
+    }, []).then(result => {
+        // Only the attempt that was stored decides what goes back to or out of stock
+        if (result.success && restock) {
+            returnStock(restock);
+        }
+        if (result.success && ingredientsUsed) {
+            useIngredients(ingredientsUsed);
+        }
+        
+        return result;
+    });
 }
 
 /**
@@ -210,15 +373,176 @@ function getStatusInfo(status) {
     return statusMap[status] || statusMap[ORDER_STATUS.PENDING];
 }
 
+// ============================================
+// GUEST ORDERS
+// ============================================
+
+/**
+ * Generate the secret key of a guest order's tracking link
+ * @returns {string} 32 hex characters
+ */
+function generateTrackingKey() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get the status page link of a guest order, secret key included
+ * @param {object} order - Guest order
+ * @returns {string} URL relative to the customer pages
+ */
+function getTrackingUrl(order) {
+    return `order-status.html?token=${encodeURIComponent(order.token)}&key=${order.tracking.key}`;
+}
+
+// Tracking key and PIN of guest orders the local server opened on this page, by order ID
+// (null while asking); it never serves them with the orders (server/secrets.js)
+const unlockedTracking = {};
+
+/**
+ * Get the tracking key and PIN of a guest order, if this page knows them
+ * @param {object} order - Order
+ * @returns {object|null} { key, pin }
+ */
+function getOrderTracking(order) {
+    return order.tracking || unlockedTracking[order.id] || null;
+}
+
+/**
+ * Check whether an order may be shown on the status page
+ * Guest orders have no account to check, so they are only shown with the
+ * key from their tracking link.
+ * @param {object} order - Order
+ * @param {string} key - Key from the link
+ * @returns {boolean}
+ */
+function canTrackOrder(order, key) {
+    const tracking = getOrderTracking(order);
+    return tracking ? key === tracking.key : !order.guest;
+}
+
+/**
+ * Ask the local server to open a guest order
+ * @param {object} request - { token, key } or { token, pin, deviceId }
+ * @returns {Promise<object>} Result object with the order, tracking included
+ */
+function requestOrderTracking(request) {
+    return callServerApi('POST', 'order-tracking', request).then(result => {
+        if (result.success) unlockedTracking[result.order.id] = result.order.tracking;
+        return result;
+    });
+}
+
+/**
+ * Open a guest order with its PIN
+ * Wrong PINs count towards the login lockout of the order token and of
+ * this device, so PINs can't be guessed one after another.
+ * @param {string} token - Order token
+ * @param {string} pin - PIN shown when the order was placed
+ * @returns {Promise<object>} Result object with trackingUrl
+ */
+function unlockGuestOrder(token, pin) {
+    if (usesServerAccounts()) {
+        return requestOrderTracking({ token, pin: (pin || '').trim(), deviceId: getDeviceId() })
+            .then(result => (result.success ? { success: true, trackingUrl: getTrackingUrl(result.order) } : result));
+    }
+    
+    const lockKey = `order:${token}`;
+    const { lockedUntil } = getLoginThrottle(lockKey);
+    if (lockedUntil) return Promise.resolve(getLockoutResult(lockedUntil));
+    
+    const order = getOrderByToken(token);
+    if (!order || !order.tracking || order.tracking.pin !== (pin || '').trim()) {
+        const failed = recordLoginFailure(lockKey);
+        return Promise.resolve(failed.locked ? failed : { success: false, message: 'Wrong PIN' });
+    }
+    
+    clearLoginFailures(lockKey);
+    return Promise.resolve({ success: true, trackingUrl: getTrackingUrl(order) });
+}
+
+/**
+ * Render the PIN form shown for a guest order opened without its key
+ * @param {HTMLElement} container - Status container
+ * @param {string} token - Order token
+ */
+function renderTrackingPinForm(container, token) {
+    // Re-rendered on every order change; keep what the guest is typing
+    if (container.querySelector('#trackingPinForm')) return;
+    
+    container.innerHTML = `
+        <div class="card">
+            <div class="card-header">
+                <h3 class="card-title">🔒 Enter your tracking PIN</h3>
+            </div>
+            <p style="color: var(--gray-dark);">
+                Order ${token} was placed without an account. Enter the PIN you were
+                given when ordering to see it.
+            </p>
+            <form id="trackingPinForm" novalidate>
+                <div class="form-group mt-md">
+                    <label class="form-label">Tracking PIN</label>
+                    <input type="text" name="pin" class="form-input" inputmode="numeric"
+                           autocomplete="off" maxlength="6" required>
+                </div>
+                <button type="submit" class="btn btn-customer-primary btn-block">Show Order</button>
+            </form>
+        </div>
+    `;
+    
+    container.querySelector('#trackingPinForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const pinInput = e.target.querySelector('[name="pin"]');
+        
+        unlockGuestOrder(token, pinInput.value).then(result => {
+            if (result.success) {
+                navigateTo(result.trackingUrl);
+            } else {
+                showToast(result.message, 'error');
+                pinInput.value = '';
+            }
+        });
+    });
+}
+
 // ============================================
 // ORDER RENDERING - CUSTOMER
 // ============================================
 
+/**
+ * Describe the options of an order or cart line, grouped, or the items
+ * picked for a combo
+ * @param {object} line - Order item or cart line
+ * @returns {string} e.g. "Spice level: Hot · Add-ons: Egg, Extra cheese" or "Main: Chicken Rice · Drink: Mango Smoothie"
+ */
+function formatLineOptions(line) {
+    if (line.combo) {
+        return (line.components || []).map(component => `${component.slot}: ${component.name}`).join(' · ');
+    }
+    
+    const groups = new Map();
+    (line.options || []).forEach(option => {
+        groups.set(option.group, [...(groups.get(option.group) || []), option.name]);
+    });
+    return [...groups].map(([group, names]) => `${group}: ${names.join(', ')}`).join(' · ');
+}
+
+/**
+ * Render the options (or combo choices) of an order line below its name
+ * @param {object} line - Order item
+ * @returns {string} HTML string (empty without options)
+ */
+function renderLineOptions(line) {
+    const details = formatLineOptions(line);
+    if (!details) return '';
+    return `<br><small class="order-item-options">${details}</small>`;
+}
+
 /**
  * Render order status page
  * @param {string} token - Order token
+ * @param {string} key - Tracking key from the link (guest orders)
  */
-function renderOrderStatus(token) {
+function renderOrderStatus(token, key = null) {
     const order = getOrderByToken(token);
     const container = document.getElementById('orderStatusContainer');
     
@@ -236,7 +560,19 @@ function renderOrderStatus(token) {
         return;
     }
     
+    if (!canTrackOrder(order, key)) {
+        // With the local server, only the server can check the key from the link
+        if (key && usesServerAccounts() && !(order.id in unlockedTracking)) {
+            unlockedTracking[order.id] = null;
+            requestOrderTracking({ token, key }).then(() => renderOrderStatus(token, key));
+            return;
+        }
+        renderTrackingPinForm(container, token);
+        return;
+    }
+    
     const statusInfo = getStatusInfo(order.status);
+    const tracking = getOrderTracking(order);
     const shopLocation = getFromStorage(STORAGE_KEYS.SHOP_LOCATION);
     
     container.innerHTML = `
@@ -275,7 +611,7 @@ function renderOrderStatus(token) {
             <div class="order-items">
                 ${order.items.map(item => `
                     <div class="order-item-row">
-                        <span>${item.quantity}x ${item.name}</span>
+                        <span>${item.quantity}x ${item.name}${renderLineOptions(item)}</span>
                         <span>${formatCurrency(item.subtotal)}</span>
                     </div>
                 `).join('')}
@@ -289,6 +625,18 @@ function renderOrderStatus(token) {
             </p>
         </div>
         
+        ${tracking ? `
+            <div class="card mt-lg">
+                <div class="card-header">
+                    <h3 class="card-title">🔑 Tracking PIN: ${tracking.pin}</h3>
+                </div>
+                <p style="color: var(--gray-dark); font-size: 0.875rem;">
+                    You ordered as a guest. Bookmark this page, or note the PIN: with
+                    the token ${order.token} it opens this order on any device.
+                </p>
+            </div>
+        ` : ''}
+        
         ${shopLocation ? `
             <div class="card mt-lg">
                 <div class="card-header">
@@ -370,7 +718,7 @@ function renderOrderHistory(containerId) {
                 <div class="history-items">
                     ${order.items.map(item => `
                         <div class="order-item-row">
-                            <span>${item.quantity}x ${item.name}</span>
+                            <span>${item.quantity}x ${item.name}${renderLineOptions(item)}</span>
                             <span>${formatCurrency(item.subtotal)}</span>
                         </div>
                     `).join('')}
@@ -435,15 +783,16 @@ function renderStaffOrders(containerId, filterStatus = null) {
                     <span class="order-badge ${statusInfo.badge}">${statusInfo.icon} ${statusInfo.label}</span>
                 </div>
                 <div class="order-meta" style="color: var(--gray-dark); font-size: 0.875rem; margin-bottom: 0.5rem;">
-                    <span>👤 ${order.userName}</span>
+                    <span>👤 ${order.userName}${order.guest ? ` (guest, 📞 ${order.guest.phone})` : ''}</span>
                     <span style="margin-left: 1rem;">🕐 ${getRelativeTime(order.createdAt)}</span>
                 </div>
                 <div class="order-items">
                     ${order.items.map(item => `
                         <div class="order-item-row">
-                            <span><strong>${item.quantity}x</strong> ${item.name}</span>
+                            <span><strong>${item.quantity}x</strong> ${item.name}${item.combo ? '' : renderLineOptions(item)}</span>
                             <span>${formatCurrency(item.subtotal)}</span>
                         </div>
+                        ${renderComboParts(item)}
                     `).join('')}
                 </div>
                 <div class="cart-summary-row total" style="border-top: 1px solid #E0E0E0; padding-top: 0.5rem; margin-top: 0.5rem;">
@@ -460,34 +809,56 @@ function renderStaffOrders(containerId, filterStatus = null) {
     container.innerHTML = html;
 }
 
+/**
+ * List what the kitchen makes for a combo line, one row per component
+ * @param {object} line - Order item
+ * @returns {string} HTML string (empty for lines that aren't combos)
+ */
+function renderComboParts(line) {
+    if (!line.combo) return '';
+    return `
+        <ul class="order-item-parts">
+            ${(line.components || []).map(component => `
+                <li><strong>${line.quantity}x</strong> ${component.name} <small>(${component.slot})</small></li>
+            `).join('')}
+        </ul>
+    `;
+}
+
 /**
  * Get action buttons based on order status
  * @param {object} order - Order object
  * @returns {string} HTML string for buttons
  */
 function getOrderActionButtons(order) {
+    const canPrepare = hasPermission(PERMISSIONS.ORDER_PREPARE);
+    
     switch (order.status) {
         case ORDER_STATUS.PENDING:
             return `
-                <button class="btn btn-staff-primary btn-sm start-preparing-btn" data-order-id="${order.id}">
-                    👨‍🍳 Start Preparing
-                </button>
-                <button class="btn btn-danger btn-sm cancel-order-btn" data-order-id="${order.id}">
-                    ❌ Cancel
-                </button>
+                ${canPrepare ? `
+                    <button class="btn btn-staff-primary btn-sm start-preparing-btn" data-order-id="${order.id}">
+                        👨‍🍳 Start Preparing
+                    </button>
+                ` : ''}
+                ${hasPermission(PERMISSIONS.ORDER_CANCEL) ? `
+                    <button class="btn btn-danger btn-sm cancel-order-btn" data-order-id="${order.id}">
+                        ❌ Cancel
+                    </button>
+                ` : ''}
             `;
         case ORDER_STATUS.PREPARING:
-            return `
+            return canPrepare ? `
                 <button class="btn btn-success btn-sm mark-ready-btn" data-order-id="${order.id}">
                     ✅ Mark Ready
                 </button>
-            `;
+            ` : '';
         case ORDER_STATUS.READY:
-            return `
+            return hasPermission(PERMISSIONS.ORDER_COMPLETE) ? `
                 <button class="btn btn-staff-primary btn-sm complete-order-btn" data-order-id="${order.id}">
                     🎉 Complete (Collected)
                 </button>
-            `;
+            ` : '';
         default:
             return '';
     }
@@ -507,46 +878,63 @@ function setupStaffOrderHandlers(containerId) {
         
         // Start Preparing
         if (e.target.classList.contains('start-preparing-btn')) {
-            const result = updateOrderStatus(orderId, ORDER_STATUS.PREPARING, 'Started preparing');
-            if (result.success) {
-                showToast('Order is now being prepared', 'success');
-                renderStaffOrders(containerId);
-                updateDashboardStats();
-            }
+            updateOrderStatus(orderId, ORDER_STATUS.PREPARING, 'Started preparing').then(result => {
+                if (result.success) {
+                    showToast('Order is now being prepared', 'success');
+                    renderStaffOrders(containerId);
+                    updateDashboardStats();
+                } else {
+                    showToast(result.message, 'error');
+                }
+            });
         }
         
         // Mark Ready
         if (e.target.classList.contains('mark-ready-btn')) {
-            const result = updateOrderStatus(orderId, ORDER_STATUS.READY, 'Food is ready for pickup');
-            if (result.success) {
-                showToast('Order marked as ready!', 'success');
-                renderStaffOrders(containerId);
-                updateDashboardStats();
-            }
+            updateOrderStatus(orderId, ORDER_STATUS.READY, 'Food is ready for pickup').then(result => {
+                if (result.success) {
+                    showToast('Order marked as ready!', 'success');
+                    renderStaffOrders(containerId);
+                    updateDashboardStats();
+                } else {
+                    showToast(result.message, 'error');
+                }
+            });
         }
         
         // Complete Order
         if (e.target.classList.contains('complete-order-btn')) {
-            const result = updateOrderStatus(orderId, ORDER_STATUS.COMPLETED, 'Order collected by customer');
-            if (result.success) {
-                showToast('Order completed!', 'success');
-                renderStaffOrders(containerId);
-                updateDashboardStats();
-                
-                // Update staff performance
-                updateStaffPerformance();
-            }
+            updateOrderStatus(orderId, ORDER_STATUS.COMPLETED, 'Order collected by customer').then(result => {
+                if (result.success) {
+                    showToast('Order completed!', 'success');
+                    renderStaffOrders(containerId);
+                    updateDashboardStats();
+                    
+                    // Update staff performance
+                    updateStaffPerformance();
+                    
+                    // Completed orders use up ingredients
+                    if (typeof renderStaffLowStockAlerts === 'function') {
+                        renderStaffLowStockAlerts();
+                    }
+                } else {
+                    showToast(result.message, 'error');
+                }
+            });
         }
         
         // Cancel Order
         if (e.target.classList.contains('cancel-order-btn')) {
             if (confirm('Are you sure you want to cancel this order?')) {
-                const result = updateOrderStatus(orderId, ORDER_STATUS.CANCELLED, 'Order cancelled');
-                if (result.success) {
-                    showToast('Order cancelled', 'warning');
-                    renderStaffOrders(containerId);
-                    updateDashboardStats();
-                }
+                updateOrderStatus(orderId, ORDER_STATUS.CANCELLED, 'Order cancelled').then(result => {
+                    if (result.success) {
+                        showToast('Order cancelled', 'warning');
+                        renderStaffOrders(containerId);
+                        updateDashboardStats();
+                    } else {
+                        showToast(result.message, 'error');
+                    }
+                });
             }
         }
     });
@@ -585,46 +973,46 @@ function updateDashboardStats() {
  */
 function updateStaffPerformance() {
     const currentUser = getCurrentUser();
-    if (!currentUser || currentUser.role !== USER_ROLES.STAFF) return;
-    
-    const staffMembers = getFromStorage(STORAGE_KEYS.STAFF_MEMBERS) || [];
-    const staffIndex = staffMembers.findIndex(s => s.id === currentUser.id);
+    if (!currentUser || getRoleArea(currentUser.role) !== USER_ROLES.STAFF) return;
     
-    if (staffIndex !== -1) {
-        staffMembers[staffIndex].ordersCompleted = (staffMembers[staffIndex].ordersCompleted || 0) + 1;
-        saveToStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers);
-    }
+    updateStorage(STORAGE_KEYS.STAFF_MEMBERS, staffMembers => {
+        const staff = staffMembers.find(s => s.id === currentUser.id);
+        if (!staff) return {};
+        
+        staff.ordersCompleted = (staff.ordersCompleted || 0) + 1;
+        return { data: staffMembers };
+    }, []);
 }
 
 // ============================================
-// AUTO-REFRESH FOR REAL-TIME UPDATES
+// REAL-TIME UPDATES
 // ============================================
 
-let orderRefreshInterval = null;
+let stopOrderSubscription = null;
 
 /**
- * Start auto-refreshing orders
+ * Re-render staff orders whenever another tab or device changes them
  * @param {string} containerId - Container to refresh
- * @param {number} intervalMs - Refresh interval in milliseconds
  */
-function startOrderRefresh(containerId, intervalMs = 10000) {
-    // Clear existing interval
-    if (orderRefreshInterval) {
-        clearInterval(orderRefreshInterval);
-    }
+function startOrderRefresh(containerId) {
+    stopOrderRefresh();
     
-    orderRefreshInterval = setInterval(() => {
-        renderStaffOrders(containerId);
+    stopOrderSubscription = onStorageChange(STORAGE_KEYS.ORDERS, () => {
+        // Keep the currently selected filter tab
+        const activeTab = document.querySelector('.order-filter-tab.active');
+        const status = activeTab && activeTab.dataset.status !== 'all' ? activeTab.dataset.status : null;
+        
+        renderStaffOrders(containerId, status);
         updateDashboardStats();
-    }, intervalMs);
+    });
 }
 
 /**
- * Stop auto-refreshing orders
+ * Stop real-time order updates
  */
 function stopOrderRefresh() {
-    if (orderRefreshInterval) {
-        clearInterval(orderRefreshInterval);
-        orderRefreshInterval = null;
+    if (stopOrderSubscription) {
+        stopOrderSubscription();
+        stopOrderSubscription = null;
     }
 }
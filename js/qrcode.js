@@ -0,0 +1,459 @@
+/**
+ * Smart Digital Canteen System - QR Codes
+ *
+ * A small QR code encoder (ISO/IEC 18004) for the two-factor setup page,
+ * so authenticator apps can scan the secret. Only what that needs:
+ * byte mode, error correction level M, versions 1 to 10 (up to 213 bytes).
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const QR_MAX_VERSION = 10;
+
+// Error correction codewords per block and number of blocks, level M, by version
+const QR_ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_ECC_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+// Format bits of level M
+const QR_ECC_FORMAT_BITS = 0;
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// ============================================
+// REED-SOLOMON
+// ============================================
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Byte
+ * @param {number} y - Byte
+ * @returns {number} Product
+ */
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Get the error correction codewords of a block
+ * @param {Array} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array} Error correction codewords
+ */
+function qrErrorCorrection(data, degree) {
+    // Generator polynomial, highest coefficient (always 1) left out
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = qrMultiply(divisor[j], root);
+            if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => {
+            remainder[i] ^= qrMultiply(coefficient, factor);
+        });
+    });
+    return remainder;
+}
+
+// ============================================
+// ENCODING
+// ============================================
+
+/**
+ * Count the modules of a version that hold data and error correction
+ * @param {number} version - QR version
+ * @returns {number}
+ */
+function getQrDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return modules;
+}
+
+/**
+ * Count the data codewords a version holds at level M
+ * @param {number} version - QR version
+ * @returns {number}
+ */
+function getQrDataCodewords(version) {
+    return Math.floor(getQrDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+
+/**
+ * Get the centre positions of the alignment patterns
+ * @param {number} version - QR version
+ * @returns {Array} Positions (used for both rows and columns)
+ */
+function getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+/**
+ * Turn text into the final codeword sequence: data, padding and error
+ * correction, interleaved over the blocks
+ * @param {Uint8Array} bytes - UTF-8 text
+ * @param {number} version - QR version
+ * @returns {Array} Codewords
+ */
+function encodeQrCodewords(bytes, version) {
+    const capacity = getQrDataCodewords(version);
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    // Byte mode, character count, data
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    // Terminator, then pad to whole bytes and to the capacity
+    append(0, Math.min(4, capacity * 8 - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity * 8; pad ^= 0xEC ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    // Split into blocks; the last blocks are one data codeword longer
+    const blockCount = QR_ECC_BLOCKS[version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const totalCodewords = Math.floor(getQrDataModules(version) / 8);
+    const shortBlocks = blockCount - totalCodewords % blockCount;
+    const shortBlockLength = Math.floor(totalCodewords / blockCount);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+        const blockData = data.slice(offset, offset + length);
+        offset += length;
+
+        const ecc = qrErrorCorrection(blockData, eccLength);
+        // Placeholder keeps the short blocks aligned while interleaving
+        if (i < shortBlocks) blockData.push(0);
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const codewords = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                codewords.push(block[i]);
+            }
+        });
+    }
+    return codewords;
+}
+
+// ============================================
+// MATRIX
+// ============================================
+
+/**
+ * Draw the finder, timing and alignment patterns and reserve the format
+ * and version areas
+ * @param {object} qr - { size, version, modules, isFunction }
+ */
+function drawQrFunctionPatterns(qr) {
+    const { size, version } = qr;
+    const set = (x, y, dark) => {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    const positions = getQrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    drawQrFormatBits(qr, 0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+}
+
+/**
+ * Draw both copies of the format bits (error correction level and mask)
+ * @param {object} qr - { size, modules, isFunction }
+ * @param {number} mask - Mask number
+ */
+function drawQrFormatBits(qr, mask) {
+    const { size } = qr;
+    const data = (QR_ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const set = (x, y, dark) => {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+}
+
+/**
+ * Place the codewords in the zigzag order
+ * @param {object} qr - { size, modules, isFunction }
+ * @param {Array} codewords - Codewords
+ */
+function drawQrCodewords(qr, codewords) {
+    const { size } = qr;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // The vertical timing pattern takes column 6
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                    qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Flip the data modules a mask selects (applying it twice undoes it)
+ * @param {object} qr - { size, modules, isFunction }
+ * @param {number} mask - Mask number
+ */
+function applyQrMask(qr, mask) {
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (!qr.isFunction[y][x] && QR_MASKS[mask](x, y)) {
+                qr.modules[y][x] = !qr.modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * Score how hard a symbol is to scan (lower is better)
+ * @param {object} qr - { size, modules }
+ * @returns {number} Penalty
+ */
+function getQrPenalty(qr) {
+    const { size, modules } = qr;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    let penalty = 0;
+    let dark = 0;
+
+    for (let a = 0; a < size; a++) {
+        const row = modules[a];
+        const column = modules.map(line => line[a]);
+
+        [row, column].forEach(line => {
+            // Runs of five or more modules of one colour
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Patterns that look like a finder
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((value, k) => line[i + k] === value))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        row.forEach(module => { if (module) dark++; });
+    }
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode
+ * @returns {Array} Rows of modules (true = dark)
+ */
+function createQrMatrix(text) {
+    const bytes = new TextEncoder().encode(text);
+
+    let version = 1;
+    while (version <= QR_MAX_VERSION &&
+        4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getQrDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    const size = version * 4 + 17;
+    const qr = {
+        size,
+        version,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+
+    drawQrFunctionPatterns(qr);
+    drawQrCodewords(qr, encodeQrCodewords(bytes, version));
+
+    // Keep the mask that scores best
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((test, mask) => {
+        applyQrMask(qr, mask);
+        drawQrFormatBits(qr, mask);
+        const penalty = getQrPenalty(qr);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyQrMask(qr, mask);
+    });
+
+    applyQrMask(qr, bestMask);
+    drawQrFormatBits(qr, bestMask);
+    return qr.modules;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Render text as a QR code SVG
+ * @param {string} text - Text to encode
+ * @param {number} pixels - Width and height in pixels
+ * @returns {string} SVG markup
+ */
+function renderQrCodeSvg(text, pixels = 200) {
+    const modules = createQrMatrix(text);
+    const quietZone = 4;
+    const size = modules.length + quietZone * 2;
+
+    const path = [];
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + quietZone},${y + quietZone}h1v1h-1z`);
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${pixels}" height="${pixels}" shape-rendering="crispEdges" role="img" aria-label="QR code">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/>` +
+        `<path d="${path.join('')}" fill="#000"/>` +
+        '</svg>';
+}
@@ -3,7 +3,7 @@
  * 
  * This file handles staff-specific functionality:
  * - Order management
- * - Menu item management
+ * - Menu item and combo management
  * - Staff dashboard features
  */
 
@@ -22,9 +22,11 @@ function initStaffDashboard() {
     updateDashboardStats();
     renderStaffOrders('ordersContainer');
     setupStaffOrderHandlers('ordersContainer');
+    renderStaffLowStockAlerts();
     
-    // Start auto-refresh for real-time updates
-    startOrderRefresh('ordersContainer', 15000);
+    // Re-render when orders or ingredients change in another tab or device
+    startOrderRefresh('ordersContainer');
+    onStorageChange(STORAGE_KEYS.INGREDIENTS, renderStaffLowStockAlerts);
     
     // Update user name in navbar
     const currentUser = getCurrentUser();
@@ -34,12 +36,20 @@ function initStaffDashboard() {
     }
 }
 
+/**
+ * Render the low stock alert of the staff dashboards
+ * Staff who can edit the menu get a link to the ingredients.
+ */
+function renderStaffLowStockAlerts() {
+    renderLowStockAlerts('lowStockContainer', hasPermission(PERMISSIONS.MENU_EDIT) ? 'menu-manage.html#ingredients' : null);
+}
+
 /**
  * Initialize menu management page
  */
 function initMenuManagement() {
     // Check authentication
-    if (!protectPage(USER_ROLES.STAFF)) return;
+    if (!protectPage(PERMISSIONS.MENU_EDIT)) return;
     
     // Render menu table
     renderMenuManagementTable('menuTableContainer');
@@ -47,6 +57,24 @@ function initMenuManagement() {
     
     // Setup add item form
     setupAddItemForm();
+    
+    // Restock
+    setupRestockForm();
+    
+    // Category schedules
+    renderCategoryScheduleTable('categoryScheduleContainer');
+    setupCategoryScheduleHandlers('categoryScheduleContainer');
+    setupCategoryScheduleForm();
+    
+    // Combos
+    renderComboManagementTable('comboTableContainer');
+    setupComboManagementHandlers('comboTableContainer');
+    setupComboForm();
+    
+    // Ingredients
+    renderIngredientTable('ingredientTableContainer');
+    setupIngredientHandlers('ingredientTableContainer');
+    setupIngredientForm();
 }
 
 /**
@@ -65,15 +93,27 @@ function setupAddItemForm() {
             price: form.querySelector('[name="itemPrice"]').value,
             category: form.querySelector('[name="itemCategory"]').value,
             image: form.querySelector('[name="itemImage"]').value,
-            preparationTime: form.querySelector('[name="preparationTime"]').value
+            preparationTime: form.querySelector('[name="preparationTime"]').value,
+            stock: form.querySelector('[name="itemStock"]').value
         };
         
-        const result = addMenuItem(formData);
+        const options = parseOptionGroups(form.querySelector('[name="itemOptions"]').value);
+        const schedule = parseSchedule(form.querySelector('[name="itemSchedule"]').value);
+        const recipe = parseRecipe(form.querySelector('[name="itemRecipe"]').value);
+        const result = [options, schedule, recipe].find(parsed => !parsed.success) ||
+            addMenuItem({ ...formData, optionGroups: options.value, schedule: schedule.value, recipe: recipe.value });
+        showFieldErrors(form, result.errors, {
+            name: 'itemName', description: 'itemDescription', price: 'itemPrice',
+            category: 'itemCategory', image: 'itemImage', optionGroups: 'itemOptions', schedule: 'itemSchedule',
+            stock: 'itemStock', recipe: 'itemRecipe'
+        });
         
         if (result.success) {
             showToast(result.message, 'success');
             form.reset();
             renderMenuManagementTable('menuTableContainer');
+            renderCategoryScheduleTable('categoryScheduleContainer');
+            renderIngredientTable('ingredientTableContainer');
             closeModal('addItemModal');
         } else {
             showToast(result.message, 'error');
@@ -102,6 +142,7 @@ function openEditItemModal(item) {
     // Populate form fields
     const form = modal.querySelector('form');
     if (form) {
+        clearFieldErrors(form);
         form.querySelector('[name="editItemId"]').value = item.id;
         form.querySelector('[name="editItemName"]').value = item.name;
         form.querySelector('[name="editItemDescription"]').value = item.description;
@@ -109,6 +150,9 @@ function openEditItemModal(item) {
         form.querySelector('[name="editItemCategory"]').value = item.category;
         form.querySelector('[name="editItemImage"]').value = item.image;
         form.querySelector('[name="editPreparationTime"]').value = item.preparationTime;
+        form.querySelector('[name="editItemOptions"]').value = formatOptionGroups(item.optionGroups);
+        form.querySelector('[name="editItemSchedule"]').value = formatSchedule(item.schedule);
+        form.querySelector('[name="editItemRecipe"]').value = formatRecipe(item.recipe);
     }
     
     modal.classList.add('active');
@@ -128,17 +172,33 @@ function setupEditItemForm() {
         const updateData = {
             name: form.querySelector('[name="editItemName"]').value,
             description: form.querySelector('[name="editItemDescription"]').value,
-            price: parseFloat(form.querySelector('[name="editItemPrice"]').value),
+            price: form.querySelector('[name="editItemPrice"]').value,
             category: form.querySelector('[name="editItemCategory"]').value,
             image: form.querySelector('[name="editItemImage"]').value,
-            preparationTime: parseInt(form.querySelector('[name="editPreparationTime"]').value)
+            preparationTime: form.querySelector('[name="editPreparationTime"]').value
         };
         
-        const result = updateMenuItem(itemId, updateData);
+        // Unchanged groups and choices keep their IDs (see parseOptionGroups)
+        const current = getMenuItem(itemId);
+        const options = parseOptionGroups(
+            form.querySelector('[name="editItemOptions"]').value,
+            current ? current.optionGroups : []
+        );
+        const schedule = parseSchedule(form.querySelector('[name="editItemSchedule"]').value);
+        const recipe = parseRecipe(form.querySelector('[name="editItemRecipe"]').value);
+        const result = [options, schedule, recipe].find(parsed => !parsed.success) ||
+            updateMenuItem(itemId, { ...updateData, optionGroups: options.value, schedule: schedule.value, recipe: recipe.value });
+        showFieldErrors(form, result.errors, {
+            name: 'editItemName', description: 'editItemDescription', price: 'editItemPrice',
+            category: 'editItemCategory', image: 'editItemImage', preparationTime: 'editPreparationTime',
+            optionGroups: 'editItemOptions', schedule: 'editItemSchedule', recipe: 'editItemRecipe'
+        });
         
         if (result.success) {
             showToast(result.message, 'success');
             renderMenuManagementTable('menuTableContainer');
+            renderCategoryScheduleTable('categoryScheduleContainer');
+            renderIngredientTable('ingredientTableContainer');
             closeModal('editItemModal');
         } else {
             showToast(result.message, 'error');
@@ -146,6 +206,225 @@ function setupEditItemForm() {
     });
 }
 
+/**
+ * Open the restock modal of a menu item
+ * @param {object} item - Menu item
+ */
+function openRestockModal(item) {
+    const modal = document.getElementById('restockModal');
+    if (!modal) return;
+    
+    const form = modal.querySelector('form');
+    if (form) {
+        clearFieldErrors(form);
+        form.querySelector('[name="restockItemId"]').value = item.id;
+        form.querySelector('[name="restockStock"]').value = typeof item.stock === 'number' ? item.stock : '';
+    }
+    document.getElementById('restockTitle').textContent = `Restock ${item.name}`;
+    
+    modal.classList.add('active');
+}
+
+/**
+ * Setup restock form
+ */
+function setupRestockForm() {
+    const form = document.getElementById('restockForm');
+    if (!form) return;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const itemId = form.querySelector('[name="restockItemId"]').value;
+        const result = setItemStock(itemId, form.querySelector('[name="restockStock"]').value);
+        showFieldErrors(form, result.errors, { stock: 'restockStock' });
+        
+        if (result.success) {
+            showToast(result.message, 'success');
+            renderMenuManagementTable('menuTableContainer');
+            closeModal('restockModal');
+        } else {
+            showToast(result.message, 'error');
+        }
+    });
+}
+
+/**
+ * Open ingredient modal (add or edit)
+ * @param {object|null} ingredient - Ingredient to edit, null to add one
+ */
+function openIngredientModal(ingredient = null) {
+    const modal = document.getElementById('ingredientModal');
+    if (!modal) return;
+    
+    const form = modal.querySelector('form');
+    if (form) {
+        clearFieldErrors(form);
+        form.reset();
+        form.querySelector('[name="ingredientId"]').value = ingredient ? ingredient.id : '';
+        if (ingredient) {
+            form.querySelector('[name="ingredientName"]').value = ingredient.name;
+            form.querySelector('[name="ingredientUnit"]').value = ingredient.unit;
+            form.querySelector('[name="ingredientQuantity"]').value = ingredient.quantity;
+            form.querySelector('[name="ingredientLowStockAt"]').value = ingredient.lowStockAt;
+        }
+    }
+    document.getElementById('ingredientModalTitle').textContent = ingredient ? `Edit ${ingredient.name}` : 'Add Ingredient';
+    
+    modal.classList.add('active');
+}
+
+/**
+ * Setup ingredient form (add and edit)
+ */
+function setupIngredientForm() {
+    const form = document.getElementById('ingredientForm');
+    if (!form) return;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const ingredientId = form.querySelector('[name="ingredientId"]').value;
+        const formData = {
+            name: form.querySelector('[name="ingredientName"]').value,
+            unit: form.querySelector('[name="ingredientUnit"]').value,
+            quantity: form.querySelector('[name="ingredientQuantity"]').value,
+            lowStockAt: form.querySelector('[name="ingredientLowStockAt"]').value
+        };
+        
+        const result = ingredientId ? updateIngredient(ingredientId, formData) : addIngredient(formData);
+        showFieldErrors(form, result.errors, {
+            name: 'ingredientName', unit: 'ingredientUnit', quantity: 'ingredientQuantity', lowStockAt: 'ingredientLowStockAt'
+        });
+        
+        if (result.success) {
+            showToast(result.message, 'success');
+            form.reset();
+            renderIngredientTable('ingredientTableContainer');
+            renderMenuManagementTable('menuTableContainer');
+            closeModal('ingredientModal');
+        } else {
+            showToast(result.message, 'error');
+        }
+    });
+}
+
+/**
+ * Open the schedule modal of a category
+ * @param {string} category - Category name
+ */
+function openCategoryScheduleModal(category) {
+    const modal = document.getElementById('categoryScheduleModal');
+    if (!modal) return;
+    
+    const form = modal.querySelector('form');
+    if (form) {
+        clearFieldErrors(form);
+        form.querySelector('[name="scheduleCategory"]').value = category;
+        form.querySelector('[name="categorySchedule"]').value = formatSchedule(getCategorySchedules()[category]);
+    }
+    document.getElementById('categoryScheduleTitle').textContent = `${category} Schedule`;
+    
+    modal.classList.add('active');
+}
+
+/**
+ * Setup category schedule form
+ */
+function setupCategoryScheduleForm() {
+    const form = document.getElementById('categoryScheduleForm');
+    if (!form) return;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const category = form.querySelector('[name="scheduleCategory"]').value;
+        const schedule = parseSchedule(form.querySelector('[name="categorySchedule"]').value);
+        const result = schedule.success ? setCategorySchedule(category, schedule.value) : schedule;
+        showFieldErrors(form, result.errors, { schedule: 'categorySchedule' });
+        
+        if (result.success) {
+            showToast(result.message, 'success');
+            renderCategoryScheduleTable('categoryScheduleContainer');
+            closeModal('categoryScheduleModal');
+        } else {
+            showToast(result.message, 'error');
+        }
+    });
+}
+
+/**
+ * Open the combo modal
+ * @param {object} combo - Combo to edit (omit to add a new one)
+ */
+function openComboModal(combo = null) {
+    const modal = document.getElementById('comboModal');
+    if (!modal) return;
+    
+    const form = modal.querySelector('form');
+    if (form) {
+        clearFieldErrors(form);
+        form.reset();
+        form.querySelector('[name="comboId"]').value = combo ? combo.id : '';
+        if (combo) {
+            form.querySelector('[name="comboName"]').value = combo.name;
+            form.querySelector('[name="comboDescription"]').value = combo.description;
+            form.querySelector('[name="comboPrice"]').value = combo.price;
+            form.querySelector('[name="comboImage"]').value = combo.image;
+            form.querySelector('[name="comboSlots"]').value = formatComboSlots(combo.slots);
+        }
+    }
+    document.getElementById('comboModalTitle').textContent = combo ? 'Edit Combo' : 'Add New Combo';
+    
+    modal.classList.add('active');
+}
+
+/**
+ * Setup combo form (adds or updates, depending on the hidden combo ID)
+ */
+function setupComboForm() {
+    const form = document.getElementById('comboForm');
+    if (!form) return;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const comboId = form.querySelector('[name="comboId"]').value;
+        const formData = {
+            name: form.querySelector('[name="comboName"]').value,
+            description: form.querySelector('[name="comboDescription"]').value,
+            price: form.querySelector('[name="comboPrice"]').value,
+            image: form.querySelector('[name="comboImage"]').value
+        };
+        
+        // Unchanged slots keep their IDs (see parseComboSlots)
+        const current = comboId ? getCombo(comboId) : null;
+        const slots = parseComboSlots(
+            form.querySelector('[name="comboSlots"]').value,
+            current ? current.slots : []
+        );
+        let result = slots;
+        if (slots.success) {
+            result = comboId
+                ? updateCombo(comboId, { ...formData, slots: slots.value })
+                : addCombo({ ...formData, slots: slots.value });
+        }
+        showFieldErrors(form, result.errors, {
+            name: 'comboName', description: 'comboDescription', price: 'comboPrice',
+            image: 'comboImage', slots: 'comboSlots'
+        });
+        
+        if (result.success) {
+            showToast(result.message, 'success');
+            form.reset();
+            renderComboManagementTable('comboTableContainer');
+            closeModal('comboModal');
+        } else {
+            showToast(result.message, 'error');
+        }
+    });
+}
+
 /**
  * Close modal by ID
  * @param {string} modalId - Modal element ID
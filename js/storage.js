@@ -0,0 +1,497 @@
+/**
+ * Smart Digital Canteen System - Storage Adapters
+ *
+ * getFromStorage/saveToStorage (utils.js) never talk to a storage API
+ * directly. They go through the adapter selected by
+ * CANTEEN_CONFIG.storage.adapter (config.js):
+ * - local: browser localStorage, one private canteen per browser (default)
+ * - indexeddb: browser IndexedDB, same data model with a larger quota
+ * - http: a shared REST backend, so every device sees the same canteen
+ *
+ * An adapter is a plain object with:
+ * - name {string}
+ * - load() {Promise<object>} - resolves { values, revisions } for every stored key
+ * - write(key, raw, meta) {Promise} - persists a raw JSON string;
+ *   meta = { baseRevision, revision }. When baseRevision is set and the
+ *   stored revision differs, rejects with a conflict error (see createStorageConflict)
+ * - remove(key) {Promise} - deletes a key
+ * - read(key) {string|null} - optional; synchronous adapters read directly
+ * - readRevision(key) {number} - optional; synchronous adapters read directly
+ *
+ * Every key carries a revision number that goes up by one on each write.
+ * updateStorage (utils.js) uses it to detect concurrent writers.
+ *
+ * The rest of the app reads synchronously, so asynchronous adapters are
+ * served from an in-memory cache that load() fills before the pages start
+ * (see onAppReady in utils.js).
+ */
+
+// Suffix of the keys holding revision numbers (e.g. canteen_orders__rev)
+const REVISION_SUFFIX = '__rev';
+
+/**
+ * Create the error an adapter rejects with when a write lost a race
+ * @param {object|null} current - { raw, revision } now stored, if known
+ * @returns {Error}
+ */
+function createStorageConflict(current = null) {
+    const error = new Error('Stored data was changed by another writer');
+    error.conflict = true;
+    error.current = current;
+    return error;
+}
+
+/**
+ * Check whether a write failed because the storage is full
+ * @param {Error} error - Error a write rejected with
+ * @returns {boolean}
+ */
+function isStorageQuotaError(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.status === 413
+    );
+}
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+/**
+ * Create the localStorage adapter
+ * @returns {object} Storage adapter
+ */
+function createLocalStorageAdapter() {
+    function readRevision(key) {
+        return parseInt(localStorage.getItem(key + REVISION_SUFFIX)) || 0;
+    }
+
+    return {
+        name: 'local',
+        read(key) {
+            return localStorage.getItem(key);
+        },
+        readRevision,
+        load() {
+            return Promise.resolve({ values: {}, revisions: {} });
+        },
+        write(key, raw, meta = {}) {
+            const stored = readRevision(key);
+            if (meta.baseRevision !== undefined && stored !== meta.baseRevision) {
+                return Promise.reject(createStorageConflict({
+                    raw: localStorage.getItem(key),
+                    revision: stored
+                }));
+            }
+            try {
+                localStorage.setItem(key, raw);
+                localStorage.setItem(key + REVISION_SUFFIX, meta.revision || stored + 1);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            return Promise.resolve();
+        },
+        remove(key) {
+            localStorage.removeItem(key);
+            localStorage.removeItem(key + REVISION_SUFFIX);
+            return Promise.resolve();
+        }
+    };
+}
+
+/**
+ * Create the IndexedDB adapter
+ * @param {object} options - { databaseName }
+ * @returns {object} Storage adapter
+ */
+function createIndexedDbAdapter(options = {}) {
+    const databaseName = options.databaseName || 'canteen';
+    const storeName = 'keyval';
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    function runTransaction(mode, action) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const state = { result: undefined, error: null };
+            action(transaction.objectStore(storeName), state);
+            transaction.oncomplete = () => (state.error ? reject(state.error) : resolve(state.result));
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    return {
+        name: 'indexeddb',
+        load() {
+            return runTransaction('readonly', (store, state) => {
+                state.result = { values: {}, revisions: {} };
+                store.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (cursor.key.endsWith(REVISION_SUFFIX)) {
+                        state.result.revisions[cursor.key.slice(0, -REVISION_SUFFIX.length)] = cursor.value;
+                    } else {
+                        state.result.values[cursor.key] = cursor.value;
+                    }
+                    cursor.continue();
+                };
+            });
+        },
+        write(key, raw, meta = {}) {
+            // Revision check and write happen in one transaction, so two
+            // tabs cannot both write on top of the same revision
+            return runTransaction('readwrite', (store, state) => {
+                store.get(key + REVISION_SUFFIX).onsuccess = (event) => {
+                    const stored = event.target.result || 0;
+                    if (meta.baseRevision !== undefined && stored !== meta.baseRevision) {
+                        store.get(key).onsuccess = (e) => {
+                            state.error = createStorageConflict({ raw: e.target.result, revision: stored });
+                        };
+                        return;
+                    }
+                    store.put(raw, key);
+                    store.put(meta.revision || stored + 1, key + REVISION_SUFFIX);
+                };
+            });
+        },
+        remove(key) {
+            return runTransaction('readwrite', (store) => {
+                store.delete(key);
+                store.delete(key + REVISION_SUFFIX);
+            });
+        }
+    };
+}
+
+/**
+ * Create the HTTP/REST adapter
+ * Shared keys are mapped to REST collections on the backend
+ * (e.g. canteen_orders -> GET/PUT {apiBaseUrl}/orders). Keys that belong
+ * to a single device (session, cart) stay in localStorage.
+ * Revisions travel as ETag / If-Match headers; the backend answers a
+ * stale If-Match with 409 Conflict. Requests carry the session's token
+ * (the one getSessionToken in auth.js reads), as the server only serves
+ * each session what it may see; a token the server no longer accepts
+ * ends the session on this device.
+ * @param {object} options - { apiBaseUrl, resources }
+ * @returns {object} Storage adapter
+ */
+function createHttpAdapter(options = {}) {
+    const baseUrl = (options.apiBaseUrl || '/api').replace(/\/$/, '');
+    const resources = options.resources || {
+        canteen_users: 'users',
+        canteen_menu_items: 'menu-items',
+        canteen_combos: 'combos',
+        canteen_category_schedules: 'category-schedules',
+        canteen_ingredients: 'ingredients',
+        canteen_orders: 'orders',
+        canteen_shop_location: 'location',
+        canteen_staff_members: 'staff',
+        canteen_schema_version: 'schema-version',
+        canteen_token_counters: 'token-counters',
+        canteen_order_archive: 'order-archive',
+        canteen_session_revocations: 'session-revocations',
+        canteen_password_resets: 'password-resets',
+        canteen_login_attempts: 'login-attempts',
+        canteen_roles: 'roles',
+        canteen_email_verifications: 'email-verifications'
+    };
+    const local = createLocalStorageAdapter();
+
+    // Writes to the same key are sent one after another
+    const pendingWrites = {};
+
+    // Read here rather than through auth.js: the first load starts before auth.js is loaded
+    function getToken() {
+        try {
+            const session = JSON.parse(local.read('canteen_current_user'));
+            return (session && session.token) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function request(method, resource, body, extraHeaders = {}) {
+        const headers = { 'X-Canteen-Client': STORAGE_CLIENT_ID, ...extraHeaders };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const token = getToken();
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        return fetch(`${baseUrl}/${resource}`, { method, headers, body }).then(response => {
+            const revision = parseInt((response.headers.get('ETag') || '').replace(/\D/g, '')) || 0;
+
+            if (response.status === 404) return { raw: null, revision: 0 };
+            // e.g. after a server restart; checkSessionStillValid tells the user
+            if (response.status === 401 && token && token === getToken()) endSession('rejected');
+            if (response.status === 409) {
+                return request('GET', resource).then(current => {
+                    throw createStorageConflict(current);
+                });
+            }
+            if (!response.ok) {
+                const error = new Error(`${method} ${resource} failed with status ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.text().then(raw => ({ raw, revision }));
+        });
+    }
+
+    function enqueue(key, task) {
+        const previous = pendingWrites[key] || Promise.resolve();
+        pendingWrites[key] = previous.catch(() => {}).then(task);
+        return pendingWrites[key];
+    }
+
+    return {
+        name: 'http',
+        load() {
+            const entries = Object.entries(resources);
+            return Promise.all(entries.map(([, resource]) => request('GET', resource)))
+                .then(results => {
+                    const loaded = { values: {}, revisions: {} };
+                    entries.forEach(([key], index) => {
+                        if (results[index].raw) {
+                            loaded.values[key] = results[index].raw;
+                            loaded.revisions[key] = results[index].revision;
+                        }
+                    });
+                    return loaded;
+                });
+        },
+        read(key) {
+            return resources[key] ? undefined : local.read(key);
+        },
+        readRevision(key) {
+            return resources[key] ? undefined : local.readRevision(key);
+        },
+        write(key, raw, meta = {}) {
+            if (!resources[key]) return local.write(key, raw, meta);
+            const headers = meta.baseRevision !== undefined ? { 'If-Match': `"${meta.baseRevision}"` } : {};
+            return enqueue(key, () => request('PUT', resources[key], raw, headers));
+        },
+        remove(key) {
+            if (!resources[key]) return local.remove(key);
+            return enqueue(key, () => request('DELETE', resources[key]));
+        }
+    };
+}
+
+/**
+ * Adapter factories by configuration name
+ */
+const STORAGE_ADAPTERS = {
+    local: createLocalStorageAdapter,
+    indexeddb: createIndexedDbAdapter,
+    http: createHttpAdapter
+};
+
+/**
+ * Register a custom storage adapter
+ * @param {string} name - Name used in CANTEEN_CONFIG.storage.adapter
+ * @param {Function} factory - Function(options) returning an adapter
+ */
+function registerStorageAdapter(name, factory) {
+    STORAGE_ADAPTERS[name] = factory;
+}
+
+// ============================================
+// ACTIVE ADAPTER & CACHE
+// ============================================
+
+let activeStorageAdapter = null;
+
+// Identifies this tab to other tabs and to the server's change feed
+const STORAGE_CLIENT_ID = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+// Raw JSON strings and revisions of asynchronously loaded keys
+const storageCache = {};
+const revisionCache = {};
+
+/**
+ * Get the adapter selected in the configuration
+ * @returns {object} Storage adapter
+ */
+function getStorageAdapter() {
+    if (!activeStorageAdapter) {
+        const options = CANTEEN_CONFIG.storage || {};
+        const factory = STORAGE_ADAPTERS[options.adapter];
+
+        if (!factory) {
+            console.error(`Unknown storage adapter "${options.adapter}", using localStorage`);
+        }
+
+        activeStorageAdapter = (factory || createLocalStorageAdapter)(options);
+    }
+    return activeStorageAdapter;
+}
+
+/**
+ * Load the adapter's data into the cache
+ * @returns {Promise<boolean>} Resolves when storage can be read: true, or
+ *   false if loading failed. The cache is then incomplete, and writing on
+ *   top of it would replace data that is really there.
+ */
+function initStorage() {
+    return getStorageAdapter().load()
+        .then(({ values, revisions }) => {
+            Object.assign(storageCache, values);
+            Object.assign(revisionCache, revisions);
+            return true;
+        })
+        .catch(error => {
+            console.error('Error loading storage:', error);
+            return false;
+        });
+}
+
+/**
+ * Check whether a key is served from the cache
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+function isCachedStorageKey(key) {
+    const adapter = getStorageAdapter();
+    return !adapter.read || adapter.read(key) === undefined;
+}
+
+/**
+ * Read the raw JSON string stored under a key
+ * @param {string} key - Storage key
+ * @returns {string|null}
+ */
+function readStorageValue(key) {
+    if (!isCachedStorageKey(key)) {
+        return getStorageAdapter().read(key);
+    }
+    return key in storageCache ? storageCache[key] : null;
+}
+
+/**
+ * Get the current revision of a key (0 if never written)
+ * @param {string} key - Storage key
+ * @returns {number}
+ */
+function getStorageRevision(key) {
+    if (!isCachedStorageKey(key)) {
+        return getStorageAdapter().readRevision(key);
+    }
+    return revisionCache[key] || 0;
+}
+
+/**
+ * Replace a cached value with one received from another tab or device
+ * @param {string} key - Storage key
+ * @param {string|null} raw - JSON string, or null when removed
+ * @param {number} revision - Revision of the value
+ */
+function updateCachedStorageValue(key, raw, revision = 0) {
+    if (raw === null || raw === undefined) {
+        delete storageCache[key];
+        delete revisionCache[key];
+    } else {
+        storageCache[key] = raw;
+        revisionCache[key] = revision;
+    }
+}
+
+/**
+ * Write a raw JSON string under a key and wait until it is stored
+ * @param {string} key - Storage key
+ * @param {string} raw - JSON string
+ * @param {object} options - { baseRevision }
+ *   baseRevision: revision the new value was computed from; the write is
+ *   refused if the stored revision has moved on since (0: nothing stored yet)
+ * @returns {Promise<boolean>} Resolves true once stored, false if the value
+ *   changed since baseRevision (the cache then holds the newer value);
+ *   rejects if the write failed for another reason
+ */
+function commitStorageValue(key, raw, options = {}) {
+    const adapter = getStorageAdapter();
+    const current = getStorageRevision(key);
+
+    if (options.baseRevision !== undefined && current !== options.baseRevision) {
+        return Promise.resolve(false);
+    }
+
+    const meta = { baseRevision: options.baseRevision, revision: current + 1 };
+
+    if (isCachedStorageKey(key)) {
+        updateCachedStorageValue(key, raw, meta.revision);
+        broadcastStorageChange(key, raw, meta.revision);
+    }
+
+    return adapter.write(key, raw, meta).then(() => true, error => {
+        if (isStorageQuotaError(error)) {
+            return handleStorageQuotaExceeded(key, () => adapter.write(key, raw, meta)).then(() => true);
+        }
+        if (!error.conflict) throw error;
+
+        // Someone else won the race: take their value
+        if (error.current && isCachedStorageKey(key)) {
+            updateCachedStorageValue(key, error.current.raw, error.current.revision);
+        }
+        return false;
+    });
+}
+
+/**
+ * Write a raw JSON string under a key without waiting for it
+ * @param {string} key - Storage key
+ * @param {string} raw - JSON string
+ * @param {object} options - { baseRevision, onConflict }
+ *   baseRevision: see commitStorageValue
+ *   onConflict: called when the backend rejects the write as stale
+ * @returns {boolean} False if the value changed since baseRevision
+ */
+function writeStorageValue(key, raw, options = {}) {
+    if (options.baseRevision !== undefined && getStorageRevision(key) !== options.baseRevision) {
+        return false;
+    }
+
+    commitStorageValue(key, raw, options)
+        .then(stored => {
+            if (stored) return;
+            // Let the caller retry on the newer value
+            if (options.onConflict) {
+                options.onConflict();
+            } else {
+                console.error(`Write to ${key} was rejected as stale`);
+            }
+        })
+        .catch(error => {
+            console.error(`Error saving ${key} to ${getStorageAdapter().name} storage:`, error);
+        });
+
+    return true;
+}
+
+/**
+ * Remove a key
+ * @param {string} key - Storage key
+ */
+function removeStorageValue(key) {
+    const adapter = getStorageAdapter();
+    if (isCachedStorageKey(key)) {
+        updateCachedStorageValue(key, null);
+        broadcastStorageChange(key, null, 0);
+    }
+    adapter.remove(key).catch(error => {
+        console.error(`Error removing ${key} from ${adapter.name} storage:`, error);
+    });
+}
+
+// Start loading right away so data is ready by the time the DOM is
+const storageReady = initStorage();
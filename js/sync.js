@@ -0,0 +1,178 @@
+/**
+ * Smart Digital Canteen System - Real-time Sync
+ *
+ * This file pushes data changes to every open page instead of polling:
+ * - storage events between tabs (localStorage adapter)
+ * - BroadcastChannel between tabs (IndexedDB and HTTP adapters)
+ * - WebSocket channel from the server (HTTP adapter, across devices)
+ *
+ * Pages subscribe with onStorageChange(keys, callback) and re-render
+ * when another tab or device changes one of those keys.
+ */
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+const storageChangeListeners = [];
+
+/**
+ * Subscribe to changes made by other tabs or devices
+ * @param {string|Array} keys - Storage key(s) to watch
+ * @param {Function} callback - Called with the changed key
+ * @returns {Function} Unsubscribe function
+ */
+function onStorageChange(keys, callback) {
+    const listener = { keys: [].concat(keys), callback };
+    storageChangeListeners.push(listener);
+
+    return () => {
+        const index = storageChangeListeners.indexOf(listener);
+        if (index !== -1) storageChangeListeners.splice(index, 1);
+    };
+}
+
+/**
+ * Notify subscribers that a key changed
+ * @param {string} key - Storage key
+ */
+function notifyStorageChange(key) {
+    storageChangeListeners
+        .filter(listener => listener.keys.includes(key))
+        .forEach(listener => {
+            try {
+                listener.callback(key);
+            } catch (error) {
+                console.error(`Error handling change of ${key}:`, error);
+            }
+        });
+}
+
+/**
+ * Apply a change received from another tab or device
+ * @param {string} key - Storage key
+ * @param {string|null} raw - New raw JSON value (null when removed)
+ * @param {number} revision - Revision of the new value
+ */
+function applyRemoteStorageChange(key, raw, revision) {
+    updateCachedStorageValue(key, raw, revision);
+    notifyStorageChange(key);
+}
+
+// ============================================
+// CHANNELS
+// ============================================
+
+let syncChannel = null;
+let syncSocket = null;
+let syncReconnectDelay = 1000;
+
+/**
+ * Tell other tabs that this tab changed a cached key
+ * Called by commitStorageValue/removeStorageValue (storage.js).
+ * @param {string} key - Storage key
+ * @param {string|null} raw - New raw JSON value (null when removed)
+ * @param {number} revision - Revision of the new value
+ */
+function broadcastStorageChange(key, raw, revision) {
+    if (syncChannel) {
+        syncChannel.postMessage({ key, raw, revision });
+    }
+}
+
+/**
+ * Listen for localStorage changes made by other tabs
+ */
+function listenToStorageEvents() {
+    window.addEventListener('storage', (e) => {
+        if (e.key && e.storageArea === localStorage) {
+            notifyStorageChange(e.key);
+        }
+    });
+}
+
+/**
+ * Listen on the BroadcastChannel used by cached adapters
+ */
+function listenToBroadcastChannel() {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    syncChannel = new BroadcastChannel('canteen_sync');
+    syncChannel.addEventListener('message', (e) => {
+        const { key, raw, revision } = e.data || {};
+        if (key) applyRemoteStorageChange(key, raw, revision);
+    });
+}
+
+/**
+ * Load every key again and apply the ones that changed in the meantime
+ * Only revisions newer than the cached ones are taken, so writes of this
+ * tab that are still on their way to the server are not undone.
+ */
+function catchUpWithStorage() {
+    getStorageAdapter().load()
+        .then(({ values, revisions }) => {
+            Object.keys(values).forEach(key => {
+                if ((revisions[key] || 0) > getStorageRevision(key)) {
+                    applyRemoteStorageChange(key, values[key], revisions[key]);
+                }
+            });
+        })
+        .catch(error => {
+            console.error('Error catching up with stored data:', error);
+        });
+}
+
+/**
+ * Connect to the server's change feed ({apiBaseUrl}/events)
+ * Reconnects with a growing delay when the connection drops, and reloads
+ * the data each time it connects. The session token goes in the URL, as
+ * the feed only sends what the session may read.
+ */
+function connectSyncSocket() {
+    if (typeof WebSocket === 'undefined') return;
+
+    const url = new URL(`${(CANTEEN_CONFIG.storage.apiBaseUrl || '/api').replace(/\/$/, '')}/events`, window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    const token = typeof getSessionToken === 'function' ? getSessionToken() : null;
+    if (token) url.searchParams.set('token', token);
+
+    syncSocket = new WebSocket(url.toString());
+
+    syncSocket.addEventListener('open', () => {
+        syncReconnectDelay = 1000;
+        // Changes made while the feed was down (or before it first connected) were never pushed
+        catchUpWithStorage();
+    });
+
+    syncSocket.addEventListener('message', (e) => {
+        try {
+            const { key, raw, revision, source } = JSON.parse(e.data);
+            // Our own writes are already applied locally
+            if (key && source !== STORAGE_CLIENT_ID) {
+                applyRemoteStorageChange(key, raw, revision);
+            }
+        } catch (error) {
+            console.error('Error reading sync message:', error);
+        }
+    });
+
+    syncSocket.addEventListener('close', () => {
+        syncSocket = null;
+        setTimeout(connectSyncSocket, syncReconnectDelay);
+        syncReconnectDelay = Math.min(syncReconnectDelay * 2, 30000);
+    });
+}
+
+/**
+ * Start all sync channels for the configured adapter
+ * Called once storage is ready (see utils.js).
+ */
+function startStorageSync() {
+    listenToStorageEvents();
+    listenToBroadcastChannel();
+
+    if (getStorageAdapter().name === 'http') {
+        connectSyncSocket();
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Smart Digital Canteen System - One-Time Passwords
+ *
+ * RFC 6238 TOTP codes (HMAC-SHA1, 6 digits, 30-second steps) as used by
+ * Google Authenticator, Microsoft Authenticator and similar apps.
+ * SHA-1 is computed here rather than with Web Crypto so codes also work on
+ * pages opened over plain http on the LAN, and so checking a code is
+ * synchronous. Enrolment and login live in js/auth.js (TWO-FACTOR section).
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// ENCODING
+// ============================================
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function base32Encode(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+
+    bytes.forEach(byte => {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    });
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode base32 (spaces, dashes, padding and case are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Uint8Array}
+ */
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+
+        buffer = (buffer << 5) | value;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((buffer >>> (bits - 8)) & 0xFF);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// ============================================
+// HMAC-SHA1
+// ============================================
+
+/**
+ * SHA-1 digest
+ * @param {Uint8Array} message - Message
+ * @returns {Uint8Array} 20-byte digest
+ */
+function sha1(message) {
+    const length = message.length;
+    const blocks = Math.ceil((length + 9) / 64);
+    const padded = new Uint8Array(blocks * 64);
+    padded.set(message);
+    padded[length] = 0x80;
+    // Message length in bits, big-endian (messages here are far below 2^32 bits)
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 4, length * 8);
+
+    const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+    const w = new Uint32Array(80);
+    const rotate = (value, count) => (value << count) | (value >>> (32 - count));
+
+    for (let block = 0; block < blocks; block++) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(block * 64 + i * 4);
+        }
+        for (let i = 16; i < 80; i++) {
+            w[i] = rotate(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+        }
+
+        let [a, b, c, d, e] = h;
+        for (let i = 0; i < 80; i++) {
+            let f;
+            let k;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5A827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ED9EBA1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8F1BBCDC;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xCA62C1D6;
+            }
+
+            const temp = (rotate(a, 5) + f + e + k + w[i]) >>> 0;
+            e = d;
+            d = c;
+            c = rotate(b, 30) >>> 0;
+            b = a;
+            a = temp;
+        }
+
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
+    }
+
+    const digest = new Uint8Array(20);
+    const digestView = new DataView(digest.buffer);
+    h.forEach((value, i) => digestView.setUint32(i * 4, value));
+    return digest;
+}
+
+/**
+ * HMAC-SHA1 (RFC 2104)
+ * @param {Uint8Array} key - Key
+ * @param {Uint8Array} message - Message
+ * @returns {Uint8Array} 20-byte MAC
+ */
+function hmacSha1(key, message) {
+    const blockKey = new Uint8Array(64);
+    blockKey.set(key.length > 64 ? sha1(key) : key);
+
+    const inner = new Uint8Array(64 + message.length);
+    const outer = new Uint8Array(64 + 20);
+    for (let i = 0; i < 64; i++) {
+        inner[i] = blockKey[i] ^ 0x36;
+        outer[i] = blockKey[i] ^ 0x5C;
+    }
+    inner.set(message, 64);
+    outer.set(sha1(inner), 64);
+    return sha1(outer);
+}
+
+// ============================================
+// TOTP
+// ============================================
+
+/**
+ * Generate a new random secret
+ * @returns {string} Base32 secret
+ */
+function generateTotpSecret() {
+    return base32Encode(crypto.getRandomValues(new Uint8Array(TOTP_SECRET_BYTES)));
+}
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+function getTotpStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Get the code of a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Code, zero-padded
+ */
+function getTotpCode(secret, step = getTotpStep()) {
+    const counter = new Uint8Array(8);
+    const view = new DataView(counter.buffer);
+    view.setUint32(0, Math.floor(step / 0x100000000));
+    view.setUint32(4, step >>> 0);
+
+    const mac = hmacSha1(base32Decode(secret), counter);
+    const offset = mac[19] & 0x0F;
+    const binary = ((mac[offset] & 0x7F) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code against the steps around now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} driftSteps - Steps before and after now that are accepted (clock drift)
+ * @param {number} lastUsedStep - Step of the last accepted code; it and earlier steps are refused
+ * @returns {number|null} Step the code belongs to, or null when it is wrong
+ */
+function verifyTotpCode(secret, code, driftSteps = 1, lastUsedStep = -1) {
+    const entered = (code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(entered) || entered.length !== TOTP_DIGITS) return null;
+
+    const now = getTotpStep();
+    for (let step = now - driftSteps; step <= now + driftSteps; step++) {
+        if (step > lastUsedStep && getTotpCode(secret, step) === entered) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps read from the QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, usually the email
+ * @param {string} issuer - Shown in the app
+ * @returns {string}
+ */
+function getTotpUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+// Export for the local server (server/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { generateTotpSecret, verifyTotpCode };
+}
@@ -3,7 +3,7 @@
  * 
  * This file contains common utility functions used across the application.
  * These functions help with:
- * - LocalStorage operations
+ * - Storage operations
  * - Token generation
  * - Date/Time formatting
  * - Notifications
@@ -18,10 +18,23 @@ const STORAGE_KEYS = {
     USERS: 'canteen_users',
     CURRENT_USER: 'canteen_current_user',
     MENU_ITEMS: 'canteen_menu_items',
+    COMBOS: 'canteen_combos',
+    CATEGORY_SCHEDULES: 'canteen_category_schedules',
+    INGREDIENTS: 'canteen_ingredients',
     CART: 'canteen_cart',
     ORDERS: 'canteen_orders',
     SHOP_LOCATION: 'canteen_shop_location',
-    STAFF_MEMBERS: 'canteen_staff_members'
+    STAFF_MEMBERS: 'canteen_staff_members',
+    SCHEMA_VERSION: 'canteen_schema_version',
+    TOKEN_COUNTERS: 'canteen_token_counters',
+    ORDER_ARCHIVE: 'canteen_order_archive',
+    SESSION_REVOCATIONS: 'canteen_session_revocations',
+    PASSWORD_RESETS: 'canteen_password_resets',
+    MAIL_OUTBOX: 'canteen_mail_outbox',
+    LOGIN_ATTEMPTS: 'canteen_login_attempts',
+    DEVICE_ID: 'canteen_device_id',
+    ROLES: 'canteen_roles',
+    EMAIL_VERIFICATIONS: 'canteen_email_verifications'
 };
 
 // Order statuses
@@ -33,63 +46,248 @@ const ORDER_STATUS = {
     CANCELLED: 'cancelled'
 };
 
-// User roles
+// Built-in roles. Every role, built-in or not, belongs to one of these
+// areas, which decides its login page and dashboard.
 const USER_ROLES = {
     CUSTOMER: 'customer',
     STAFF: 'staff',
     ADMIN: 'admin'
 };
 
+// Account states. Accounts without a status are active.
+const ACCOUNT_STATUS = {
+    ACTIVE: 'active',
+    PENDING: 'pending',
+    SUSPENDED: 'suspended'
+};
+
+// Permissions a role can be given
+const PERMISSIONS = {
+    ORDER_PLACE: 'order.place',
+    ORDER_PREPARE: 'order.prepare',
+    ORDER_COMPLETE: 'order.complete',
+    ORDER_CANCEL: 'order.cancel',
+    MENU_EDIT: 'menu.edit',
+    REPORTS_VIEW: 'reports.view',
+    STAFF_MANAGE: 'staff.manage',
+    ROLES_MANAGE: 'roles.manage',
+    LOCATION_EDIT: 'location.edit',
+    BACKUP_MANAGE: 'backup.manage',
+    LOCKOUTS_MANAGE: 'lockouts.manage',
+    USERS_MANAGE: 'users.manage'
+};
+
+const PERMISSION_LABELS = {
+    [PERMISSIONS.ORDER_PLACE]: 'Place orders',
+    [PERMISSIONS.ORDER_PREPARE]: 'Prepare orders (start, mark ready)',
+    [PERMISSIONS.ORDER_COMPLETE]: 'Hand out and complete orders',
+    [PERMISSIONS.ORDER_CANCEL]: 'Cancel orders',
+    [PERMISSIONS.MENU_EDIT]: 'Edit the menu',
+    [PERMISSIONS.REPORTS_VIEW]: 'View reports and statistics',
+    [PERMISSIONS.STAFF_MANAGE]: 'Manage staff members',
+    [PERMISSIONS.ROLES_MANAGE]: 'Edit roles and permissions',
+    [PERMISSIONS.LOCATION_EDIT]: 'Edit the shop location',
+    [PERMISSIONS.BACKUP_MANAGE]: 'Export and import backups',
+    [PERMISSIONS.LOCKOUTS_MANAGE]: 'View and clear login lockouts',
+    [PERMISSIONS.USERS_MANAGE]: 'Manage all user accounts'
+};
+
+// Roles created on first start; admins can edit them under Admin -> Roles
+const DEFAULT_ROLES = [
+    {
+        id: USER_ROLES.CUSTOMER,
+        name: 'Customer',
+        area: USER_ROLES.CUSTOMER,
+        permissions: [PERMISSIONS.ORDER_PLACE],
+        builtIn: true
+    },
+    {
+        id: USER_ROLES.STAFF,
+        name: 'Staff',
+        area: USER_ROLES.STAFF,
+        permissions: [
+            PERMISSIONS.ORDER_PREPARE,
+            PERMISSIONS.ORDER_COMPLETE,
+            PERMISSIONS.ORDER_CANCEL,
+            PERMISSIONS.MENU_EDIT
+        ],
+        builtIn: true
+    },
+    {
+        id: USER_ROLES.ADMIN,
+        name: 'Admin',
+        area: USER_ROLES.ADMIN,
+        permissions: Object.values(PERMISSIONS),
+        builtIn: true
+    },
+    {
+        id: 'cashier',
+        name: 'Cashier',
+        area: USER_ROLES.STAFF,
+        permissions: [PERMISSIONS.ORDER_COMPLETE]
+    },
+    {
+        id: 'kitchen',
+        name: 'Kitchen',
+        area: USER_ROLES.STAFF,
+        permissions: [PERMISSIONS.ORDER_PREPARE, PERMISSIONS.MENU_EDIT]
+    }
+];
+
 // ============================================
-// LOCAL STORAGE OPERATIONS
+// STORAGE OPERATIONS
 // ============================================
 
 /**
- * Get data from localStorage
+ * Get data from storage (through the configured adapter, see storage.js)
  * @param {string} key - Storage key
  * @returns {any} Parsed data or null
  */
 function getFromStorage(key) {
     try {
-        const data = localStorage.getItem(key);
+        const data = readStorageValue(key);
         return data ? JSON.parse(data) : null;
     } catch (error) {
-        console.error('Error reading from localStorage:', error);
+        console.error('Error reading from storage:', error);
         return null;
     }
 }
 
 /**
- * Save data to localStorage
+ * Save data to storage (through the configured adapter, see storage.js)
  * @param {string} key - Storage key
  * @param {any} data - Data to save
  */
 function saveToStorage(key, data) {
     try {
-        localStorage.setItem(key, JSON.stringify(data));
+        writeStorageValue(key, JSON.stringify(data));
     } catch (error) {
-        console.error('Error saving to localStorage:', error);
+        console.error('Error saving to storage:', error);
+    }
+}
+
+/**
+ * Read, change and write stored data as one transaction
+ * 
+ * mutate receives a fresh copy of the stored data and returns
+ * { data, result }. Returning no data leaves storage untouched (use this
+ * for validation failures). If another tab or device wrote the key in the
+ * meantime, mutate is run again on the newer data; after a few attempts
+ * the change is reported as a conflict instead of overwriting theirs.
+ * 
+ * @param {string} key - Storage key
+ * @param {Function} mutate - (data) => ({ data, result })
+ * @param {any} defaultValue - Used when nothing is stored yet
+ * @returns {object} The result returned by mutate, or a conflict result
+ */
+function updateStorage(key, mutate, defaultValue = null) {
+    const maxAttempts = 3;
+    
+    function attempt(attemptNumber) {
+        const baseRevision = getStorageRevision(key);
+        const current = getFromStorage(key);
+        const { data, result } = mutate(current !== null ? current : JSON.parse(JSON.stringify(defaultValue)));
+        
+        if (data === undefined) return result;
+        
+        const written = writeStorageValue(key, JSON.stringify(data), {
+            baseRevision,
+            onConflict: () => {
+                // The backend refused our write: redo the change on its data
+                const retried = attemptNumber < maxAttempts ? attempt(attemptNumber + 1) : null;
+                if (!retried || retried.success === false) {
+                    reportStorageConflict(key, retried);
+                }
+            }
+        });
+        
+        if (!written) {
+            return attemptNumber < maxAttempts ? attempt(attemptNumber + 1) : getConflictResult();
+        }
+        return result;
+    }
+    
+    return attempt(1);
+}
+
+/**
+ * Read, change and write stored data as one transaction, and wait until
+ * the write has been stored
+ * 
+ * Works like updateStorage, but with the 'http' adapter updateStorage
+ * returns before the server has answered, and runs mutate again if the
+ * server refuses the write. Use this when the result is shown to the user
+ * or leads to further changes: the promise settles with the result of the
+ * attempt that was actually stored, so nothing is done twice.
+ * 
+ * @param {string} key - Storage key
+ * @param {Function} mutate - (data) => ({ data, result })
+ * @param {any} defaultValue - Used when nothing is stored yet
+ * @returns {Promise<object>} The result returned by mutate, or a conflict or error result
+ */
+function commitStorageUpdate(key, mutate, defaultValue = null) {
+    const maxAttempts = 3;
+    
+    function attempt(attemptNumber) {
+        const baseRevision = getStorageRevision(key);
+        const current = getFromStorage(key);
+        const { data, result } = mutate(current !== null ? current : JSON.parse(JSON.stringify(defaultValue)));
+        
+        if (data === undefined) return Promise.resolve(result);
+        
+        return commitStorageValue(key, JSON.stringify(data), { baseRevision }).then(stored => {
+            if (stored) return result;
+            return attemptNumber < maxAttempts ? attempt(attemptNumber + 1) : getConflictResult();
+        });
     }
+    
+    return attempt(1).catch(error => {
+        console.error(`Error saving ${key}:`, error);
+        return { success: false, message: 'Your change could not be saved. Please try again.' };
+    });
 }
 
 /**
- * Remove data from localStorage
+ * Result returned when a change could not be applied because of conflicts
+ * @returns {object} Result object
+ */
+function getConflictResult() {
+    return {
+        success: false,
+        conflict: true,
+        message: 'Someone else changed this at the same time. Please try again.'
+    };
+}
+
+/**
+ * Tell the user that a change they saw succeed was later rejected
+ * @param {string} key - Storage key
+ * @param {object|null} result - Result of the last retry, if any
+ */
+function reportStorageConflict(key, result) {
+    console.warn(`Change to ${key} was rejected after a conflict`, result);
+    showToast((result && result.message) || getConflictResult().message, 'error', 5000);
+    notifyStorageChange(key);
+}
+
+/**
+ * Remove data from storage
  * @param {string} key - Storage key
  */
 function removeFromStorage(key) {
     try {
-        localStorage.removeItem(key);
+        removeStorageValue(key);
     } catch (error) {
-        console.error('Error removing from localStorage:', error);
+        console.error('Error removing from storage:', error);
     }
 }
 
 /**
- * Clear all canteen data from localStorage
+ * Clear all canteen data from storage
  */
 function clearAllStorage() {
     Object.values(STORAGE_KEYS).forEach(key => {
-        localStorage.removeItem(key);
+        removeFromStorage(key);
     });
 }
 
@@ -98,25 +296,68 @@ function clearAllStorage() {
 // ============================================
 
 /**
- * Generate a unique token number for orders
- * Format: TKN-YYYYMMDD-XXXX (e.g., TKN-20260110-0042)
- * @returns {string} Unique token number
- */
-function generateToken() {
-    const date = new Date();
-    const dateStr = date.getFullYear().toString() +
-        (date.getMonth() + 1).toString().padStart(2, '0') +
-        date.getDate().toString().padStart(2, '0');
+ * Get the token day (YYYYMMDD) a moment belongs to
+ * Orders placed before the configured reset time count towards the previous day.
+ * @param {Date} date - Moment to check
+ * @returns {string} Day string
+ */
+function getTokenDay(date = new Date()) {
+    const [hours, minutes] = (CANTEEN_CONFIG.tokens.resetTime || '00:00').split(':').map(Number);
+    const day = new Date(date.getTime() - ((hours || 0) * 60 + (minutes || 0)) * 60000);
     
-    // Get today's order count to generate sequential token
-    const orders = getFromStorage(STORAGE_KEYS.ORDERS) || [];
-    const todayOrders = orders.filter(order => {
-        const orderDate = new Date(order.createdAt).toDateString();
-        return orderDate === date.toDateString();
-    });
+    return day.getFullYear().toString() +
+        (day.getMonth() + 1).toString().padStart(2, '0') +
+        day.getDate().toString().padStart(2, '0');
+}
+
+/**
+ * Build a token from the configured format
+ * @param {number} sequence - Sequence number within the day
+ * @param {string} day - Token day (YYYYMMDD)
+ * @param {string} outletId - Outlet ID
+ * @returns {string} Token
+ */
+function formatToken(sequence, day, outletId) {
+    const { prefix, format, sequenceDigits } = CANTEEN_CONFIG.tokens;
+    
+    return format
+        .replace('{prefix}', prefix)
+        .replace('{date}', day)
+        .replace('{outlet}', outletId)
+        .replace('{seq}', sequence.toString().padStart(sequenceDigits || 4, '0'));
+}
+
+/**
+ * Generate a unique token number for orders
+ * Default format: TKN-YYYYMMDD-XXXX (e.g., TKN-20260110-0042)
+ * 
+ * The sequence comes from a stored per-outlet, per-day counter that is
+ * advanced in a transaction, so deleted orders or two simultaneous
+ * checkouts never hand out the same number twice. Tokens already used
+ * by an existing order are skipped. The token is only handed out once the
+ * counter has been stored, so a retried write can't change it afterwards.
+ * 
+ * @param {string} outletId - Outlet the order is for (defaults to the configured outlet)
+ * @returns {Promise<string|null>} Unique token number, or null if the counter could not be advanced
+ */
+function generateToken(outletId = CANTEEN_CONFIG.tokens.outletId) {
+    const day = getTokenDay();
+    const usedTokens = new Set((getFromStorage(STORAGE_KEYS.ORDERS) || []).map(order => order.token));
     
-    const sequenceNum = (todayOrders.length + 1).toString().padStart(4, '0');
-    return `TKN-${dateStr}-${sequenceNum}`;
+    return commitStorageUpdate(STORAGE_KEYS.TOKEN_COUNTERS, counters => {
+        const counter = counters[outletId] && counters[outletId].day === day
+            ? counters[outletId]
+            : { day, sequence: 0 };
+        
+        let token;
+        do {
+            counter.sequence++;
+            token = formatToken(counter.sequence, day, outletId);
+        } while (usedTokens.has(token));
+        
+        counters[outletId] = counter;
+        return { data: counters, result: { success: true, token } };
+    }, {}).then(result => (result.success ? result.token : null));
 }
 
 /**
@@ -334,8 +575,33 @@ function delegate(parent, eventType, selector, handler) {
  * @returns {boolean}
  */
 function isValidEmail(email) {
-    const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return regex.test(email);
+    return VALIDATION_PATTERNS.email.test(email);
+}
+
+/**
+ * Check an email against the domains people may sign up with
+ * A domain also allows its subdomains (sab.ac.lk allows std.sab.ac.lk).
+ * @param {string} email - Email to check
+ * @returns {boolean}
+ */
+function isAllowedEmailDomain(email) {
+    const allowed = CANTEEN_CONFIG.registration.allowedDomains || [];
+    if (allowed.length === 0) return true;
+    
+    const domain = (email || '').toLowerCase().trim().split('@').pop();
+    return allowed.some(entry => {
+        const allowedDomain = entry.toLowerCase().replace(/^@/, '');
+        return domain === allowedDomain || domain.endsWith(`.${allowedDomain}`);
+    });
+}
+
+/**
+ * Message shown when an email is not from an allowed domain
+ * @returns {string}
+ */
+function getEmailDomainMessage() {
+    const allowed = CANTEEN_CONFIG.registration.allowedDomains.map(domain => `@${domain.replace(/^@/, '')}`);
+    return `Please use your university email address (${allowed.join(' or ')})`;
 }
 
 /**
@@ -344,8 +610,7 @@ function isValidEmail(email) {
  * @returns {boolean}
  */
 function isValidPhone(phone) {
-    const regex = /^[\d\s\-+()]{10,}$/;
-    return regex.test(phone);
+    return VALIDATION_PATTERNS.phone.test(phone);
 }
 
 /**
@@ -367,6 +632,34 @@ function hasMinLength(value, minLength) {
     return value && value.length >= minLength;
 }
 
+/**
+ * Show the field errors of a failed result under the form's inputs
+ * Errors of fields the form has no input for are left to the toast.
+ * @param {HTMLFormElement} form - Form
+ * @param {object} errors - { field: message } from validateRecord (js/validation.js)
+ * @param {object} inputNames - Input name per field, where they differ (e.g. { name: 'itemName' })
+ */
+function showFieldErrors(form, errors, inputNames = {}) {
+    clearFieldErrors(form);
+    
+    Object.entries(errors || {}).forEach(([field, message]) => {
+        const input = form.querySelector(`[name="${inputNames[field] || field}"]`);
+        if (!input) return;
+        
+        input.setAttribute('aria-invalid', 'true');
+        input.insertAdjacentHTML('afterend', `<p class="form-error" data-field-error>${message}</p>`);
+    });
+}
+
+/**
+ * Remove the field errors shown by showFieldErrors
+ * @param {HTMLFormElement} form - Form
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('[data-field-error]').forEach(el => el.remove());
+    form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+}
+
 // ============================================
 // URL UTILITIES
 // ============================================
@@ -391,33 +684,22 @@ function navigateTo(url) {
 
 /**
  * Redirect to login if not authenticated
- * @param {string} requiredRole - Required role for access
+ * @param {string} permission - Permission needed for access (see PERMISSIONS)
  */
-function requireAuth(requiredRole = null) {
-    const currentUser = getFromStorage(STORAGE_KEYS.CURRENT_USER);
+function requireAuth(permission = null) {
+    // getCurrentUser (auth.js) also ends expired sessions
+    const currentUser = getCurrentUser();
     
     if (!currentUser) {
         navigateTo('../index.html');
         return false;
     }
     
-    if (requiredRole && currentUser.role !== requiredRole) {
+    if (permission && !hasPermission(permission, currentUser)) {
         showToast('You do not have permission to access this page', 'error');
         
         // Redirect to appropriate dashboard
-        switch (currentUser.role) {
-            case USER_ROLES.CUSTOMER:
-                navigateTo('../customer/landing.html');
-                break;
-            case USER_ROLES.STAFF:
-                navigateTo('../staff/landing.html');
-                break;
-            case USER_ROLES.ADMIN:
-                navigateTo('../admin/landing.html');
-                break;
-            default:
-                navigateTo('../index.html');
-        }
+        redirectToDashboard(currentUser.role);
         return false;
     }
     
@@ -428,8 +710,31 @@ function requireAuth(requiredRole = null) {
 // INITIALIZE SAMPLE DATA
 // ============================================
 
+// Sample account passwords (admin123, staff123), hashed like hashPassword in auth.js
+const SAMPLE_PASSWORD_HASHES = {
+    'admin@canteen.com': 'pbkdf2-sha256$600000$411YmRTiDp6iFVPub2aCyQ==$AZQqDwL2bgG+a0RjC6RRSwwC3Bi94jz4BsBynoqta/g=',
+    'john@canteen.com': 'pbkdf2-sha256$600000$8NQY94FBuydxCOj86SYPcA==$EDXxFAf6+PYXXxp3WTu4iPwSZytf3aE9p5hRDzDCbGA=',
+    'sarah@canteen.com': 'pbkdf2-sha256$600000$0+a5KkbsioR2K6RIchtKCQ==$MBIwAv6KSFKGfTDJzRD4tuWtzqlQKekZXscfrpxpeJY='
+};
+
+/**
+ * Store sample data under a shared key that holds nothing yet
+ * The write is based on revision 0, so if another device or the server
+ * already has data under the key it is refused (409 with the 'http'
+ * adapter) and that data is kept and shown instead.
+ * @param {string} key - Storage key
+ * @param {any} data - Sample data
+ */
+function seedStorage(key, data) {
+    writeStorageValue(key, JSON.stringify(data), {
+        baseRevision: 0,
+        onConflict: () => notifyStorageChange(key)
+    });
+}
+
 /**
  * Initialize application with sample data if not exists
+ * Only keys that are still empty are filled; existing data is never replaced.
  */
 function initializeSampleData() {
     // Sample Menu Items
@@ -463,7 +768,30 @@ function initializeSampleData() {
                 category: 'Kottu',
                 image: 'https://images.unsplash.com/photo-1565557623262-b51c2513a641?w=400',
                 available: true,
-                preparationTime: 18
+                preparationTime: 18,
+                optionGroups: [
+                    {
+                        id: generateId(),
+                        name: 'Spice level',
+                        required: true,
+                        multiple: false,
+                        options: [
+                            { id: generateId(), name: 'Mild', price: 0 },
+                            { id: generateId(), name: 'Medium', price: 0 },
+                            { id: generateId(), name: 'Hot', price: 0 }
+                        ]
+                    },
+                    {
+                        id: generateId(),
+                        name: 'Add-ons',
+                        required: false,
+                        multiple: true,
+                        options: [
+                            { id: generateId(), name: 'Egg', price: 40 },
+                            { id: generateId(), name: 'Extra cheese', price: 60 }
+                        ]
+                    }
+                ]
             },
             {
                 id: generateId(),
@@ -586,62 +914,101 @@ function initializeSampleData() {
                 preparationTime: 12
             }
         ];
-        saveToStorage(STORAGE_KEYS.MENU_ITEMS, sampleMenuItems);
+        const createdAt = new Date().toISOString();
+        seedStorage(STORAGE_KEYS.MENU_ITEMS, sampleMenuItems.map(item => ({ ...item, createdAt })));
     }
-
-    // Sample Admin User
-    const users = getFromStorage(STORAGE_KEYS.USERS) || [];
-    if (!users.find(u => u.role === USER_ROLES.ADMIN)) {
-        users.push({
+    
+    // Sample Combos (slots list menu items by name)
+    if (!getFromStorage(STORAGE_KEYS.COMBOS)) {
+        const menuItems = getFromStorage(STORAGE_KEYS.MENU_ITEMS) || [];
+        const slot = (name, itemNames) => ({
             id: generateId(),
-            name: 'Admin User',
-            email: 'admin@canteen.com',
-            password: 'admin123',
-            role: USER_ROLES.ADMIN,
-            createdAt: new Date().toISOString()
+            name,
+            itemIds: menuItems.filter(item => itemNames.includes(item.name)).map(item => item.id)
         });
-        saveToStorage(STORAGE_KEYS.USERS, users);
-    }
-
-    // Sample Staff Members
-    if (!getFromStorage(STORAGE_KEYS.STAFF_MEMBERS)) {
-        const sampleStaff = [
+        const drinks = ['Fresh Orange Juice', 'Mango Smoothie'];
+        const sampleCombos = [
             {
                 id: generateId(),
-                name: 'John Cook',
-                email: 'john@canteen.com',
-                password: 'staff123',
-                role: USER_ROLES.STAFF,
-                ordersCompleted: 45,
-                rating: 4.5,
-                joinedAt: new Date().toISOString()
+                name: 'Rice & Drink',
+                description: 'Any rice plate with a fresh drink',
+                price: 450,
+                image: 'https://images.unsplash.com/photo-1603133872878-684f208fb84b?w=400',
+                available: true,
+                slots: [slot('Main', ['Chicken Rice', 'Vegetable Fried Rice']), slot('Drink', drinks)]
             },
             {
                 id: generateId(),
-                name: 'Sarah Helper',
-                email: 'sarah@canteen.com',
-                password: 'staff123',
-                role: USER_ROLES.STAFF,
-                ordersCompleted: 38,
-                rating: 4.8,
-                joinedAt: new Date().toISOString()
+                name: 'Burger Meal',
+                description: 'Burger, french fries and a drink',
+                price: 600,
+                image: 'https://images.unsplash.com/photo-1568901346375-23c9450c58cd?w=400',
+                available: true,
+                slots: [slot('Burger', ['Chicken Burger', 'Beef Burger']), slot('Side', ['French Fries']), slot('Drink', drinks)]
             }
         ];
-        saveToStorage(STORAGE_KEYS.STAFF_MEMBERS, sampleStaff);
+        const createdAt = new Date().toISOString();
+        seedStorage(STORAGE_KEYS.COMBOS, sampleCombos
+            .filter(combo => combo.slots.every(entry => entry.itemIds.length > 0))
+            .map(combo => ({ ...combo, createdAt })));
+    }
+
+    // Roles and their permissions
+    if (!getFromStorage(STORAGE_KEYS.ROLES)) {
+        seedStorage(STORAGE_KEYS.ROLES, DEFAULT_ROLES);
+    }
+
+    // Sample accounts: an admin and the sample staff, who are also listed as staff members
+    const joinedAt = new Date().toISOString();
+    const sampleStaff = [
+        {
+            id: generateId(),
+            name: 'John Cook',
+            email: 'john@canteen.com',
+            role: USER_ROLES.STAFF,
+            ordersCompleted: 45,
+            rating: 4.5,
+            joinedAt
+        },
+        {
+            id: generateId(),
+            name: 'Sarah Helper',
+            email: 'sarah@canteen.com',
+            role: USER_ROLES.STAFF,
+            ordersCompleted: 38,
+            rating: 4.8,
+            joinedAt
+        }
+    ];
+    if (!getFromStorage(STORAGE_KEYS.USERS)) {
+        seedStorage(STORAGE_KEYS.USERS, [
+            {
+                id: generateId(),
+                name: 'Admin User',
+                email: 'admin@canteen.com',
+                password: SAMPLE_PASSWORD_HASHES['admin@canteen.com'],
+                role: USER_ROLES.ADMIN,
+                createdAt: joinedAt
+            },
+            ...sampleStaff.map(staff => ({
+                id: staff.id,
+                name: staff.name,
+                email: staff.email,
+                password: SAMPLE_PASSWORD_HASHES[staff.email],
+                role: staff.role,
+                createdAt: staff.joinedAt
+            }))
+        ]);
         
-        // Also add to users
-        sampleStaff.forEach(staff => {
-            const existingUsers = getFromStorage(STORAGE_KEYS.USERS) || [];
-            if (!existingUsers.find(u => u.email === staff.email)) {
-                existingUsers.push(staff);
-                saveToStorage(STORAGE_KEYS.USERS, existingUsers);
-            }
-        });
+        // Staff members without accounts would be of no use
+        if (!getFromStorage(STORAGE_KEYS.STAFF_MEMBERS)) {
+            seedStorage(STORAGE_KEYS.STAFF_MEMBERS, sampleStaff);
+        }
     }
 
     // Sample Shop Location
     if (!getFromStorage(STORAGE_KEYS.SHOP_LOCATION)) {
-        saveToStorage(STORAGE_KEYS.SHOP_LOCATION, {
+        seedStorage(STORAGE_KEYS.SHOP_LOCATION, {
             name: 'SUSL Main Canteen',
             address: 'Sabaragamuwa University of Sri Lanka, Belihuloya',
             lat: 6.7106,
@@ -653,7 +1020,7 @@ function initializeSampleData() {
 
     // Initialize empty orders and cart
     if (!getFromStorage(STORAGE_KEYS.ORDERS)) {
-        saveToStorage(STORAGE_KEYS.ORDERS, []);
+        seedStorage(STORAGE_KEYS.ORDERS, []);
     }
     if (!getFromStorage(STORAGE_KEYS.CART)) {
         saveToStorage(STORAGE_KEYS.CART, []);
@@ -715,12 +1082,48 @@ function updateUserNav() {
 // INITIALIZATION
 // ============================================
 
-// Initialize sample data when utils.js loads
+const appReadyCallbacks = [];
+let appIsReady = false;
+
+/**
+ * Run a callback once the DOM is loaded and storage is ready.
+ * Page scripts use this instead of DOMContentLoaded because
+ * asynchronous storage adapters (IndexedDB, HTTP) load after the DOM.
+ * @param {Function} callback - Page initialization function
+ */
+function onAppReady(callback) {
+    if (appIsReady) {
+        callback();
+    } else {
+        appReadyCallbacks.push(callback);
+    }
+}
+
+// Initialize sample data once storage has loaded
 document.addEventListener('DOMContentLoaded', () => {
-    initializeSampleData();
-    setupMobileNav();
-    updateCartBadge();
-    updateUserNav();
+    storageReady.then(loaded => {
+        // Without the stored data, seeding and saving would overwrite it
+        if (!loaded) {
+            showToast('The canteen data could not be loaded. Please check the connection and reload the page.', 'error', 60000);
+            return;
+        }
+        
+        initializeSampleData();
+        // The local server upgrades its own data (server/migrations.js)
+        if (!usesServerAccounts()) {
+            runMigrations();
+        }
+        if (canMaintainSharedData()) {
+            archiveOldOrders();
+        }
+        startStorageSync();
+        setupMobileNav();
+        updateCartBadge();
+        updateUserNav();
+        
+        appIsReady = true;
+        appReadyCallbacks.splice(0).forEach(callback => callback());
+    });
 });
 
 // Export for use in other modules (if using ES modules)
@@ -729,15 +1132,22 @@ if (typeof module !== 'undefined' && module.exports) {
         STORAGE_KEYS,
         ORDER_STATUS,
         USER_ROLES,
+        ACCOUNT_STATUS,
+        PERMISSIONS,
+        DEFAULT_ROLES,
         getFromStorage,
         saveToStorage,
+        updateStorage,
+        commitStorageUpdate,
         removeFromStorage,
         generateToken,
+        getTokenDay,
         generateId,
         formatDate,
         formatCurrency,
         showToast,
         requireAuth,
-        navigateTo
+        navigateTo,
+        onAppReady
     };
 }
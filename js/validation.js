@@ -0,0 +1,660 @@
+/**
+ * Smart Digital Canteen System - Validation
+ *
+ * Declarative schemas for the records the app creates and changes: users,
+ * staff members, menu items (with their option groups and schedules),
+ * combos, orders, roles and the shop location. Every create and
+ * update function, and the backup import, checks its input with
+ * validateRecord, and the local server
+ * (server/validation.js) loads this file too, so both sides apply the same
+ * rules. Failed results carry field-level errors that forms show next to
+ * their inputs with showFieldErrors (js/utils.js). The menu rules both sides
+ * share (options, combos, schedules) live here for the same reason.
+ */
+
+// ============================================
+// FIELD RULES
+// ============================================
+
+const VALIDATION_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^[\d\s\-+()]{10,}$/,
+    time: /^([01]\d|2[0-3]):[0-5]\d$/,
+    date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/
+};
+
+/*
+ * A schema maps field names to rules:
+ *   type       'string', 'email', 'phone', 'time' (HH:MM), 'date' (YYYY-MM-DD),
+ *              'number', 'integer', 'boolean', 'array' or 'object'
+ *   label      name used in messages
+ *   required   the field must be present and not blank
+ *   default    value a new record gets when the field is left out
+ *   trim, lowercase            strings (trimmed unless trim is false)
+ *   minLength, maxLength       strings
+ *   min, max, positive         numbers
+ *   oneOf                      allowed values
+ *   of, minItems               arrays: schema of each entry, fewest entries
+ *   each                       arrays: rule of each entry, for lists of plain values
+ *   of                         objects: schema of the object
+ *   message    replaces the generated message of the field's own rules
+ */
+
+const USER_FIELDS = {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+    email: { type: 'email', label: 'Email', required: true, lowercase: true, maxLength: 254 },
+    password: { type: 'string', label: 'Password', required: true, trim: false, minLength: 6, maxLength: 200 },
+    role: { type: 'string', label: 'Role' }
+};
+
+const SCHEMAS = {
+    user: USER_FIELDS,
+    staff: {
+        ...USER_FIELDS,
+        role: { type: 'string', label: 'Role', required: true }
+    },
+    menuItem: {
+        name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+        description: { type: 'string', label: 'Description', maxLength: 500, default: '' },
+        price: { type: 'number', label: 'Price', required: true, positive: true, max: 100000 },
+        category: { type: 'string', label: 'Category', required: true, maxLength: 50 },
+        image: { type: 'string', label: 'Image URL', maxLength: 2000, default: '' },
+        available: { type: 'boolean', label: 'Available', default: true },
+        preparationTime: { type: 'integer', label: 'Preparation time', min: 1, max: 240, default: 15 },
+        optionGroups: { type: 'array', label: 'Options', of: 'optionGroup', default: [] },
+        // When the item is served; null means whenever it is available (see isScheduleOpen)
+        schedule: { type: 'object', label: 'Schedule', of: 'schedule', default: null },
+        // Portions left; null means they aren't counted (see isItemInStock)
+        stock: { type: 'integer', label: 'Stock', min: 0, max: 100000, default: null },
+        // Ingredients one portion uses (see isRecipeInStock)
+        recipe: { type: 'array', label: 'Recipe', of: 'recipeLine', default: [] }
+    },
+    // e.g. "Spice level" (one of Mild, Hot) or "Add-ons" (any of Egg +40, Cheese +50)
+    optionGroup: {
+        id: { type: 'string', label: 'Option group', required: true },
+        name: { type: 'string', label: 'Option group name', required: true, maxLength: 50 },
+        required: { type: 'boolean', label: 'Required', default: false },
+        multiple: { type: 'boolean', label: 'Multiple choice', default: false },
+        options: { type: 'array', label: 'Choices', required: true, of: 'menuOption', minItems: 1 }
+    },
+    menuOption: {
+        id: { type: 'string', label: 'Option', required: true },
+        name: { type: 'string', label: 'Option name', required: true, maxLength: 50 },
+        // Added to the item's price; may be negative
+        price: { type: 'number', label: 'Option price', min: -100000, max: 100000, default: 0 }
+    },
+    // Empty days or windows mean every day or all day
+    schedule: {
+        days: { type: 'array', label: 'Days', each: { type: 'integer', label: 'Day', min: 0, max: 6 }, default: [] },
+        windows: { type: 'array', label: 'Hours', of: 'timeWindow', default: [] },
+        startDate: { type: 'date', label: 'Start date', default: null },
+        endDate: { type: 'date', label: 'End date', default: null }
+    },
+    // A window whose end is before its start runs past midnight
+    timeWindow: {
+        from: { type: 'time', label: 'Opening time', required: true },
+        to: { type: 'time', label: 'Closing time', required: true }
+    },
+    // e.g. Basmati rice, counted in kg; staff are warned at or below lowStockAt
+    ingredient: {
+        name: { type: 'string', label: 'Name', required: true, maxLength: 50 },
+        unit: { type: 'string', label: 'Unit', required: true, maxLength: 10 },
+        quantity: { type: 'number', label: 'Quantity', min: 0, max: 1000000, default: 0 },
+        lowStockAt: { type: 'number', label: 'Low stock level', min: 0, max: 1000000, default: 0 }
+    },
+    // Amount is in the ingredient's unit
+    recipeLine: {
+        ingredientId: { type: 'string', label: 'Ingredient', required: true },
+        amount: { type: 'number', label: 'Amount', required: true, positive: true, max: 100000 }
+    },
+    // e.g. "Rice & Drink": a bundle price for one main and one drink
+    combo: {
+        name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+        description: { type: 'string', label: 'Description', maxLength: 500, default: '' },
+        price: { type: 'number', label: 'Price', required: true, positive: true, max: 100000 },
+        image: { type: 'string', label: 'Image URL', maxLength: 2000, default: '' },
+        available: { type: 'boolean', label: 'Available', default: true },
+        slots: { type: 'array', label: 'Slots', required: true, of: 'comboSlot', minItems: 1 }
+    },
+    // One part of a combo; the customer picks one of its menu items
+    comboSlot: {
+        id: { type: 'string', label: 'Slot', required: true },
+        name: { type: 'string', label: 'Slot name', required: true, maxLength: 50 },
+        itemIds: { type: 'array', label: 'Slot items', required: true, minItems: 1 }
+    },
+    orderLine: {
+        id: { type: 'string', label: 'Item', required: true },
+        quantity: { type: 'integer', label: 'Quantity', required: true, min: 1, max: 100 },
+        // IDs of the chosen options (see resolveItemOptions)
+        options: { type: 'array', label: 'Options', default: [] },
+        // Combo lines: id is the combo's, choices the menu item picked per slot (see resolveComboChoices)
+        combo: { type: 'boolean', label: 'Combo', default: false },
+        choices: { type: 'array', label: 'Combo choices', default: [] }
+    },
+    order: {
+        items: { type: 'array', label: 'Items', required: true, of: 'orderLine', minItems: 1, message: 'Cart is empty' }
+    },
+    // Where its members login (USER_ROLES) and what they may do (PERMISSIONS, js/utils.js)
+    role: {
+        name: { type: 'string', label: 'Role name', required: true, maxLength: 50 },
+        area: { type: 'string', label: 'Area', required: true, oneOf: ['customer', 'staff', 'admin'] },
+        permissions: { type: 'array', label: 'Permissions', required: true },
+        requireTwoFactor: { type: 'boolean', label: 'Two-factor login', default: false }
+    },
+    guest: {
+        name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+        phone: { type: 'phone', label: 'Phone number', required: true }
+    },
+    location: {
+        name: { type: 'string', label: 'Shop name', required: true, maxLength: 100 },
+        address: { type: 'string', label: 'Address', required: true, maxLength: 500 },
+        lat: { type: 'number', label: 'Latitude', required: true, min: -90, max: 90 },
+        lng: { type: 'number', label: 'Longitude', required: true, min: -180, max: 180 },
+        phone: { type: 'phone', label: 'Phone', default: '' },
+        openHours: { type: 'string', label: 'Opening hours', maxLength: 100, default: '' }
+    }
+};
+
+// ============================================
+// CHECKING
+// ============================================
+
+/**
+ * Check a value that is present against the rules of its type
+ * @param {object} rule - Field rule
+ * @param {any} raw - Value (not blank)
+ * @returns {object} { value } or { error }
+ */
+function checkFieldType(rule, raw) {
+    const label = rule.label;
+
+    switch (rule.type) {
+        case 'number':
+        case 'integer': {
+            const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (typeof raw === 'boolean' || !Number.isFinite(number)) return { error: `${label} must be a number` };
+            if (rule.type === 'integer' && !Number.isInteger(number)) return { error: `${label} must be a whole number` };
+            if (rule.positive && number <= 0) return { error: `${label} must be more than 0` };
+            if (rule.min !== undefined && number < rule.min) return { error: `${label} must be at least ${rule.min}` };
+            if (rule.max !== undefined && number > rule.max) return { error: `${label} must be at most ${rule.max}` };
+            return { value: number };
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true') return { value: true };
+            if (raw === false || raw === 'false') return { value: false };
+            return { error: `${label} must be yes or no` };
+        case 'array': {
+            if (!Array.isArray(raw)) return { error: `${label} must be a list` };
+            if (rule.minItems && raw.length < rule.minItems) {
+                return { error: `${label} must have at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}` };
+            }
+            if (rule.each) {
+                const values = [];
+                for (const entry of raw) {
+                    const result = checkField(rule.each, entry);
+                    if (result.error) return { error: result.error };
+                    values.push(result.value);
+                }
+                return { value: values };
+            }
+            if (!rule.of) return { value: raw };
+
+            const entries = [];
+            for (const entry of raw) {
+                const check = validateRecord(rule.of, entry);
+                if (!check.success) return { error: check.message, nested: true };
+                entries.push(check.value);
+            }
+            return { value: entries };
+        }
+        case 'object': {
+            if (typeof raw !== 'object' || Array.isArray(raw)) return { error: `${label} is not valid` };
+            if (!rule.of) return { value: raw };
+
+            const check = validateRecord(rule.of, raw);
+            return check.success ? { value: check.value } : { error: check.message, nested: true };
+        }
+        default: {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${label} must be text` };
+            let text = String(raw);
+            if (rule.trim !== false) text = text.trim();
+            if (rule.lowercase) text = text.toLowerCase();
+
+            if (rule.minLength && text.length < rule.minLength) return { error: `${label} must be at least ${rule.minLength} characters` };
+            if (rule.maxLength && text.length > rule.maxLength) return { error: `${label} must be at most ${rule.maxLength} characters` };
+            if (rule.type === 'email' && !VALIDATION_PATTERNS.email.test(text)) return { error: 'Please enter a valid email address' };
+            if (rule.type === 'phone' && !VALIDATION_PATTERNS.phone.test(text)) return { error: 'Please enter a valid phone number' };
+            if (rule.type === 'time' && !VALIDATION_PATTERNS.time.test(text)) return { error: `${label} must be a time like 07:30` };
+            if (rule.type === 'date' && !VALIDATION_PATTERNS.date.test(text)) return { error: `${label} must be a date like 2026-12-31` };
+            return { value: text };
+        }
+    }
+}
+
+/**
+ * Check one field
+ * @param {object} rule - Field rule
+ * @param {any} raw - Value, undefined when left out
+ * @returns {object} { value } or { error }
+ */
+function checkField(rule, raw) {
+    const blank = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    let result;
+    if (blank) {
+        if (rule.required) {
+            result = { error: `${rule.label} is required` };
+        } else if (raw === undefined) {
+            result = { value: rule.default };
+        } else {
+            // Cleared on purpose
+            result = { value: 'default' in rule ? rule.default : null };
+        }
+    } else {
+        result = checkFieldType(rule, raw);
+        if (!result.error && rule.oneOf && !rule.oneOf.includes(result.value)) {
+            result = { error: `${rule.label} must be one of ${rule.oneOf.join(', ')}` };
+        }
+    }
+
+    if (result.error && rule.message && !result.nested) {
+        return { error: rule.message };
+    }
+    return result;
+}
+
+/**
+ * Check data against a schema
+ * Only fields of the schema end up in value, so unknown properties can't
+ * slip into stored records.
+ * @param {string} schemaName - Key of SCHEMAS
+ * @param {object} data - Data to check
+ * @param {object} options - { partial: only check the fields data has (updates),
+ *                            skip: fields the caller checks itself (e.g. stored password hashes) }
+ * @returns {object} Result object: { success, value } or { success, message, errors: { field: message } }
+ */
+function validateRecord(schemaName, data, options = {}) {
+    const schema = SCHEMAS[schemaName];
+    if (!schema) throw new Error(`Unknown schema: ${schemaName}`);
+
+    const source = data && typeof data === 'object' ? data : {};
+    const errors = {};
+    const value = {};
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        if (options.partial && source[field] === undefined) return;
+        if (options.skip && options.skip.includes(field)) return;
+
+        const result = checkField(rule, source[field]);
+        if (result.error) {
+            errors[field] = result.error;
+        } else if (result.value !== undefined) {
+            value[field] = result.value;
+        }
+    });
+
+    const failed = Object.keys(errors);
+    if (failed.length > 0) {
+        return { success: false, message: errors[failed[0]], errors };
+    }
+    return { success: true, value };
+}
+
+// ============================================
+// MENU OPTIONS
+// ============================================
+
+/**
+ * Check the options picked for a menu item against its option groups
+ * Required groups need a choice, single-choice groups take one at most.
+ * @param {object} item - Menu item
+ * @param {Array} optionIds - IDs of the picked options
+ * @returns {object} Result object; value is { options: [{ groupId, group, id, name, price }], price }
+ *                   with price the unit price including the options
+ */
+function resolveItemOptions(item, optionIds = []) {
+    const ids = Array.isArray(optionIds) ? optionIds : [];
+    const errors = {};
+    const options = [];
+    const offered = new Set();
+
+    (item.optionGroups || []).forEach(group => {
+        const chosen = group.options.filter(option => ids.includes(option.id));
+        group.options.forEach(option => offered.add(option.id));
+
+        if (group.required && chosen.length === 0) {
+            errors[group.id] = `Please choose the ${group.name.toLowerCase()} for ${item.name}`;
+        } else if (!group.multiple && chosen.length > 1) {
+            errors[group.id] = `Please choose only one ${group.name.toLowerCase()} for ${item.name}`;
+        }
+
+        chosen.forEach(option => options.push({
+            groupId: group.id,
+            group: group.name,
+            id: option.id,
+            name: option.name,
+            price: option.price || 0
+        }));
+    });
+
+    if (ids.some(id => !offered.has(id))) {
+        errors.options = `An option you picked for ${item.name} is no longer offered`;
+    }
+
+    const price = item.price + options.reduce((sum, option) => sum + option.price, 0);
+    if (Object.keys(errors).length === 0 && price <= 0) {
+        errors.options = `The price of ${item.name} with these options must be more than 0`;
+    }
+
+    const failed = Object.keys(errors);
+    if (failed.length > 0) {
+        return { success: false, message: errors[failed[0]], errors };
+    }
+    return { success: true, value: { options, price } };
+}
+
+// ============================================
+// COMBOS
+// ============================================
+
+/**
+ * Check the menu items picked for the slots of a combo
+ * Slots with a single item don't need a choice.
+ * @param {object} combo - Combo
+ * @param {Array} itemIds - Menu item ID picked for each slot, in slot order
+ * @param {Array} menuItems - Menu items that can be ordered (others count as not available)
+ * @returns {object} Result object; value is { components: [{ slotId, slot, id, name }], price }
+ */
+function resolveComboChoices(combo, itemIds = [], menuItems = []) {
+    const ids = Array.isArray(itemIds) ? itemIds : [];
+    const fail = (message, field = 'choices') => ({ success: false, message, errors: { [field]: message } });
+
+    if (!combo.available) return fail(`${combo.name} is not available`);
+
+    const components = [];
+    for (const [index, slot] of combo.slots.entries()) {
+        const itemId = slot.itemIds.length === 1 ? slot.itemIds[0] : ids[index];
+        if (!slot.itemIds.includes(itemId)) {
+            return fail(`Please choose the ${slot.name.toLowerCase()} for ${combo.name}`, slot.id);
+        }
+
+        const item = menuItems.find(entry => entry.id === itemId);
+        if (!item || !item.available) {
+            return fail(`The ${slot.name.toLowerCase()} you picked for ${combo.name} is not available`, slot.id);
+        }
+        components.push({ slotId: slot.id, slot: slot.name, id: item.id, name: item.name });
+    }
+
+    return { success: true, value: { components, price: combo.price } };
+}
+
+// ============================================
+// SCHEDULES
+// ============================================
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time
+ * @returns {number}
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get the local calendar day of a moment, comparable as text
+ * @param {Date} date - Moment
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateKey(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check whether a schedule is open at a moment (local time)
+ * Windows that run past midnight count on the day they start.
+ * @param {object|null} schedule - { days, windows, startDate, endDate }; null is always open
+ * @param {Date} date - Moment to check
+ * @returns {boolean}
+ */
+function isScheduleOpen(schedule, date = new Date()) {
+    if (!schedule) return true;
+
+    const day = toDateKey(date);
+    if (schedule.startDate && day < schedule.startDate) return false;
+    if (schedule.endDate && day > schedule.endDate) return false;
+
+    const days = schedule.days || [];
+    const windows = schedule.windows || [];
+    const onDay = weekday => days.length === 0 || days.includes(weekday);
+    const today = date.getDay();
+    if (windows.length === 0) return onDay(today);
+
+    const now = date.getHours() * 60 + date.getMinutes();
+    return windows.some(window => {
+        const from = toMinutes(window.from);
+        const to = toMinutes(window.to);
+        if (from < to) return onDay(today) && now >= from && now < to;
+        return (now >= from && onDay(today)) || (now < to && onDay((today + 6) % 7));
+    });
+}
+
+/**
+ * Find when a schedule is next open
+ * Schedules open at midnight or when one of their windows starts, so only
+ * those moments are tried, for up to a year ahead.
+ * @param {object|null} schedule - Schedule
+ * @param {Date} from - Moment to search from
+ * @returns {Date|null} `from` itself when open now, null when it never opens again
+ */
+function getScheduleOpening(schedule, from = new Date()) {
+    if (isScheduleOpen(schedule, from)) return from;
+
+    const starts = [0, ...(schedule.windows || []).map(window => toMinutes(window.from)).sort((a, b) => a - b)];
+    for (let offset = 0; offset <= 366; offset++) {
+        const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+        if (schedule.endDate && toDateKey(day) > schedule.endDate) return null;
+
+        for (const minutes of starts) {
+            const moment = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+            if (moment > from && isScheduleOpen(schedule, moment)) return moment;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a menu item's own schedule and its category's are open
+ * Whether staff marked it available is up to the caller.
+ * @param {object} item - Menu item
+ * @param {object} categorySchedules - Schedules by category name
+ * @param {Date} date - Moment to check
+ * @returns {boolean}
+ */
+function isItemScheduled(item, categorySchedules = {}, date = new Date()) {
+    return isScheduleOpen(item.schedule, date) && isScheduleOpen(categorySchedules[item.category], date);
+}
+
+/**
+ * Find when a menu item's schedules are next open together
+ * @param {object} item - Menu item
+ * @param {object} categorySchedules - Schedules by category name
+ * @param {Date} from - Moment to search from
+ * @returns {Date|null} `from` itself when open now, null when never
+ */
+function getItemOpening(item, categorySchedules = {}, from = new Date()) {
+    const schedules = [item.schedule, categorySchedules[item.category]].filter(Boolean);
+    let moment = from;
+
+    // Each round moves to the latest opening; both are open once neither moves
+    for (let round = 0; round < 20; round++) {
+        const openings = schedules.map(schedule => getScheduleOpening(schedule, moment));
+        if (openings.some(opening => !opening)) return null;
+
+        const latest = openings.reduce((a, b) => (b > a ? b : a), moment);
+        if (latest.getTime() === moment.getTime()) return moment;
+        moment = latest;
+    }
+    return null;
+}
+
+// ============================================
+// STOCK
+// ============================================
+
+/**
+ * Check whether a menu item has portions left
+ * Items whose stock isn't counted (null) never run out.
+ * @param {object} item - Menu item
+ * @returns {boolean}
+ */
+function isItemInStock(item) {
+    return typeof item.stock !== 'number' || item.stock > 0;
+}
+
+/**
+ * Count the portions of each menu item that order or cart lines use
+ * A combo line uses one portion of each of its components per combo.
+ * @param {Array} lines - Lines with id and quantity; combo lines with components
+ * @returns {object} Portions by menu item ID
+ */
+function countStockNeeded(lines) {
+    const counts = {};
+    const add = (itemId, quantity) => {
+        counts[itemId] = (counts[itemId] || 0) + quantity;
+    };
+
+    lines.forEach(line => {
+        if (line.combo) {
+            (line.components || []).forEach(component => add(component.id, line.quantity));
+        } else {
+            add(line.id, line.quantity);
+        }
+    });
+    return counts;
+}
+
+/**
+ * Check that menu items have the portions needed
+ * @param {object} counts - Portions by menu item ID (see countStockNeeded)
+ * @param {Array} menuItems - Menu items
+ * @returns {object} Result object
+ */
+function checkStock(counts, menuItems) {
+    for (const [itemId, quantity] of Object.entries(counts)) {
+        const item = menuItems.find(entry => entry.id === itemId);
+        if (!item || typeof item.stock !== 'number' || quantity <= item.stock) continue;
+
+        const message = item.stock === 0 ? `${item.name} is sold out` : `Only ${item.stock} ${item.name} left`;
+        return { success: false, message, errors: { items: message } };
+    }
+    return { success: true };
+}
+
+/**
+ * Take portions from the stock of menu items, or give them back
+ * Items whose stock isn't counted are left alone. Stock never drops below 0.
+ * @param {Array} menuItems - Menu items (not changed)
+ * @param {object} counts - Portions by menu item ID
+ * @param {number} direction - -1 to take, 1 to give back
+ * @returns {object} { items: updated menu items, changed: portions moved by menu item ID }
+ */
+function adjustStock(menuItems, counts, direction) {
+    const changed = {};
+    const items = menuItems.map(item => {
+        const quantity = counts[item.id];
+        if (!quantity || typeof item.stock !== 'number') return item;
+
+        changed[item.id] = quantity;
+        return { ...item, stock: Math.max(0, item.stock + direction * quantity) };
+    });
+    return { items, changed };
+}
+
+// ============================================
+// INGREDIENTS
+// ============================================
+
+/**
+ * Round an ingredient amount, so repeated use doesn't leave 0.30000000000000004
+ * @param {number} amount - Amount
+ * @returns {number}
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 1000) / 1000;
+}
+
+/**
+ * Check whether there is enough of every ingredient for one portion
+ * Ingredients that were deleted are skipped.
+ * @param {object} item - Menu item
+ * @param {Array} ingredients - Ingredient inventory
+ * @returns {boolean}
+ */
+function isRecipeInStock(item, ingredients) {
+    return (item.recipe || []).every(line => {
+        const ingredient = ingredients.find(entry => entry.id === line.ingredientId);
+        return !ingredient || ingredient.quantity >= line.amount;
+    });
+}
+
+/**
+ * Add up the ingredients that portions of menu items use
+ * @param {object} portions - Portions by menu item ID (see countStockNeeded)
+ * @param {Array} menuItems - Menu items with their recipes
+ * @returns {object} Amounts by ingredient ID
+ */
+function countIngredientsNeeded(portions, menuItems) {
+    const amounts = {};
+    Object.entries(portions).forEach(([itemId, quantity]) => {
+        const item = menuItems.find(entry => entry.id === itemId);
+        ((item && item.recipe) || []).forEach(line => {
+            amounts[line.ingredientId] = roundAmount((amounts[line.ingredientId] || 0) + line.amount * quantity);
+        });
+    });
+    return amounts;
+}
+
+/**
+ * Take amounts from the ingredient inventory
+ * Quantities never drop below 0; the kitchen may have used more than was
+ * recorded, and staff correct the count when they restock.
+ * @param {Array} ingredients - Ingredient inventory (not changed)
+ * @param {object} amounts - Amounts by ingredient ID
+ * @returns {object} { ingredients: updated inventory, used: amounts taken by ingredient ID }
+ */
+function consumeIngredients(ingredients, amounts) {
+    const used = {};
+    const updated = ingredients.map(ingredient => {
+        const amount = amounts[ingredient.id];
+        if (!amount) return ingredient;
+
+        used[ingredient.id] = amount;
+        return { ...ingredient, quantity: Math.max(0, roundAmount(ingredient.quantity - amount)) };
+    });
+    return { ingredients: updated, used };
+}
+
+// Export for the local server (server/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VALIDATION_PATTERNS,
+        SCHEMAS,
+        validateRecord,
+        resolveItemOptions,
+        resolveComboChoices,
+        isScheduleOpen,
+        getScheduleOpening,
+        isItemScheduled,
+        getItemOpening,
+        isItemInStock,
+        countStockNeeded,
+        checkStock,
+        adjustStock,
+        isRecipeInStock,
+        countIngredientsNeeded,
+        consumeIngredients
+    };
+}
@@ -0,0 +1,494 @@
+/**
+ * Smart Digital Canteen System - REST API
+ *
+ * Resources mirror the browser's STORAGE_KEYS:
+ *   users, menu-items, combos, ingredients, orders, staff, roles (arrays of records)
+ *   location, category-schedules, schema-version, token-counters, order-archive,
+ *   session-revocations, password-resets,
+ *   login-attempts, email-verifications    (single objects)
+ *
+ * Whole-resource routes (used by the 'http' storage adapter):
+ *   GET    /api/:resource        -> value, ETag = revision
+ *   PUT    /api/:resource        -> replace; If-Match with a stale revision -> 409
+ *   DELETE /api/:resource
+ *
+ * Record routes (for other clients, e.g. a kitchen display or scripts):
+ *   GET    /api/:resource/:id
+ *   POST   /api/:resource               (users, menu-items, orders)
+ *   PATCH  /api/:resource/:id
+ *   DELETE /api/:resource/:id
+ *   POST   /api/orders/:id/status       { status, note }
+ *
+ *   POST   /api/password-hash           { password, salt, iterations } -> { hash }
+ *          (PBKDF2 for pages without Web Crypto, see js/auth.js)
+ *   POST   /api/mail                    { to, from, subject, text } -> outbox folder
+ *
+ * Login, password reset, email verification and guest order tracking are
+ * handled by auth.js. Writes need a session, except registering, placing
+ * a guest order and filling resources nothing was ever written to. Reads
+ * of accounts, orders and the like are limited to what the session may
+ * see (READ_ACCESS in auth.js). Secrets (secrets.js) are never served and
+ * are kept when a page writes a record without them.
+ */
+
+const crypto = require('crypto');
+const { CANTEEN_CONFIG } = require('../js/config.js');
+const validation = require('./validation');
+const { hashPassword, handlePasswordHashRequest } = require('./passwords');
+const { hasSecrets, stripSecrets, stripRecordSecrets, restoreSecrets } = require('./secrets');
+
+const RESOURCES = {
+    'users': { key: 'canteen_users', collection: true },
+    'menu-items': { key: 'canteen_menu_items', collection: true },
+    'combos': { key: 'canteen_combos', collection: true },
+    'category-schedules': { key: 'canteen_category_schedules', collection: false },
+    'ingredients': { key: 'canteen_ingredients', collection: true },
+    'orders': { key: 'canteen_orders', collection: true },
+    'staff': { key: 'canteen_staff_members', collection: true },
+    'roles': { key: 'canteen_roles', collection: true },
+    'location': { key: 'canteen_shop_location', collection: false },
+    'schema-version': { key: 'canteen_schema_version', collection: false },
+    'token-counters': { key: 'canteen_token_counters', collection: false },
+    'order-archive': { key: 'canteen_order_archive', collection: false },
+    'session-revocations': { key: 'canteen_session_revocations', collection: false },
+    'password-resets': { key: 'canteen_password_resets', collection: false },
+    'login-attempts': { key: 'canteen_login_attempts', collection: false },
+    'email-verifications': { key: 'canteen_email_verifications', collection: false }
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Generate a unique ID (same scheme as js/utils.js)
+ * @returns {string}
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Take the next order token, sharing the browser's counter record
+ * (see generateToken in js/utils.js)
+ * @param {object} store - Data store
+ * @param {string} outletId - Outlet ID
+ * @param {Set} usedTokens - Tokens already taken
+ * @returns {string} Token
+ */
+function takeToken(store, outletId, usedTokens) {
+    const { prefix, format, sequenceDigits, resetTime } = CANTEEN_CONFIG.tokens;
+    const [hours, minutes] = (resetTime || '00:00').split(':').map(Number);
+    const shifted = new Date(Date.now() - ((hours || 0) * 60 + (minutes || 0)) * 60000);
+    const day = shifted.getFullYear().toString() +
+        (shifted.getMonth() + 1).toString().padStart(2, '0') +
+        shifted.getDate().toString().padStart(2, '0');
+
+    const counters = store.get(RESOURCES['token-counters'].key).value || {};
+    const counter = counters[outletId] && counters[outletId].day === day
+        ? counters[outletId]
+        : { day, sequence: 0 };
+
+    let token;
+    do {
+        counter.sequence++;
+        token = format
+            .replace('{prefix}', prefix)
+            .replace('{date}', day)
+            .replace('{outlet}', outletId)
+            .replace('{seq}', counter.sequence.toString().padStart(sequenceDigits || 4, '0'));
+    } while (usedTokens.has(token));
+
+    counters[outletId] = counter;
+    store.set(RESOURCES['token-counters'].key, counters);
+    return token;
+}
+
+// ============================================
+// RECORD CREATION
+// ============================================
+
+const creators = {
+    /**
+     * registerUser (js/auth.js)
+     */
+    'users'(store, body, { auth }) {
+        const users = store.get(RESOURCES.users.key).value || [];
+        const roles = store.get(RESOURCES.roles.key).value || [];
+        const check = validation.validateNewUser(body, users, roles);
+        if (!check.success) return { status: 400, body: check };
+
+        // As in registerUser, only customers can use their account straight away
+        const roleId = body.role || validation.USER_ROLES.CUSTOMER;
+        const role = roles.find(r => r.id === roleId);
+        const needsApproval = (role ? role.area : roleId) !== validation.USER_ROLES.CUSTOMER;
+
+        const user = {
+            id: generateId(),
+            name: check.value.name,
+            email: check.value.email,
+            password: hashPassword(check.value.password),
+            role: roleId,
+            status: needsApproval ? validation.ACCOUNT_STATUS.PENDING : validation.ACCOUNT_STATUS.ACTIVE,
+            emailVerified: !CANTEEN_CONFIG.registration.verifyEmail,
+            createdAt: new Date().toISOString()
+        };
+        store.set(RESOURCES.users.key, [...users, user]);
+
+        // The response carries no password hash; staff records are added on approval
+        const profile = stripRecordSecrets('users', user);
+
+        let message = needsApproval
+            ? 'Registration received! An admin has to approve your account before you can login.'
+            : 'Registration successful!';
+        if (!user.emailVerified) {
+            const sent = auth.sendVerificationCode(user);
+            message = sent.success
+                ? `${message} We sent a code to ${user.email} to confirm your email.`
+                : `${message} The verification email could not be sent; you can ask for a new code on your profile page.`;
+        }
+        return { status: 201, body: { success: true, message, user: profile, pending: needsApproval } };
+    },
+
+    /**
+     * addMenuItem (js/menu.js)
+     */
+    'menu-items'(store, body, { auth, session }) {
+        if (!auth.hasPermission(session, 'menu.edit')) return deny(session);
+
+        const check = validation.validateNewMenuItem(body);
+        if (!check.success) return { status: 400, body: check };
+
+        const item = {
+            id: generateId(),
+            ...check.value,
+            image: check.value.image || 'https://via.placeholder.com/400x200?text=No+Image',
+            available: true,
+            createdAt: new Date().toISOString()
+        };
+        const items = store.get(RESOURCES['menu-items'].key).value || [];
+        store.set(RESOURCES['menu-items'].key, [...items, item]);
+
+        return { status: 201, body: { success: true, message: 'Menu item added successfully!', item } };
+    },
+
+    /**
+     * createOrder (js/orders.js); prices and token are decided here, not by the caller
+     */
+    'orders'(store, body, { auth, session }) {
+        // Guests order without a session; with one the order is for the session's account
+        if (session) {
+            if (!auth.hasPermission(session, 'order.place')) return deny(session);
+            if (CANTEEN_CONFIG.registration.verifyEmail && session.user.emailVerified === false) {
+                return {
+                    status: 403,
+                    body: {
+                        success: false,
+                        needsVerification: true,
+                        message: 'Please verify your email address before ordering. We sent a code to your inbox.'
+                    }
+                };
+            }
+            body = { ...body, userId: session.userId };
+        } else if (body.userId) {
+            return deny(session);
+        }
+
+        const menuItems = store.get(RESOURCES['menu-items'].key).value || [];
+        const combos = store.get(RESOURCES.combos.key).value || [];
+        const categorySchedules = store.get(RESOURCES['category-schedules'].key).value || {};
+        const ingredients = store.get(RESOURCES.ingredients.key).value || [];
+        const check = validation.validateNewOrder(body, menuItems, combos, categorySchedules, ingredients);
+        if (!check.success) return { status: 400, body: check };
+
+        const orders = store.get(RESOURCES.orders.key).value || [];
+        const outletId = body.outletId || CANTEEN_CONFIG.tokens.outletId;
+        const now = new Date().toISOString();
+        const items = check.value.items.map(line => {
+            if (line.combo) {
+                const combo = combos.find(entry => entry.id === line.id);
+                const { components, price } = validation.resolveComboChoices(combo, line.choices, menuItems).value;
+                return {
+                    id: combo.id,
+                    name: combo.name,
+                    price,
+                    quantity: line.quantity,
+                    options: [],
+                    combo: true,
+                    components,
+                    subtotal: price * line.quantity
+                };
+            }
+
+            const menuItem = menuItems.find(item => item.id === line.id);
+            const { options, price } = validation.resolveItemOptions(menuItem, line.options).value;
+            return {
+                id: menuItem.id,
+                name: menuItem.name,
+                price,
+                quantity: line.quantity,
+                options,
+                subtotal: price * line.quantity
+            };
+        });
+        const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+
+        // Portions of counted menu items; validateNewOrder made sure there are enough
+        const stock = validation.adjustStock(menuItems, validation.countStockNeeded(items), -1);
+        store.set(RESOURCES['menu-items'].key, stock.items);
+
+        // Guest orders are tracked with a secret key and PIN (see js/orders.js)
+        const customer = session ? {
+            userId: session.userId,
+            userName: session.user.name,
+            userEmail: session.user.email
+        } : {
+            userId: null,
+            userName: String(body.guest.name).trim(),
+            userEmail: '',
+            guest: { phone: String(body.guest.phone).trim() },
+            tracking: {
+                key: crypto.randomBytes(16).toString('hex'),
+                pin: crypto.randomInt(1000000).toString().padStart(6, '0')
+            }
+        };
+
+        const order = {
+            id: generateId(),
+            token: takeToken(store, outletId, new Set(orders.map(o => o.token))),
+            outletId,
+            ...customer,
+            staffId: null,
+            items,
+            subtotal,
+            tax: 0,
+            total: subtotal,
+            status: validation.ORDER_STATUS.PENDING,
+            stockTaken: stock.changed,
+            statusHistory: [{ status: validation.ORDER_STATUS.PENDING, timestamp: now, note: 'Order placed' }],
+            createdAt: now,
+            updatedAt: now
+        };
+        store.set(RESOURCES.orders.key, [...orders, order]);
+
+        return { status: 201, body: { success: true, message: 'Order placed successfully!', order } };
+    }
+};
+
+/**
+ * updateOrderStatus (js/orders.js)
+ * @param {object} store - Data store
+ * @param {string} orderId - Order ID
+ * @param {object} body - { status, note }
+ * @param {string|null} staffId - Staff member making the change, if it is one
+ * @returns {object} { status, body }
+ */
+function changeOrderStatus(store, orderId, body, staffId) {
+    const orders = store.get(RESOURCES.orders.key).value || [];
+    const order = orders.find(o => o.id === orderId);
+    const check = validation.validateStatusChange(order, body.status);
+    if (!check.success) return { status: order ? 400 : 404, body: check };
+
+    // A cancelled order gives its portions back, once
+    if (body.status === validation.ORDER_STATUS.CANCELLED && order.stockTaken) {
+        const menuItems = store.get(RESOURCES['menu-items'].key).value || [];
+        store.set(RESOURCES['menu-items'].key, validation.adjustStock(menuItems, order.stockTaken, 1).items);
+        order.stockTaken = null;
+    }
+
+    const now = new Date().toISOString();
+    order.statusHistory.push({ status: body.status, timestamp: now, note: body.note || `Status changed to ${body.status}` });
+    order.status = body.status;
+    order.updatedAt = now;
+    if (!order.staffId && staffId) order.staffId = staffId;
+    if (body.status === validation.ORDER_STATUS.COMPLETED) order.completedAt = now;
+
+    // A completed order uses up the ingredients of its recipes, once
+    if (body.status === validation.ORDER_STATUS.COMPLETED && !order.ingredientsUsed) {
+        const menuItems = store.get(RESOURCES['menu-items'].key).value || [];
+        const ingredients = store.get(RESOURCES.ingredients.key).value || [];
+        order.ingredientsUsed = validation.countIngredientsNeeded(validation.countStockNeeded(order.items), menuItems);
+        store.set(RESOURCES.ingredients.key, validation.consumeIngredients(ingredients, order.ingredientsUsed).ingredients);
+    }
+
+    store.set(RESOURCES.orders.key, orders);
+    return { status: 200, body: { success: true, message: `Order status updated to ${body.status}`, order } };
+}
+
+// ============================================
+// ROUTER
+// ============================================
+
+/**
+ * Refusal for a request without the session or permission it needs
+ * @param {object|null} session - Session the request was made with
+ * @returns {object} { status, body }
+ */
+function deny(session) {
+    return session
+        ? { status: 403, body: { success: false, denied: true, message: 'You do not have permission to do this' } }
+        : { status: 401, body: { success: false, message: 'Please login to continue' } };
+}
+
+/**
+ * Check the new value of a whole resource
+ * @param {string} resourceName - Resource name
+ * @param {any} value - New value
+ * @param {any} stored - Value stored now
+ * @returns {object} Result object
+ */
+function validateResource(resourceName, value, stored) {
+    if (RESOURCES[resourceName].collection) {
+        const check = validation.validateCollection(resourceName, value);
+        if (!check.success || resourceName !== 'orders') return check;
+        return validation.validateOrderChanges(stored, value);
+    }
+    return resourceName === 'location' ? validation.validateLocation(value) : { success: true };
+}
+
+/**
+ * Get a store change as the change feed may push it to a page: only what
+ * the page's session may read, secrets taken out
+ * @param {object} change - { key, raw, revision, source } (see store.onChange)
+ * @param {object} auth - Auth services (see auth.js)
+ * @param {object|null} session - Session the page connected with
+ * @returns {object} Change
+ */
+function getVisibleChange(change, auth, session) {
+    const resourceName = Object.keys(RESOURCES).find(name => RESOURCES[name].key === change.key);
+    if (!resourceName || change.raw === null) return change;
+    if (!hasSecrets(resourceName) && auth.canReadAll(session, resourceName)) return change;
+
+    const value = auth.getReadableView(session, resourceName, JSON.parse(change.raw));
+    return { ...change, raw: JSON.stringify(stripSecrets(resourceName, value)) };
+}
+
+/**
+ * Handle an /api request
+ * @param {object} store - Data store
+ * @param {object} request - { method, path, headers, body }
+ *   path is relative to /api, e.g. 'orders/abc123/status'
+ * @param {object} services - { outbox, auth } (see auth.js)
+ * @returns {object|Promise<object>} { status, headers, body }; logins answer
+ *   with a Promise, as failed ones are slowed down
+ */
+function handleApiRequest(store, request, services = {}) {
+    const [resourceName, id, action] = request.path.split('/').filter(Boolean);
+    const resource = RESOURCES[resourceName];
+    const source = request.headers['x-canteen-client'];
+    const { auth } = services;
+    const session = auth.authenticate(request.headers);
+
+    const handled = auth.handleRequest(request, session);
+    if (handled) return handled;
+
+    if (resourceName === 'password-hash' && !id && request.method === 'POST') {
+        return handlePasswordHashRequest(request.body);
+    }
+    if (resourceName === 'mail' && !id && request.method === 'POST' && services.outbox) {
+        return session ? services.outbox.deliver(request.body) : deny(session);
+    }
+
+    if (!resource) {
+        return { status: 404, body: { success: false, message: 'Unknown resource' } };
+    }
+
+    // Whole resource
+    if (!id) {
+        const ifMatch = request.headers['if-match'];
+        const baseRevision = ifMatch ? parseInt(ifMatch.replace(/\D/g, '')) || 0 : undefined;
+
+        switch (request.method) {
+            case 'GET': {
+                const { value, revision } = store.get(resource.key);
+                if (value === null) return { status: 404, body: { success: false, message: 'Not found' } };
+                const body = stripSecrets(resourceName, auth.getReadableView(session, resourceName, value));
+                return { status: 200, headers: { ETag: `"${revision}"` }, body };
+            }
+            case 'PUT': {
+                // Pages never see the secrets, or the records outside their view, so the stored ones are kept
+                const stored = store.get(resource.key);
+                const written = auth.addUnseenRecords(session, resourceName, request.body, stored.value);
+                const value = restoreSecrets(resourceName, written, stored.value);
+
+                const denied = auth.authorizeWrite(session, resourceName, stored, value);
+                if (denied) return denied;
+
+                const check = validateResource(resourceName, value, stored.value);
+                if (!check.success) return { status: 400, body: check };
+
+                const result = store.set(resource.key, value, { baseRevision, source });
+                if (result.conflict) {
+                    return { status: 409, headers: { ETag: `"${result.revision}"` }, body: { success: false, message: 'Revision conflict' } };
+                }
+                const body = stripSecrets(resourceName, auth.getReadableView(session, resourceName, value));
+                return { status: 200, headers: { ETag: `"${result.revision}"` }, body };
+            }
+            case 'DELETE': {
+                const denied = auth.authorizeWrite(session, resourceName, store.get(resource.key), null);
+                if (denied) return denied;
+
+                const result = store.remove(resource.key, { baseRevision, source });
+                if (result.conflict) return { status: 409, body: { success: false, message: 'Revision conflict' } };
+                return { status: 204 };
+            }
+            case 'POST': {
+                if (!creators[resourceName]) break;
+                return creators[resourceName](store, request.body || {}, { auth, session });
+            }
+        }
+        return { status: 405, body: { success: false, message: 'Method not allowed' } };
+    }
+
+    if (!resource.collection) {
+        return { status: 404, body: { success: false, message: 'Not found' } };
+    }
+
+    if (resourceName === 'orders' && action === 'status' && request.method === 'POST') {
+        const body = request.body || {};
+        if (!auth.canChangeOrderStatus(session, body.status)) return deny(session);
+        const staffId = auth.getRoleArea(session.user.role) === validation.USER_ROLES.STAFF ? session.userId : null;
+        return changeOrderStatus(store, id, body, staffId);
+    }
+
+    // Single record
+    const stored = store.get(resource.key);
+    const records = [...(stored.value || [])];
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+        return { status: 404, body: { success: false, message: 'Not found' } };
+    }
+
+    switch (request.method) {
+        case 'GET': {
+            const visible = auth.getReadableView(session, resourceName, records).includes(records[index]);
+            if (!visible) return { status: 404, body: { success: false, message: 'Not found' } };
+            return { status: 200, body: stripRecordSecrets(resourceName, records[index]) };
+        }
+        case 'PATCH': {
+            // The id never changes; records with a schema only take its fields, like updateMenuItem
+            const changes = validation.validateChanges(resourceName, request.body || {});
+            if (!changes.success) return { status: 400, body: changes };
+            const update = changes.value || request.body || {};
+            if (resourceName === 'users' && update.password) update.password = hashPassword(update.password);
+            records[index] = { ...records[index], ...update, id, updatedAt: new Date().toISOString() };
+
+            const denied = auth.authorizeWrite(session, resourceName, stored, records);
+            if (denied) return denied;
+            const check = validateResource(resourceName, records, stored.value);
+            if (!check.success) return { status: 400, body: check };
+            store.set(resource.key, records, { source });
+            return { status: 200, body: stripRecordSecrets(resourceName, records[index]) };
+        }
+        case 'DELETE': {
+            records.splice(index, 1);
+            const denied = auth.authorizeWrite(session, resourceName, stored, records);
+            if (denied) return denied;
+            store.set(resource.key, records, { source });
+            return { status: 204 };
+        }
+    }
+    return { status: 405, body: { success: false, message: 'Method not allowed' } };
+}
+
+module.exports = { RESOURCES, handleApiRequest, getVisibleChange };
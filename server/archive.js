@@ -0,0 +1,46 @@
+/**
+ * Smart Digital Canteen System - Server Order Archive
+ *
+ * The archive (see js/archive.js) keeps one compressed chunk of orders
+ * per month. The server opens it to change or pick out the orders of one
+ * account, with the same compression as the pages.
+ */
+
+const { compressText, decompressText } = require('../js/archive.js');
+
+/**
+ * Rewrite the orders of every archive chunk
+ * Chunks left without orders are dropped.
+ * @param {object|null} archive - { chunks: { 'YYYY-MM': { count, data } }, updatedAt }
+ * @param {Function} rewrite - Function(orders) returning the orders to keep
+ * @returns {object|null} New archive, or the same one when nothing changed
+ */
+function rewriteArchive(archive, rewrite) {
+    if (!archive || !archive.chunks) return archive;
+
+    let changed = false;
+    const chunks = {};
+    Object.entries(archive.chunks).forEach(([month, chunk]) => {
+        let orders;
+        try {
+            orders = JSON.parse(decompressText(chunk.data));
+        } catch (error) {
+            console.error(`Error reading archived orders of ${month}:`, error);
+            orders = [];
+        }
+
+        const rewritten = rewrite(orders);
+        if (rewritten.length === orders.length && rewritten.every((order, index) => order === orders[index])) {
+            chunks[month] = chunk;
+            return;
+        }
+        changed = true;
+        if (rewritten.length > 0) {
+            chunks[month] = { count: rewritten.length, data: compressText(JSON.stringify(rewritten)) };
+        }
+    });
+
+    return changed ? { ...archive, chunks } : archive;
+}
+
+module.exports = { rewriteArchive };
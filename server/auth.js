@@ -0,0 +1,949 @@
+/**
+ * Smart Digital Canteen System - Server Accounts & Sessions
+ *
+ * With the 'http' storage adapter password hashes and codes never leave
+ * the server (see secrets.js), so the pages can't check them. They login
+ * here instead and send the token they get with every request
+ * (Authorization: Bearer <token>). Writes need a valid session, and some
+ * resources a permission as well (see authorizeWrite).
+ *
+ *   POST   /api/sessions                    { email, password, area, deviceId }
+ *                                           -> { token, user } or { twoFactorRequired, challenge }
+ *          then                             { challenge, code, deviceId } -> { token, user }
+ *   DELETE /api/sessions                    logout
+ *   POST   /api/sessions/password-check     { password }
+ *   POST   /api/sessions/revocations        { userId } -> ends every session of the user
+ *   POST   /api/password-change             { password, newPassword }
+ *   DELETE /api/account                     { password } -> deletes the session's own account
+ *   POST   /api/password-reset              { email, area } -> code by mail
+ *   POST   /api/password-reset/confirm      { email, code, password }
+ *   POST   /api/email-verification          -> code by mail to the session's user
+ *   POST   /api/email-verification/confirm  { code }
+ *   POST   /api/order-tracking              { token, key } or { token, pin, deviceId } -> { order }
+ *
+ * The rules are those of the same flows in js/auth.js and js/orders.js.
+ * Mail goes to the server's outbox folder. Sessions are kept in memory:
+ * restarting the server logs everyone out.
+ */
+
+const crypto = require('crypto');
+const { CANTEEN_CONFIG } = require('../js/config.js');
+const { validateRecord } = require('../js/validation.js');
+const { verifyTotpCode } = require('../js/totp.js');
+const { RESOURCES } = require('./api');
+const { USER_ROLES, ACCOUNT_STATUS, isValidEmail } = require('./validation');
+const { hashPassword, isPasswordHash, verifyPassword, passwordNeedsRehash } = require('./passwords');
+const { rewriteArchive } = require('./archive');
+
+// Permission needed to write a resource. The resources missing here (password-resets,
+// email-verifications, session-revocations, token-counters, schema-version) are only
+// written by the server itself. users and staff records may also be changed by their
+// owner, see checkUserChanges.
+const WRITE_PERMISSIONS = {
+    'users': ['users.manage', 'staff.manage'],
+    'staff': ['staff.manage', 'users.manage'],
+    'roles': ['roles.manage'],
+    'location': ['location.edit'],
+    'login-attempts': ['lockouts.manage'],
+    'menu-items': ['menu.edit'],
+    'combos': ['menu.edit'],
+    'ingredients': ['menu.edit'],
+    'category-schedules': ['menu.edit'],
+    // Orders are placed and moved on by their own routes (api.js); whole lists
+    // are only written by archiving and backup imports
+    'orders': ['backup.manage'],
+    'order-archive': ['backup.manage']
+};
+
+// What pages fill in before anyone can login (initializeSampleData in js/utils.js)
+const SEEDED_RESOURCES = ['menu-items', 'combos', 'roles', 'users', 'staff', 'location', 'orders'];
+
+const isOwnOrder = userId => order => !!userId && order.userId === userId;
+
+// Permissions to read a whole resource; sessions (and visitors, userId null)
+// without one only see what own() picks out for them. Resources missing
+// here (menu, combos, schedules, ingredients, location, roles, schema
+// version) are public.
+const READ_ACCESS = {
+    'users': {
+        permissions: ['users.manage', 'staff.manage'],
+        own: (users, userId) => users.filter(user => user.id === userId)
+    },
+    'staff': {
+        permissions: ['staff.manage', 'users.manage', 'reports.view'],
+        own: (staff, userId) => staff.filter(member => member.id === userId)
+    },
+    'orders': {
+        permissions: ['order.prepare', 'order.complete', 'order.cancel', 'reports.view', 'backup.manage'],
+        own: (orders, userId) => orders.filter(isOwnOrder(userId))
+    },
+    'order-archive': {
+        permissions: ['reports.view', 'backup.manage'],
+        own: (archive, userId) => rewriteArchive(archive, orders => orders.filter(isOwnOrder(userId)))
+    },
+    // getCurrentUser in js/auth.js only looks for its own revocation
+    'session-revocations': {
+        permissions: [],
+        own: (revocations, userId) => (userId && userId in revocations ? { [userId]: revocations[userId] } : {})
+    },
+    'token-counters': { permissions: ['backup.manage'], own: () => ({}) },
+    'login-attempts': { permissions: ['lockouts.manage'], own: () => ({ accounts: {}, devices: {} }) },
+    // Codes are only checked by the server
+    'password-resets': { permissions: [], own: () => ({}) },
+    'email-verifications': { permissions: [], own: () => ({}) }
+};
+
+// Fields of their own account users can't change themselves; the password
+// changes through POST /api/password-change, which asks for the current one
+const MANAGED_USER_FIELDS = ['role', 'status', 'emailVerified', 'passwordResetRequired', 'password'];
+
+// Permission needed to move an order to a status (getStatusPermission in js/orders.js)
+const STATUS_PERMISSIONS = {
+    completed: 'order.complete',
+    cancelled: 'order.cancel'
+};
+
+/**
+ * Build a response
+ * @param {number} status - HTTP status
+ * @param {object} body - Result object
+ * @returns {object} { status, body }
+ */
+function respond(status, body) {
+    return { status, body };
+}
+
+/**
+ * Hash a session token or challenge; only hashes are kept in memory
+ * @param {string} token - Token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a random six-digit code (password reset, email verification)
+ * @returns {string}
+ */
+function generateOneTimeCode() {
+    return crypto.randomInt(1000000).toString().padStart(6, '0');
+}
+
+/**
+ * Turn a recovery code into the form it is hashed in
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Compare two values with deep equality (records are plain JSON; key
+ * order doesn't matter, restoreSecrets adds keys at the end)
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean}
+ */
+function isSame(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isSame(a[key], b[key]));
+}
+
+/**
+ * Wait before answering
+ * @param {number} ms - Milliseconds
+ * @returns {Promise}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// ACCOUNTS & SESSIONS
+// ============================================
+
+/**
+ * Create the account and session handling
+ * @param {object} store - Data store
+ * @param {object} services - { outbox }
+ * @returns {object} { authenticate, authorizeWrite, hasPermission, getRoleArea, canChangeOrderStatus,
+ *   canReadAll, getReadableView, addUnseenRecords, sendVerificationCode, handleRequest }
+ */
+function createAuth(store, services = {}) {
+    // hash of token -> { userId, loginAt }
+    const sessions = new Map();
+    // hash of challenge -> { userId, email, expiresAt }
+    const challenges = new Map();
+
+    function read(resourceName, fallback) {
+        return store.get(RESOURCES[resourceName].key).value || fallback;
+    }
+
+    function write(resourceName, value) {
+        store.set(RESOURCES[resourceName].key, value);
+    }
+
+    // Only hashes may be stored (see validateCollection): hash what older
+    // versions left in plaintext, and drop the copies staff records had
+    function hashStoredPasswords() {
+        const users = read('users', []);
+        const plaintext = users.filter(user => typeof user.password === 'string' && !isPasswordHash(user.password));
+        if (plaintext.length > 0) {
+            plaintext.forEach(user => {
+                user.password = hashPassword(user.password);
+            });
+            write('users', users);
+        }
+
+        const staff = read('staff', []);
+        if (staff.some(member => 'password' in member)) {
+            write('staff', staff.map(({ password, ...member }) => member));
+        }
+    }
+
+    function findUser(email) {
+        const normalized = String(email || '').toLowerCase().trim();
+        return read('users', []).find(u => u.email.toLowerCase() === normalized) || null;
+    }
+
+    function updateUser(userId, change) {
+        const users = read('users', []);
+        const user = users.find(u => u.id === userId);
+        if (!user) return false;
+        change(user);
+        write('users', users);
+        return true;
+    }
+
+    // Like getRole in js/auth.js; the built-in areas are known before roles are stored
+    function getRole(roleId) {
+        const role = read('roles', []).find(r => r.id === roleId);
+        if (role) return role;
+        return Object.values(USER_ROLES).includes(roleId) ? { id: roleId, area: roleId, permissions: [] } : null;
+    }
+
+    function getRoleArea(roleId) {
+        const role = getRole(roleId);
+        return role ? role.area : null;
+    }
+
+    function isTwoFactorSetupPending(user) {
+        const role = getRole(user.role);
+        return !!role && role.area !== USER_ROLES.CUSTOMER && !!role.requireTwoFactor && !user.twoFactor;
+    }
+
+    /**
+     * Check whether a session's user may do something
+     * The admin role always has every permission.
+     * @param {object} session - Session from authenticate
+     * @param {string} permission - Permission name (see PERMISSIONS in js/utils.js)
+     * @returns {boolean}
+     */
+    function hasPermission(session, permission) {
+        if (!session || isTwoFactorSetupPending(session.user)) return false;
+        const role = getRole(session.user.role);
+        return !!role && (role.id === USER_ROLES.ADMIN || (role.permissions || []).includes(permission));
+    }
+
+    // Same checks as getSessionEndReason in js/auth.js. The idle timeout is
+    // left to the page, which sees whether anyone is using it (touchSession).
+    function isSessionValid(session, user) {
+        if (!user || user.status === ACCOUNT_STATUS.PENDING || user.status === ACCOUNT_STATUS.SUSPENDED) return false;
+        if (user.passwordResetRequired) return false;
+
+        const policy = CANTEEN_CONFIG.sessions[getRoleArea(user.role)] || CANTEEN_CONFIG.sessions[USER_ROLES.CUSTOMER];
+        const loginAt = new Date(session.loginAt).getTime();
+        if (policy.absoluteMinutes && Date.now() - loginAt > policy.absoluteMinutes * 60000) return false;
+
+        const revokedAt = read('session-revocations', {})[user.id];
+        return !(revokedAt && new Date(revokedAt).getTime() >= loginAt);
+    }
+
+    function startSession(user) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date().toISOString();
+        sessions.set(hashToken(token), { userId: user.id, loginAt: now });
+
+        // The page keeps this as its session (see startSession in js/auth.js)
+        const sessionUser = { id: user.id, name: user.name, email: user.email, role: user.role, loginAt: now, lastActiveAt: now };
+        if (isTwoFactorSetupPending(user)) sessionUser.twoFactorSetupRequired = true;
+        return { token, user: sessionUser };
+    }
+
+    function endUserSessions(userId) {
+        sessions.forEach((session, key) => {
+            if (session.userId === userId) sessions.delete(key);
+        });
+    }
+
+    function revokeUserSessions(userId) {
+        const revocations = read('session-revocations', {});
+        revocations[userId] = new Date().toISOString();
+        write('session-revocations', revocations);
+        endUserSessions(userId);
+    }
+
+    /**
+     * Find the session a request was made with
+     * @param {object} headers - Request headers
+     * @returns {object|null} { key, userId, loginAt, user } or null
+     */
+    function authenticate(headers) {
+        const match = /^Bearer\s+(\S+)$/i.exec((headers && headers.authorization) || '');
+        if (!match) return null;
+
+        const key = hashToken(match[1]);
+        const session = sessions.get(key);
+        if (!session) return null;
+
+        const user = read('users', []).find(u => u.id === session.userId);
+        if (!isSessionValid(session, user)) {
+            sessions.delete(key);
+            return null;
+        }
+        return { ...session, key, user };
+    }
+
+    // ============================================
+    // LOGIN THROTTLING (see js/auth.js)
+    // ============================================
+
+    function getActiveLoginRecord(record, now = Date.now()) {
+        if (!record) return null;
+
+        if (record.lockedUntil) {
+            return new Date(record.lockedUntil).getTime() > now ? record : null;
+        }
+        const windowMs = CANTEEN_CONFIG.lockout.windowMinutes * 60000;
+        return new Date(record.lastFailureAt).getTime() + windowMs > now ? record : null;
+    }
+
+    function getLoginThrottle(key, deviceId) {
+        const attempts = read('login-attempts', { accounts: {}, devices: {} });
+        const account = getActiveLoginRecord(attempts.accounts[key.toLowerCase().trim()]);
+        const device = getActiveLoginRecord(attempts.devices[deviceId]);
+
+        const lockedUntil = [account, device]
+            .map(record => record && record.lockedUntil)
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+
+        const failures = Math.max(account ? account.failures : 0, device ? device.failures : 0);
+        const { baseDelayMs, maxDelayMs } = CANTEEN_CONFIG.lockout;
+        const delayMs = failures > 0 ? Math.min(baseDelayMs * Math.pow(2, failures - 1), maxDelayMs) : 0;
+
+        return { lockedUntil, delayMs };
+    }
+
+    function getLockoutResult(lockedUntil) {
+        const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+        return {
+            success: false,
+            locked: true,
+            message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+        };
+    }
+
+    function recordLoginFailure(key, deviceId, failedResult) {
+        const now = Date.now();
+        const { maxFailures, deviceMaxFailures, lockMinutes } = CANTEEN_CONFIG.lockout;
+        const lockedUntil = new Date(now + lockMinutes * 60000).toISOString();
+        const attempts = read('login-attempts', { accounts: {}, devices: {} });
+
+        const count = (records, recordKey, limit) => {
+            const record = getActiveLoginRecord(records[recordKey], now) || { failures: 0 };
+            record.failures++;
+            record.lastFailureAt = new Date(now).toISOString();
+            if (record.failures >= limit && !record.lockedUntil) {
+                record.lockedUntil = lockedUntil;
+            }
+            records[recordKey] = record;
+            return record;
+        };
+
+        // Drop records that no longer count so the list stays small
+        ['accounts', 'devices'].forEach(type => {
+            Object.keys(attempts[type]).forEach(recordKey => {
+                if (!getActiveLoginRecord(attempts[type][recordKey], now)) delete attempts[type][recordKey];
+            });
+        });
+
+        const account = count(attempts.accounts, key.toLowerCase().trim(), maxFailures);
+        const device = count(attempts.devices, deviceId, deviceMaxFailures);
+        write('login-attempts', attempts);
+
+        const locked = account.lockedUntil || device.lockedUntil;
+        return locked ? respond(429, getLockoutResult(locked)) : respond(401, failedResult);
+    }
+
+    function clearLoginFailures(key) {
+        const normalized = key.toLowerCase().trim();
+        const attempts = read('login-attempts', null);
+        if (!attempts || !attempts.accounts[normalized]) return;
+
+        delete attempts.accounts[normalized];
+        write('login-attempts', attempts);
+    }
+
+    // ============================================
+    // LOGIN
+    // ============================================
+
+    function getDeviceId(body) {
+        return typeof body.deviceId === 'string' && body.deviceId ? body.deviceId.slice(0, 64) : 'unknown';
+    }
+
+    function login(body) {
+        const { email, password, area } = body;
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            return respond(400, { success: false, message: 'Email and password are required' });
+        }
+
+        const deviceId = getDeviceId(body);
+        const throttle = getLoginThrottle(email, deviceId);
+        if (throttle.lockedUntil) return respond(429, getLockoutResult(throttle.lockedUntil));
+
+        // Unknown emails go through the same delay and count as failures too
+        return wait(throttle.delayMs).then(() => {
+            const user = findUser(email);
+            if (!user || !verifyPassword(password, user.password)) {
+                return recordLoginFailure(email, deviceId, { success: false, message: 'Invalid email or password' });
+            }
+
+            // With two-factor login the failures count on until the code is right too
+            if (!user.twoFactor) clearLoginFailures(email);
+
+            if (area && getRoleArea(user.role) !== area) {
+                return respond(403, { success: false, message: `This login is for ${area}s only. Please use the correct login page.` });
+            }
+            if (user.status === ACCOUNT_STATUS.PENDING) {
+                return respond(403, {
+                    success: false,
+                    pending: true,
+                    message: 'Your account is waiting for admin approval. You can login once it has been approved.'
+                });
+            }
+            if (user.status === ACCOUNT_STATUS.SUSPENDED) {
+                return respond(403, { success: false, suspended: true, message: 'Your account has been suspended. Please contact the canteen.' });
+            }
+            if (user.passwordResetRequired) {
+                return respond(403, {
+                    success: false,
+                    resetRequired: true,
+                    message: 'You need to set a new password. Use "Forgot password?" to get a reset code.'
+                });
+            }
+
+            // Accounts from before hashing still hold plaintext: hash it now that we know it
+            if (passwordNeedsRehash(user.password)) {
+                const passwordHash = hashPassword(password);
+                updateUser(user.id, account => {
+                    account.password = passwordHash;
+                });
+            }
+
+            if (user.twoFactor) {
+                const challenge = crypto.randomBytes(16).toString('hex');
+                challenges.set(hashToken(challenge), {
+                    userId: user.id,
+                    email: user.email,
+                    expiresAt: Date.now() + CANTEEN_CONFIG.twoFactor.challengeMinutes * 60000
+                });
+                return respond(200, { success: false, twoFactorRequired: true, challenge, message: 'Enter the code from your authenticator app' });
+            }
+
+            return respond(201, { success: true, message: 'Login successful!', ...startSession(user) });
+        });
+    }
+
+    // Authenticator code (works once) or recovery code (used up); see verifySecondFactor in js/auth.js
+    function verifySecondFactor(userId, code) {
+        const account = read('users', []).find(u => u.id === userId);
+        if (!account || !account.twoFactor) return { valid: false };
+
+        const { secret, lastUsedStep, recoveryCodes = [] } = account.twoFactor;
+        const step = verifyTotpCode(secret, String(code || ''), CANTEEN_CONFIG.twoFactor.driftSteps, lastUsedStep);
+        if (step !== null) {
+            updateUser(userId, user => {
+                user.twoFactor.lastUsedStep = step;
+            });
+            return { valid: true };
+        }
+
+        const recoveryCode = normalizeRecoveryCode(code);
+        if (recoveryCode.length !== 10) return { valid: false };
+
+        const used = recoveryCodes.find(hash => verifyPassword(recoveryCode, hash));
+        if (!used) return { valid: false };
+
+        const left = recoveryCodes.filter(hash => hash !== used);
+        updateUser(userId, user => {
+            user.twoFactor.recoveryCodes = left;
+        });
+        return { valid: true, recoveryCodeUsed: true, recoveryCodesLeft: left.length };
+    }
+
+    function completeTwoFactorLogin(body) {
+        const challengeKey = hashToken(body.challenge);
+        const challenge = challenges.get(challengeKey);
+        if (!challenge || Date.now() > challenge.expiresAt) {
+            challenges.delete(challengeKey);
+            return respond(401, { success: false, expired: true, message: 'Please login again' });
+        }
+
+        const deviceId = getDeviceId(body);
+        const throttle = getLoginThrottle(challenge.email, deviceId);
+        if (throttle.lockedUntil) {
+            challenges.delete(challengeKey);
+            return respond(429, getLockoutResult(throttle.lockedUntil));
+        }
+
+        return wait(throttle.delayMs).then(() => {
+            const check = verifySecondFactor(challenge.userId, body.code);
+            if (!check.valid) {
+                const failure = recordLoginFailure(challenge.email, deviceId, { success: false, message: 'Invalid code' });
+                if (failure.body.locked) challenges.delete(challengeKey);
+                return failure;
+            }
+
+            challenges.delete(challengeKey);
+            clearLoginFailures(challenge.email);
+
+            const user = read('users', []).find(u => u.id === challenge.userId);
+            if (!user) return respond(401, { success: false, message: 'Please login again' });
+
+            const message = check.recoveryCodeUsed
+                ? `Login successful! You have ${check.recoveryCodesLeft} recovery codes left.`
+                : 'Login successful!';
+            return respond(201, { success: true, message, ...startSession(user) });
+        });
+    }
+
+    function checkPassword(session, body) {
+        if (!session) return respond(401, { success: false, message: 'Please login to continue' });
+        if (!body.password) return respond(400, { success: false, message: 'Please enter your current password' });
+
+        return verifyPassword(body.password, session.user.password)
+            ? respond(200, { success: true })
+            : respond(401, { success: false, message: 'Current password is incorrect' });
+    }
+
+    // revokeUserSessions in js/auth.js; other people's sessions need users.manage or staff.manage
+    function revokeSessions(session, body) {
+        if (!session) return respond(401, { success: false, message: 'Please login to continue' });
+
+        const userId = typeof body.userId === 'string' && body.userId ? body.userId : session.userId;
+        if (userId !== session.userId && !hasPermission(session, 'users.manage') && !hasPermission(session, 'staff.manage')) {
+            return respond(403, { success: false, denied: true, message: 'You do not have permission to do this' });
+        }
+
+        revokeUserSessions(userId);
+        return respond(200, { success: true, message: 'All sessions of this user were ended' });
+    }
+
+    // changePassword in js/auth.js: every other session of the user ends, this one goes on
+    function changePassword(session, body) {
+        const check = checkPassword(session, body);
+        if (!check.body.success) return check;
+
+        const passwordCheck = validateRecord('user', { password: body.newPassword || '' }, { partial: true });
+        if (!passwordCheck.success) return respond(400, passwordCheck);
+
+        const passwordHash = hashPassword(body.newPassword);
+        updateUser(session.userId, account => {
+            account.password = passwordHash;
+        });
+
+        revokeUserSessions(session.userId);
+        const revokedAt = read('session-revocations', {})[session.userId];
+        const loginAt = new Date(new Date(revokedAt).getTime() + 1).toISOString();
+        sessions.set(session.key, { userId: session.userId, loginAt });
+        return respond(200, { success: true, message: 'Password changed', loginAt });
+    }
+
+    // deleteAccount in js/auth.js: past orders stay for the reports but no longer name the customer
+    function deleteAccount(session, body) {
+        const check = checkPassword(session, body);
+        if (!check.body.success) return check;
+
+        const account = session.user;
+        const users = read('users', []);
+        if (getRoleArea(account.role) === USER_ROLES.ADMIN &&
+            !users.some(u => u.id !== account.id && getRoleArea(u.role) === USER_ROLES.ADMIN)) {
+            return respond(400, { success: false, message: 'You are the only admin. Add another admin before deleting your account.' });
+        }
+
+        const anonymizedAt = new Date().toISOString();
+        const anonymize = order => (order.userId === account.id
+            ? { ...order, userId: null, userName: 'Deleted customer', userEmail: null, anonymizedAt }
+            : order);
+
+        const orders = read('orders', []);
+        if (orders.some(order => order.userId === account.id)) write('orders', orders.map(anonymize));
+        const archive = read('order-archive', null);
+        const anonymizedArchive = rewriteArchive(archive, archived => archived.map(anonymize));
+        if (anonymizedArchive !== archive) write('order-archive', anonymizedArchive);
+
+        write('users', users.filter(u => u.id !== account.id));
+        const staff = read('staff', []);
+        if (staff.some(member => member.id === account.id)) write('staff', staff.filter(member => member.id !== account.id));
+        ['password-resets', 'email-verifications'].forEach(resourceName => {
+            const codes = read(resourceName, {});
+            if (!codes[account.id]) return;
+            delete codes[account.id];
+            write(resourceName, codes);
+        });
+
+        revokeUserSessions(account.id);
+        return respond(200, { success: true, message: 'Your account has been deleted' });
+    }
+
+    // ============================================
+    // EMAILED CODES
+    // ============================================
+
+    function sendMail(to, subject, text) {
+        if (!services.outbox) return { success: false, message: 'Could not send the email. Please try again later.' };
+        const sent = services.outbox.deliver({ to: to.toLowerCase().trim(), from: CANTEEN_CONFIG.mail.from, subject, text });
+        return sent.body.success ? { success: true } : { success: false, message: 'Could not send the email. Please try again later.' };
+    }
+
+    function requestPasswordReset(body) {
+        const sentResult = { success: true, message: 'If an account exists for this email, a reset code is on its way.' };
+        if (!isValidEmail(body.email)) {
+            return respond(400, { success: false, message: 'Please enter a valid email address' });
+        }
+
+        // The answer is the same whether or not the account exists
+        const user = findUser(body.email);
+        if (!user || (body.area && getRoleArea(user.role) !== body.area)) {
+            return respond(202, sentResult);
+        }
+
+        const code = generateOneTimeCode();
+        const minutes = CANTEEN_CONFIG.passwordReset.codeMinutes;
+        const resets = read('password-resets', {});
+        resets[user.id] = {
+            codeHash: hashPassword(code),
+            expiresAt: new Date(Date.now() + minutes * 60000).toISOString(),
+            attempts: 0
+        };
+        write('password-resets', resets);
+
+        const sent = sendMail(user.email, 'Your password reset code',
+            `Hi ${user.name},\n\n` +
+            `Your Smart Digital Canteen password reset code is ${code}.\n` +
+            `It expires in ${minutes} minutes and can be used once.\n\n` +
+            'If you did not ask to reset your password, you can ignore this email.');
+        return sent.success ? respond(202, sentResult) : respond(502, sent);
+    }
+
+    // Check an emailed code; wrong guesses use it up after maxAttempts
+    function useCode(resourceName, userId, code, maxAttempts, matches = () => true) {
+        const codes = read(resourceName, {});
+        const entry = codes[userId];
+        if (!entry || !matches(entry)) return false;
+
+        if (Date.now() > new Date(entry.expiresAt).getTime() || !verifyPassword(String(code || '').trim(), entry.codeHash)) {
+            entry.attempts = (entry.attempts || 0) + 1;
+            if (Date.now() > new Date(entry.expiresAt).getTime() || entry.attempts >= maxAttempts) {
+                delete codes[userId];
+            }
+            write(resourceName, codes);
+            return false;
+        }
+
+        // Taken out first so it works only once
+        delete codes[userId];
+        write(resourceName, codes);
+        return true;
+    }
+
+    function resetPassword(body) {
+        const invalidResult = respond(400, { success: false, message: 'Invalid or expired code' });
+        if (!body.email || !body.code) {
+            return respond(400, { success: false, message: 'Email and code are required' });
+        }
+
+        const passwordCheck = validateRecord('user', { password: body.password || '' }, { partial: true });
+        if (!passwordCheck.success) return respond(400, passwordCheck);
+
+        const user = findUser(body.email);
+        if (!user || !useCode('password-resets', user.id, body.code, CANTEEN_CONFIG.passwordReset.maxAttempts)) {
+            return invalidResult;
+        }
+
+        const passwordHash = hashPassword(body.password);
+        updateUser(user.id, account => {
+            account.password = passwordHash;
+            delete account.passwordResetRequired;
+        });
+
+        // Whoever knew the old password is logged out everywhere
+        revokeUserSessions(user.id);
+        clearLoginFailures(user.email);
+        return respond(200, { success: true, message: 'Your password has been reset. Please login.' });
+    }
+
+    /**
+     * Email a verification code to an account (a new code replaces the previous one)
+     * @param {object} user - Account ({ id, name, email })
+     * @returns {object} Result object
+     */
+    function sendVerificationCode(user) {
+        const code = generateOneTimeCode();
+        const minutes = CANTEEN_CONFIG.registration.codeMinutes;
+        const verifications = read('email-verifications', {});
+        verifications[user.id] = {
+            codeHash: hashPassword(code),
+            email: user.email,
+            expiresAt: new Date(Date.now() + minutes * 60000).toISOString(),
+            attempts: 0
+        };
+        write('email-verifications', verifications);
+
+        const sent = sendMail(user.email, 'Confirm your email address',
+            `Hi ${user.name},\n\n` +
+            `Your Smart Digital Canteen verification code is ${code}.\n` +
+            `Enter it on your profile page within ${minutes} minutes to start ordering.`);
+        return sent.success ? { success: true, message: `We sent a verification code to ${user.email}` } : sent;
+    }
+
+    function requestEmailVerification(session) {
+        if (!session) return respond(401, { success: false, message: 'Please login to continue' });
+        if (session.user.emailVerified !== false) {
+            return respond(400, { success: false, message: 'Your email is already verified' });
+        }
+
+        const sent = sendVerificationCode(session.user);
+        return respond(sent.success ? 202 : 502, sent);
+    }
+
+    function verifyEmail(session, body) {
+        if (!session) return respond(401, { success: false, message: 'Please login to continue' });
+
+        // A code only confirms the address it was sent to
+        const { user } = session;
+        if (!useCode('email-verifications', user.id, body.code, CANTEEN_CONFIG.registration.maxAttempts, entry => entry.email === user.email)) {
+            return respond(400, { success: false, message: 'Invalid or expired code' });
+        }
+
+        updateUser(user.id, account => {
+            account.emailVerified = true;
+            account.emailVerifiedAt = new Date().toISOString();
+        });
+        return respond(200, { success: true, message: 'Thank you, your email is verified' });
+    }
+
+    // ============================================
+    // GUEST ORDERS
+    // ============================================
+
+    // canTrackOrder and unlockGuestOrder in js/orders.js; the order comes back with its tracking key and PIN
+    function trackOrder(body) {
+        const order = read('orders', []).find(o => o.token === body.token);
+        const notFound = respond(404, { success: false, message: 'Order not found' });
+
+        if (body.key !== undefined) {
+            return order && order.tracking && body.key === order.tracking.key
+                ? respond(200, { success: true, order })
+                : notFound;
+        }
+
+        // Wrong PINs count towards the lockout of the order token and the device
+        const lockKey = `order:${body.token}`;
+        const deviceId = getDeviceId(body);
+        const { lockedUntil } = getLoginThrottle(lockKey, deviceId);
+        if (lockedUntil) return respond(429, getLockoutResult(lockedUntil));
+
+        if (!order || !order.tracking || order.tracking.pin !== String(body.pin || '').trim()) {
+            return recordLoginFailure(lockKey, deviceId, { success: false, message: 'Wrong PIN' });
+        }
+        clearLoginFailures(lockKey);
+        return respond(200, { success: true, order });
+    }
+
+    // ============================================
+    // READ PERMISSIONS
+    // ============================================
+
+    /**
+     * Check whether a session may read all of a resource
+     * @param {object|null} session - Session from authenticate
+     * @param {string} resourceName - Resource name
+     * @returns {boolean}
+     */
+    function canReadAll(session, resourceName) {
+        const access = READ_ACCESS[resourceName];
+        return !access || access.permissions.some(permission => hasPermission(session, permission));
+    }
+
+    /**
+     * Get the part of a stored value a session may read
+     * @param {object|null} session - Session from authenticate
+     * @param {string} resourceName - Resource name
+     * @param {any} value - Stored value (not null)
+     * @returns {any} Value as the session sees it
+     */
+    function getReadableView(session, resourceName, value) {
+        if (canReadAll(session, resourceName)) return value;
+        return READ_ACCESS[resourceName].own(value, session ? session.userId : null);
+    }
+
+    /**
+     * Put the records a session can't see back into a collection it writes
+     * Pages only send what they were served (getReadableView): records they
+     * never saw are kept as stored; records in their view that they leave
+     * out are removed.
+     * @param {object|null} session - Session from authenticate
+     * @param {string} resourceName - Resource name
+     * @param {any} value - Value as written
+     * @param {any} stored - Value stored so far
+     * @returns {any} Value to store
+     */
+    function addUnseenRecords(session, resourceName, value, stored) {
+        if (canReadAll(session, resourceName) || !RESOURCES[resourceName].collection) return value;
+        if (!Array.isArray(value) || !Array.isArray(stored)) return value;
+
+        const seen = new Set(getReadableView(session, resourceName, stored).map(record => record.id));
+        const unseen = stored.filter(record => !seen.has(record.id));
+        const unseenIds = new Set(unseen.map(record => record.id));
+        return [...unseen, ...value.filter(record => !(record && unseenIds.has(record.id)))];
+    }
+
+    // ============================================
+    // WRITE PERMISSIONS
+    // ============================================
+
+    function getChangedRecords(current, next) {
+        const before = new Map((Array.isArray(current) ? current : []).map(record => [record && record.id, record]));
+        const after = new Map((Array.isArray(next) ? next : []).map(record => [record && record.id, record]));
+        const ids = new Set([...before.keys(), ...after.keys()]);
+
+        return [...ids]
+            .filter(id => !isSame(before.get(id), after.get(id)))
+            .map(id => ({ id, before: before.get(id) || null, after: after.get(id) || null }));
+    }
+
+    // Without users.manage or staff.manage only the own record may change, and
+    // not the fields an admin decides (an email change may unverify it, see updateProfile)
+    function checkUserChanges(session, changes) {
+        return changes.every(({ id, before, after }) => {
+            if (id !== session.userId || !before) return false;
+            if (!after) return true;
+            return MANAGED_USER_FIELDS.every(field => isSame(before[field], after[field]) ||
+                (field === 'emailVerified' && after.emailVerified === false));
+        });
+    }
+
+    // Staff may keep their own entry up to date (name, email, orders completed)
+    function checkStaffChanges(session, changes) {
+        return changes.every(({ id, before, after }) =>
+            id === session.userId && before && after && before.role === after.role);
+    }
+
+    /**
+     * Check whether a request may change a resource
+     * @param {object|null} session - Session from authenticate
+     * @param {string} resourceName - Resource name
+     * @param {object} stored - { value, revision } stored now
+     * @param {any} next - New value (null when removed)
+     * @returns {object|null} Refusal { status, body }, or null when allowed
+     */
+    function authorizeWrite(session, resourceName, stored, next) {
+        const denied = respond(403, { success: false, denied: true, message: 'You do not have permission to do this' });
+        const permissions = WRITE_PERMISSIONS[resourceName];
+        if (!permissions) return denied;
+
+        if (!session) {
+            // Pages fill an empty install before anyone can login
+            if (stored.revision === 0 && SEEDED_RESOURCES.includes(resourceName)) return null;
+            return respond(401, { success: false, message: 'Please login to continue' });
+        }
+
+        // Until a required two-factor setup is done only the own account can change
+        if (isTwoFactorSetupPending(session.user) && resourceName !== 'users') return denied;
+        if (permissions.some(permission => hasPermission(session, permission))) return null;
+
+        if (resourceName === 'users' && checkUserChanges(session, getChangedRecords(stored.value, next))) return null;
+        if (resourceName === 'staff' && checkStaffChanges(session, getChangedRecords(stored.value, next))) return null;
+        return denied;
+    }
+
+    /**
+     * Check whether a session may move an order to a status
+     * @param {object|null} session - Session from authenticate
+     * @param {string} status - New status
+     * @returns {boolean}
+     */
+    function canChangeOrderStatus(session, status) {
+        return hasPermission(session, STATUS_PERMISSIONS[status] || 'order.prepare');
+    }
+
+    // ============================================
+    // ROUTES
+    // ============================================
+
+    /**
+     * Handle the account routes listed at the top of this file
+     * @param {object} request - { method, path, headers, body }
+     * @param {object|null} session - Session from authenticate
+     * @returns {object|Promise<object>|null} { status, body }, or null for other routes
+     */
+    function handleRequest(request, session) {
+        const [name, action, extra] = request.path.split('/').filter(Boolean);
+        const body = request.body && typeof request.body === 'object' ? request.body : {};
+        const route = `${request.method} ${name}${action ? `/${action}` : ''}`;
+        if (extra) return null;
+
+        switch (route) {
+            case 'POST sessions':
+                return body.challenge ? completeTwoFactorLogin(body) : login(body);
+            case 'DELETE sessions':
+                if (session) sessions.delete(session.key);
+                return { status: 204 };
+            case 'POST sessions/password-check':
+                return checkPassword(session, body);
+            case 'POST sessions/revocations':
+                return revokeSessions(session, body);
+            case 'POST password-change':
+                return changePassword(session, body);
+            case 'DELETE account':
+                return deleteAccount(session, body);
+            case 'POST password-reset':
+                return requestPasswordReset(body);
+            case 'POST password-reset/confirm':
+                return resetPassword(body);
+            case 'POST email-verification':
+                return requestEmailVerification(session);
+            case 'POST email-verification/confirm':
+                return verifyEmail(session, body);
+            case 'POST order-tracking':
+                return trackOrder(body);
+        }
+        return null;
+    }
+
+    hashStoredPasswords();
+
+    return {
+        authenticate,
+        authorizeWrite,
+        hasPermission,
+        getRoleArea,
+        canChangeOrderStatus,
+        canReadAll,
+        getReadableView,
+        addUnseenRecords,
+        sendVerificationCode,
+        handleRequest
+    };
+}
+
+module.exports = { createAuth };
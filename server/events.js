@@ -0,0 +1,107 @@
+/**
+ * Smart Digital Canteen System - Server Change Feed
+ *
+ * A minimal WebSocket endpoint (RFC 6455, text frames only) that pushes
+ * every store change to the open pages, see connectSyncSocket in
+ * js/sync.js. Each page gets the change as its session may see it (see
+ * getVisibleChange in api.js). Written without dependencies so the server
+ * runs offline.
+ */
+
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// ============================================
+// FRAMES
+// ============================================
+
+/**
+ * Encode a text frame (server frames are never masked)
+ * @param {string} text - Message
+ * @returns {Buffer}
+ */
+function encodeTextFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+// ============================================
+// CHANGE FEED
+// ============================================
+
+/**
+ * Create the change feed
+ * @returns {object} { handleUpgrade, broadcast }
+ */
+function createChangeFeed() {
+    // socket -> what the page connected with (request headers)
+    const sockets = new Map();
+
+    return {
+        /**
+         * Accept a WebSocket upgrade request
+         * @param {http.IncomingMessage} req - Upgrade request
+         * @param {net.Socket} socket - Underlying socket
+         * @param {object} headers - Headers the page's changes are read with
+         */
+        handleUpgrade(req, socket, headers = {}) {
+            const key = req.headers['sec-websocket-key'];
+            if (!key) {
+                socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+                return;
+            }
+
+            const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+            socket.write([
+                'HTTP/1.1 101 Switching Protocols',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Accept: ${accept}`,
+                '',
+                ''
+            ].join('\r\n'));
+
+            sockets.set(socket, headers);
+
+            socket.on('data', (chunk) => {
+                const opcode = chunk[0] & 0x0f;
+                // Close frame: answer and hang up. Pages never send anything else we need.
+                if (opcode === 0x8) {
+                    socket.end(Buffer.from([0x88, 0x00]));
+                }
+            });
+            socket.on('close', () => sockets.delete(socket));
+            socket.on('error', () => sockets.delete(socket));
+        },
+
+        /**
+         * Send a change to every connected page
+         * @param {Function} getChange - Function(headers) returning the change
+         *   { key, raw, revision, source } as that page may see it
+         */
+        broadcast(getChange) {
+            sockets.forEach((headers, socket) => {
+                socket.write(encodeTextFrame(JSON.stringify(getChange(headers))));
+            });
+        }
+    };
+}
+
+module.exports = { createChangeFeed };
@@ -0,0 +1,244 @@
+/**
+ * Smart Digital Canteen System - Local Server
+ *
+ * One process that lets every device in the canteen share the same data:
+ * - serves the site (index.html, customer/, staff/, admin/ ...)
+ * - REST API under /api (see api.js)
+ * - live change feed at /api/events (see events.js)
+ *
+ * No dependencies and no network access needed. Start it with:
+ *   node server/index.js
+ * and point browsers at it with the 'http' storage adapter (js/config.js).
+ *
+ * Environment:
+ *   PORT              - port to listen on (default 8080)
+ *   HOST              - interface to bind (default 0.0.0.0, reachable on the LAN)
+ *   CANTEEN_DATA_DIR  - where the JSON files are kept (default server/data);
+ *                       mail sent by the pages lands in its outbox/ folder
+ *
+ * Sessions live in memory (see auth.js): restarting the server logs
+ * everyone out. On start the stored data is upgraded to the current
+ * schema (see migrations.js).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./store');
+const { createChangeFeed } = require('./events');
+const { createOutbox } = require('./outbox');
+const { handleApiRequest, getVisibleChange } = require('./api');
+const { createAuth } = require('./auth');
+const { runMigrations } = require('./migrations');
+
+const PORT = parseInt(process.env.PORT) || 8080;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_DIR = process.env.CANTEEN_DATA_DIR || path.join(__dirname, 'data');
+const SITE_ROOT = path.join(__dirname, '..');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.ico': 'image/x-icon'
+};
+
+// What the site is made of; everything else in the checkout (server/, .git,
+// the backlog, ...) is never served
+const SITE_DIRECTORIES = ['admin', 'assets', 'css', 'customer', 'js', 'staff'];
+const SITE_FILES = ['index.html'];
+
+// ============================================
+// REQUEST HANDLING
+// ============================================
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<any>} Parsed body (undefined when empty)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve(undefined);
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {any} body - Body (omitted for 204)
+ * @param {object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(status === 204 || body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Check whether a path below the site root belongs to the site
+ * Only the site's own files and directories are public, and no dot-files
+ * or dot-directories anywhere below them.
+ * @param {string} relativePath - Normalised path relative to SITE_ROOT
+ * @returns {boolean}
+ */
+function isSitePath(relativePath) {
+    const parts = relativePath.split(path.sep);
+    if (parts.some(part => !part || part.startsWith('.'))) return false;
+    return parts.length === 1 ? SITE_FILES.includes(parts[0]) : SITE_DIRECTORIES.includes(parts[0]);
+}
+
+/**
+ * Get the path of a request URL
+ * @param {string} url - Request URL (e.g. '/api/orders?x=1')
+ * @returns {string|null} Path, or null when the URL can't be parsed
+ */
+function getRequestPath(url) {
+    try {
+        return new URL(url, 'http://localhost').pathname;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the headers a change feed connection is read with
+ * Pages can't set headers on a WebSocket, so the session token comes in
+ * the URL (see connectSyncSocket in js/sync.js).
+ * @param {string} url - Request URL (e.g. '/api/events?token=...')
+ * @returns {object} Headers for auth.authenticate
+ */
+function getFeedHeaders(url) {
+    const token = new URL(url, 'http://localhost').searchParams.get('token');
+    return token ? { authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Serve a file of the site
+ * @param {string} pathname - Request path
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.normalize(path.join(SITE_ROOT, urlPath === '/' ? 'index.html' : urlPath));
+
+    if (!filePath.startsWith(SITE_ROOT + path.sep) || !isSitePath(path.relative(SITE_ROOT, filePath))) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Create the canteen server
+ * @param {object} options - { dataDir }
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+    const dataDir = options.dataDir || DATA_DIR;
+    const store = createStore(dataDir);
+    runMigrations(store);
+    const outbox = createOutbox(path.join(dataDir, 'outbox'));
+    const auth = createAuth(store, { outbox });
+    const changeFeed = createChangeFeed();
+
+    // Sessions can end while a page is connected, so each change is checked against the current one
+    store.onChange(change => changeFeed.broadcast(headers => getVisibleChange(change, auth, auth.authenticate(headers))));
+
+    const server = http.createServer((req, res) => {
+        const pathname = getRequestPath(req.url);
+
+        if (pathname === null) {
+            sendJson(res, 400, { success: false, message: 'Bad request' });
+            return;
+        }
+        if (!pathname.startsWith('/api/')) {
+            serveStatic(pathname, res);
+            return;
+        }
+
+        readJsonBody(req)
+            .then(body => handleApiRequest(store, {
+                method: req.method,
+                path: pathname.slice('/api/'.length),
+                headers: req.headers,
+                body
+            }, { outbox, auth }))
+            .then(result => sendJson(res, result.status, result.body, result.headers))
+            .catch(error => {
+                if (!error.status) console.error('Error handling request:', error);
+                sendJson(res, error.status || 500, { success: false, message: error.status ? error.message : 'Server error' });
+            });
+    });
+
+    server.on('upgrade', (req, socket) => {
+        if (getRequestPath(req.url) === '/api/events') {
+            changeFeed.handleUpgrade(req, socket, getFeedHeaders(req.url));
+        } else {
+            socket.destroy();
+        }
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, HOST, () => {
+        console.log(`Canteen server running at http://${HOST}:${PORT}/ (data in ${DATA_DIR})`);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,66 @@
+/**
+ * Smart Digital Canteen System - Server Schema Migrations
+ *
+ * The pages upgrade browser data with runMigrations (js/migrations.js).
+ * With the 'http' adapter the server keeps the schema version itself: it
+ * runs the same migrations over its own data when it starts, and no page
+ * may write the version (see WRITE_PERMISSIONS in auth.js).
+ */
+
+const { CANTEEN_CONFIG } = require('../js/config.js');
+const { CURRENT_SCHEMA_VERSION, getPendingMigrations } = require('../js/migrations.js');
+const { RESOURCES } = require('./api');
+
+// Resource holding the records of each storage key a migration names (STORAGE_KEYS in js/utils.js)
+const MIGRATED_RESOURCES = {
+    USERS: 'users',
+    STAFF_MEMBERS: 'staff',
+    MENU_ITEMS: 'menu-items',
+    ORDERS: 'orders'
+};
+
+/**
+ * Bring the stored data up to CURRENT_SCHEMA_VERSION
+ * An empty store is a new install: the pages fill it with data of the
+ * current schema, so it starts at the current version.
+ * @param {object} store - Data store
+ * @returns {object} Result object with the resulting version
+ */
+function runMigrations(store) {
+    const versionKey = RESOURCES['schema-version'].key;
+    const stored = store.get(versionKey).value;
+    const isEmpty = Object.values(RESOURCES).every(resource => store.get(resource.key).value === null);
+    const record = stored || { version: isEmpty ? CURRENT_SCHEMA_VERSION : 0, history: [] };
+
+    if (record.version > CURRENT_SCHEMA_VERSION) {
+        console.warn(`Stored data uses schema v${record.version}, this server only knows v${CURRENT_SCHEMA_VERSION}`);
+        return { success: false, message: 'Stored data is newer than the server', version: record.version };
+    }
+
+    for (const migration of getPendingMigrations(record.version)) {
+        const context = { now: new Date().toISOString(), outletId: CANTEEN_CONFIG.tokens.outletId };
+        Object.entries(migration.records).forEach(([keyName, migrateRecord]) => {
+            const { key } = RESOURCES[MIGRATED_RESOURCES[keyName]];
+            const records = store.get(key).value;
+            if (Array.isArray(records)) {
+                store.set(key, records.map(item => (item && typeof item === 'object' ? migrateRecord(item, context) : item)));
+            }
+        });
+
+        record.version = migration.version;
+        record.updatedAt = context.now;
+        record.history = [
+            ...(record.history || []),
+            { version: migration.version, description: migration.description, appliedAt: context.now }
+        ];
+        store.set(versionKey, record);
+        console.log(`Migrated stored data to schema v${migration.version}: ${migration.description}`);
+    }
+
+    if (!stored && isEmpty) {
+        store.set(versionKey, { ...record, updatedAt: new Date().toISOString() });
+    }
+    return { success: true, message: `Schema is at v${record.version}`, version: record.version };
+}
+
+module.exports = { runMigrations };
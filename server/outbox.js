@@ -0,0 +1,41 @@
+/**
+ * Smart Digital Canteen System - Server Mail Outbox
+ *
+ * Stand-in for a mail server: every message a page sends through the
+ * 'http' mail transport (js/mailer.js) is written as a JSON file to the
+ * outbox folder, where an operator or a test can pick it up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create the outbox
+ * @param {string} dir - Folder for the message files
+ * @returns {object} { deliver }
+ */
+function createOutbox(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        /**
+         * POST /api/mail
+         * @param {object} message - { to, from, subject, text, sentAt }
+         * @returns {object} { status, body }
+         */
+        deliver(message) {
+            const { to, from, subject, text } = message || {};
+            if (typeof to !== 'string' || typeof subject !== 'string' || typeof text !== 'string') {
+                return { status: 400, body: { success: false, message: 'to, subject and text are required' } };
+            }
+
+            const sentAt = new Date().toISOString();
+            const name = `${sentAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).substr(2, 6)}.json`;
+            fs.writeFileSync(path.join(dir, name), JSON.stringify({ to, from, subject, text, sentAt }, null, 2));
+
+            return { status: 202, body: { success: true, message: 'Queued' } };
+        }
+    };
+}
+
+module.exports = { createOutbox };
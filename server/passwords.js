@@ -0,0 +1,101 @@
+/**
+ * Smart Digital Canteen System - Server Password Hashing
+ *
+ * Same PBKDF2-SHA256 scheme and stored format as hashPassword in
+ * js/auth.js: pbkdf2-sha256$<iterations>$<salt>$<hash> (base64).
+ */
+
+const crypto = require('crypto');
+
+const PASSWORD_HASH_PREFIX = 'pbkdf2-sha256';
+const PASSWORD_HASH_ITERATIONS = 600000;
+// Upper bound for iterations asked for by pages, so a request can't tie up the server
+const MAX_ITERATIONS = 1000000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BYTES = 32;
+
+/**
+ * Derive a PBKDF2-SHA256 hash
+ * @param {string} password - Password
+ * @param {Buffer} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Buffer} Hash bytes
+ */
+function derivePasswordHash(password, salt, iterations) {
+    return crypto.pbkdf2Sync(password, salt, iterations, PASSWORD_HASH_BYTES, 'sha256');
+}
+
+/**
+ * Hash a password with a new random salt
+ * @param {string} password - Plaintext password
+ * @param {number} iterations - PBKDF2 iterations (fewer only for random codes)
+ * @returns {string} Stored password hash
+ */
+function hashPassword(password, iterations = PASSWORD_HASH_ITERATIONS) {
+    const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+    return [
+        PASSWORD_HASH_PREFIX,
+        iterations,
+        salt.toString('base64'),
+        derivePasswordHash(password, salt, iterations).toString('base64')
+    ].join('$');
+}
+
+/**
+ * Check whether a stored password is a hash (older accounts stored plaintext)
+ * @param {string} stored - Stored password
+ * @returns {boolean}
+ */
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && /^pbkdf2-sha256\$\d+\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/.test(stored);
+}
+
+/**
+ * Check a password against the stored one (see verifyPassword in js/auth.js)
+ * @param {string} password - Password entered by the user
+ * @param {string} stored - Stored password hash (or legacy plaintext)
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+    if (typeof password !== 'string') return false;
+    if (!isPasswordHash(stored)) {
+        return typeof stored === 'string' && stored === password;
+    }
+
+    const [, iterations, salt, expected] = stored.split('$');
+    const rounds = parseInt(iterations);
+    if (!(rounds > 0 && rounds <= MAX_ITERATIONS)) return false;
+
+    const hash = derivePasswordHash(password, Buffer.from(salt, 'base64'), rounds);
+    const expectedBytes = Buffer.from(expected, 'base64');
+    return hash.length === expectedBytes.length && crypto.timingSafeEqual(hash, expectedBytes);
+}
+
+/**
+ * Check whether a stored password should be hashed again
+ * (plaintext, or hashed with fewer iterations than today)
+ * @param {string} stored - Stored password
+ * @returns {boolean}
+ */
+function passwordNeedsRehash(stored) {
+    return !isPasswordHash(stored) || parseInt(stored.split('$')[1]) < PASSWORD_HASH_ITERATIONS;
+}
+
+/**
+ * POST /api/password-hash for pages without Web Crypto (plain http on the LAN)
+ * @param {object} body - { password, salt, iterations }
+ * @returns {object} { status, body }
+ */
+function handlePasswordHashRequest(body) {
+    const { password, salt, iterations } = body || {};
+    const rounds = parseInt(iterations);
+
+    if (typeof password !== 'string' || typeof salt !== 'string' || !(rounds > 0 && rounds <= MAX_ITERATIONS)) {
+        return { status: 400, body: { success: false, message: 'password, salt and iterations are required' } };
+    }
+
+    const hash = derivePasswordHash(password, Buffer.from(salt, 'base64'), rounds);
+    return { status: 200, body: { hash: hash.toString('base64') } };
+}
+
+module.exports = { hashPassword, isPasswordHash, verifyPassword, passwordNeedsRehash, handlePasswordHashRequest };
@@ -0,0 +1,150 @@
+/**
+ * Smart Digital Canteen System - Server Secrets
+ *
+ * Some stored fields must never reach the pages: password hashes,
+ * two-factor secrets and recovery codes, the hashes of emailed codes and
+ * the tracking key and PIN of guest orders. stripSecrets takes them out of
+ * everything the API serves and the change feed pushes; restoreSecrets puts
+ * them back into the records the pages write, so a page that never saw a
+ * secret can't lose it either. Checking passwords and codes happens on the
+ * server (see auth.js).
+ */
+
+// ============================================
+// SECRET FIELDS BY RESOURCE
+// ============================================
+
+/**
+ * Strip a one-time code entry (password-resets, email-verifications)
+ * @param {object} entry - { codeHash, expiresAt, attempts, ... }
+ * @returns {object}
+ */
+function stripCode(entry) {
+    const { codeHash, ...rest } = entry;
+    return rest;
+}
+
+/**
+ * Put the stored code hash back into an entry
+ * Only the server makes codes (auth.js): a hash sent by a page is never
+ * kept, or it could pick the code it then confirms.
+ * @param {object} entry - Entry as written
+ * @param {object|null} stored - Stored entry (null for a new one)
+ * @returns {object}
+ */
+function restoreCode(entry, stored) {
+    const { codeHash, ...rest } = entry;
+    return stored && stored.codeHash ? { ...rest, codeHash: stored.codeHash } : rest;
+}
+
+// keyed: value is an object of entries by user ID instead of an array of records
+const SECRETS = {
+    'users': {
+        strip(user) {
+            const { password, twoFactor, twoFactorSetup, ...rest } = user;
+            // Pages only need to know that two-factor login is on
+            return twoFactor ? { ...rest, twoFactor: { enabledAt: twoFactor.enabledAt } } : rest;
+        },
+        restore(user, stored) {
+            if (!stored) return user;
+            const restored = { ...user };
+            if (!('password' in restored) && 'password' in stored) restored.password = stored.password;
+            // Turning two-factor login off sends no twoFactor at all; new recovery codes come on their own
+            if (restored.twoFactor && stored.twoFactor) {
+                restored.twoFactor = { ...stored.twoFactor, ...restored.twoFactor };
+            }
+            return restored;
+        }
+    },
+    'orders': {
+        strip(order) {
+            const { tracking, ...rest } = order;
+            return rest;
+        },
+        restore(order, stored) {
+            return stored && stored.tracking && !order.tracking ? { ...order, tracking: stored.tracking } : order;
+        }
+    },
+    'password-resets': { keyed: true, strip: stripCode, restore: restoreCode },
+    'email-verifications': { keyed: true, strip: stripCode, restore: restoreCode }
+};
+
+/**
+ * Check whether a value can hold records or entries
+ * @param {any} value - Value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ============================================
+// STRIP & RESTORE
+// ============================================
+
+/**
+ * Check whether a resource holds secrets
+ * @param {string} resourceName - Resource name (see RESOURCES in api.js)
+ * @returns {boolean}
+ */
+function hasSecrets(resourceName) {
+    return !!SECRETS[resourceName];
+}
+
+/**
+ * Take the secrets out of a resource's value
+ * @param {string} resourceName - Resource name
+ * @param {any} value - Stored value
+ * @returns {any} Value that may be served
+ */
+function stripSecrets(resourceName, value) {
+    const secrets = SECRETS[resourceName];
+    if (!secrets) return value;
+
+    if (secrets.keyed) {
+        if (!isObject(value)) return value;
+        return Object.fromEntries(Object.entries(value)
+            .map(([id, entry]) => [id, isObject(entry) ? secrets.strip(entry) : entry]));
+    }
+    return Array.isArray(value) ? value.map(record => (isObject(record) ? secrets.strip(record) : record)) : value;
+}
+
+/**
+ * Take the secrets out of a single record
+ * @param {string} resourceName - Resource name
+ * @param {object} record - Stored record
+ * @returns {object}
+ */
+function stripRecordSecrets(resourceName, record) {
+    const secrets = SECRETS[resourceName];
+    return secrets && isObject(record) ? secrets.strip(record) : record;
+}
+
+/**
+ * Put the stored secrets back into a value written by a page
+ * Records are matched by id (entries by key); new records keep what they
+ * were written with, except code hashes (see restoreCode).
+ * @param {string} resourceName - Resource name
+ * @param {any} value - Value as written
+ * @param {any} stored - Value stored so far
+ * @returns {any} Value to store
+ */
+function restoreSecrets(resourceName, value, stored) {
+    const secrets = SECRETS[resourceName];
+    if (!secrets) return value;
+
+    if (secrets.keyed) {
+        if (!isObject(value)) return value;
+        const storedEntries = isObject(stored) ? stored : {};
+        return Object.fromEntries(Object.entries(value).map(([id, entry]) => [
+            id,
+            isObject(entry) ? secrets.restore(entry, isObject(storedEntries[id]) ? storedEntries[id] : null) : entry
+        ]));
+    }
+
+    if (!Array.isArray(value)) return value;
+    const storedById = new Map((Array.isArray(stored) ? stored : []).filter(isObject).map(record => [record.id, record]));
+    return value.map(record => (isObject(record) ? secrets.restore(record, storedById.get(record.id) || null) : record));
+}
+
+module.exports = { hasSecrets, stripSecrets, stripRecordSecrets, restoreSecrets };
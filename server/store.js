@@ -0,0 +1,117 @@
+/**
+ * Smart Digital Canteen System - Server Data Store
+ *
+ * Keeps every storage key in memory and on disk, one JSON file per key
+ * in the data directory. Like the browser storage layer (js/storage.js),
+ * each key carries a revision that goes up by one on every write, and a
+ * write based on an old revision is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// STORE
+// ============================================
+
+/**
+ * Create a file-backed store
+ * @param {string} dataDir - Directory holding the JSON files
+ * @returns {object} Store with get/set/remove/onChange
+ */
+function createStore(dataDir) {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    // key -> { revision, raw }
+    const entries = {};
+    const listeners = [];
+
+    function filePath(key) {
+        return path.join(dataDir, `${key}.json`);
+    }
+
+    function load(key) {
+        if (!entries[key]) {
+            try {
+                entries[key] = JSON.parse(fs.readFileSync(filePath(key), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                entries[key] = { revision: 0, raw: null };
+            }
+        }
+        return entries[key];
+    }
+
+    function persist(key) {
+        // Write to a temporary file first so a crash never leaves half a file
+        const tmp = `${filePath(key)}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(entries[key]));
+        fs.renameSync(tmp, filePath(key));
+    }
+
+    function commit(key, raw, options) {
+        const entry = load(key);
+
+        if (options.baseRevision !== undefined && options.baseRevision !== entry.revision) {
+            return { success: false, conflict: true, revision: entry.revision };
+        }
+
+        entries[key] = { revision: entry.revision + 1, raw };
+        persist(key);
+        listeners.forEach(listener => listener({
+            key,
+            raw,
+            revision: entries[key].revision,
+            source: options.source || null
+        }));
+
+        return { success: true, revision: entries[key].revision };
+    }
+
+    return {
+        /**
+         * Read a key
+         * @param {string} key - Storage key
+         * @returns {object} { value, raw, revision }
+         */
+        get(key) {
+            const entry = load(key);
+            return {
+                value: entry.raw === null ? null : JSON.parse(entry.raw),
+                raw: entry.raw,
+                revision: entry.revision
+            };
+        },
+
+        /**
+         * Write a key
+         * @param {string} key - Storage key
+         * @param {any} value - New value
+         * @param {object} options - { baseRevision, source }
+         * @returns {object} { success, conflict, revision }
+         */
+        set(key, value, options = {}) {
+            return commit(key, JSON.stringify(value), options);
+        },
+
+        /**
+         * Remove a key
+         * @param {string} key - Storage key
+         * @param {object} options - { baseRevision, source }
+         * @returns {object} { success, conflict, revision }
+         */
+        remove(key, options = {}) {
+            return commit(key, null, options);
+        },
+
+        /**
+         * Subscribe to every committed change
+         * @param {Function} listener - Receives { key, raw, revision, source }
+         */
+        onChange(listener) {
+            listeners.push(listener);
+        }
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,75 @@
+/**
+ * Who may write which resource (authorizeWrite in auth.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RESOURCES } = require('../api');
+const { createTestServer } = require('./helpers');
+
+const SERVER_ONLY = ['password-resets', 'email-verifications', 'session-revocations', 'token-counters', 'schema-version'];
+
+test('authorizeWrite', async (t) => {
+    const server = createTestServer();
+    t.after(server.cleanup);
+
+    const { auth, store } = server;
+    const sessionOf = token => auth.authenticate({ authorization: `Bearer ${token}` });
+    const admin = sessionOf(await server.login('admin@canteen.com'));
+    const staff = sessionOf(await server.login('john@canteen.com'));
+    const customer = sessionOf(await server.login('eve@sab.ac.lk'));
+    const stored = resourceName => store.get(RESOURCES[resourceName].key);
+    const statusOf = denied => (denied ? denied.status : 200);
+
+    await t.test('only the server writes codes, revocations, counters and the schema version', () => {
+        SERVER_ONLY.forEach(resourceName => {
+            assert.strictEqual(statusOf(auth.authorizeWrite(admin, resourceName, stored(resourceName), {})), 403, resourceName);
+            assert.strictEqual(statusOf(auth.authorizeWrite(customer, resourceName, stored(resourceName), {})), 403, resourceName);
+            assert.strictEqual(statusOf(auth.authorizeWrite(null, resourceName, stored(resourceName), {})), 403, resourceName);
+        });
+    });
+
+    await t.test('the menu needs menu.edit', () => {
+        ['menu-items', 'combos', 'ingredients', 'category-schedules'].forEach(resourceName => {
+            assert.strictEqual(statusOf(auth.authorizeWrite(customer, resourceName, stored(resourceName), [])), 403, resourceName);
+            assert.strictEqual(statusOf(auth.authorizeWrite(staff, resourceName, stored(resourceName), [])), 200, resourceName);
+        });
+    });
+
+    await t.test('whole order lists need backup.manage', () => {
+        ['orders', 'order-archive'].forEach(resourceName => {
+            assert.strictEqual(statusOf(auth.authorizeWrite(customer, resourceName, stored(resourceName), [])), 403, resourceName);
+            assert.strictEqual(statusOf(auth.authorizeWrite(staff, resourceName, stored(resourceName), [])), 403, resourceName);
+            assert.strictEqual(statusOf(auth.authorizeWrite(admin, resourceName, stored(resourceName), [])), 200, resourceName);
+        });
+    });
+
+    await t.test('visitors only fill empty seeded resources', () => {
+        assert.strictEqual(statusOf(auth.authorizeWrite(null, 'menu-items', stored('menu-items'), [])), 200);
+        assert.strictEqual(statusOf(auth.authorizeWrite(null, 'users', stored('users'), [])), 401);
+        assert.strictEqual(statusOf(auth.authorizeWrite(null, 'password-resets', stored('password-resets'), {})), 403);
+    });
+
+    await t.test('customers change their own record, but not its role or password', () => {
+        const users = stored('users');
+        const change = (id, fields) => users.value.map(user => (user.id === id ? { ...user, ...fields } : user));
+
+        assert.strictEqual(statusOf(auth.authorizeWrite(customer, 'users', users, change('customer-1', { name: 'Eve C' }))), 200);
+        assert.strictEqual(statusOf(auth.authorizeWrite(customer, 'users', users, change('customer-1', { role: 'admin' }))), 403);
+        assert.strictEqual(statusOf(auth.authorizeWrite(customer, 'users', users, change('customer-1', { password: 'x' }))), 403);
+        assert.strictEqual(statusOf(auth.authorizeWrite(customer, 'users', users, change('admin-1', { name: 'Pwned' }))), 403);
+        assert.strictEqual(statusOf(auth.authorizeWrite(admin, 'users', users, change('staff-1', { role: 'customer' }))), 200);
+    });
+});
+
+test('PUT refuses a customer writing a reset code', async (t) => {
+    const server = createTestServer();
+    t.after(server.cleanup);
+
+    const token = await server.login('eve@sab.ac.lk');
+    const entry = { codeHash: 'pbkdf2-sha256$1$c2FsdA==$aGFzaA==', expiresAt: '2099-01-01T00:00:00.000Z', attempts: 0 };
+
+    const response = await server.request('PUT', 'password-resets', { 'admin-1': entry }, token);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(server.store.get(RESOURCES['password-resets'].key).value, null);
+});
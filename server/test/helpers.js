@@ -0,0 +1,104 @@
+/**
+ * Smart Digital Canteen System - Server Test Helpers
+ *
+ * A server without the HTTP layer: a store in a temporary folder, filled
+ * with roles and three accounts, and the services handleApiRequest needs.
+ * Run the tests with: node --test server/test/
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../store');
+const { createOutbox } = require('../outbox');
+const { createAuth } = require('../auth');
+const { RESOURCES, handleApiRequest } = require('../api');
+
+// Every test account logs in with this password
+const PASSWORD = 'admin123';
+const PASSWORD_HASH = 'pbkdf2-sha256$600000$411YmRTiDp6iFVPub2aCyQ==$AZQqDwL2bgG+a0RjC6RRSwwC3Bi94jz4BsBynoqta/g=';
+
+const ROLES = [
+    { id: 'customer', name: 'Customer', area: 'customer', permissions: ['order.place'], builtIn: true },
+    { id: 'staff', name: 'Staff', area: 'staff', permissions: ['order.prepare', 'order.complete', 'order.cancel', 'menu.edit'], builtIn: true },
+    { id: 'admin', name: 'Admin', area: 'admin', permissions: [], builtIn: true }
+];
+
+const USERS = [
+    { id: 'admin-1', name: 'Admin User', email: 'admin@canteen.com', role: 'admin' },
+    { id: 'staff-1', name: 'John Cook', email: 'john@canteen.com', role: 'staff' },
+    { id: 'customer-1', name: 'Eve Customer', email: 'eve@sab.ac.lk', role: 'customer', emailVerified: true }
+];
+
+/**
+ * Create a server for one test
+ * @returns {object} { store, auth, request, login, readOutbox, cleanup }
+ */
+function createTestServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canteen-test-'));
+    const outboxDir = path.join(dataDir, 'outbox');
+    const store = createStore(dataDir);
+    const createdAt = new Date().toISOString();
+
+    store.set(RESOURCES.roles.key, ROLES);
+    store.set(RESOURCES.users.key, USERS.map(user => ({ ...user, password: PASSWORD_HASH, createdAt })));
+
+    const outbox = createOutbox(outboxDir);
+    const auth = createAuth(store, { outbox });
+
+    /**
+     * Send an /api request
+     * @param {string} method - HTTP method
+     * @param {string} apiPath - Path below /api, e.g. 'password-reset'
+     * @param {any} body - Request body
+     * @param {string} token - Session token (optional)
+     * @returns {Promise<object>} { status, headers, body }
+     */
+    function request(method, apiPath, body, token) {
+        const headers = token ? { authorization: `Bearer ${token}` } : {};
+        return Promise.resolve(handleApiRequest(store, { method, path: apiPath, headers, body }, { outbox, auth }));
+    }
+
+    /**
+     * Login and get the session token
+     * @param {string} email - Account email
+     * @param {string} password - Password (PASSWORD by default)
+     * @returns {Promise<string|undefined>} Token
+     */
+    function login(email, password = PASSWORD) {
+        return request('POST', 'sessions', { email, password, deviceId: 'test-device' })
+            .then(response => response.body.token);
+    }
+
+    /**
+     * Get the messages sent so far
+     * @returns {Array} [{ to, subject, text, ... }]
+     */
+    function readOutbox() {
+        return fs.readdirSync(outboxDir).sort()
+            .map(name => JSON.parse(fs.readFileSync(path.join(outboxDir, name), 'utf8')));
+    }
+
+    return {
+        store,
+        auth,
+        request,
+        login,
+        readOutbox,
+        cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Find the code in the last message sent to an address
+ * @param {Array} messages - Messages from readOutbox
+ * @param {string} to - Recipient
+ * @returns {string|null} Code
+ */
+function findCode(messages, to) {
+    const message = messages.filter(m => m.to === to).pop();
+    const match = message && /code is (\d+)/.exec(message.text);
+    return match ? match[1] : null;
+}
+
+module.exports = { PASSWORD, USERS, createTestServer, findCode };
@@ -0,0 +1,82 @@
+/**
+ * POST /api/password-reset and /api/password-reset/confirm (auth.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CANTEEN_CONFIG } = require('../../js/config.js');
+const { hashPassword } = require('../passwords');
+const { PASSWORD, createTestServer, findCode } = require('./helpers');
+
+const NEW_PASSWORD = 'N3w-Passw0rd!';
+
+test('a reset code sets a new password and ends the old sessions', async (t) => {
+    const server = createTestServer();
+    t.after(server.cleanup);
+
+    const oldToken = await server.login('eve@sab.ac.lk');
+    const requested = await server.request('POST', 'password-reset', { email: 'eve@sab.ac.lk' });
+    assert.strictEqual(requested.status, 202);
+
+    const code = findCode(server.readOutbox(), 'eve@sab.ac.lk');
+    assert.ok(code);
+
+    const confirmed = await server.request('POST', 'password-reset/confirm', { email: 'eve@sab.ac.lk', code, password: NEW_PASSWORD });
+    assert.strictEqual(confirmed.status, 200);
+    assert.strictEqual(server.auth.authenticate({ authorization: `Bearer ${oldToken}` }), null);
+    assert.ok(await server.login('eve@sab.ac.lk', NEW_PASSWORD));
+    assert.strictEqual(await server.login('eve@sab.ac.lk', PASSWORD), undefined);
+
+    // A code works once
+    const again = await server.request('POST', 'password-reset/confirm', { email: 'eve@sab.ac.lk', code, password: PASSWORD });
+    assert.strictEqual(again.status, 400);
+});
+
+test('unknown emails get the same answer and no mail', async (t) => {
+    const server = createTestServer();
+    t.after(server.cleanup);
+
+    const known = await server.request('POST', 'password-reset', { email: 'eve@sab.ac.lk' });
+    const unknown = await server.request('POST', 'password-reset', { email: 'nobody@sab.ac.lk' });
+    assert.strictEqual(unknown.status, known.status);
+    assert.deepStrictEqual(unknown.body, known.body);
+    assert.deepStrictEqual(server.readOutbox().map(message => message.to), ['eve@sab.ac.lk']);
+});
+
+test('wrong codes are refused and use the code up', async (t) => {
+    const server = createTestServer();
+    t.after(server.cleanup);
+
+    await server.request('POST', 'password-reset', { email: 'eve@sab.ac.lk' });
+    const code = findCode(server.readOutbox(), 'eve@sab.ac.lk');
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < CANTEEN_CONFIG.passwordReset.maxAttempts; attempt++) {
+        const guess = await server.request('POST', 'password-reset/confirm', { email: 'eve@sab.ac.lk', code: wrong, password: NEW_PASSWORD });
+        assert.strictEqual(guess.status, 400);
+    }
+
+    const right = await server.request('POST', 'password-reset/confirm', { email: 'eve@sab.ac.lk', code, password: NEW_PASSWORD });
+    assert.strictEqual(right.status, 400);
+    assert.ok(await server.login('eve@sab.ac.lk'));
+});
+
+test('a customer can\'t plant a code for another account', async (t) => {
+    const server = createTestServer();
+    t.after(server.cleanup);
+
+    const token = await server.login('eve@sab.ac.lk');
+    const entry = { codeHash: hashPassword('123456', 1000), expiresAt: '2099-01-01T00:00:00.000Z', attempts: 0 };
+
+    // With no code stored, and on top of one the server sent
+    for (const requested of [false, true]) {
+        if (requested) await server.request('POST', 'password-reset', { email: 'admin@canteen.com' });
+
+        const planted = await server.request('PUT', 'password-resets', { 'admin-1': entry }, token);
+        assert.strictEqual(planted.status, 403);
+
+        const confirmed = await server.request('POST', 'password-reset/confirm', { email: 'admin@canteen.com', code: '123456', password: NEW_PASSWORD });
+        assert.strictEqual(confirmed.status, 400);
+    }
+    assert.ok(await server.login('admin@canteen.com'));
+});
@@ -0,0 +1,32 @@
+/**
+ * Code hashes written by pages (restoreCode through restoreSecrets in secrets.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { restoreSecrets, stripSecrets } = require('../secrets');
+
+const STORED = {
+    'user-1': { codeHash: 'stored-hash', expiresAt: '2099-01-01T00:00:00.000Z', attempts: 1 }
+};
+
+test('an entry written without its hash gets the stored one back', () => {
+    const written = stripSecrets('password-resets', STORED);
+    const restored = restoreSecrets('password-resets', written, STORED);
+    assert.deepStrictEqual(restored, STORED);
+});
+
+test('a hash sent by a page never replaces the stored one', () => {
+    const written = { 'user-1': { ...STORED['user-1'], codeHash: 'chosen-hash' } };
+    const restored = restoreSecrets('password-resets', written, STORED);
+    assert.strictEqual(restored['user-1'].codeHash, 'stored-hash');
+});
+
+test('a new entry keeps no hash sent by a page', () => {
+    const written = { 'user-2': { codeHash: 'chosen-hash', expiresAt: '2099-01-01T00:00:00.000Z', attempts: 0 } };
+
+    ['password-resets', 'email-verifications'].forEach(resourceName => {
+        assert.ok(!('codeHash' in restoreSecrets(resourceName, written, STORED)['user-2']), resourceName);
+        assert.ok(!('codeHash' in restoreSecrets(resourceName, written, null)['user-2']), resourceName);
+    });
+});
@@ -0,0 +1,337 @@
+/**
+ * Smart Digital Canteen System - Server Validation
+ *
+ * The same rules the browser enforces in registerUser, addMenuItem,
+ * createOrder and updateOrderStatus, applied to requests that reach the
+ * server directly. Field rules come from the shared schemas in
+ * js/validation.js. Every check returns a result object like the client
+ * functions do: { success, message, errors }.
+ */
+
+const { CANTEEN_CONFIG } = require('../js/config.js');
+const {
+    VALIDATION_PATTERNS,
+    validateRecord,
+    resolveItemOptions,
+    resolveComboChoices,
+    isItemScheduled,
+    isItemInStock,
+    countStockNeeded,
+    checkStock,
+    adjustStock,
+    isRecipeInStock,
+    countIngredientsNeeded,
+    consumeIngredients
+} = require('../js/validation.js');
+const { isPasswordHash } = require('./passwords');
+
+// ============================================
+// CONSTANTS (mirrors js/utils.js)
+// ============================================
+
+const ORDER_STATUS = {
+    PENDING: 'pending',
+    PREPARING: 'preparing',
+    READY: 'ready',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+// Orders that can't change status any more
+const FINISHED_STATUSES = [ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED];
+
+const USER_ROLES = {
+    CUSTOMER: 'customer',
+    STAFF: 'staff',
+    ADMIN: 'admin'
+};
+
+const ACCOUNT_STATUS = {
+    ACTIVE: 'active',
+    PENDING: 'pending',
+    SUSPENDED: 'suspended'
+};
+
+const OK = { success: true };
+
+// Schema (js/validation.js) of the records of each collection
+const RECORD_SCHEMAS = {
+    'users': 'user',
+    'staff': 'staff',
+    'menu-items': 'menuItem',
+    'combos': 'combo',
+    'ingredients': 'ingredient'
+};
+
+/**
+ * Validate email format
+ * @param {string} email - Email to validate
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+    return VALIDATION_PATTERNS.email.test(email || '');
+}
+
+/**
+ * Validate phone number format
+ * @param {string} phone - Phone number to validate
+ * @returns {boolean}
+ */
+function isValidPhone(phone) {
+    return VALIDATION_PATTERNS.phone.test(phone || '');
+}
+
+/**
+ * Check an email against CANTEEN_CONFIG.registration.allowedDomains
+ * (same rule as isAllowedEmailDomain in js/utils.js)
+ * @param {string} email - Email to check
+ * @param {Array} allowed - Allowed domains
+ * @returns {boolean}
+ */
+function isAllowedEmailDomain(email, allowed) {
+    if (!allowed || allowed.length === 0) return true;
+
+    const domain = (email || '').toLowerCase().trim().split('@').pop();
+    return allowed.some(entry => {
+        const allowedDomain = entry.toLowerCase().replace(/^@/, '');
+        return domain === allowedDomain || domain.endsWith(`.${allowedDomain}`);
+    });
+}
+
+/**
+ * Build a failed result object
+ * @param {string} message - Error message
+ * @param {string} field - Field the error belongs to
+ * @returns {object} Result object
+ */
+function fail(message, field = null) {
+    return field ? { success: false, message, errors: { [field]: message } } : { success: false, message };
+}
+
+// ============================================
+// NEW RECORDS
+// ============================================
+
+/**
+ * Rules of registerUser (js/auth.js)
+ * @param {object} userData - { name, email, password, role }
+ * @param {Array} users - Existing users
+ * @param {Array} roles - Roles created by admins (built-in roles are always known)
+ * @returns {object} Result object
+ */
+function validateNewUser(userData, users, roles = []) {
+    const check = validateRecord('user', userData);
+    if (!check.success) return check;
+
+    const { email } = check.value;
+    const role = check.value.role || USER_ROLES.CUSTOMER;
+
+    if (!isAllowedEmailDomain(email, CANTEEN_CONFIG.registration.allowedDomains)) {
+        return fail('Please use your university email address', 'email');
+    }
+    if (!Object.values(USER_ROLES).includes(role) && !roles.some(r => r.id === role)) {
+        return fail('Unknown role', 'role');
+    }
+    if (users.find(u => u.email.toLowerCase() === email)) {
+        return fail('Email already registered', 'email');
+    }
+    return check;
+}
+
+/**
+ * Rules of addMenuItem (js/menu.js)
+ * @param {object} itemData - Menu item data
+ * @returns {object} Result object
+ */
+function validateNewMenuItem(itemData) {
+    return validateRecord('menuItem', itemData);
+}
+
+/**
+ * Rules of createOrder (js/orders.js)
+ * @param {object} orderData - { userId, items: [{ id, quantity, options }] }, or { guest: { name, phone }, items } for guest checkout;
+ *                             combo lines are { id, quantity, combo: true, choices }
+ * @param {Array} menuItems - Current menu
+ * @param {Array} combos - Current combos
+ * @param {object} categorySchedules - Schedules by category name
+ * @param {Array} ingredients - Ingredient inventory
+ * @returns {object} Result object
+ */
+function validateNewOrder(orderData, menuItems, combos = [], categorySchedules = {}, ingredients = []) {
+    const check = validateRecord('order', orderData);
+    if (!check.success) return check;
+
+    if (!orderData.userId) {
+        if (!orderData.guest || !CANTEEN_CONFIG.guestCheckout.enabled) return fail('Please login to place order');
+        const guestCheck = validateRecord('guest', orderData.guest);
+        if (!guestCheck.success) return guestCheck;
+    }
+
+    // Items off their schedule or sold out can't be ordered, on their own or in a combo
+    const now = new Date();
+    const soldOut = item => !isItemInStock(item) || !isRecipeInStock(item, ingredients);
+    const orderable = menuItems.filter(item =>
+        item.available && !soldOut(item) && isItemScheduled(item, categorySchedules, now));
+    const portions = [];
+
+    for (const line of check.value.items) {
+        if (line.combo) {
+            const combo = combos.find(entry => entry.id === line.id);
+            if (!combo) return fail('Combo not found', 'items');
+
+            const choice = resolveComboChoices(combo, line.choices, orderable);
+            if (!choice.success) return fail(choice.message, 'items');
+            portions.push({ ...line, components: choice.value.components });
+            continue;
+        }
+
+        const menuItem = menuItems.find(item => item.id === line.id);
+        if (!menuItem) return fail('Item not found', 'items');
+        if (!orderable.includes(menuItem)) {
+            return fail(`${menuItem.name} is ${soldOut(menuItem) ? 'sold out' : 'not available'}`, 'items');
+        }
+
+        const choice = resolveItemOptions(menuItem, line.options);
+        if (!choice.success) return fail(choice.message, 'items');
+        portions.push(line);
+    }
+
+    const stock = checkStock(countStockNeeded(portions), menuItems);
+    if (!stock.success) return fail(stock.message, 'items');
+    return check;
+}
+
+/**
+ * Rules of updateOrderStatus (js/orders.js)
+ * @param {object|null} order - Order to change
+ * @param {string} status - New status
+ * @returns {object} Result object
+ */
+function validateStatusChange(order, status) {
+    if (!order) return fail('Order not found');
+    if (!Object.values(ORDER_STATUS).includes(status)) return fail('Unknown order status');
+    if (FINISHED_STATUSES.includes(order.status)) return fail(`This order is already ${order.status}`);
+    return OK;
+}
+
+/**
+ * Check the orders of a whole-array write against the stored ones
+ * The browser adapter writes status changes this way, so the rule of
+ * validateStatusChange applies here too.
+ * @param {Array} stored - Orders stored now
+ * @param {Array} next - Orders written
+ * @returns {object} Result object
+ */
+function validateOrderChanges(stored, next) {
+    const finished = new Map((stored || [])
+        .filter(order => order && FINISHED_STATUSES.includes(order.status))
+        .map(order => [order.id, order.status]));
+    const reopened = next.find(order => finished.has(order.id) && order.status !== finished.get(order.id));
+    return reopened ? fail(`Order ${reopened.token || reopened.id} is already ${finished.get(reopened.id)}`) : OK;
+}
+
+// ============================================
+// WHOLE COLLECTIONS
+// ============================================
+
+/**
+ * Check a full array written by the browser storage adapter
+ * Only the invariants every record must keep are checked here; the
+ * per-field rules above apply when records are created.
+ * @param {string} resource - Resource name
+ * @param {any} value - New value
+ * @returns {object} Result object
+ */
+function validateCollection(resource, value) {
+    if (!Array.isArray(value)) return fail(`${resource} must be an array`);
+
+    const ids = new Set();
+    for (const record of value) {
+        if (!record || typeof record !== 'object' || !record.id) return fail(`Every ${resource} record needs an id`);
+        if (ids.has(record.id)) return fail(`Duplicate id ${record.id} in ${resource}`);
+        ids.add(record.id);
+    }
+
+    if (resource === 'users' || resource === 'staff') {
+        const emails = new Set();
+        for (const user of value) {
+            if (!isValidEmail(user.email)) return fail(`Invalid email for ${user.id}`);
+            if (emails.has(user.email.toLowerCase())) return fail(`Email ${user.email} is used twice`);
+            emails.add(user.email.toLowerCase());
+
+            // Passwords are only ever stored hashed (staff records normally have none)
+            if ((resource === 'users' || 'password' in user) && !isPasswordHash(user.password)) {
+                return fail(`The password of ${user.id} must be a PBKDF2 hash`);
+            }
+        }
+    }
+
+    if (resource === 'menu-items') {
+        for (const item of value) {
+            if (!item.name || !item.category || isNaN(parseFloat(item.price))) {
+                return fail(`Menu item ${item.id} needs a name, price and category`);
+            }
+        }
+    }
+
+    if (resource === 'ingredients') {
+        for (const ingredient of value) {
+            if (!ingredient.name || !ingredient.unit || isNaN(parseFloat(ingredient.quantity))) {
+                return fail(`Ingredient ${ingredient.id} needs a name, unit and quantity`);
+            }
+        }
+    }
+
+    if (resource === 'orders') {
+        for (const order of value) {
+            if (!Object.values(ORDER_STATUS).includes(order.status)) return fail(`Order ${order.id} has an unknown status`);
+            if (!Array.isArray(order.items)) return fail(`Order ${order.id} has no items`);
+        }
+    }
+
+    return OK;
+}
+
+/**
+ * Rules of saveShopLocation (js/admin.js)
+ * @param {object} location - Location data
+ * @returns {object} Result object
+ */
+function validateLocation(location) {
+    return validateRecord('location', location);
+}
+
+/**
+ * Rules of updateMenuItem (js/menu.js) and other single-record changes
+ * Only the fields sent are checked.
+ * @param {string} resource - Resource name
+ * @param {object} changes - Fields to change
+ * @returns {object} Result object
+ */
+function validateChanges(resource, changes) {
+    const schema = RECORD_SCHEMAS[resource];
+    return schema ? validateRecord(schema, changes, { partial: true }) : OK;
+}
+
+module.exports = {
+    ORDER_STATUS,
+    USER_ROLES,
+    ACCOUNT_STATUS,
+    isValidEmail,
+    isValidPhone,
+    isAllowedEmailDomain,
+    validateNewUser,
+    validateNewMenuItem,
+    validateNewOrder,
+    validateStatusChange,
+    validateOrderChanges,
+    validateCollection,
+    validateLocation,
+    validateChanges,
+    resolveItemOptions,
+    resolveComboChoices,
+    countStockNeeded,
+    adjustStock,
+    countIngredientsNeeded,
+    consumeIngredients
+};